@@ -1,16 +1,48 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
+const REFRESH_AUDIENCE = 'refresh';
+
+// Short-lived access token; the payload carries the person id and session id
 const generateToken = (payload) => {
   return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d',
+    expiresIn: process.env.JWT_EXPIRE || '15m',
   });
 };
 
+// Purpose-bound tokens (refresh tokens, calendar feeds, invitations...) carry an audience
+// and may share the secret, so only tokens without one are access tokens
 const verifyToken = (token) => {
-  return jwt.verify(token, process.env.JWT_SECRET);
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.aud !== undefined) {
+    throw new jwt.JsonWebTokenError('Not an access token');
+  }
+  return decoded;
+};
+
+const getRefreshSecret = () => process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+
+// Long-lived refresh token for a session. The random jti makes every rotation unique.
+const generateRefreshToken = (sessionId) => {
+  return jwt.sign(
+    { sid: sessionId.toString(), jti: crypto.randomBytes(16).toString('hex') },
+    getRefreshSecret(),
+    { expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d', audience: REFRESH_AUDIENCE }
+  );
+};
+
+// Returns the payload, or null when the token is invalid or expired
+const verifyRefreshToken = (token) => {
+  try {
+    return jwt.verify(token, getRefreshSecret(), { audience: REFRESH_AUDIENCE });
+  } catch (error) {
+    return null;
+  }
 };
 
 module.exports = {
   generateToken,
   verifyToken,
-};
\ No newline at end of file
+  generateRefreshToken,
+  verifyRefreshToken,
+};
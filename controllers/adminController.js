@@ -4,6 +4,7 @@ const SongRequest = require('../models/SongRequest');
 const EventParticipant = require('../models/EventParticipant');
 const asyncHandler = require('../utils/asyncHandler');
 const ErrorResponse = require('../utils/errorResponse');
+const { readPagination, paginate } = require('../utils/pagination');
 
 // @desc    Get admin dashboard data
 // @route   GET /api/admin/dashboard
@@ -54,9 +55,7 @@ exports.getAdminDashboard = asyncHandler(async (req, res, next) => {
 // @route   GET /api/admin/managers
 // @access  Private/Admin
 exports.getAllManagers = asyncHandler(async (req, res, next) => {
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 25;
-  const startIndex = (page - 1) * limit;
+  const { page, limit, cursor } = readPagination(req.query);
   
   let query = { role: 'Manager' };
   
@@ -68,12 +67,13 @@ exports.getAllManagers = asyncHandler(async (req, res, next) => {
     ];
   }
   
-  const total = await Person.countDocuments(query);
-  const managers = await Person.find(query)
-    .select('-password')
-    .sort({ createdAt: -1 })
-    .limit(limit)
-    .skip(startIndex);
+  const { data: managers, total, pagination, error } = await paginate(
+    Person.find(query).select('-password'),
+    { sort: { createdAt: -1 }, page, limit, cursor }
+  );
+  if (error) {
+    return next(error);
+  }
   
   // Add event counts for each manager
   const managersWithStats = await Promise.all(
@@ -92,6 +92,7 @@ exports.getAllManagers = asyncHandler(async (req, res, next) => {
     success: true,
     count: managersWithStats.length,
     total,
+    pagination,
     data: managersWithStats
   });
 });
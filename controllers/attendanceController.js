@@ -0,0 +1,193 @@
+const QRCode = require('qrcode');
+const Event = require('../models/Event');
+const { EventStatus } = require('../models/Event');
+const EventParticipant = require('../models/EventParticipant');
+const asyncHandler = require('../utils/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const { signToken, verifySignedToken } = require('../utils/signedToken');
+
+const CHECK_IN_PURPOSE = 'event-check-in';
+
+// Check-in links stay valid until the event's active window closes
+const createCheckInUrl = (event) => {
+  const { closesAt } = event.getActiveWindow();
+  const token = signToken(CHECK_IN_PURPOSE, {
+    event: event._id.toString(),
+    exp: Math.floor(closesAt.getTime() / 1000)
+  });
+
+  return {
+    token,
+    url: `${process.env.CLIENT_URL || 'http://localhost:3000'}/events/${event._id}/check-in?token=${encodeURIComponent(token)}`,
+    expiresAt: closesAt
+  };
+};
+
+// Mark a Member or guest participant as present. The update only matches people
+// who haven't checked in yet, so a second scan keeps the original time.
+const recordCheckIn = async (event, { userId, participant }, checkedInBy) => {
+  const checkedInAt = new Date();
+
+  if (userId) {
+    const member = event.Members.find(
+      Member => Member.user.toString() === userId.toString() && Member.isApproved
+    );
+    if (!member) return null;
+
+    if (member.checkedInAt) {
+      return { type: 'Member', id: member.user, checkedInAt: member.checkedInAt, alreadyCheckedIn: true };
+    }
+
+    await Event.updateOne(
+      { _id: event._id, Members: { $elemMatch: { user: member.user, checkedInAt: null } } },
+      { $set: { 'Members.$.checkedInAt': checkedInAt, 'Members.$.checkedInBy': checkedInBy } }
+    );
+
+    return { type: 'Member', id: member.user, checkedInAt, alreadyCheckedIn: false };
+  }
+
+  if (participant.checkedInAt) {
+    return { type: 'Guest', id: participant._id, checkedInAt: participant.checkedInAt, alreadyCheckedIn: true };
+  }
+
+  await EventParticipant.updateOne(
+    { _id: participant._id, checkedInAt: null },
+    { $set: { checkedInAt, checkedInBy } }
+  );
+
+  return { type: 'Guest', id: participant._id, checkedInAt, alreadyCheckedIn: false };
+};
+
+const emitCheckIn = (req, eventId, checkIn) => {
+  const io = req.app.get('io');
+  if (io && !checkIn.alreadyCheckedIn) {
+    io.to(`event_${eventId}_staff`).emit('attendeeCheckedIn', {
+      event: eventId,
+      type: checkIn.type,
+      id: checkIn.id,
+      checkedInAt: checkIn.checkedInAt
+    });
+  }
+};
+
+// @desc    Get the check-in QR code for an event
+// @route   GET /api/events/:id/qr
+// @access  Private (staff with member management permission)
+exports.getEventQrCode = asyncHandler(async (req, res, next) => {
+  const format = (req.query.format || 'png').toLowerCase();
+  const size = parseInt(req.query.size, 10) || 512;
+
+  const event = req.event || await Event.findById(req.params.id);
+  if (!event) {
+    return next(new ErrorResponse('Event not found', 404));
+  }
+
+  if ([EventStatus.COMPLETED, EventStatus.CANCELLED].includes(event.status)) {
+    return next(new ErrorResponse(`Cannot create a check-in code for a ${event.status.toLowerCase()} event`, 400));
+  }
+
+  const checkIn = createCheckInUrl(event);
+  if (checkIn.expiresAt <= new Date()) {
+    return next(new ErrorResponse('This event has already ended', 400));
+  }
+
+  res.set('Cache-Control', 'private, no-store');
+
+  if (format === 'svg') {
+    const svg = await QRCode.toString(checkIn.url, { type: 'svg', width: size, margin: 2 });
+    return res.type('image/svg+xml').send(svg);
+  }
+
+  if (format === 'json') {
+    return res.status(200).json({
+      success: true,
+      data: checkIn
+    });
+  }
+
+  const png = await QRCode.toBuffer(checkIn.url, { type: 'png', width: size, margin: 2 });
+  res.type('image/png').send(png);
+});
+
+// @desc    Check in with the event QR code
+// @route   POST /api/events/:id/check-in
+// @access  Public (registered users by account, guests by email and last name)
+exports.checkIn = asyncHandler(async (req, res, next) => {
+  const payload = verifySignedToken(CHECK_IN_PURPOSE, req.body.token);
+  if (!payload || payload.event !== req.params.id) {
+    return next(new ErrorResponse('Check-in code is invalid or has expired', 400));
+  }
+
+  const event = await Event.findById(req.params.id);
+  if (!event) {
+    return next(new ErrorResponse('Event not found', 404));
+  }
+
+  if (event.status === EventStatus.CANCELLED) {
+    return next(new ErrorResponse('This event has been cancelled', 400));
+  }
+
+  let checkIn = null;
+
+  if (req.user && req.user.role !== 'Guest') {
+    checkIn = await recordCheckIn(event, { userId: req.user.id }, undefined);
+  } else {
+    // The QR code is public, so a guest proves who they are with both email and last name
+    const email = (req.user ? req.user.email : req.body.email || '').toLowerCase();
+    const lastName = req.user ? req.user.lastName : req.body.lastName;
+    if (!email || !lastName) {
+      return next(new ErrorResponse('Email and last name are required to check in as a guest', 400));
+    }
+
+    const participant = await EventParticipant.findOne({ event: event._id, email, lastName, isApproved: true });
+    if (participant) {
+      checkIn = await recordCheckIn(event, { participant }, undefined);
+    }
+  }
+
+  if (!checkIn) {
+    return next(new ErrorResponse('You must join this event before checking in', 400));
+  }
+
+  emitCheckIn(req, event._id, checkIn);
+
+  res.status(200).json({
+    success: true,
+    message: checkIn.alreadyCheckedIn ? 'Already checked in' : 'Checked in',
+    data: checkIn
+  });
+});
+
+// @desc    Check someone in at the door
+// @route   POST /api/events/:id/check-in/:memberId
+// @access  Private (staff with member management permission)
+exports.checkInMember = asyncHandler(async (req, res, next) => {
+  const { memberId } = req.params;
+
+  const event = req.event || await Event.findById(req.params.id);
+  if (!event) {
+    return next(new ErrorResponse('Event not found', 404));
+  }
+
+  // memberId is the user ID of a registered Member or the ID of a guest participant
+  let checkIn = await recordCheckIn(event, { userId: memberId }, req.user.id);
+
+  if (!checkIn) {
+    const participant = await EventParticipant.findOne({ _id: memberId, event: event._id, isApproved: true });
+    if (participant) {
+      checkIn = await recordCheckIn(event, { participant }, req.user.id);
+    }
+  }
+
+  if (!checkIn) {
+    return next(new ErrorResponse('Member not found', 404));
+  }
+
+  emitCheckIn(req, event._id, checkIn);
+
+  res.status(200).json({
+    success: true,
+    message: checkIn.alreadyCheckedIn ? 'Already checked in' : 'Checked in',
+    data: checkIn
+  });
+});
@@ -1,6 +1,8 @@
 const Person = require('../models/Person');
-const { generateToken } = require('../config/jwt');
+const Session = require('../models/Session');
+const { SessionRevokeReason } = require('../models/Session');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { startSession, rotateSession, revokeSession, revokePersonSessions } = require('../services/sessions');
 
 // @desc    Register user
 // @route   POST /api/auth/register
@@ -35,8 +37,8 @@ const register = asyncHandler(async (req, res) => {
 
   const user = await Person.create(userData);
 
-  // Generate token
-  const token = generateToken({ id: user._id });
+  // Start a session
+  const { token, refreshToken } = await startSession(user, req);
 
   // Update login tracking
   user.lastLogin = new Date();
@@ -48,7 +50,8 @@ const register = asyncHandler(async (req, res) => {
     message: 'User registered successfully',
     data: {
       user: user.getPublicProfile(),
-      token
+      token,
+      refreshToken
     }
   });
 });
@@ -85,8 +88,8 @@ const login = asyncHandler(async (req, res) => {
     });
   }
 
-  // Generate token
-  const token = generateToken({ id: user._id });
+  // Start a session
+  const { token, refreshToken } = await startSession(user, req);
 
   // Update login tracking
   user.lastLogin = new Date();
@@ -98,7 +101,8 @@ const login = asyncHandler(async (req, res) => {
     message: 'Login successful',
     data: {
       user: user.getPublicProfile(),
-      token
+      token,
+      refreshToken
     }
   });
 });
@@ -175,6 +179,12 @@ const changePassword = asyncHandler(async (req, res) => {
   user.updatedBy = req.user._id;
   await user.save();
 
+  // Sign out every other device
+  await revokePersonSessions(user._id, SessionRevokeReason.PASSWORD_CHANGE, {
+    except: req.sessionId,
+    io: req.app.get('io')
+  });
+
   res.json({
     success: true,
     message: 'Password changed successfully'
@@ -185,14 +195,72 @@ const changePassword = asyncHandler(async (req, res) => {
 // @route   POST /api/auth/logout
 // @access  Private
 const logout = asyncHandler(async (req, res) => {
-  // In a stateless JWT system, logout is handled client-side
-  // But we can track logout time if needed
+  // Revoking the session invalidates its refresh token and any access token still in use
+  await revokeSession(req.sessionId, SessionRevokeReason.LOGOUT, req.app.get('io'));
+
   res.json({
     success: true,
     message: 'Logged out successfully'
   });
 });
 
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @route   POST /api/auth/refresh
+// @access  Public
+const refresh = asyncHandler(async (req, res, next) => {
+  const { token, refreshToken, error } = await rotateSession(req.body.refreshToken, req);
+  if (error) {
+    return next(error);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      token,
+      refreshToken
+    }
+  });
+});
+
+// @desc    Get the devices the user is signed in on
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    person: req.user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+
+  res.json({
+    success: true,
+    count: sessions.length,
+    data: {
+      sessions: sessions.map(session => session.getSummary(req.sessionId))
+    }
+  });
+});
+
+// @desc    Sign out one of the user's devices
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const deleteSession = asyncHandler(async (req, res) => {
+  const session = await Session.findUsable(req.params.id, req.user._id);
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found'
+    });
+  }
+
+  await revokeSession(session._id, SessionRevokeReason.LOGOUT, req.app.get('io'));
+
+  res.json({
+    success: true,
+    message: 'Session signed out successfully'
+  });
+});
+
 // @desc    Guest login (no password required)
 // @route   POST /api/auth/guest-login
 // @access  Public
@@ -235,15 +303,16 @@ const guestLogin = asyncHandler(async (req, res, next) => {
     await user.save();
   }
 
-  // Generate JWT token
-  const token = generateToken({ id: user._id });
+  // Start a session
+  const { token, refreshToken } = await startSession(user, req);
 
   res.status(200).json({
     success: true,
     message: 'Guest login successful',
     data: {
       user: user.getPublicProfile(),
-      token
+      token,
+      refreshToken
     }
   });
 });
@@ -253,7 +322,10 @@ module.exports = {
   login,
   getMe,
   guestLogin,
+  refresh,
   updateProfile,
   changePassword,
-  logout
+  logout,
+  getSessions,
+  deleteSession
 };
\ No newline at end of file
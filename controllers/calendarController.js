@@ -0,0 +1,188 @@
+const Event = require('../models/Event');
+const { EventStatus } = require('../models/Event');
+const EventParticipant = require('../models/EventParticipant');
+const Person = require('../models/Person');
+const asyncHandler = require('../utils/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const { signToken, verifySignedToken } = require('../utils/signedToken');
+const { buildCalendar } = require('../utils/icalendar');
+
+const CALENDAR_FEED_PURPOSE = 'calendar-feed';
+
+// Feeds cover recent and upcoming events
+const FEED_PAST_DAYS = 90;
+const FEED_MAX_EVENTS = 500;
+
+const CalendarFeed = {
+  MEMBER: 'member', // events the person joined as a Member or guest
+  MANAGER: 'manager' // events the person manages or staffs
+};
+
+const eventUrl = (event) => `${process.env.CLIENT_URL || 'http://localhost:3000'}/events/${event._id}`;
+
+const sendCalendar = (res, filename, calendar) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Cache-Control': 'private, max-age=300'
+  });
+  res.status(200).send(calendar);
+};
+
+const feedWindow = () => new Date(Date.now() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000);
+
+const withFeedLink = (req, feed, person) => {
+  const token = signToken(CALENDAR_FEED_PURPOSE, {
+    id: person._id.toString(),
+    feed,
+    version: person.calendarFeedVersion || 0
+  });
+  const path = `${req.get('host')}/api/${feed}/calendar.ics?token=${encodeURIComponent(token)}`;
+
+  return {
+    feed,
+    token,
+    url: `${req.protocol}://${path}`,
+    webcalUrl: `webcal://${path}`
+  };
+};
+
+// Person a feed token belongs to, or null when it is invalid, for another feed or revoked
+const resolveFeedOwner = async (token, feed) => {
+  const payload = verifySignedToken(CALENDAR_FEED_PURPOSE, token);
+  if (!payload || payload.feed !== feed) return null;
+
+  const person = await Person.findById(payload.id).select('+calendarFeedVersion');
+  if (!person || !person.isActive || (person.calendarFeedVersion || 0) !== payload.version) {
+    return null;
+  }
+
+  return person;
+};
+
+// Who may download a single event's calendar entry; mirrors getEvent's access rules
+const canViewEvent = async (event, user) => {
+  if (event.isPublic) return true;
+  if (!user) return false;
+  if (user.role === 'Admin' || event.getStaffRole(user.id) || event.isMember(user.id)) return true;
+
+  return Boolean(await EventParticipant.exists({ event: event._id, email: user.email, isApproved: true }));
+};
+
+// @desc    Get a single event as an iCalendar file
+// @route   GET /api/events/:id/calendar.ics
+// @access  Public for public events, otherwise staff and members
+exports.getEventCalendar = asyncHandler(async (req, res, next) => {
+  const event = await Event.findById(req.params.id);
+
+  if (!event) {
+    return next(new ErrorResponse('Event not found', 404));
+  }
+
+  if (!(await canViewEvent(event, req.user))) {
+    return next(new ErrorResponse('Not authorized to access this event', 403));
+  }
+
+  sendCalendar(res, `event-${event._id}.ics`, buildCalendar({
+    name: event.name,
+    events: [event],
+    eventUrl
+  }));
+});
+
+// @desc    Get the personal calendar feed of joined events
+// @route   GET /api/member/calendar.ics?token=...
+// @access  Public (signed feed token)
+exports.getMemberCalendar = asyncHandler(async (req, res, next) => {
+  const person = await resolveFeedOwner(req.query.token, CalendarFeed.MEMBER);
+  if (!person) {
+    return next(new ErrorResponse('Invalid or revoked calendar link', 401));
+  }
+
+  // Guest joins are stored by email rather than on the event
+  const guestEventIds = await EventParticipant.find({ email: person.email, isApproved: true }).distinct('event');
+
+  const events = await Event.find({
+    $or: [
+      { Members: { $elemMatch: { user: person._id, isApproved: true } } },
+      { _id: { $in: guestEventIds } }
+    ],
+    status: { $ne: EventStatus.DRAFT },
+    endDate: { $gte: feedWindow() }
+  })
+    .sort({ startDate: 1 })
+    .limit(FEED_MAX_EVENTS);
+
+  sendCalendar(res, 'my-events.ics', buildCalendar({
+    name: 'My events',
+    events,
+    eventUrl
+  }));
+});
+
+// @desc    Get a manager's calendar feed of managed and staffed events
+// @route   GET /api/manager/calendar.ics?token=...
+// @access  Public (signed feed token)
+exports.getManagerCalendar = asyncHandler(async (req, res, next) => {
+  const person = await resolveFeedOwner(req.query.token, CalendarFeed.MANAGER);
+  if (!person || !['Manager', 'Admin'].includes(person.role)) {
+    return next(new ErrorResponse('Invalid or revoked calendar link', 401));
+  }
+
+  const events = await Event.find({
+    $or: [{ manager: person._id }, { 'staff.user': person._id }],
+    endDate: { $gte: feedWindow() }
+  })
+    .sort({ startDate: 1 })
+    .limit(FEED_MAX_EVENTS);
+
+  sendCalendar(res, 'managed-events.ics', buildCalendar({
+    name: `${person.firstName}'s events`,
+    events,
+    eventUrl
+  }));
+});
+
+// Shared by the member/guest and manager link endpoints
+const getFeedLink = (feed) => asyncHandler(async (req, res, next) => {
+  const person = await Person.findById(req.user.id).select('+calendarFeedVersion');
+
+  res.status(200).json({
+    success: true,
+    data: withFeedLink(req, feed, person)
+  });
+});
+
+// Revokes every feed link of the person and returns a fresh one
+const resetFeedLink = (feed) => asyncHandler(async (req, res, next) => {
+  const person = await Person.findByIdAndUpdate(
+    req.user.id,
+    { $inc: { calendarFeedVersion: 1 } },
+    { new: true }
+  ).select('+calendarFeedVersion');
+
+  res.status(200).json({
+    success: true,
+    data: withFeedLink(req, feed, person)
+  });
+});
+
+// @desc    Get the personal calendar subscription link
+// @route   GET /api/member/calendar, GET /api/guest/calendar
+// @access  Private (Member, Guest)
+exports.getMemberCalendarLink = getFeedLink(CalendarFeed.MEMBER);
+
+// @desc    Revoke calendar links and get a new personal subscription link
+// @route   POST /api/member/calendar/reset, POST /api/guest/calendar/reset
+// @access  Private (Member, Guest)
+exports.resetMemberCalendarLink = resetFeedLink(CalendarFeed.MEMBER);
+
+// @desc    Get the manager calendar subscription link
+// @route   GET /api/manager/calendar
+// @access  Private (Manager, Admin)
+exports.getManagerCalendarLink = getFeedLink(CalendarFeed.MANAGER);
+
+// @desc    Revoke calendar links and get a new manager subscription link
+// @route   POST /api/manager/calendar/reset
+// @access  Private (Manager, Admin)
+exports.resetManagerCalendarLink = resetFeedLink(CalendarFeed.MANAGER);
@@ -3,80 +3,55 @@ const Person = require('../models/Person');
 const asyncHandler = require('../utils/asyncHandler');
 const ErrorResponse = require('../utils/errorResponse');
 const EventParticipant = require('../models/EventParticipant');
-const { uploadToGridFS, getImageFromGridFS, deleteImageFromGridFS } = require('../middleware/upload');
+const EventSeries = require('../models/EventSeries');
+const { EventPermission, StaffRole } = require('../utils/eventPermissions');
+const { addToWaitlist, promoteFromWaitlist } = require('../services/waitlist');
+const { uploadToGridFS, getImageFromGridFS } = require('../middleware/upload');
+const { deleteImageIfUnused } = require('../services/eventImages');
+const { isInheritedPath, applyToFutureInstances } = require('../services/eventSeries');
+const {
+  extractSettings,
+  createEventFrom,
+  copyMemberList,
+  copyGuestParticipants,
+  copyApprovedQueue
+} = require('../services/eventCloning');
+const { DEFAULT_RADIUS_KM, buildVisibilityFilter, searchEvents } = require('../services/eventSearch');
+const { readPagination, pageInfo, paginate } = require('../utils/pagination');
+const { parseResourceQuery, applyResourceQuery, shapeResults } = require('../utils/queryLayer');
+const { EventResource } = require('../utils/resourceQueries');
+
+// Fields owned by their own endpoints or kept by the server; updateEvent never writes them
+const PROTECTED_EVENT_FIELDS = [
+  'staff', 'playback', 'Members', 'waitlist', 'totalSongRequests', 'totalLikes', 'createdBy',
+  'series', 'seriesOccurrence', 'seriesDetached'
+];
 
 // @desc    Get all events
 // @route   GET /api/events
 // @access  Public (filtered by role)
 exports.getEvents = asyncHandler(async (req, res, next) => {
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 25;
-  const startIndex = (page - 1) * limit;
-  
-  let query = {};
-  
-  // Role-based filtering
-  if (!req.user) {
-    // Unauthenticated users - only public events
-    query.isPublic = true;
-    query.status = 'Active';
-  } else {
-    switch (req.user.role) {
-      case 'Admin':
-        // Admin can see all events
-        break;
-      case 'Manager':
-        // Manager can see all public events + their own events
-        if (req.query.myEvents === 'true') {
-          query.manager = req.user.id;
-        } else {
-          query.$or = [
-            { isPublic: true },
-            { manager: req.user.id }
-          ];
-        }
-        break;
-      case 'Member':
-        // Member can see all public events
-        query.isPublic = true;
-        break;
-      case 'Guest':
-        // Guest can see events they've joined as registered members OR as guest participants
-        const joinedEvents = await Event.find({
-          'Members.user': req.user.id,
-          'Members.isApproved': true
-        }).select('_id');
-        
-        // Also get events where user participated as guest
-        const guestParticipations = await EventParticipant.find({ 
-          $or: [
-            { user: req.user.id },
-            { email: req.user.email }
-          ],
-          isApproved: true
-        }).select('event');
-        
-        const guestEventIds = guestParticipations.map(gp => gp.event);
-        const allEventIds = [...joinedEvents.map(e => e._id), ...guestEventIds];
-        
-        query._id = { $in: allEventIds };
-        break;
-      default:
-        query.isPublic = true;
-    }
+  const { page, limit, cursor } = readPagination(req.query);
+  const resourceQuery = parseResourceQuery(EventResource, req.query);
+  if (resourceQuery.error) {
+    return next(resourceQuery.error);
   }
   
+  const query = await buildVisibilityFilter(req.user, { myEvents: req.query.myEvents === 'true' });
+  
   // Filter by manager if specified (Admin only)
   if (req.query.managerId && req.user && req.user.role === 'Admin') {
     query.manager = req.query.managerId;
   }
   
-  // Search by name or description
+  // Search by name or description (kept apart from the role filter's $or)
   if (req.query.search) {
-    query.$or = [
-      { name: { $regex: req.query.search, $options: 'i' } },
-      { description: { $regex: req.query.search, $options: 'i' } }
-    ];
+    query.$and = [{
+      $or: [
+        { name: { $regex: req.query.search, $options: 'i' } },
+        { description: { $regex: req.query.search, $options: 'i' } }
+      ]
+    }];
   }
   
   // Filter by date range
@@ -90,12 +65,13 @@ exports.getEvents = asyncHandler(async (req, res, next) => {
     }
   }
   
-  const total = await Event.countDocuments(query);
-  const events = await Event.find(query)
-    .populate('manager', 'firstName lastName email')
-    .sort({ startDate: 1 })
-    .limit(limit)
-    .skip(startIndex);
+  const { data: events, total, pagination, error } = await paginate(
+    applyResourceQuery(Event.find(query), EventResource, resourceQuery),
+    { sort: resourceQuery.sort, page, limit, cursor }
+  );
+  if (error) {
+    return next(error);
+  }
   
   // Add guest Member counts and details to each event
   const eventsWithGuestDetails = await Promise.all(
@@ -110,29 +86,58 @@ exports.getEvents = asyncHandler(async (req, res, next) => {
     })
   );
   
-  // Pagination result
-  const pagination = {};
-  
-  if (startIndex + limit < total) {
-    pagination.next = {
-      page: page + 1,
-      limit
-    };
-  }
-  
-  if (startIndex > 0) {
-    pagination.prev = {
-      page: page - 1,
-      limit
-    };
-  }
-  
   res.status(200).json({
     success: true,
     count: eventsWithGuestDetails.length,
     total,
     pagination,
-    data: eventsWithGuestDetails
+    data: shapeResults(eventsWithGuestDetails, EventResource, resourceQuery)
+  });
+});
+
+// Comma-separated (or repeated) query values
+const parseList = (value) => (value === undefined ? [] : [].concat(value))
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+// @desc    Search events with facet counts and an optional near-me filter
+// @route   GET /api/events/search
+// @access  Public (filtered by role)
+exports.searchEvents = asyncHandler(async (req, res, next) => {
+  const { page, limit } = readPagination(req.query);
+
+  const near = req.query.lat !== undefined && req.query.lng !== undefined
+    ? {
+      latitude: parseFloat(req.query.lat),
+      longitude: parseFloat(req.query.lng),
+      radiusKm: req.query.radius !== undefined ? parseFloat(req.query.radius) : DEFAULT_RADIUS_KM
+    }
+    : null;
+
+  const { events, total, sort, facets } = await searchEvents({
+    visibility: await buildVisibilityFilter(req.user, { myEvents: req.query.myEvents === 'true' }),
+    q: req.query.q,
+    near,
+    eventTypes: parseList(req.query.eventType),
+    statuses: parseList(req.query.status),
+    cities: parseList(req.query.city),
+    from: req.query.from ? new Date(req.query.from) : null,
+    to: req.query.to ? new Date(req.query.to) : null,
+    page,
+    limit,
+    sort: req.query.sort
+  });
+
+  res.status(200).json({
+    success: true,
+    count: events.length,
+    total,
+    sort,
+    // Ranked by relevance or distance, so search pages by number only
+    pagination: pageInfo({ page, limit, total }),
+    facets,
+    data: events
   });
 });
 
@@ -154,14 +159,15 @@ exports.getEvent = asyncHandler(async (req, res, next) => {
     if (!event.isPublic) {
       return next(new ErrorResponse('Not authorized to access this event', 403));
     }
-  } else {
+  } else if (!event.getStaffRole(req.user.id)) {
+    // Event staff can always access the event; everyone else by role
     switch (req.user.role) {
       case 'Admin':
         // Admin can access all events
         break;
       case 'Manager':
-        // Manager can access public events + their own events
-        if (!event.isPublic && event.manager.toString() !== req.user.id) {
+        // Manager can access public events (own and staffed events handled above)
+        if (!event.isPublic) {
           return next(new ErrorResponse('Not authorized to access this event', 403));
         }
         break;
@@ -190,6 +196,12 @@ exports.getEvent = asyncHandler(async (req, res, next) => {
   // Add guest Member count
   const guestCount = await EventParticipant.countDocuments({ event: req.params.id });
   const eventObj = event.toObject();
+  
+  // Staff who can edit the event also see its access code
+  if (event.hasPermission(req.user, EventPermission.MANAGE_EVENT)) {
+    const { accessCode } = await Event.findById(req.params.id).select('accessCode');
+    eventObj.accessCode = accessCode;
+  }
   eventObj.guestMemberCount = guestCount;
   eventObj.totalMemberCount = eventObj.MemberCount + guestCount;
   
@@ -229,6 +241,51 @@ exports.createEvent = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Clone event settings (and optionally media, members and queue) into a new event
+// @route   POST /api/events/:id/clone
+// @access  Private/Manager+ with manage permission on the event
+exports.cloneEvent = asyncHandler(async (req, res, next) => {
+  const source = req.event;
+  const { copyMedia = true, copyMembers = false, copyQueue = false } = req.body;
+
+  // Keep the source's duration unless both dates are given
+  const startDate = req.body.startDate ? new Date(req.body.startDate) : source.startDate;
+  const endDate = req.body.endDate
+    ? new Date(req.body.endDate)
+    : new Date(startDate.getTime() + (source.endDate - source.startDate));
+
+  const event = await createEventFrom(source, extractSettings(source), {
+    name: req.body.name || source.name,
+    startDate,
+    endDate,
+    manager: req.user.id,
+    createdBy: req.user.id
+  }, { copyMedia });
+
+  const copied = {
+    media: Boolean(event.logo || event.bannerImage),
+    members: 0,
+    guests: 0,
+    songs: 0
+  };
+
+  if (copyMembers) {
+    copied.members = copyMemberList(source, event, req.user.id);
+    await event.save();
+    copied.guests = await copyGuestParticipants(source, event, req.user.id);
+  }
+
+  if (copyQueue) {
+    copied.songs = await copyApprovedQueue(source, event, req.user.id);
+  }
+
+  res.status(201).json({
+    success: true,
+    data: event,
+    copied
+  });
+});
+
 // @desc    Update event
 // @route   PUT /api/events/:id
 // @access  Private/Manager of event or Admin
@@ -240,7 +297,7 @@ exports.updateEvent = asyncHandler(async (req, res, next) => {
   }
   
   // Check if user can update this event
-  if (req.user.role !== 'Admin' && req.user.id !== event.manager.toString()) {
+  if (!event.hasPermission(req.user, EventPermission.MANAGE_EVENT)) {
     return next(new ErrorResponse('Not authorized to update this event', 403));
   }
   
@@ -248,6 +305,11 @@ exports.updateEvent = asyncHandler(async (req, res, next) => {
   if (req.user.role !== 'Admin' && req.body.manager) {
     delete req.body.manager;
   }
+
+  // Drop protected fields, including dotted paths into them and raw update operators
+  Object.keys(req.body)
+    .filter(key => key.startsWith('$') || PROTECTED_EVENT_FIELDS.includes(key.split('.')[0]))
+    .forEach(key => delete req.body[key]);
   
   // Validate new manager if specified
   if (req.body.manager && req.body.manager !== event.manager.toString()) {
@@ -260,11 +322,73 @@ exports.updateEvent = asyncHandler(async (req, res, next) => {
     }
   }
   
+  // Merge content policy edits instead of replacing the whole policy
+  if (req.body.contentPolicy) {
+    const policyEdits = req.body.contentPolicy;
+    const currentPolicy = event.toObject().contentPolicy || {};
+    const mergedPolicy = { ...currentPolicy, ...policyEdits };
+
+    if (mergedPolicy.minReleaseYear && mergedPolicy.maxReleaseYear &&
+        mergedPolicy.minReleaseYear > mergedPolicy.maxReleaseYear) {
+      return next(new ErrorResponse('Minimum release year cannot be after maximum release year', 400));
+    }
+
+    Object.keys(policyEdits).forEach(key => {
+      req.body[`contentPolicy.${key}`] = policyEdits[key];
+    });
+    delete req.body.contentPolicy;
+  }
+
+  // Merge lifecycle edits the same way; overrides are only set by activate/deactivate
+  if (req.body.lifecycle) {
+    const { manualOverride, overriddenAt, overriddenBy, ...lifecycleEdits } = req.body.lifecycle;
+
+    Object.keys(lifecycleEdits).forEach(key => {
+      req.body[`lifecycle.${key}`] = lifecycleEdits[key];
+    });
+    delete req.body.lifecycle;
+  }
+
+  // Series instances: "instance" edits only this event, "future" also updates the
+  // series and every later instance that hasn't been edited on its own
+  const scope = req.body.scope || req.query.scope || 'instance';
+  delete req.body.scope;
+  
+  if (event.series) {
+    if (scope === 'future') {
+      const series = await EventSeries.findById(event.series);
+      if (!series) {
+        return next(new ErrorResponse('Event series not found', 404));
+      }
+      
+      const instanceOnlyPaths = Object.keys(req.body).filter(path =>
+        path !== 'name' && (!isInheritedPath(path) || ['logo', 'bannerImage'].includes(path))
+      );
+      if (instanceOnlyPaths.length > 0) {
+        return next(new ErrorResponse(`${instanceOnlyPaths.join(', ')} can only be changed on this instance`, 400));
+      }
+      
+      const seriesUpdates = { updatedBy: req.user.id };
+      Object.keys(req.body).forEach(path => {
+        seriesUpdates[path === 'name' ? 'name' : `template.${path}`] = req.body[path];
+      });
+      await EventSeries.updateOne({ _id: series._id }, { $set: seriesUpdates }, { runValidators: true });
+      await applyToFutureInstances(series, req.body, { from: event.startDate, excludeEvent: event._id });
+    } else {
+      req.body.seriesDetached = true;
+    }
+  }
+  
   event = await Event.findByIdAndUpdate(req.params.id, req.body, {
     new: true,
     runValidators: true
   }).populate('manager', 'firstName lastName email');
   
+  // Raising or removing the limit frees spots for the waitlist
+  if (req.body.maxMembers !== undefined) {
+    await promoteFromWaitlist(event._id, req.app.get('io'));
+  }
+  
   res.status(200).json({
     success: true,
     data: event
@@ -282,10 +406,18 @@ exports.deleteEvent = asyncHandler(async (req, res, next) => {
   }
   
   // Check if user can delete this event
-  if (req.user.role !== 'Admin' && req.user.id !== event.manager.toString()) {
+  if (!event.hasPermission(req.user, EventPermission.DELETE_EVENT)) {
     return next(new ErrorResponse('Not authorized to delete this event', 403));
   }
   
+  // Keep the series from generating the deleted occurrence again
+  if (event.series && event.seriesOccurrence) {
+    await EventSeries.updateOne(
+      { _id: event.series },
+      { $addToSet: { 'recurrence.exceptions': event.seriesOccurrence } }
+    );
+  }
+  
   await event.deleteOne();
   
   res.status(200).json({
@@ -305,12 +437,29 @@ exports.activateEvent = asyncHandler(async (req, res, next) => {
   }
   
   // Check if user can activate this event
-  if (req.user.role !== 'Admin' && req.user.id !== event.manager.toString()) {
+  if (!event.hasPermission(req.user, EventPermission.MANAGE_EVENT)) {
     return next(new ErrorResponse('Not authorized to activate this event', 403));
   }
   
+  const previousStatus = event.status;
   event.status = 'Active';
+
+  // A manual change takes the event off the lifecycle schedule
+  event.lifecycle.manualOverride = true;
+  event.lifecycle.overriddenAt = new Date();
+  event.lifecycle.overriddenBy = req.user.id;
   await event.save();
+
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`event_${event._id}`).emit('eventStatusChanged', {
+      event: event._id,
+      previousStatus,
+      status: event.status,
+      source: 'manual',
+      timestamp: new Date()
+    });
+  }
   
   res.status(200).json({
     success: true,
@@ -329,12 +478,29 @@ exports.deactivateEvent = asyncHandler(async (req, res, next) => {
   }
   
   // Check if user can deactivate this event
-  if (req.user.role !== 'Admin' && req.user.id !== event.manager.toString()) {
+  if (!event.hasPermission(req.user, EventPermission.MANAGE_EVENT)) {
     return next(new ErrorResponse('Not authorized to deactivate this event', 403));
   }
   
+  const previousStatus = event.status;
   event.status = 'Draft';
+
+  // A manual change takes the event off the lifecycle schedule
+  event.lifecycle.manualOverride = true;
+  event.lifecycle.overriddenAt = new Date();
+  event.lifecycle.overriddenBy = req.user.id;
   await event.save();
+
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`event_${event._id}`).emit('eventStatusChanged', {
+      event: event._id,
+      previousStatus,
+      status: event.status,
+      source: 'manual',
+      timestamp: new Date()
+    });
+  }
   
   res.status(200).json({
     success: true,
@@ -356,31 +522,87 @@ exports.joinEvent = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Cannot join inactive event', 400));
   }
   
-  if (!event.isPublic && req.user.role === 'Member') {
-    return next(new ErrorResponse('Cannot join private event', 403));
+  // A set access code is always required; it also opens private events
+  const access = await Event.checkAccessCode(event._id, req.body.accessCode);
+  if (access.required && !access.valid) {
+    return next(new ErrorResponse('Invalid access code', 403));
+  }
+  
+  if (!event.isPublic && req.user.role === 'Member' && !access.valid) {
+    return next(new ErrorResponse('Cannot join private event without an invitation or access code', 403));
   }
   
   // Check if already joined
-  const alreadyJoined = event.Members.some(
+  const existingMember = event.Members.find(
     Member => Member.user.toString() === req.user.id
   );
   
-  if (alreadyJoined) {
-    return next(new ErrorResponse('Already joined this event', 400));
+  if (existingMember) {
+    return next(new ErrorResponse(
+      existingMember.isApproved ? 'Already joined this event' : 'Your join request is waiting for approval',
+      400
+    ));
   }
   
-  // Check max Members
-  if (event.maxMembers && event.Members.length >= event.maxMembers) {
-    return next(new ErrorResponse('Event is full', 400));
+  if (event.findWaitlistEntry({ userId: req.user.id })) {
+    return next(new ErrorResponse('You are already on the waitlist for this event', 400));
+  }
+  
+  // Staff don't need approval to join their own event
+  const needsApproval = event.requiresApproval && !event.getStaffRole(req.user.id);
+  
+  // Past maxMembers, joiners go onto the waitlist; pending requests don't hold a spot
+  if (!needsApproval && !(await event.hasFreeSpot())) {
+    const { entry, position } = await addToWaitlist(event, { user: req.user.id }, req.app.get('io'));
+    
+    return res.status(202).json({
+      success: true,
+      message: 'Event is full. You have been added to the waitlist',
+      data: {
+        waitlisted: true,
+        entryId: entry._id,
+        position
+      }
+    });
   }
   
   event.Members.push({
     user: req.user.id,
-    joinedAt: new Date()
+    joinedAt: new Date(),
+    isApproved: !needsApproval
   });
   
   await event.save();
   
+  if (needsApproval) {
+    const joinRequest = event.Members[event.Members.length - 1];
+    
+    // Let the event staff know there is a request to review
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`event_${event._id}_staff`).emit('joinRequestCreated', {
+        event: event._id,
+        requestId: joinRequest._id,
+        type: 'Member',
+        user: {
+          id: req.user._id,
+          firstName: req.user.firstName,
+          lastName: req.user.lastName
+        },
+        timestamp: new Date()
+      });
+    }
+    
+    return res.status(202).json({
+      success: true,
+      message: 'Join request sent. You will be notified once it is approved',
+      data: {
+        requestId: joinRequest._id,
+        isApproved: false
+      }
+    });
+  }
+  
   res.status(200).json({
     success: true,
     message: 'Successfully joined event',
@@ -409,8 +631,14 @@ exports.joinEventAsGuest = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Cannot join inactive event', 400));
   }
   
-  if (!event.isPublic) {
-    return next(new ErrorResponse('Cannot join private event', 403));
+  // A set access code is always required; it also opens private events
+  const access = await Event.checkAccessCode(event._id, req.body.accessCode);
+  if (access.required && !access.valid) {
+    return next(new ErrorResponse('Invalid access code', 403));
+  }
+  
+  if (!event.isPublic && !access.valid) {
+    return next(new ErrorResponse('Cannot join private event without an invitation or access code', 403));
   }
   
   // Check if Member already exists (unique email and lastName per event)
@@ -424,12 +652,27 @@ exports.joinEventAsGuest = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('A Member with this email and last name already exists for this event', 400));
   }
   
-  // Check max Members
-  if (event.maxMembers) {
-    const currentMemberCount = await EventParticipant.countDocuments({ event: req.params.id });
-    if (currentMemberCount >= event.maxMembers) {
-      return next(new ErrorResponse('Event is full', 400));
-    }
+  if (event.findWaitlistEntry({ email, lastName })) {
+    return next(new ErrorResponse('You are already on the waitlist for this event', 400));
+  }
+  
+  // Past maxMembers, joiners go onto the waitlist; pending requests don't hold a spot
+  if (!event.requiresApproval && !(await event.hasFreeSpot())) {
+    const { entry, position } = await addToWaitlist(event, {
+      email: email.toLowerCase(),
+      firstName,
+      lastName
+    }, req.app.get('io'));
+    
+    return res.status(202).json({
+      success: true,
+      message: 'Event is full. You have been added to the waitlist',
+      data: {
+        waitlisted: true,
+        entryId: entry._id,
+        position
+      }
+    });
   }
   
   // Create new Member
@@ -443,9 +686,28 @@ exports.joinEventAsGuest = asyncHandler(async (req, res, next) => {
   
   await Member.populate('event', 'name startDate endDate venue.name');
   
+  // Let the event staff know there is a request to review
+  if (!Member.isApproved) {
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`event_${event._id}_staff`).emit('joinRequestCreated', {
+        event: event._id,
+        requestId: Member._id,
+        type: 'Guest',
+        user: {
+          firstName: Member.firstName,
+          lastName: Member.lastName
+        },
+        timestamp: new Date()
+      });
+    }
+  }
+  
   res.status(201).json({
     success: true,
-    message: 'Successfully joined event',
+    message: Member.isApproved
+      ? 'Successfully joined event'
+      : 'Join request sent. You will be notified once it is approved',
     data: {
       Member,
       event: {
@@ -488,17 +750,47 @@ exports.leaveEvent = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Event not found', 404));
   }
   
+  // People still waiting just leave the waitlist
+  const waitlistEntry = event.findWaitlistEntry({ userId: req.user.id });
+  if (waitlistEntry) {
+    event.waitlist.pull(waitlistEntry._id);
+    await event.save();
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Successfully left the waitlist',
+      data: event
+    });
+  }
+  
   // Check if user is a Member
   const MemberIndex = event.Members.findIndex(
-    Member => Member.person.toString() === req.user.id
+    Member => Member.user.toString() === req.user.id
   );
   
-  if (MemberIndex === -1) {
+  // Guest accounts joined through an EventParticipant record
+  let guestParticipant = null;
+  if (MemberIndex === -1 && req.user.role === 'Guest') {
+    guestParticipant = await EventParticipant.findOne({ event: event._id, email: req.user.email });
+  }
+  
+  if (MemberIndex === -1 && !guestParticipant) {
     return next(new ErrorResponse('Not a Member of this event', 400));
   }
   
-  event.Members.splice(MemberIndex, 1);
-  await event.save();
+  let freedSpot;
+  if (guestParticipant) {
+    freedSpot = guestParticipant.isApproved;
+    await guestParticipant.deleteOne();
+  } else {
+    freedSpot = event.Members[MemberIndex].isApproved;
+    event.Members.splice(MemberIndex, 1);
+    await event.save();
+  }
+  
+  if (freedSpot) {
+    await promoteFromWaitlist(event._id, req.app.get('io'));
+  }
   
   res.status(200).json({
     success: true,
@@ -507,6 +799,59 @@ exports.leaveEvent = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Remove a Member or guest participant from an event
+// @route   DELETE /api/events/:id/members/:memberId
+// @access  Private (staff with member management permission)
+exports.removeEventMember = asyncHandler(async (req, res, next) => {
+  const { memberId } = req.params;
+  
+  const event = req.event || await Event.findById(req.params.id);
+  if (!event) {
+    return next(new ErrorResponse('Event not found', 404));
+  }
+  
+  // memberId is the user ID of a registered Member or the ID of a guest participant
+  const member = event.Members.find(Member => Member.user.toString() === memberId);
+  let freedSpot;
+  
+  if (member) {
+    if (event.getStaffRole(memberId) === StaffRole.OWNER) {
+      return next(new ErrorResponse('The event owner cannot be removed', 400));
+    }
+    
+    freedSpot = member.isApproved;
+    event.Members = event.Members.filter(Member => Member.user.toString() !== memberId);
+    await event.save();
+  } else {
+    const participant = await EventParticipant.findOne({ _id: memberId, event: event._id });
+    if (!participant) {
+      return next(new ErrorResponse('Member not found', 404));
+    }
+    
+    freedSpot = participant.isApproved;
+    await participant.deleteOne();
+  }
+  
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`event_${event._id}_staff`).emit('memberRemoved', {
+      event: event._id,
+      memberId,
+      removedBy: req.user.id,
+      timestamp: new Date()
+    });
+  }
+  
+  if (freedSpot) {
+    await promoteFromWaitlist(event._id, io);
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
 // @desc    Get event Members
 // @route   GET /api/events/:id/Members
 // @access  Private/Manager of event or Admin or Member of event
@@ -523,16 +868,18 @@ exports.getEventParticipants = asyncHandler(async (req, res, next) => {
     Member => Member.user._id.toString() === req.user.id
   );
   
-  if (req.user.role !== 'Admin' && 
-      req.user.id !== event.manager.toString() && 
-      !isMember) {
+  const canViewMembers = event.hasPermission(req.user, EventPermission.VIEW_MEMBERS);
+  
+  if (!canViewMembers && !isMember) {
     return next(new ErrorResponse('Not authorized to view Members', 403));
   }
   
   res.status(200).json({
     success: true,
     count: event.Members.length,
-    data: event.Members
+    data: event.Members,
+    // Attendance is for the event staff only
+    attendance: canViewMembers ? await event.getAttendance() : undefined
   });
 });
 
@@ -547,7 +894,7 @@ exports.uploadEventLogo = asyncHandler(async (req, res, next) => {
   }
   
   // Check if user can upload logo for this event
-  if (req.user.role !== 'Admin' && req.user.id !== event.manager.toString()) {
+  if (!event.hasPermission(req.user, EventPermission.MANAGE_EVENT)) {
     return next(new ErrorResponse('Not authorized to upload logo for this event', 403));
   }
   
@@ -556,24 +903,27 @@ exports.uploadEventLogo = asyncHandler(async (req, res, next) => {
   }
   
   try {
-    // Delete existing logo if it exists
-    if (event.logo) {
-      try {
-        await deleteImageFromGridFS(event.logo);
-      } catch (deleteError) {
-        console.log('Could not delete existing logo:', deleteError.message);
-        // Continue with upload even if deletion fails
-      }
-    }
-    
     // Upload new logo to GridFS
     const filename = `logo-${event._id}-${Date.now()}`;
     const fileId = await uploadToGridFS(req.file, filename);
     
-    // Update event with new logo file ID
+    // Update event with new logo file ID; a series instance now has its own logo
+    const previousLogo = event.logo;
     event.logo = fileId;
+    if (event.series) {
+      event.seriesDetached = true;
+    }
     await event.save();
     
+    // Delete the old logo unless other events in the series still use it
+    if (previousLogo) {
+      try {
+        await deleteImageIfUnused(previousLogo);
+      } catch (deleteError) {
+        console.log('Could not delete existing logo:', deleteError.message);
+      }
+    }
+    
     res.status(200).json({
       success: true,
       message: 'Logo uploaded successfully',
@@ -600,7 +950,7 @@ exports.uploadEventBanner = asyncHandler(async (req, res, next) => {
   }
   
   // Check if user can upload banner for this event
-  if (req.user.role !== 'Admin' && req.user.id !== event.manager.toString()) {
+  if (!event.hasPermission(req.user, EventPermission.MANAGE_EVENT)) {
     return next(new ErrorResponse('Not authorized to upload banner for this event', 403));
   }
   
@@ -609,24 +959,27 @@ exports.uploadEventBanner = asyncHandler(async (req, res, next) => {
   }
   
   try {
-    // Delete existing banner if it exists
-    if (event.bannerImage) {
-      try {
-        await deleteImageFromGridFS(event.bannerImage);
-      } catch (deleteError) {
-        console.log('Could not delete existing banner:', deleteError.message);
-        // Continue with upload even if deletion fails
-      }
-    }
-    
     // Upload new banner to GridFS
     const filename = `banner-${event._id}-${Date.now()}`;
     const fileId = await uploadToGridFS(req.file, filename);
     
-    // Update event with new banner file ID
+    // Update event with new banner file ID; a series instance now has its own banner
+    const previousBanner = event.bannerImage;
     event.bannerImage = fileId;
+    if (event.series) {
+      event.seriesDetached = true;
+    }
     await event.save();
     
+    // Delete the old banner unless other events in the series still use it
+    if (previousBanner) {
+      try {
+        await deleteImageIfUnused(previousBanner);
+      } catch (deleteError) {
+        console.log('Could not delete existing banner:', deleteError.message);
+      }
+    }
+    
     res.status(200).json({
       success: true,
       message: 'Banner uploaded successfully',
@@ -791,7 +1144,7 @@ exports.deleteEventLogo = asyncHandler(async (req, res, next) => {
   }
   
   // Check if user can delete logo for this event
-  if (req.user.role !== 'Admin' && req.user.id !== event.manager.toString()) {
+  if (!event.hasPermission(req.user, EventPermission.MANAGE_EVENT)) {
     return next(new ErrorResponse('Not authorized to delete logo for this event', 403));
   }
   
@@ -800,9 +1153,13 @@ exports.deleteEventLogo = asyncHandler(async (req, res, next) => {
   }
   
   try {
-    await deleteImageFromGridFS(event.logo);
+    const previousLogo = event.logo;
     event.logo = null;
+    if (event.series) {
+      event.seriesDetached = true;
+    }
     await event.save();
+    await deleteImageIfUnused(previousLogo);
     
     res.status(200).json({
       success: true,
@@ -824,7 +1181,7 @@ exports.deleteEventBanner = asyncHandler(async (req, res, next) => {
   }
   
   // Check if user can delete banner for this event
-  if (req.user.role !== 'Admin' && req.user.id !== event.manager.toString()) {
+  if (!event.hasPermission(req.user, EventPermission.MANAGE_EVENT)) {
     return next(new ErrorResponse('Not authorized to delete banner for this event', 403));
   }
   
@@ -833,9 +1190,13 @@ exports.deleteEventBanner = asyncHandler(async (req, res, next) => {
   }
   
   try {
-    await deleteImageFromGridFS(event.bannerImage);
+    const previousBanner = event.bannerImage;
     event.bannerImage = null;
+    if (event.series) {
+      event.seriesDetached = true;
+    }
     await event.save();
+    await deleteImageIfUnused(previousBanner);
     
     res.status(200).json({
       success: true,
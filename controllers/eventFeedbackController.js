@@ -2,14 +2,31 @@ const EventFeedback = require('../models/EventFeedback');
 const Event = require('../models/Event');
 const asyncHandler = require('../utils/asyncHandler');
 const ErrorResponse = require('../utils/errorResponse');
+const { readPagination, paginate } = require('../utils/pagination');
+const { parseResourceQuery, applyResourceQuery, shapeResults } = require('../utils/queryLayer');
+const { EventFeedbackResource } = require('../utils/resourceQueries');
+
+// Sort names older clients send, in the query layer's syntax
+const LEGACY_SORTS = {
+  newest: '-createdAt',
+  oldest: 'createdAt',
+  'rating-high': '-rating,-createdAt',
+  'rating-low': 'rating,-createdAt'
+};
 
 // @desc    Get all feedback for an event
 // @route   GET /api/events/:eventId/feedback
 // @access  Public
 exports.getEventFeedback = asyncHandler(async (req, res, next) => {
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 10;
-  const startIndex = (page - 1) * limit;
+  const { page, limit, cursor } = readPagination(req.query, { defaultLimit: 10 });
+
+  const resourceQuery = parseResourceQuery(EventFeedbackResource, {
+    ...req.query,
+    sort: LEGACY_SORTS[req.query.sort] || req.query.sort
+  });
+  if (resourceQuery.error) {
+    return next(resourceQuery.error);
+  }
 
   // Check if event exists
   const event = await Event.findById(req.params.eventId);
@@ -28,38 +45,14 @@ exports.getEventFeedback = asyncHandler(async (req, res, next) => {
     query.rating = parseInt(req.query.rating);
   }
 
-  // Handle sort parameter
-  let sortOption = { createdAt: -1 }; // default: newest first
-  
-  switch (req.query.sort) {
-    case 'newest':
-      sortOption = { createdAt: -1 };
-      break;
-    case 'oldest':
-      sortOption = { createdAt: 1 };
-      break;
-    case 'rating-high':
-      sortOption = { rating: -1, createdAt: -1 };
-      break;
-    case 'rating-low':
-      sortOption = { rating: 1, createdAt: -1 };
-      break;
-    case 'createdAt':
-      sortOption = { createdAt: 1 };
-      break;
-    case '-createdAt':
-      sortOption = { createdAt: -1 };
-      break;
-  }
-
   // Get feedback with pagination
-  const feedback = await EventFeedback.find(query)
-    .populate('event', 'name')
-    .sort(sortOption)
-    .skip(startIndex)
-    .limit(limit);
-
-  const total = await EventFeedback.countDocuments(query);
+  const { data: feedback, total, pagination, error } = await paginate(
+    applyResourceQuery(EventFeedback.find(query), EventFeedbackResource, resourceQuery),
+    { sort: resourceQuery.sort, page, limit, cursor }
+  );
+  if (error) {
+    return next(error);
+  }
 
   // Get feedback statistics
   const stats = await EventFeedback.getEventStats(req.params.eventId);
@@ -68,13 +61,9 @@ exports.getEventFeedback = asyncHandler(async (req, res, next) => {
     success: true,
     count: feedback.length,
     total,
-    pagination: {
-      page,
-      limit,
-      pages: Math.ceil(total / limit)
-    },
+    pagination,
     stats: stats[0] || { totalFeedback: 0, averageRating: 0, ratingDistribution: {} },
-    data: feedback
+    data: shapeResults(feedback, EventFeedbackResource, resourceQuery)
   });
 });
 
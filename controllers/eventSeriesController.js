@@ -0,0 +1,333 @@
+const Event = require('../models/Event');
+const EventSeries = require('../models/EventSeries');
+const asyncHandler = require('../utils/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const { EventPermission } = require('../utils/eventPermissions');
+const { parseRRule, dayKey, expandOccurrences } = require('../utils/recurrence');
+const { uploadToGridFS } = require('../middleware/upload');
+const { deleteImageIfUnused } = require('../services/eventImages');
+const { extractSettings } = require('../services/eventCloning');
+const {
+  pickInherited,
+  validateTemplate,
+  generateInstances,
+  reconcileSchedule,
+  applyToFutureInstances,
+  cancelFutureInstances
+} = require('../services/eventSeries');
+
+const RECURRENCE_FIELDS = ['frequency', 'interval', 'byDay', 'byMonthDay', 'startsAt', 'timezone', 'durationMinutes', 'until', 'count', 'exceptions'];
+
+// The parts an RRULE describes, with the values they take when a new rule leaves them out
+const RULE_PART_DEFAULTS = {
+  interval: 1,
+  byDay: [],
+  byMonthDay: [],
+  until: undefined,
+  count: undefined
+};
+
+// Recurrence from an "rrule" string and/or a recurrence object; the object wins
+const readRecurrence = (body) => {
+  let recurrence = {};
+
+  if (body.rrule) {
+    const parsed = parseRRule(body.rrule);
+    if (!parsed) {
+      return { error: new ErrorResponse('Unsupported rrule; use FREQ=WEEKLY or FREQ=MONTHLY with INTERVAL, BYDAY, BYMONTHDAY, UNTIL or COUNT', 400) };
+    }
+    recurrence = parsed;
+  }
+
+  if (body.recurrence) {
+    RECURRENCE_FIELDS.forEach(field => {
+      if (body.recurrence[field] !== undefined) {
+        recurrence[field] = body.recurrence[field];
+      }
+    });
+  }
+
+  return { recurrence };
+};
+
+// Template settings from a request body; images only change through the upload routes
+const pickTemplateEdits = (body) => {
+  const { logo, bannerImage, ...edits } = pickInherited(body);
+  return edits;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const loadSeries = async (req) => {
+  const series = await EventSeries.findById(req.params.id);
+  if (!series) {
+    return { error: new ErrorResponse('Event series not found', 404) };
+  }
+  if (!series.canManage(req.user)) {
+    return { error: new ErrorResponse('Not authorized to manage this event series', 403) };
+  }
+  return { series };
+};
+
+// @desc    Get event series
+// @route   GET /api/event-series
+// @access  Private (Manager, Admin)
+exports.getEventSeriesList = asyncHandler(async (req, res, next) => {
+  const query = req.user.role === 'Admin' ? {} : { manager: req.user.id };
+
+  const seriesList = await EventSeries.find(query)
+    .populate('manager', 'firstName lastName email')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: seriesList.length,
+    data: seriesList
+  });
+});
+
+// @desc    Get a single event series with its upcoming events
+// @route   GET /api/event-series/:id
+// @access  Private (series manager or Admin)
+exports.getEventSeries = asyncHandler(async (req, res, next) => {
+  const { series, error } = await loadSeries(req);
+  if (error) {
+    return next(error);
+  }
+
+  const upcoming = await Event.find({ series: series._id, endDate: { $gte: new Date() } })
+    .select('name status startDate endDate seriesOccurrence seriesDetached')
+    .sort({ startDate: 1 });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...series.toObject(),
+      upcoming
+    }
+  });
+});
+
+// @desc    Create an event series, optionally from an existing event
+// @route   POST /api/event-series
+// @access  Private (Manager, Admin)
+exports.createEventSeries = asyncHandler(async (req, res, next) => {
+  const { fromEvent, generateAheadDays, instanceStatus } = req.body;
+  const { recurrence, error } = readRecurrence(req.body);
+  if (error) {
+    return next(error);
+  }
+
+  let template = {};
+  let sourceEvent = null;
+
+  // Start from an existing event's settings, venue, logo and banner
+  if (fromEvent) {
+    sourceEvent = await Event.findById(fromEvent);
+    if (!sourceEvent) {
+      return next(new ErrorResponse('Event not found', 404));
+    }
+    if (!sourceEvent.hasPermission(req.user, EventPermission.MANAGE_EVENT)) {
+      return next(new ErrorResponse('Not authorized to create a series from this event', 403));
+    }
+    if (sourceEvent.series) {
+      return next(new ErrorResponse('This event already belongs to a series', 400));
+    }
+
+    // Instances share the source event's images; deleteImageIfUnused keeps them alive
+    template = {
+      ...extractSettings(sourceEvent),
+      logo: sourceEvent.logo,
+      bannerImage: sourceEvent.bannerImage
+    };
+
+    if (!recurrence.startsAt) recurrence.startsAt = sourceEvent.startDate;
+    if (!recurrence.durationMinutes) {
+      recurrence.durationMinutes = Math.round((sourceEvent.endDate - sourceEvent.startDate) / 60000);
+    }
+  }
+
+  const series = new EventSeries({
+    name: req.body.name || (sourceEvent && sourceEvent.name),
+    manager: sourceEvent ? sourceEvent.manager : req.user.id,
+    template: { ...template, ...pickTemplateEdits(req.body) },
+    recurrence,
+    generateAheadDays,
+    instanceStatus,
+    createdBy: req.user.id,
+    updatedBy: req.user.id
+  });
+
+  await series.validate();
+  await validateTemplate(series);
+  await series.save();
+
+  // The source event becomes the series' first instance when it falls on an occurrence
+  if (sourceEvent) {
+    const [firstOccurrence] = expandOccurrences(series.recurrence, {
+      from: sourceEvent.startDate,
+      to: new Date(sourceEvent.startDate.getTime() + 24 * 60 * 60 * 1000)
+    });
+    if (firstOccurrence && dayKey(firstOccurrence) === dayKey(sourceEvent.startDate)) {
+      sourceEvent.series = series._id;
+      sourceEvent.seriesOccurrence = firstOccurrence;
+      await sourceEvent.save();
+    }
+  }
+
+  const instances = await generateInstances(series);
+
+  res.status(201).json({
+    success: true,
+    data: series,
+    instances
+  });
+});
+
+// @desc    Update an event series and all of its future events
+// @route   PUT /api/event-series/:id
+// @access  Private (series manager or Admin)
+exports.updateEventSeries = asyncHandler(async (req, res, next) => {
+  const { series, error } = await loadSeries(req);
+  if (error) {
+    return next(error);
+  }
+  const instanceUpdates = {};
+
+  if (req.body.name !== undefined) {
+    series.name = req.body.name;
+    instanceUpdates.name = req.body.name;
+  }
+
+  // Object settings (venue, contentPolicy, lifecycle...) are merged, not replaced
+  const templateEdits = pickTemplateEdits(req.body);
+  if (Object.keys(templateEdits).length > 0) {
+    const template = { ...series.template };
+
+    Object.entries(templateEdits).forEach(([field, value]) => {
+      if (isPlainObject(value)) {
+        template[field] = { ...(template[field] || {}), ...value };
+        Object.entries(value).forEach(([key, nested]) => {
+          instanceUpdates[`${field}.${key}`] = nested;
+        });
+      } else {
+        template[field] = value;
+        instanceUpdates[field] = value;
+      }
+    });
+
+    series.template = template;
+    series.markModified('template');
+  }
+
+  const { recurrence: recurrenceEdits, error: recurrenceError } = readRecurrence(req.body);
+  if (recurrenceError) {
+    return next(recurrenceError);
+  }
+  const scheduleChanged = Object.keys(recurrenceEdits).length > 0 ||
+    req.body.generateAheadDays !== undefined ||
+    req.body.isActive !== undefined;
+
+  // A new rrule or frequency replaces the old rule as a whole; leftover parts such as
+  // byDay would otherwise keep shaping the new rule
+  const replacesRule = Boolean(req.body.rrule) ||
+    (recurrenceEdits.frequency !== undefined && recurrenceEdits.frequency !== series.recurrence.frequency);
+  if (replacesRule) {
+    Object.assign(series.recurrence, RULE_PART_DEFAULTS);
+  }
+  Object.assign(series.recurrence, recurrenceEdits);
+  ['generateAheadDays', 'instanceStatus', 'isActive'].forEach(field => {
+    if (req.body[field] !== undefined) {
+      series[field] = req.body[field];
+    }
+  });
+  series.updatedBy = req.user.id;
+
+  await series.validate();
+  await validateTemplate(series);
+  await series.save();
+
+  const updatedInstances = await applyToFutureInstances(series, instanceUpdates);
+  const schedule = scheduleChanged
+    ? await reconcileSchedule(series)
+    : { moved: 0, cancelled: 0, created: 0 };
+
+  res.status(200).json({
+    success: true,
+    data: series,
+    instances: {
+      updated: updatedInstances,
+      ...schedule
+    }
+  });
+});
+
+// @desc    End an event series and cancel its future events
+// @route   DELETE /api/event-series/:id
+// @access  Private (series manager or Admin)
+exports.deleteEventSeries = asyncHandler(async (req, res, next) => {
+  const { series, error } = await loadSeries(req);
+  if (error) {
+    return next(error);
+  }
+
+  const cancelled = await cancelFutureInstances(series);
+  await series.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      cancelledInstances: cancelled
+    }
+  });
+});
+
+// Shared by the logo and banner uploads: the new image goes to the series and its future events
+const uploadSeriesImage = (field, label) => asyncHandler(async (req, res, next) => {
+  const { series, error } = await loadSeries(req);
+  if (error) {
+    return next(error);
+  }
+
+  if (!req.file) {
+    return next(new ErrorResponse('Please upload an image file', 400));
+  }
+
+  const fileId = await uploadToGridFS(req.file, `${label}-series-${series._id}-${Date.now()}`);
+  const previous = series.template[field];
+
+  series.template = { ...series.template, [field]: fileId };
+  series.markModified('template');
+  series.updatedBy = req.user.id;
+  await series.save();
+
+  await applyToFutureInstances(series, { [field]: fileId });
+
+  // Past events keep the old image, so it is only deleted when nothing uses it
+  if (previous) {
+    try {
+      await deleteImageIfUnused(previous);
+    } catch (deleteError) {
+      console.log(`Could not delete existing ${label}:`, deleteError.message);
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `${label.charAt(0).toUpperCase() + label.slice(1)} uploaded successfully`,
+    data: {
+      seriesId: series._id,
+      [`${label}Id`]: fileId
+    }
+  });
+});
+
+// @desc    Upload series logo
+// @route   POST /api/event-series/:id/upload-logo
+// @access  Private (series manager or Admin)
+exports.uploadSeriesLogo = uploadSeriesImage('logo', 'logo');
+
+// @desc    Upload series banner
+// @route   POST /api/event-series/:id/upload-banner
+// @access  Private (series manager or Admin)
+exports.uploadSeriesBanner = uploadSeriesImage('bannerImage', 'banner');
@@ -0,0 +1,260 @@
+const Event = require('../models/Event');
+const EventTemplate = require('../models/EventTemplate');
+const asyncHandler = require('../utils/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const { EventPermission } = require('../utils/eventPermissions');
+const { uploadToGridFS } = require('../middleware/upload');
+const { deleteImageIfUnused } = require('../services/eventImages');
+const {
+  extractSettings,
+  mergeSettings,
+  validateSettings,
+  copyImages,
+  discardImages,
+  createEventFrom
+} = require('../services/eventCloning');
+
+const MIN_DURATION_MINUTES = 15;
+const MAX_DURATION_MINUTES = 2880;
+
+const loadTemplate = async (req) => {
+  const template = await EventTemplate.findById(req.params.id);
+  if (!template) {
+    return { error: new ErrorResponse('Event template not found', 404) };
+  }
+  if (!template.canManage(req.user)) {
+    return { error: new ErrorResponse('Not authorized to use this event template', 403) };
+  }
+  return { template };
+};
+
+// @desc    Get event templates
+// @route   GET /api/event-templates
+// @access  Private (Manager, Admin)
+exports.getEventTemplates = asyncHandler(async (req, res, next) => {
+  const query = req.user.role === 'Admin' ? {} : { owner: req.user.id };
+
+  const templates = await EventTemplate.find(query)
+    .populate('owner', 'firstName lastName email')
+    .sort({ name: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: templates.length,
+    data: templates
+  });
+});
+
+// @desc    Get a single event template
+// @route   GET /api/event-templates/:id
+// @access  Private (template owner or Admin)
+exports.getEventTemplate = asyncHandler(async (req, res, next) => {
+  const { template, error } = await loadTemplate(req);
+  if (error) {
+    return next(error);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: template
+  });
+});
+
+// @desc    Save an event template, optionally from an existing event
+// @route   POST /api/event-templates
+// @access  Private (Manager, Admin)
+exports.createEventTemplate = asyncHandler(async (req, res, next) => {
+  const { name, description, durationMinutes, fromEvent, copyMedia = true } = req.body;
+
+  const template = new EventTemplate({
+    name,
+    description,
+    durationMinutes,
+    owner: req.user.id,
+    createdBy: req.user.id,
+    updatedBy: req.user.id
+  });
+
+  let settings = {};
+  let sourceEvent = null;
+
+  // Start from an existing event's settings, logo and banner
+  if (fromEvent) {
+    sourceEvent = await Event.findById(fromEvent);
+    if (!sourceEvent) {
+      return next(new ErrorResponse('Event not found', 404));
+    }
+    if (!sourceEvent.hasPermission(req.user, EventPermission.MANAGE_EVENT)) {
+      return next(new ErrorResponse('Not authorized to create a template from this event', 403));
+    }
+
+    settings = extractSettings(sourceEvent);
+
+    const sourceMinutes = Math.round((sourceEvent.endDate - sourceEvent.startDate) / 60000);
+    if (durationMinutes === undefined && sourceMinutes >= MIN_DURATION_MINUTES && sourceMinutes <= MAX_DURATION_MINUTES) {
+      template.durationMinutes = sourceMinutes;
+    }
+  }
+
+  template.settings = mergeSettings(settings, extractSettings(req.body));
+
+  await template.validate();
+  await validateSettings(template.settings);
+
+  // The template keeps its own copies, so the event's images can change freely
+  const images = sourceEvent && copyMedia ? await copyImages(sourceEvent, template._id) : {};
+  Object.assign(template, images);
+
+  try {
+    await template.save();
+  } catch (saveError) {
+    await discardImages(images);
+    throw saveError;
+  }
+
+  res.status(201).json({
+    success: true,
+    data: template
+  });
+});
+
+// @desc    Update an event template
+// @route   PUT /api/event-templates/:id
+// @access  Private (template owner or Admin)
+exports.updateEventTemplate = asyncHandler(async (req, res, next) => {
+  const { template, error } = await loadTemplate(req);
+  if (error) {
+    return next(error);
+  }
+
+  ['name', 'description', 'durationMinutes'].forEach(field => {
+    if (req.body[field] !== undefined) {
+      template[field] = req.body[field];
+    }
+  });
+
+  const edits = extractSettings(req.body);
+  if (Object.keys(edits).length > 0) {
+    template.settings = mergeSettings(template.settings, edits);
+    template.markModified('settings');
+  }
+  template.updatedBy = req.user.id;
+
+  await template.validate();
+  await validateSettings(template.settings);
+  await template.save();
+
+  res.status(200).json({
+    success: true,
+    data: template
+  });
+});
+
+// @desc    Delete an event template
+// @route   DELETE /api/event-templates/:id
+// @access  Private (template owner or Admin)
+exports.deleteEventTemplate = asyncHandler(async (req, res, next) => {
+  const { template, error } = await loadTemplate(req);
+  if (error) {
+    return next(error);
+  }
+
+  await template.deleteOne();
+
+  // Events created from the template have their own copies
+  for (const fileId of [template.logo, template.bannerImage]) {
+    try {
+      await deleteImageIfUnused(fileId);
+    } catch (deleteError) {
+      console.log('Could not delete template image:', deleteError.message);
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Create an event from a template
+// @route   POST /api/event-templates/:id/events
+// @access  Private (template owner or Admin)
+exports.createEventFromTemplate = asyncHandler(async (req, res, next) => {
+  const { template, error } = await loadTemplate(req);
+  if (error) {
+    return next(error);
+  }
+
+  const startDate = new Date(req.body.startDate);
+  let endDate = null;
+  if (req.body.endDate) {
+    endDate = new Date(req.body.endDate);
+  } else if (template.durationMinutes) {
+    endDate = new Date(startDate.getTime() + template.durationMinutes * 60 * 1000);
+  }
+
+  if (!endDate) {
+    return next(new ErrorResponse('Please provide an end date; this template has no default duration', 400));
+  }
+
+  const event = await createEventFrom(template, mergeSettings(template.settings, extractSettings(req.body)), {
+    name: req.body.name || template.name,
+    startDate,
+    endDate,
+    manager: req.user.id,
+    createdBy: req.user.id
+  }, { copyMedia: req.body.copyMedia !== false });
+
+  await EventTemplate.updateOne({ _id: template._id }, { $inc: { timesUsed: 1 } });
+
+  res.status(201).json({
+    success: true,
+    data: event
+  });
+});
+
+// Shared by the logo and banner uploads
+const uploadTemplateImage = (field, label) => asyncHandler(async (req, res, next) => {
+  const { template, error } = await loadTemplate(req);
+  if (error) {
+    return next(error);
+  }
+
+  if (!req.file) {
+    return next(new ErrorResponse('Please upload an image file', 400));
+  }
+
+  const fileId = await uploadToGridFS(req.file, `${label}-template-${template._id}-${Date.now()}`);
+  const previous = template[field];
+
+  template[field] = fileId;
+  template.updatedBy = req.user.id;
+  await template.save();
+
+  if (previous) {
+    try {
+      await deleteImageIfUnused(previous);
+    } catch (deleteError) {
+      console.log(`Could not delete existing ${label}:`, deleteError.message);
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `${label.charAt(0).toUpperCase() + label.slice(1)} uploaded successfully`,
+    data: {
+      templateId: template._id,
+      [`${label}Id`]: fileId
+    }
+  });
+});
+
+// @desc    Upload template logo
+// @route   POST /api/event-templates/:id/upload-logo
+// @access  Private (template owner or Admin)
+exports.uploadTemplateLogo = uploadTemplateImage('logo', 'logo');
+
+// @desc    Upload template banner
+// @route   POST /api/event-templates/:id/upload-banner
+// @access  Private (template owner or Admin)
+exports.uploadTemplateBanner = uploadTemplateImage('bannerImage', 'banner');
@@ -3,6 +3,7 @@ const SongRequest = require('../models/SongRequest');
 const EventParticipant = require('../models/EventParticipant');
 const asyncHandler = require('../utils/asyncHandler');
 const ErrorResponse = require('../utils/errorResponse');
+const { readPagination, paginate } = require('../utils/pagination');
 
 // @desc    Get guest dashboard data
 // @route   GET /api/guest/dashboard
@@ -64,35 +65,24 @@ exports.getGuestDashboard = asyncHandler(async (req, res, next) => {
 // @route   GET /api/guest/events
 // @access  Private/Guest
 exports.getGuestEvents = asyncHandler(async (req, res, next) => {
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 25;
-  const startIndex = (page - 1) * limit;
-  
-  // Get events where user is a registered member
-  const memberEvents = await Event.find({ 'Members.user': req.user.id, 'Members.isApproved': true })
-    .populate('manager', 'firstName lastName')
-    .sort({ startDate: 1 });
-  
-  // Get events where user participated as guest
-  const guestParticipations = await EventParticipant.find({ 
-    $or: [
-      { user: req.user.id },
-      { email: req.user.email }
-    ]
-  }).populate('event');
-  
-  const guestEventIds = guestParticipations.map(gp => gp.event._id);
-  const guestEvents = await Event.find({ _id: { $in: guestEventIds } })
-    .populate('manager', 'firstName lastName');
-  
-  // Combine and deduplicate events
-  const allEvents = [...memberEvents, ...guestEvents];
-  const uniqueEvents = allEvents.filter((event, index, self) => 
-    index === self.findIndex(e => e._id.toString() === event._id.toString())
+  const { page, limit, cursor } = readPagination(req.query);
+  
+  // Events where user participated as guest
+  const guestEventIds = await EventParticipant.find({ email: req.user.email }).distinct('event');
+  
+  // One query for both kinds of joined events, so they can be paged together
+  const { data: paginatedEvents, total, pagination, error } = await paginate(
+    Event.find({
+      $or: [
+        { Members: { $elemMatch: { user: req.user.id, isApproved: true } } },
+        { _id: { $in: guestEventIds } }
+      ]
+    }).populate('manager', 'firstName lastName'),
+    { sort: { startDate: 1 }, page, limit, cursor }
   );
-  
-  // Apply pagination
-  const paginatedEvents = uniqueEvents.slice(startIndex, startIndex + limit);
+  if (error) {
+    return next(error);
+  }
   
   // Add guest's song request count for each event
   const eventsWithStats = await Promise.all(
@@ -111,7 +101,8 @@ exports.getGuestEvents = asyncHandler(async (req, res, next) => {
   res.status(200).json({
     success: true,
     count: eventsWithStats.length,
-    total: uniqueEvents.length,
+    total,
+    pagination,
     data: eventsWithStats
   });
 });
@@ -120,9 +111,7 @@ exports.getGuestEvents = asyncHandler(async (req, res, next) => {
 // @route   GET /api/guest/song-requests
 // @access  Private/Guest
 exports.getGuestSongRequests = asyncHandler(async (req, res, next) => {
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 25;
-  const startIndex = (page - 1) * limit;
+  const { page, limit, cursor } = readPagination(req.query);
   
   let query = { requestedBy: req.user.id };
   
@@ -134,17 +123,19 @@ exports.getGuestSongRequests = asyncHandler(async (req, res, next) => {
     query.event = req.query.eventId;
   }
   
-  const total = await SongRequest.countDocuments(query);
-  const songRequests = await SongRequest.find(query)
-    .populate('event', 'name manager')
-    .sort({ createdAt: -1 })
-    .limit(limit)
-    .skip(startIndex);
+  const { data: songRequests, total, pagination, error } = await paginate(
+    SongRequest.find(query).populate('event', 'name manager'),
+    { sort: { createdAt: -1 }, page, limit, cursor }
+  );
+  if (error) {
+    return next(error);
+  }
   
   res.status(200).json({
     success: true,
     count: songRequests.length,
     total,
+    pagination,
     data: songRequests
   });
 });
\ No newline at end of file
@@ -0,0 +1,309 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const { EventStatus } = require('../models/Event');
+const EventParticipant = require('../models/EventParticipant');
+const Invitation = require('../models/Invitation');
+const asyncHandler = require('../utils/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const { signToken, verifySignedToken } = require('../utils/signedToken');
+
+const INVITATION_PURPOSE = 'event-invitation';
+const DEFAULT_EXPIRY_HOURS = 72;
+const DEFAULT_OPEN_LINK_USES = 100;
+
+// Signed link token; it expires together with the invitation
+const createInvitationToken = (invitation) => {
+  return signToken(INVITATION_PURPOSE, {
+    invitation: invitation._id.toString(),
+    event: invitation.event.toString(),
+    exp: Math.floor(invitation.expiresAt.getTime() / 1000)
+  });
+};
+
+const withLink = (invitation) => {
+  const token = createInvitationToken(invitation);
+
+  return {
+    ...invitation.toObject(),
+    token,
+    url: `${process.env.CLIENT_URL || 'http://localhost:3000'}/invitations/${token}`
+  };
+};
+
+// Resolve a token to a usable invitation, or an ErrorResponse
+const resolveInvitation = async (token) => {
+  const payload = verifySignedToken(INVITATION_PURPOSE, token);
+  if (!payload) {
+    return { error: new ErrorResponse('Invitation link is invalid or has expired', 400) };
+  }
+
+  const invitation = await Invitation.findById(payload.invitation);
+  if (!invitation || invitation.event.toString() !== payload.event) {
+    return { error: new ErrorResponse('Invitation not found', 404) };
+  }
+
+  return { invitation };
+};
+
+// @desc    Create an invitation for an event
+// @route   POST /api/events/:id/invitations
+// @access  Private (staff with member management permission)
+exports.createInvitation = asyncHandler(async (req, res, next) => {
+  const { email, maxUses, expiresInHours = DEFAULT_EXPIRY_HOURS } = req.body;
+
+  const event = req.event || await Event.findById(req.params.id);
+  if (!event) {
+    return next(new ErrorResponse('Event not found', 404));
+  }
+
+  if ([EventStatus.COMPLETED, EventStatus.CANCELLED].includes(event.status)) {
+    return next(new ErrorResponse(`Cannot invite people to a ${event.status.toLowerCase()} event`, 400));
+  }
+
+  const invitation = await Invitation.create({
+    event: event._id,
+    email: email || undefined,
+    maxUses: maxUses || (email ? 1 : DEFAULT_OPEN_LINK_USES),
+    expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000),
+    createdBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: withLink(invitation)
+  });
+});
+
+// @desc    Get invitations for an event
+// @route   GET /api/events/:id/invitations
+// @access  Private (staff with member management permission)
+exports.getInvitations = asyncHandler(async (req, res, next) => {
+  const invitations = await Invitation.find({ event: req.params.id })
+    .populate('createdBy', 'firstName lastName')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: invitations.length,
+    data: invitations.map(withLink)
+  });
+});
+
+// @desc    Revoke an invitation
+// @route   DELETE /api/events/:id/invitations/:invitationId
+// @access  Private (staff with member management permission)
+exports.revokeInvitation = asyncHandler(async (req, res, next) => {
+  const invitation = await Invitation.findOne({
+    _id: req.params.invitationId,
+    event: req.params.id
+  });
+
+  if (!invitation) {
+    return next(new ErrorResponse('Invitation not found', 404));
+  }
+
+  if (!invitation.revokedAt) {
+    invitation.revokedAt = new Date();
+    await invitation.save();
+  }
+
+  res.status(200).json({
+    success: true,
+    data: invitation
+  });
+});
+
+// @desc    Preview an invitation before accepting it
+// @route   GET /api/invitations/:token
+// @access  Public
+exports.getInvitation = asyncHandler(async (req, res, next) => {
+  const { invitation, error } = await resolveInvitation(req.params.token);
+  if (error) {
+    return next(error);
+  }
+
+  const event = await Event.findById(invitation.event)
+    .select('name description eventType status startDate endDate venue.name venue.city isPublic');
+
+  if (!event) {
+    return next(new ErrorResponse('Event not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      event,
+      email: invitation.email || null,
+      expiresAt: invitation.expiresAt,
+      declined: !!invitation.declinedAt,
+      isUsable: invitation.isUsable
+    }
+  });
+});
+
+// @desc    Accept an invitation and join the event
+// @route   POST /api/invitations/:token/accept
+// @access  Public (registered users join as Members, everyone else as guests)
+exports.acceptInvitation = asyncHandler(async (req, res, next) => {
+  const { invitation, error } = await resolveInvitation(req.params.token);
+  if (error) {
+    return next(error);
+  }
+
+  if (!invitation.isUsable) {
+    return next(new ErrorResponse('This invitation is no longer valid', 410));
+  }
+
+  const event = await Event.findById(invitation.event);
+  if (!event) {
+    return next(new ErrorResponse('Event not found', 404));
+  }
+
+  if ([EventStatus.COMPLETED, EventStatus.CANCELLED].includes(event.status)) {
+    return next(new ErrorResponse('This event is no longer open', 400));
+  }
+
+  const isGuest = !req.user || req.user.role === 'Guest';
+  const email = (req.user ? req.user.email : req.body.email || '').toLowerCase();
+
+  if (invitation.email && invitation.email !== email) {
+    return next(new ErrorResponse('This invitation was sent to a different email address', 403));
+  }
+
+  // Registered users join Event.Members; the invitation bypasses the private-event block
+  if (!isGuest) {
+    const existingMember = event.Members.find(
+      Member => Member.user.toString() === req.user.id
+    );
+
+    if (existingMember && existingMember.isApproved) {
+      return next(new ErrorResponse('Already joined this event', 400));
+    }
+
+    if (!(await event.hasFreeSpot())) {
+      return next(new ErrorResponse('Event is full', 400));
+    }
+
+    const acceptance = { person: req.user.id };
+    const claimed = await Invitation.claimUse(invitation._id, acceptance);
+    if (!claimed) {
+      return next(new ErrorResponse('This invitation is no longer valid', 410));
+    }
+
+    if (existingMember) {
+      // An invitation approves a join request that was waiting for approval
+      existingMember.isApproved = true;
+      existingMember.approvedAt = new Date();
+      existingMember.approvedBy = invitation.createdBy;
+    } else {
+      event.Members.push({
+        user: req.user.id,
+        joinedAt: new Date(),
+        isApproved: true
+      });
+    }
+
+    try {
+      await event.save();
+    } catch (err) {
+      await Invitation.releaseUse(invitation._id, acceptance);
+      throw err;
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Invitation accepted',
+      data: {
+        event: event._id,
+        membership: 'Member'
+      }
+    });
+  }
+
+  // Guests get an approved EventParticipant record
+  const firstName = req.body.firstName || (req.user && req.user.firstName);
+  const lastName = req.body.lastName || (req.user && req.user.lastName);
+
+  if (!email || !firstName || !lastName) {
+    return next(new ErrorResponse('Email, first name, and last name are required', 400));
+  }
+
+  const existing = await EventParticipant.findOne({ event: event._id, email });
+  if (existing && existing.isApproved) {
+    return next(new ErrorResponse('Already joined this event', 400));
+  }
+
+  if (!(await event.hasFreeSpot())) {
+    return next(new ErrorResponse('Event is full', 400));
+  }
+
+  const participantId = existing ? existing._id : new mongoose.Types.ObjectId();
+  const acceptance = {
+    person: req.user ? req.user.id : undefined,
+    participant: participantId
+  };
+  const claimed = await Invitation.claimUse(invitation._id, acceptance);
+  if (!claimed) {
+    return next(new ErrorResponse('This invitation is no longer valid', 410));
+  }
+
+  let participant;
+  try {
+    if (existing) {
+      // An invitation approves a join request that was waiting for approval
+      existing.isApproved = true;
+      existing.approvedAt = new Date();
+      existing.approvedBy = invitation.createdBy;
+      participant = await existing.save();
+    } else {
+      participant = await EventParticipant.create({
+        _id: participantId,
+        event: event._id,
+        email,
+        firstName,
+        lastName,
+        isApproved: true
+      });
+    }
+  } catch (err) {
+    await Invitation.releaseUse(invitation._id, acceptance);
+    throw err;
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Invitation accepted',
+    data: {
+      event: event._id,
+      membership: 'Guest',
+      Member: participant
+    }
+  });
+});
+
+// @desc    Decline an email invitation
+// @route   POST /api/invitations/:token/decline
+// @access  Public (the token is proof of the invitation)
+exports.declineInvitation = asyncHandler(async (req, res, next) => {
+  const { invitation, error } = await resolveInvitation(req.params.token);
+  if (error) {
+    return next(error);
+  }
+
+  if (!invitation.email) {
+    return next(new ErrorResponse('Open invitation links cannot be declined', 400));
+  }
+
+  if (!invitation.isUsable) {
+    return next(new ErrorResponse('This invitation is no longer valid', 410));
+  }
+
+  invitation.declinedAt = new Date();
+  await invitation.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Invitation declined',
+    data: {}
+  });
+});
@@ -0,0 +1,243 @@
+const Event = require('../models/Event');
+const EventParticipant = require('../models/EventParticipant');
+const asyncHandler = require('../utils/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+
+const MAX_BULK_ITEMS = 200;
+
+// Pending join requests come from two places: registered users waiting in
+// Event.Members and guests waiting in EventParticipant. Both are shown as one queue.
+const toMemberRequest = (member) => ({
+  _id: member._id,
+  type: 'Member',
+  user: member.user,
+  email: member.user && member.user.email,
+  firstName: member.user && member.user.firstName,
+  lastName: member.user && member.user.lastName,
+  requestedAt: member.joinedAt
+});
+
+const toGuestRequest = (participant) => ({
+  _id: participant._id,
+  type: 'Guest',
+  user: null,
+  email: participant.email,
+  firstName: participant.firstName,
+  lastName: participant.lastName,
+  requestedAt: participant.joinedAt
+});
+
+const findPendingRequests = async (eventId) => {
+  const event = await Event.findById(eventId)
+    .select('Members')
+    .populate('Members.user', 'firstName lastName email profilePicture');
+
+  const members = event.Members
+    .filter(member => !member.isApproved)
+    .map(toMemberRequest);
+
+  const guests = await EventParticipant.find({ event: eventId, isApproved: false })
+    .sort({ joinedAt: 1 });
+
+  return [...members, ...guests.map(toGuestRequest)]
+    .sort((a, b) => new Date(a.requestedAt) - new Date(b.requestedAt));
+};
+
+// Approve or deny one pending request. Updates are conditional on the request
+// still being pending, so two staff deciding at once can't both win.
+const decideJoinRequest = async (event, requestId, action, decidedBy) => {
+  const eventId = event._id;
+  const pendingMember = event.Members.find(
+    member => member._id.toString() === requestId && !member.isApproved
+  );
+
+  if (pendingMember) {
+    if (action === 'approve') {
+      if (!(await event.hasFreeSpot())) {
+        return { id: requestId, type: 'Member', result: 'failed', reason: 'Event is full' };
+      }
+
+      const updated = await Event.updateOne(
+        { _id: eventId, Members: { $elemMatch: { _id: requestId, isApproved: false } } },
+        {
+          $set: {
+            'Members.$.isApproved': true,
+            'Members.$.approvedAt': new Date(),
+            'Members.$.approvedBy': decidedBy
+          }
+        }
+      );
+      if (updated.modifiedCount === 0) {
+        return { id: requestId, type: 'Member', result: 'skipped', reason: 'Join request already decided' };
+      }
+      pendingMember.isApproved = true;
+    } else {
+      const updated = await Event.updateOne(
+        { _id: eventId },
+        { $pull: { Members: { _id: requestId, isApproved: false } } }
+      );
+      if (updated.modifiedCount === 0) {
+        return { id: requestId, type: 'Member', result: 'skipped', reason: 'Join request already decided' };
+      }
+      event.Members = event.Members.filter(member => member._id.toString() !== requestId);
+    }
+
+    return { id: requestId, type: 'Member', result: 'updated', user: pendingMember.user.toString() };
+  }
+
+  const participant = await EventParticipant.findOne({ _id: requestId, event: eventId });
+  if (!participant) {
+    return { id: requestId, result: 'notFound', reason: 'Join request not found' };
+  }
+
+  if (participant.isApproved) {
+    return { id: requestId, type: 'Guest', result: 'skipped', reason: 'Join request already decided' };
+  }
+
+  let decided;
+  if (action === 'approve') {
+    if (!(await event.hasFreeSpot())) {
+      return { id: requestId, type: 'Guest', result: 'failed', reason: 'Event is full' };
+    }
+
+    decided = await EventParticipant.findOneAndUpdate(
+      { _id: requestId, isApproved: false },
+      { $set: { isApproved: true, approvedAt: new Date(), approvedBy: decidedBy } }
+    );
+  } else {
+    decided = await EventParticipant.findOneAndDelete({ _id: requestId, isApproved: false });
+  }
+
+  if (!decided) {
+    return { id: requestId, type: 'Guest', result: 'skipped', reason: 'Join request already decided' };
+  }
+
+  return { id: requestId, type: 'Guest', result: 'updated', email: participant.email };
+};
+
+// Tell the requester and the event staff about a decision
+const emitDecision = (req, eventId, item, action, reason) => {
+  const io = req.app.get('io');
+  if (!io || item.result !== 'updated') return;
+
+  const payload = {
+    event: eventId,
+    requestId: item.id,
+    type: item.type,
+    decision: action === 'approve' ? 'approved' : 'denied',
+    reason: action === 'deny' ? reason : undefined,
+    decidedBy: req.user.id,
+    timestamp: new Date()
+  };
+
+  const requesterRoom = item.type === 'Member' ? `user_${item.user}` : `guest_${item.email}`;
+  io.to(requesterRoom).emit('joinRequestDecided', payload);
+  io.to(`event_${eventId}_staff`).emit('joinRequestDecided', payload);
+};
+
+// Shared by the single approve and deny endpoints
+const decideSingle = async (req, res, next, action) => {
+  const event = req.event || await Event.findById(req.params.id);
+  if (!event) {
+    return next(new ErrorResponse('Event not found', 404));
+  }
+
+  const item = await decideJoinRequest(event, req.params.requestId, action, req.user.id);
+
+  if (item.result === 'notFound') {
+    return next(new ErrorResponse(item.reason, 404));
+  }
+
+  if (item.result !== 'updated') {
+    return next(new ErrorResponse(item.reason, 400));
+  }
+
+  emitDecision(req, event._id, item, action, req.body.reason);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      id: item.id,
+      type: item.type,
+      decision: action === 'approve' ? 'approved' : 'denied'
+    }
+  });
+};
+
+// @desc    Get pending join requests for an event
+// @route   GET /api/events/:id/join-requests
+// @access  Private (staff with member management permission)
+exports.getJoinRequests = asyncHandler(async (req, res, next) => {
+  const requests = await findPendingRequests(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    count: requests.length,
+    data: requests
+  });
+});
+
+// @desc    Approve a pending join request
+// @route   POST /api/events/:id/join-requests/:requestId/approve
+// @access  Private (staff with member management permission)
+exports.approveJoinRequest = asyncHandler(async (req, res, next) => {
+  await decideSingle(req, res, next, 'approve');
+});
+
+// @desc    Deny a pending join request
+// @route   POST /api/events/:id/join-requests/:requestId/deny
+// @access  Private (staff with member management permission)
+exports.denyJoinRequest = asyncHandler(async (req, res, next) => {
+  await decideSingle(req, res, next, 'deny');
+});
+
+// @desc    Approve or deny many join requests at once
+// @route   POST /api/events/:id/join-requests/bulk
+// @access  Private (staff with member management permission)
+exports.bulkDecideJoinRequests = asyncHandler(async (req, res, next) => {
+  const { action, ids, all, reason } = req.body;
+
+  const event = req.event || await Event.findById(req.params.id);
+  if (!event) {
+    return next(new ErrorResponse('Event not found', 404));
+  }
+
+  if (!Array.isArray(ids) && !all) {
+    return next(new ErrorResponse('Provide either ids or all: true', 400));
+  }
+
+  // Oldest requests first, so capacity goes to whoever asked first
+  const targetIds = Array.isArray(ids)
+    ? [...new Set(ids.map(id => id.toString()))]
+    : (await findPendingRequests(event._id)).map(request => request._id.toString());
+
+  if (targetIds.length > MAX_BULK_ITEMS) {
+    return next(new ErrorResponse(`Bulk actions are limited to ${MAX_BULK_ITEMS} join requests at a time`, 400));
+  }
+
+  const results = [];
+  for (const requestId of targetIds) {
+    try {
+      const item = await decideJoinRequest(event, requestId, action, req.user.id);
+      emitDecision(req, event._id, item, action, reason);
+      results.push({ id: item.id, type: item.type, result: item.result, reason: item.reason });
+    } catch (error) {
+      results.push({ id: requestId, result: 'failed', reason: error.message });
+    }
+  }
+
+  const summary = {
+    requested: results.length,
+    updated: results.filter(item => item.result === 'updated').length,
+    skipped: results.filter(item => item.result === 'skipped').length,
+    notFound: results.filter(item => item.result === 'notFound').length,
+    failed: results.filter(item => item.result === 'failed').length
+  };
+
+  res.status(200).json({
+    success: true,
+    action,
+    summary,
+    data: results
+  });
+});
@@ -3,6 +3,8 @@ const SongRequest = require('../models/SongRequest');
 const EventParticipant = require('../models/EventParticipant');
 const asyncHandler = require('../utils/asyncHandler');
 const ErrorResponse = require('../utils/errorResponse');
+const { readPagination, paginate } = require('../utils/pagination');
+const { EventPermission } = require('../utils/eventPermissions');
 
 // @desc    Get manager dashboard data
 // @route   GET /api/manager/dashboard
@@ -65,29 +67,36 @@ exports.getManagerDashboard = asyncHandler(async (req, res, next) => {
 // @route   GET /api/manager/events
 // @access  Private/Manager
 exports.getManagerEvents = asyncHandler(async (req, res, next) => {
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 25;
-  const startIndex = (page - 1) * limit;
+  const { page, limit, cursor } = readPagination(req.query);
   
-  let query = { manager: req.user.id };
+  // Events the user owns or is on the staff of
+  let query = {
+    $or: [
+      { manager: req.user.id },
+      { 'staff.user': req.user.id }
+    ]
+  };
   
   if (req.query.status) {
     query.status = req.query.status;
   }
   
   if (req.query.search) {
-    query.$or = [
-      { name: { $regex: req.query.search, $options: 'i' } },
-      { description: { $regex: req.query.search, $options: 'i' } }
-    ];
+    query.$and = [{
+      $or: [
+        { name: { $regex: req.query.search, $options: 'i' } },
+        { description: { $regex: req.query.search, $options: 'i' } }
+      ]
+    }];
   }
   
-  const total = await Event.countDocuments(query);
-  const events = await Event.find(query)
-    .populate('Members.user', 'firstName lastName email')
-    .sort({ createdAt: -1 })
-    .limit(limit)
-    .skip(startIndex);
+  const { data: events, total, pagination, error } = await paginate(
+    Event.find(query).populate('Members.user', 'firstName lastName email'),
+    { sort: { createdAt: -1 }, page, limit, cursor }
+  );
+  if (error) {
+    return next(error);
+  }
   
   // Add additional stats for each event
   const eventsWithStats = await Promise.all(
@@ -101,7 +110,8 @@ exports.getManagerEvents = asyncHandler(async (req, res, next) => {
         guestMemberCount: guestCount,
         totalMemberCount: event.Members.length + guestCount,
         songRequestCount,
-        pendingSongRequests
+        pendingSongRequests,
+        staffRole: event.getStaffRole(req.user.id)
       };
     })
   );
@@ -110,6 +120,7 @@ exports.getManagerEvents = asyncHandler(async (req, res, next) => {
     success: true,
     count: eventsWithStats.length,
     total,
+    pagination,
     data: eventsWithStats
   });
 });
@@ -118,9 +129,9 @@ exports.getManagerEvents = asyncHandler(async (req, res, next) => {
 // @route   GET /api/manager/events/:id/analytics
 // @access  Private/Manager
 exports.getEventAnalytics = asyncHandler(async (req, res, next) => {
-  const event = await Event.findOne({ _id: req.params.id, manager: req.user.id });
+  const event = await Event.findById(req.params.id);
   
-  if (!event) {
+  if (!event || !event.hasPermission(req.user, EventPermission.VIEW_REPORTS)) {
     return next(new ErrorResponse('Event not found or not authorized', 404));
   }
   
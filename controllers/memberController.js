@@ -2,6 +2,7 @@ const Event = require('../models/Event');
 const SongRequest = require('../models/SongRequest');
 const asyncHandler = require('../utils/asyncHandler');
 const ErrorResponse = require('../utils/errorResponse');
+const { readPagination, paginate } = require('../utils/pagination');
 
 // @desc    Get member dashboard data
 // @route   GET /api/member/dashboard
@@ -57,9 +58,7 @@ exports.getMemberDashboard = asyncHandler(async (req, res, next) => {
 // @route   GET /api/member/events
 // @access  Private/Member
 exports.getMemberEvents = asyncHandler(async (req, res, next) => {
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 25;
-  const startIndex = (page - 1) * limit;
+  const { page, limit, cursor } = readPagination(req.query);
   
   let query = { 'Members.user': req.user.id, 'Members.isApproved': true };
   
@@ -74,12 +73,13 @@ exports.getMemberEvents = asyncHandler(async (req, res, next) => {
     ];
   }
   
-  const total = await Event.countDocuments(query);
-  const events = await Event.find(query)
-    .populate('manager', 'firstName lastName')
-    .sort({ startDate: 1 })
-    .limit(limit)
-    .skip(startIndex);
+  const { data: events, total, pagination, error } = await paginate(
+    Event.find(query).populate('manager', 'firstName lastName'),
+    { sort: { startDate: 1 }, page, limit, cursor }
+  );
+  if (error) {
+    return next(error);
+  }
   
   // Add member's song request count for each event
   const eventsWithStats = await Promise.all(
@@ -99,6 +99,7 @@ exports.getMemberEvents = asyncHandler(async (req, res, next) => {
     success: true,
     count: eventsWithStats.length,
     total,
+    pagination,
     data: eventsWithStats
   });
 });
@@ -107,9 +108,7 @@ exports.getMemberEvents = asyncHandler(async (req, res, next) => {
 // @route   GET /api/member/song-requests
 // @access  Private/Member
 exports.getMemberSongRequests = asyncHandler(async (req, res, next) => {
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 25;
-  const startIndex = (page - 1) * limit;
+  const { page, limit, cursor } = readPagination(req.query);
   
   let query = { requestedBy: req.user.id };
   
@@ -121,17 +120,19 @@ exports.getMemberSongRequests = asyncHandler(async (req, res, next) => {
     query.event = req.query.eventId;
   }
   
-  const total = await SongRequest.countDocuments(query);
-  const songRequests = await SongRequest.find(query)
-    .populate('event', 'name manager')
-    .sort({ createdAt: -1 })
-    .limit(limit)
-    .skip(startIndex);
+  const { data: songRequests, total, pagination, error } = await paginate(
+    SongRequest.find(query).populate('event', 'name manager'),
+    { sort: { createdAt: -1 }, page, limit, cursor }
+  );
+  if (error) {
+    return next(error);
+  }
   
   res.status(200).json({
     success: true,
     count: songRequests.length,
     total,
+    pagination,
     data: songRequests
   });
 });
\ No newline at end of file
@@ -0,0 +1,140 @@
+const Event = require('../models/Event');
+const SongRequest = require('../models/SongRequest');
+const { SongStatus } = require('../models/SongRequest');
+const Payment = require('../models/Payment');
+const { PaymentStatus } = require('../models/Payment');
+const asyncHandler = require('../utils/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const { createTipIntent, confirmTip, getEventTipSummary } = require('../services/payments/tipLedger');
+
+// @desc    Create a TimeBomb tip intent for a song request
+// @route   POST /api/events/:eventId/song-requests/:id/tip
+// @access  Private (requester only)
+exports.createTip = asyncHandler(async (req, res, next) => {
+  const { eventId, id } = req.params;
+  const { amount, currency = 'USD' } = req.body;
+
+  const event = await Event.findById(eventId);
+  if (!event) {
+    return next(new ErrorResponse('Event not found', 404));
+  }
+
+  if (!event.timeBombEnabled) {
+    return next(new ErrorResponse('TimeBombs are not enabled for this event', 400));
+  }
+
+  const songRequest = await SongRequest.findOne({ _id: id, event: eventId });
+  if (!songRequest) {
+    return next(new ErrorResponse('Song request not found', 404));
+  }
+
+  if (songRequest.requestedBy.toString() !== req.user.id) {
+    return next(new ErrorResponse('Only the requester can tip on this song request', 403));
+  }
+
+  if (![SongStatus.PENDING, SongStatus.APPROVED].includes(songRequest.status)) {
+    return next(new ErrorResponse(`Cannot tip on a song request that is ${songRequest.status}`, 400));
+  }
+
+  if (songRequest.isTimeBomb) {
+    return next(new ErrorResponse('This song request is already a TimeBomb', 400));
+  }
+
+  const openPayment = await Payment.findOne({
+    songRequest: id,
+    status: { $in: [PaymentStatus.REQUIRES_CONFIRMATION, PaymentStatus.SUCCEEDED] }
+  });
+  if (openPayment) {
+    return next(new ErrorResponse('A tip is already in progress for this song request', 400));
+  }
+
+  const { payment, clientSecret } = await createTipIntent({
+    songRequest,
+    payer: req.user.id,
+    amount: Math.round(Number(amount) * 100),
+    currency: currency.toUpperCase()
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      payment,
+      clientSecret
+    }
+  });
+});
+
+// @desc    Confirm a TimeBomb tip and arm the TimeBomb
+// @route   POST /api/events/:eventId/song-requests/:id/tip/confirm
+// @access  Private (requester only)
+exports.confirmTip = asyncHandler(async (req, res, next) => {
+  const { eventId, id } = req.params;
+  const { paymentId, paymentMethod } = req.body;
+
+  const query = {
+    songRequest: id,
+    event: eventId,
+    payer: req.user.id,
+    status: PaymentStatus.REQUIRES_CONFIRMATION
+  };
+  if (paymentId) {
+    query._id = paymentId;
+  }
+
+  const payment = await Payment.findOne(query).sort({ createdAt: -1 });
+  if (!payment) {
+    return next(new ErrorResponse('No tip awaiting confirmation for this song request', 404));
+  }
+
+  const songRequest = await SongRequest.findOne({ _id: id, event: eventId });
+  if (!songRequest || ![SongStatus.PENDING, SongStatus.APPROVED].includes(songRequest.status)) {
+    return next(new ErrorResponse('Song request can no longer receive a tip', 400));
+  }
+
+  await confirmTip(payment, { paymentMethod, confirmedBy: req.user.id });
+
+  if (payment.status !== PaymentStatus.SUCCEEDED) {
+    return next(new ErrorResponse(payment.failureReason, 402));
+  }
+
+  // Arming the TimeBomb sets its expiry from the event's TimeBomb duration
+  songRequest.isTimeBomb = true;
+  songRequest.timeBombAmount = payment.displayAmount;
+  songRequest.updatedBy = req.user.id;
+  await songRequest.save();
+  await songRequest.populate('requestedBy', 'firstName lastName profilePicture');
+
+  // Emit real-time event
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`event_${eventId}`).emit('timeBombCreated', {
+      songRequest,
+      event: eventId
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      payment,
+      songRequest
+    }
+  });
+});
+
+// @desc    Get TimeBomb tip totals and reconciliation for an event
+// @route   GET /api/events/:id/tips
+// @access  Private (event staff only)
+exports.getEventTips = asyncHandler(async (req, res, next) => {
+  const event = req.event || await Event.findById(req.params.id);
+  if (!event) {
+    return next(new ErrorResponse('Event not found', 404));
+  }
+
+  const summary = await getEventTipSummary(event._id);
+
+  res.status(200).json({
+    success: true,
+    data: summary
+  });
+});
@@ -1,14 +1,21 @@
 const Person = require('../models/Person');
+const { SessionRevokeReason } = require('../models/Session');
 const asyncHandler = require('../utils/asyncHandler');
 const ErrorResponse = require('../utils/errorResponse');
+const { readPagination, paginate } = require('../utils/pagination');
+const { revokePersonSessions } = require('../services/sessions');
+const { parseResourceQuery, applyResourceQuery, shapeResults } = require('../utils/queryLayer');
+const { PersonResource } = require('../utils/resourceQueries');
 
 // @desc    Get all persons (Admin only)
 // @route   GET /api/persons
 // @access  Private/Admin
 exports.getPersons = asyncHandler(async (req, res, next) => {
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 25;
-  const startIndex = (page - 1) * limit;
+  const { page, limit, cursor } = readPagination(req.query);
+  const resourceQuery = parseResourceQuery(PersonResource, req.query);
+  if (resourceQuery.error) {
+    return next(resourceQuery.error);
+  }
   
   let query = {};
   
@@ -31,28 +38,13 @@ exports.getPersons = asyncHandler(async (req, res, next) => {
     ];
   }
   
-  const total = await Person.countDocuments(query);
-  const persons = await Person.find(query)
-    .select('-password')
-    .sort({ createdAt: -1 })
-    .limit(limit)
-    .skip(startIndex);
-  
-  // Pagination result
-  const pagination = {};
-  
-  if (startIndex + limit < total) {
-    pagination.next = {
-      page: page + 1,
-      limit
-    };
-  }
-  
-  if (startIndex > 0) {
-    pagination.prev = {
-      page: page - 1,
-      limit
-    };
+  const { data: persons, total, pagination, error } = await paginate(
+    // password is never selected by default, and ?fields can only name whitelisted fields
+    applyResourceQuery(Person.find(query), PersonResource, resourceQuery),
+    { sort: resourceQuery.sort, page, limit, cursor }
+  );
+  if (error) {
+    return next(error);
   }
   
   res.status(200).json({
@@ -60,7 +52,7 @@ exports.getPersons = asyncHandler(async (req, res, next) => {
     count: persons.length,
     total,
     pagination,
-    data: persons
+    data: shapeResults(persons, PersonResource, resourceQuery)
   });
 });
 
@@ -194,8 +186,31 @@ exports.deactivatePerson = asyncHandler(async (req, res, next) => {
   person.isActive = false;
   await person.save();
   
+  // Sign the person out everywhere, including open socket connections
+  await revokePersonSessions(person._id, SessionRevokeReason.DEACTIVATED, { io: req.app.get('io') });
+  
   res.status(200).json({
     success: true,
     data: person
   });
+});
+
+// @desc    Sign a person out of every device (Admin only)
+// @route   POST /api/persons/:id/logout
+// @access  Private/Admin
+exports.logoutPerson = asyncHandler(async (req, res, next) => {
+  const person = await Person.findById(req.params.id);
+  
+  if (!person) {
+    return next(new ErrorResponse('Person not found', 404));
+  }
+  
+  const revokedSessions = await revokePersonSessions(person._id, SessionRevokeReason.REVOKED_BY_ADMIN, {
+    io: req.app.get('io')
+  });
+  
+  res.status(200).json({
+    success: true,
+    data: { revokedSessions }
+  });
 });
\ No newline at end of file
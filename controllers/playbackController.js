@@ -0,0 +1,226 @@
+const Event = require('../models/Event');
+const SongRequest = require('../models/SongRequest');
+const { SongStatus } = require('../models/SongRequest');
+const asyncHandler = require('../utils/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Broadcast the latest playback snapshot to everyone in the event room
+const emitNowPlaying = async (req, event) => {
+  const snapshot = await event.getNowPlaying();
+
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`event_${event._id}`).emit('nowPlaying', snapshot);
+  }
+
+  return snapshot;
+};
+
+// Seconds the current track has been audible, excluding paused time
+const getElapsedSeconds = (playback, now) => {
+  if (!playback.startedAt) return 0;
+
+  let pausedMs = playback.pausedDuration || 0;
+  if (playback.isPaused && playback.pausedAt) {
+    pausedMs += now - playback.pausedAt;
+  }
+
+  return Math.max(0, Math.round((now - playback.startedAt - pausedMs) / 1000));
+};
+
+// Finish the current track with the given status and start the next one
+const advancePlayback = async (event, userId, finishedStatus, nextTrack) => {
+  const now = new Date();
+  const { playback } = event;
+
+  if (playback.currentTrack) {
+    const current = await SongRequest.findById(playback.currentTrack);
+
+    if (current && current.status === SongStatus.PLAYING) {
+      if (finishedStatus === SongStatus.SKIPPED) {
+        await current.skip(userId);
+      } else {
+        await current.markAsPlayed(userId, getElapsedSeconds(playback, now));
+      }
+    }
+  }
+
+  if (nextTrack === undefined) {
+    const queue = await SongRequest.findQueue(event._id, { limit: 1 });
+    nextTrack = queue[0] || null;
+  }
+
+  if (nextTrack) {
+    await nextTrack.startPlaying(userId);
+  }
+
+  event.playback = {
+    currentTrack: nextTrack ? nextTrack._id : null,
+    startedAt: nextTrack ? now : null,
+    isPaused: false,
+    pausedAt: null,
+    resumedAt: null,
+    pausedDuration: 0
+  };
+  event.updatedBy = userId;
+  await event.save();
+};
+
+// @desc    Get current playback state
+// @route   GET /api/events/:eventId/playback
+// @access  Public (if event is public) / Private (if event is private)
+exports.getPlayback = asyncHandler(async (req, res, next) => {
+  const event = await Event.findById(req.params.eventId);
+  if (!event) {
+    return next(new ErrorResponse('Event not found', 404));
+  }
+
+  const isMember = event.Members.some(member => member.user.toString() === req.user?.id);
+  const isStaff = req.user && (req.user.role === 'Admin' || event.getStaffRole(req.user.id));
+  if (!event.isPublic && !isMember && !isStaff) {
+    return next(new ErrorResponse('Access denied to this event', 403));
+  }
+
+  const snapshot = await event.getNowPlaying();
+
+  res.status(200).json({
+    success: true,
+    data: snapshot
+  });
+});
+
+// @desc    Start playback
+// @route   POST /api/events/:eventId/playback/start
+// @access  Private (event staff only)
+exports.startPlayback = asyncHandler(async (req, res, next) => {
+  const { eventId } = req.params;
+  const { songRequestId } = req.body;
+
+  const event = await Event.findById(eventId);
+  if (!event) {
+    return next(new ErrorResponse('Event not found', 404));
+  }
+
+  if (!event.isActive) {
+    return next(new ErrorResponse('Event is not active', 400));
+  }
+
+  if (event.playback && event.playback.currentTrack) {
+    return next(new ErrorResponse('A song is already playing. Use next or skip instead', 400));
+  }
+
+  let nextTrack;
+  if (songRequestId) {
+    nextTrack = await SongRequest.findOne({
+      _id: songRequestId,
+      event: eventId,
+      status: SongStatus.APPROVED
+    });
+
+    if (!nextTrack) {
+      return next(new ErrorResponse('Approved song request not found', 404));
+    }
+  } else {
+    const queue = await SongRequest.findQueue(eventId, { limit: 1 });
+    nextTrack = queue[0];
+
+    if (!nextTrack) {
+      return next(new ErrorResponse('No approved songs in the queue', 400));
+    }
+  }
+
+  await advancePlayback(event, req.user.id, SongStatus.PLAYED, nextTrack);
+  const snapshot = await emitNowPlaying(req, event);
+
+  res.status(200).json({
+    success: true,
+    data: snapshot
+  });
+});
+
+// @desc    Finish current song and play the next one
+// @route   POST /api/events/:eventId/playback/next
+// @access  Private (event staff only)
+exports.nextTrack = asyncHandler(async (req, res, next) => {
+  const event = await Event.findById(req.params.eventId);
+  if (!event) {
+    return next(new ErrorResponse('Event not found', 404));
+  }
+
+  if (!event.isActive) {
+    return next(new ErrorResponse('Event is not active', 400));
+  }
+
+  await advancePlayback(event, req.user.id, SongStatus.PLAYED);
+  const snapshot = await emitNowPlaying(req, event);
+
+  res.status(200).json({
+    success: true,
+    data: snapshot
+  });
+});
+
+// @desc    Skip current song and play the next one
+// @route   POST /api/events/:eventId/playback/skip
+// @access  Private (event staff only)
+exports.skipTrack = asyncHandler(async (req, res, next) => {
+  const event = await Event.findById(req.params.eventId);
+  if (!event) {
+    return next(new ErrorResponse('Event not found', 404));
+  }
+
+  if (!event.isActive) {
+    return next(new ErrorResponse('Event is not active', 400));
+  }
+
+  if (!event.playback || !event.playback.currentTrack) {
+    return next(new ErrorResponse('No song is currently playing', 400));
+  }
+
+  await advancePlayback(event, req.user.id, SongStatus.SKIPPED);
+  const snapshot = await emitNowPlaying(req, event);
+
+  res.status(200).json({
+    success: true,
+    data: snapshot
+  });
+});
+
+// @desc    Pause or resume the current song
+// @route   POST /api/events/:eventId/playback/pause
+// @access  Private (event staff only)
+exports.pausePlayback = asyncHandler(async (req, res, next) => {
+  const event = await Event.findById(req.params.eventId);
+  if (!event) {
+    return next(new ErrorResponse('Event not found', 404));
+  }
+
+  const { playback } = event;
+  if (!playback || !playback.currentTrack) {
+    return next(new ErrorResponse('No song is currently playing', 400));
+  }
+
+  // Toggle unless the client asks for an explicit state
+  const paused = req.body.paused === undefined
+    ? !playback.isPaused
+    : req.body.paused === true || req.body.paused === 'true';
+  const now = new Date();
+
+  if (paused && !playback.isPaused) {
+    playback.isPaused = true;
+    playback.pausedAt = now;
+  } else if (!paused && playback.isPaused) {
+    playback.pausedDuration = (playback.pausedDuration || 0) + (now - playback.pausedAt);
+    playback.isPaused = false;
+    playback.resumedAt = now;
+  }
+
+  event.updatedBy = req.user.id;
+  await event.save();
+  const snapshot = await emitNowPlaying(req, event);
+
+  res.status(200).json({
+    success: true,
+    data: snapshot
+  });
+});
@@ -1,16 +1,51 @@
 const SongRequest = require('../models/SongRequest');
+const { SongStatus } = require('../models/SongRequest');
 const Event = require('../models/Event');
+const { VotingMode } = require('../models/Event');
+const { RankingStrategy } = require('../utils/ranking');
 const Person = require('../models/Person');
 const EventParticipant = require('../models/EventParticipant');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../utils/asyncHandler');
+const { toM3U, toCSV, toFileName, detectFormat, parsePlaylist } = require('../utils/playlistFormats');
+const { createFingerprint } = require('../utils/songFingerprint');
+const { RequesterType, checkRequestLimits } = require('../utils/requestLimiter');
+const { PolicyAction, evaluateContentPolicy } = require('../utils/contentPolicy');
+const { refundTips } = require('../services/payments/tipLedger');
+const { EventPermission } = require('../utils/eventPermissions');
+const { readPagination, paginate } = require('../utils/pagination');
+const { parseResourceQuery, applyResourceQuery, shapeResults } = require('../utils/queryLayer');
+const { SongRequestResource } = require('../utils/resourceQueries');
+
+const MAX_PLAYLIST_ENTRIES = 500;
+const MAX_BULK_ITEMS = 200;
+
+// Statuses each bulk action may be applied to (delete and setPriority apply to any)
+const BULK_ACTION_STATUSES = {
+  approve: [SongStatus.PENDING],
+  reject: [SongStatus.PENDING, SongStatus.APPROVED],
+  markPlayed: [SongStatus.APPROVED, SongStatus.PLAYING]
+};
+
+// Vote counts are public but who voted is not, so the voter lists give way to the caller's own vote
+const withCallerVote = (songRequest, user) => {
+  const { likes = [], downvotes = [], ...fields } = songRequest.toObject();
+  const isCaller = entry => Boolean(user) && entry.user.toString() === user.id;
+
+  return { ...fields, hasVoted: likes.some(isCaller) || downvotes.some(isCaller) };
+};
 
 // @desc    Get all song requests for an event
 // @route   GET /api/events/:eventId/song-requests
 // @access  Public (if event is public) / Private (if event is private)
 exports.getSongRequests = asyncHandler(async (req, res, next) => {
   const { eventId } = req.params;
-  const { status, priority, search, sort = '-createdAt', page = 1, limit = 20 } = req.query;
+  const { status, priority, search } = req.query;
+  const { page, limit, cursor } = readPagination(req.query, { defaultLimit: 20 });
+  const resourceQuery = parseResourceQuery(SongRequestResource, req.query);
+  if (resourceQuery.error) {
+    return next(resourceQuery.error);
+  }
 
   // Check if event exists and user has access
   const event = await Event.findById(eventId);
@@ -47,23 +82,12 @@ exports.getSongRequests = asyncHandler(async (req, res, next) => {
   }
 
   // Execute query with pagination
-  const startIndex = (page - 1) * limit;
-  const total = await SongRequest.countDocuments(query);
-  
-  const songRequests = await SongRequest.find(query)
-    .populate('requestedBy', 'firstName lastName email')
-    .populate('event', 'name startDate endDate')
-    .sort({ createdAt: -1 })
-    .limit(limit)
-    .skip(startIndex);
-
-  // Pagination result
-  const pagination = {};
-  if (startIndex + limit < total) {
-    pagination.next = { page: parseInt(page) + 1, limit: parseInt(limit) };
-  }
-  if (startIndex > 0) {
-    pagination.prev = { page: parseInt(page) - 1, limit: parseInt(limit) };
+  const { data: songRequests, total, pagination, error } = await paginate(
+    applyResourceQuery(SongRequest.find(query), SongRequestResource, resourceQuery),
+    { sort: resourceQuery.sort, page, limit, cursor }
+  );
+  if (error) {
+    return next(error);
   }
 
   res.status(200).json({
@@ -71,7 +95,11 @@ exports.getSongRequests = asyncHandler(async (req, res, next) => {
     count: songRequests.length,
     total,
     pagination,
-    data: songRequests
+    data: shapeResults(
+      songRequests.map(songRequest => withCallerVote(songRequest, req.user)),
+      SongRequestResource,
+      resourceQuery
+    )
   });
 });
 
@@ -110,7 +138,7 @@ exports.getSongRequest = asyncHandler(async (req, res, next) => {
 // @access  Private (must be event Member)
 exports.createSongRequest = asyncHandler(async (req, res, next) => {
   const { eventId } = req.params;
-  const { title, artist, album, duration, spotifyId, youtubeId, message } = req.body;
+  const { title, artist, album, genre, duration, releaseYear, isExplicit, spotifyId, youtubeId, message } = req.body;
 
   // Check if event exists and is active
   const event = await Event.findById(eventId);
@@ -128,7 +156,9 @@ exports.createSongRequest = asyncHandler(async (req, res, next) => {
   const isManager = user.role === 'Manager';
   const isGuest = user.role === 'Guest';
   const isMember = user.role === 'Member';
-  const isGuestMember = await EventParticipant.findOne({
+  const isEventStaff = !!event.getStaffRole(req.user.id);
+  const isRegisteredMember = event.isMember(req.user.id);
+  const isGuestMember = isGuest && !isRegisteredMember && await EventParticipant.findOne({
     event: eventId,
     email: req.user.email,
     isApproved: true
@@ -138,38 +168,81 @@ exports.createSongRequest = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('You must be a Member to request songs', 403));
   }
 
-  // Check for duplicate requests
-  const existingRequest = await SongRequest.findOne({
-    event: eventId,
-    requestedBy: req.user.id,
-    $or: [
-      { spotifyId: spotifyId },
-      { youtubeId: youtubeId },
-      { title: title, artist: artist }
-    ]
+  // Enforce the event's content policy
+  const policyViolations = evaluateContentPolicy(event.contentPolicy, {
+    title,
+    artist,
+    genre,
+    duration,
+    releaseYear,
+    isExplicit
   });
 
-  if (existingRequest) {
+  const isParked = policyViolations.length > 0 &&
+    event.contentPolicy.violationAction === PolicyAction.PARK;
+
+  if (policyViolations.length > 0 && !isParked) {
+    return next(new ErrorResponse(`Song request violates the event's content policy: ${policyViolations.join('; ')}`, 400));
+  }
+
+  // A requester can't ask for the same song twice, even where duplicates are allowed
+  const song = { title, artist, spotifyId, youtubeId };
+  if (await SongRequest.findRequesterRequest(eventId, req.user.id, song)) {
     return next(new ErrorResponse('You have already requested this song', 400));
   }
 
-  // Check request limits
-  const userRequestCount = await SongRequest.countDocuments({
-    event: eventId,
-    requestedBy: req.user.id,
-    status: { $in: ['pending', 'approved'] }
-  });
+  // Check for duplicate requests across the whole event
+  const originalRequest = await SongRequest.findOriginalRequest(eventId, song);
 
-  // Set maximum songs based on user role
-  let maxSongs = event.maxSongsPerUser || 1; // Default from event settings
-  
-  // For Members, allow up to 5 songs regardless of event settings
-  if (isMember || isGuestMember) {
-    maxSongs = Math.min(5, event.maxSongsPerUser || 5);
+  if (originalRequest && !event.allowDuplicates) {
+    if (!event.countDuplicatesAsUpvotes) {
+      return next(new ErrorResponse('This song has already been requested for this event', 400));
+    }
+
+    if (originalRequest.hasUserLiked(req.user.id)) {
+      return next(new ErrorResponse('You have already upvoted this song', 400));
+    }
+
+    // Count the repeat request as an upvote on the original, replacing any downvote
+    await originalRequest.castVote(req.user.id, 'up');
+    await originalRequest.populate('requestedBy', 'firstName lastName profilePicture');
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`event_${eventId}`).emit('songRequestLiked', {
+        songRequestId: originalRequest._id,
+        userId: req.user.id,
+        action: 'liked',
+        likeCount: originalRequest.likeCount,
+        downvoteCount: originalRequest.downvoteCount,
+        event: eventId
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'This song was already requested, so your request was counted as an upvote',
+      mergedIntoOriginal: true,
+      data: originalRequest
+    });
   }
 
-  if (userRequestCount >= maxSongs) {
-    return next(new ErrorResponse(`Maximum ${maxSongs} song requests allowed per user`, 400));
+  // Check request limits (Admins and event staff are exempt)
+  if (!isAdmin && !isEventStaff) {
+    let requesterType = RequesterType.MEMBER;
+    if (isGuestMember) {
+      requesterType = RequesterType.PARTICIPANT;
+    } else if (isGuest) {
+      requesterType = RequesterType.GUEST;
+    }
+
+    const limitCheck = await checkRequestLimits(event, req.user.id, requesterType);
+    if (!limitCheck.allowed) {
+      if (limitCheck.retryAfter) {
+        res.set('Retry-After', Math.ceil((limitCheck.retryAfter - Date.now()) / 1000));
+      }
+      return next(new ErrorResponse(limitCheck.message, 429));
+    }
   }
 
   // Create song request
@@ -177,12 +250,23 @@ exports.createSongRequest = asyncHandler(async (req, res, next) => {
     title,
     artist,
     album,
+    genre,
     duration,
+    releaseYear,
+    isExplicit,
     spotifyId,
     youtubeId,
     message,
     event: eventId,
-    requestedBy: req.user.id
+    requestedBy: req.user.id,
+    isDuplicate: !!originalRequest,
+    originalRequest: originalRequest ? originalRequest._id : undefined,
+    // Parked requests stay Pending with a note explaining why
+    status: SongStatus.PENDING,
+    policyViolations: isParked ? policyViolations : undefined,
+    djNote: isParked
+      ? `Held for review: ${policyViolations.join('; ')}`.slice(0, 500)
+      : undefined
   });
 
   await songRequest.populate('requestedBy', 'firstName lastName profilePicture');
@@ -204,7 +288,7 @@ exports.createSongRequest = asyncHandler(async (req, res, next) => {
 
 // @desc    Update song request
 // @route   PUT /api/events/:eventId/song-requests/:id
-// @access  Private (owner or event manager)
+// @access  Private (owner or event staff)
 exports.updateSongRequest = asyncHandler(async (req, res, next) => {
   const { eventId, id } = req.params;
   const { title, artist, album, duration, message, priority } = req.body;
@@ -218,15 +302,14 @@ exports.updateSongRequest = asyncHandler(async (req, res, next) => {
   // Check permissions
   const event = await Event.findById(eventId);
   const isOwner = songRequest.requestedBy.toString() === req.user.id;
-  const isManager = event.managers.includes(req.user.id);
-  const isAdmin = req.user.role === 'admin';
+  const canModerate = event.hasPermission(req.user, EventPermission.MODERATE_REQUESTS);
 
-  if (!isOwner && !isManager && !isAdmin) {
+  if (!isOwner && !canModerate) {
     return next(new ErrorResponse('Not authorized to update this song request', 403));
   }
 
   // Only allow certain fields to be updated by owner
-  const allowedFields = isOwner && !isManager && !isAdmin 
+  const allowedFields = !canModerate
     ? { title, artist, album, duration, message }
     : { title, artist, album, duration, message, priority };
 
@@ -235,6 +318,14 @@ exports.updateSongRequest = asyncHandler(async (req, res, next) => {
     allowedFields[key] === undefined && delete allowedFields[key]
   );
 
+  // Keep the duplicate-detection fingerprint in sync with title/artist edits
+  if (allowedFields.title || allowedFields.artist) {
+    allowedFields.fingerprint = createFingerprint(
+      allowedFields.title || songRequest.title,
+      allowedFields.artist || songRequest.artist
+    );
+  }
+
   songRequest = await SongRequest.findByIdAndUpdate(id, allowedFields, {
     new: true,
     runValidators: true
@@ -258,7 +349,7 @@ exports.updateSongRequest = asyncHandler(async (req, res, next) => {
 
 // @desc    Delete song request
 // @route   DELETE /api/events/:eventId/song-requests/:id
-// @access  Private (owner or event manager)
+// @access  Private (owner or event staff)
 exports.deleteSongRequest = asyncHandler(async (req, res, next) => {
   const { eventId, id } = req.params;
 
@@ -270,14 +361,14 @@ exports.deleteSongRequest = asyncHandler(async (req, res, next) => {
   // Check permissions
   const event = await Event.findById(eventId);
   const isOwner = songRequest.requestedBy.toString() === req.user.id;
-  const isManager = event.managers.includes(req.user.id);
-  const isAdmin = req.user.role === 'admin';
+  const canModerate = event.hasPermission(req.user, EventPermission.MODERATE_REQUESTS);
 
-  if (!isOwner && !isManager && !isAdmin) {
+  if (!isOwner && !canModerate) {
     return next(new ErrorResponse('Not authorized to delete this song request', 403));
   }
 
   await songRequest.deleteOne();
+  await refundTips(songRequest._id, 'Song request deleted', req.user.id);
 
   // Emit real-time event
   const io = req.app.get('io');
@@ -315,6 +406,10 @@ exports.toggleLike = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('You must be a Member to like songs', 403));
   }
 
+  if (event.votingMode === VotingMode.NONE) {
+    return next(new ErrorResponse('Voting is disabled for this event', 400));
+  }
+
   const songRequest = await SongRequest.findOne({ _id: id, event: eventId });
   if (!songRequest) {
     return next(new ErrorResponse('Song request not found', 404));
@@ -345,9 +440,57 @@ exports.toggleLike = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Upvote/downvote song request
+// @route   POST /api/events/:eventId/song-requests/:id/vote
+// @access  Private (event Members)
+exports.voteSongRequest = asyncHandler(async (req, res, next) => {
+  const { eventId, id } = req.params;
+  const { vote } = req.body;
+
+  const event = req.event || await Event.findById(eventId);
+  if (!event) {
+    return next(new ErrorResponse('Event not found', 404));
+  }
+
+  if (event.votingMode !== VotingMode.UPDOWN) {
+    return next(new ErrorResponse('Up/down voting is not enabled for this event', 400));
+  }
+
+  const songRequest = await SongRequest.findOne({ _id: id, event: eventId });
+  if (!songRequest) {
+    return next(new ErrorResponse('Song request not found', 404));
+  }
+
+  await songRequest.castVote(req.user.id, vote);
+
+  // Emit real-time event
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`event_${eventId}`).emit('songRequestVoted', {
+      songRequestId: id,
+      userId: req.user.id,
+      vote,
+      likeCount: songRequest.likeCount,
+      downvoteCount: songRequest.downvoteCount,
+      voteScore: songRequest.voteScore,
+      event: eventId
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      vote,
+      likeCount: songRequest.likeCount,
+      downvoteCount: songRequest.downvoteCount,
+      voteScore: songRequest.voteScore
+    }
+  });
+});
+
 // @desc    Approve song request
 // @route   POST /api/events/:eventId/song-requests/:id/approve
-// @access  Private (event managers only)
+// @access  Private (event staff only)
 exports.approveSongRequest = asyncHandler(async (req, res, next) => {
   const { eventId, id } = req.params;
   const { queuePosition } = req.body;
@@ -384,7 +527,7 @@ exports.approveSongRequest = asyncHandler(async (req, res, next) => {
 
 // @desc    Reject song request
 // @route   POST /api/events/:eventId/song-requests/:id/reject
-// @access  Private (event managers only)
+// @access  Private (event staff only)
 exports.rejectSongRequest = asyncHandler(async (req, res, next) => {
   const { eventId, id } = req.params;
   const { reason } = req.body;
@@ -401,6 +544,7 @@ exports.rejectSongRequest = asyncHandler(async (req, res, next) => {
   }
 
   const result = await songRequest.reject(req.user.id, reason);
+  await refundTips(songRequest._id, 'Song request rejected', req.user.id);
   await songRequest.populate('requestedBy', 'firstName lastName profilePicture')
     .populate('approvedBy', 'firstName lastName');
 
@@ -437,33 +581,253 @@ exports.getEventQueue = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Access denied to this event', 403));
   }
 
-  const queue = await SongRequest.getEventQueue(eventId);
+  const queue = await SongRequest.findQueue(eventId);
 
   res.status(200).json({
     success: true,
     count: queue.length,
+    votingMode: event.votingMode,
+    rankingStrategy: event.rankingStrategy,
     data: queue
   });
 });
 
+// @desc    Reorder event queue
+// @route   PUT /api/events/:eventId/song-requests/queue/order
+// @access  Private (event staff only)
+exports.reorderQueue = asyncHandler(async (req, res, next) => {
+  const { eventId } = req.params;
+  const { order, requestId, before, after } = req.body;
+
+  const event = req.event || await Event.findById(eventId);
+  if (!event) {
+    return next(new ErrorResponse('Event not found', 404));
+  }
+
+  if (event.rankingStrategy && event.rankingStrategy !== RankingStrategy.MANUAL) {
+    return next(new ErrorResponse(`Queue order is computed by the ${event.rankingStrategy} ranking strategy and cannot be reordered manually`, 400));
+  }
+
+  const currentQueue = await SongRequest.findQueue(eventId);
+
+  const currentIds = currentQueue.map(song => song._id.toString());
+  let orderedIds;
+
+  if (Array.isArray(order)) {
+    // Full ordering must contain every queued request exactly once
+    const requestedIds = order.map(id => id.toString());
+    const uniqueIds = new Set(requestedIds);
+
+    if (uniqueIds.size !== requestedIds.length) {
+      return next(new ErrorResponse('Queue order contains duplicate song requests', 400));
+    }
+
+    if (requestedIds.length !== currentIds.length || !currentIds.every(id => uniqueIds.has(id))) {
+      return next(new ErrorResponse('Queue order must contain every approved song request exactly once', 409));
+    }
+
+    orderedIds = requestedIds;
+  } else {
+    // Move a single request before or after another one
+    const targetId = before || after;
+
+    if (!requestId || !targetId) {
+      return next(new ErrorResponse('Provide either order or requestId with before/after', 400));
+    }
+
+    if (requestId === targetId) {
+      return next(new ErrorResponse('A song request cannot be moved relative to itself', 400));
+    }
+
+    if (!currentIds.includes(requestId) || !currentIds.includes(targetId)) {
+      return next(new ErrorResponse('Song request not found in queue', 404));
+    }
+
+    orderedIds = currentIds.filter(id => id !== requestId);
+    const targetIndex = orderedIds.indexOf(targetId);
+    orderedIds.splice(before ? targetIndex : targetIndex + 1, 0, requestId);
+  }
+
+  const queue = await SongRequest.applyQueueOrder(eventId, orderedIds, req.user.id);
+
+  // Emit real-time event
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`event_${eventId}`).emit('queueReordered', {
+      event: eventId,
+      queue: queue.map(song => ({
+        songRequestId: song._id,
+        queuePosition: song.queuePosition
+      })),
+      reorderedBy: req.user.id
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    count: queue.length,
+    data: queue
+  });
+});
+
+// @desc    Apply a moderation action to many song requests at once
+// @route   POST /api/events/:eventId/song-requests/bulk
+// @access  Private (event staff only)
+exports.bulkModerateSongRequests = asyncHandler(async (req, res, next) => {
+  const { eventId } = req.params;
+  const { action, ids, filter, reason, priority } = req.body;
+
+  const event = req.event || await Event.findById(eventId);
+  if (!event) {
+    return next(new ErrorResponse('Event not found', 404));
+  }
+
+  if (!Array.isArray(ids) && !filter) {
+    return next(new ErrorResponse('Provide either ids or a filter', 400));
+  }
+
+  // Resolve the target set, always scoped to this event
+  const query = { event: eventId };
+  if (Array.isArray(ids)) {
+    query._id = { $in: ids };
+  } else {
+    if (filter.status) query.status = filter.status;
+    if (filter.requestedBy) query.requestedBy = filter.requestedBy;
+    if (filter.isTimeBomb !== undefined) query.isTimeBomb = filter.isTimeBomb === true || filter.isTimeBomb === 'true';
+    if (filter.createdBefore || filter.createdAfter) {
+      query.createdAt = {};
+      if (filter.createdAfter) query.createdAt.$gte = new Date(filter.createdAfter);
+      if (filter.createdBefore) query.createdAt.$lte = new Date(filter.createdBefore);
+    }
+
+    // A filter without criteria targets the whole event, so that has to be asked for
+    if (Object.keys(query).length === 1 && filter.all !== true && filter.all !== 'true') {
+      return next(new ErrorResponse('Provide at least one filter criterion, or all: true', 400));
+    }
+  }
+
+  const songRequests = await SongRequest.find(query)
+    .sort({ createdAt: 1 })
+    .limit(MAX_BULK_ITEMS + 1);
+
+  if (songRequests.length > MAX_BULK_ITEMS) {
+    return next(new ErrorResponse(`Bulk actions are limited to ${MAX_BULK_ITEMS} song requests at a time`, 400));
+  }
+
+  const allowedStatuses = BULK_ACTION_STATUSES[action];
+  const currentTrackId = event.playback && event.playback.currentTrack
+    ? event.playback.currentTrack.toString()
+    : null;
+  const results = [];
+  let currentTrackAffected = false;
+
+  for (const songRequest of songRequests) {
+    const id = songRequest._id.toString();
+
+    if (allowedStatuses && !allowedStatuses.includes(songRequest.status)) {
+      results.push({ id, result: 'skipped', reason: `Cannot ${action} a song request that is ${songRequest.status}` });
+      continue;
+    }
+
+    try {
+      switch (action) {
+        case 'approve':
+          await songRequest.approve(req.user.id);
+          break;
+        case 'reject':
+          await songRequest.reject(req.user.id, reason);
+          await refundTips(songRequest._id, 'Song request rejected', req.user.id);
+          break;
+        case 'markPlayed':
+          await songRequest.markAsPlayed(req.user.id);
+          break;
+        case 'setPriority':
+          songRequest.priority = priority;
+          songRequest.updatedBy = req.user.id;
+          await songRequest.save();
+          break;
+        case 'delete':
+          await songRequest.deleteOne();
+          await refundTips(songRequest._id, 'Song request deleted', req.user.id);
+          break;
+      }
+
+      if (id === currentTrackId && ['markPlayed', 'delete'].includes(action)) {
+        currentTrackAffected = true;
+      }
+
+      results.push({ id, result: 'updated', status: action === 'delete' ? null : songRequest.status });
+    } catch (error) {
+      results.push({ id, result: 'failed', reason: error.message });
+    }
+  }
+
+  // Requested IDs that don't belong to this event
+  if (Array.isArray(ids)) {
+    const foundIds = new Set(songRequests.map(songRequest => songRequest._id.toString()));
+    [...new Set(ids.map(id => id.toString()))]
+      .filter(id => !foundIds.has(id))
+      .forEach(id => results.push({ id, result: 'notFound', reason: 'Song request not found' }));
+  }
+
+  if (currentTrackAffected) {
+    event.playback = { currentTrack: null, isPaused: false, pausedDuration: 0 };
+    await event.save();
+  }
+
+  const summary = {
+    requested: results.length,
+    updated: results.filter(item => item.result === 'updated').length,
+    skipped: results.filter(item => item.result === 'skipped').length,
+    notFound: results.filter(item => item.result === 'notFound').length,
+    failed: results.filter(item => item.result === 'failed').length
+  };
+
+  // Emit a single aggregated real-time event
+  const io = req.app.get('io');
+  if (io && summary.updated > 0) {
+    io.to(`event_${eventId}`).emit('songRequestsBulkUpdated', {
+      event: eventId,
+      action,
+      songRequestIds: results.filter(item => item.result === 'updated').map(item => item.id),
+      reason: action === 'reject' ? reason : undefined,
+      priority: action === 'setPriority' ? priority : undefined,
+      updatedBy: req.user.id
+    });
+
+    if (currentTrackAffected) {
+      io.to(`event_${eventId}`).emit('nowPlaying', await event.getNowPlaying());
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    action,
+    summary,
+    data: results
+  });
+});
+
 // @desc    Get TimeBomb requests
 // @route   GET /api/events/:eventId/timebombs
-// @access  Private (event managers only)
+// @access  Private (event staff only)
 exports.getTimeBombs = asyncHandler(async (req, res, next) => {
   const { eventId } = req.params;
 
-  const timeBombs = await SongRequest.getTimeBombs(eventId);
+  const timeBombs = await SongRequest.findTimeBombs(eventId);
+  const flagged = await SongRequest.findFlaggedTimeBombs(eventId);
 
   res.status(200).json({
     success: true,
     count: timeBombs.length,
-    data: timeBombs
+    data: timeBombs,
+    flagged
   });
 });
 
 // @desc    Get event statistics
 // @route   GET /api/events/:eventId/stats
-// @access  Private (event managers only)
+// @access  Private (event staff only)
 exports.getEventStats = asyncHandler(async (req, res, next) => {
   const { eventId } = req.params;
 
@@ -475,9 +839,207 @@ exports.getEventStats = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Export played songs as a setlist
+// @route   GET /api/events/:eventId/setlist?format=m3u|csv|json
+// @access  Private (event staff only)
+exports.exportSetlist = asyncHandler(async (req, res, next) => {
+  const { eventId } = req.params;
+  const format = (req.query.format || 'json').toLowerCase();
+
+  const event = await Event.findById(eventId);
+  if (!event) {
+    return next(new ErrorResponse('Event not found', 404));
+  }
+
+  const playedSongs = await SongRequest.find({
+    event: eventId,
+    status: SongStatus.PLAYED
+  })
+    .populate('requestedBy', 'firstName lastName')
+    .sort({ playedAt: 1, _id: 1 });
+
+  const tracks = playedSongs.map((song, index) => ({
+    position: index + 1,
+    artist: song.artist,
+    title: song.title,
+    album: song.album,
+    duration: song.duration,
+    requestedBy: song.requestedBy
+      ? `${song.requestedBy.firstName} ${song.requestedBy.lastName}`
+      : null,
+    likeCount: song.likeCount,
+    playedAt: song.playedAt,
+    spotifyId: song.spotifyId,
+    youtubeId: song.youtubeId
+  }));
+
+  const fileName = toFileName(`${event.name}-setlist`, format);
+  res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+
+  if (format === 'm3u') {
+    res.set('Content-Type', 'audio/x-mpegurl; charset=utf-8');
+    return res.status(200).send(toM3U(tracks, { title: event.name }));
+  }
+
+  if (format === 'csv') {
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    return res.status(200).send(toCSV(tracks));
+  }
+
+  res.set('Content-Type', 'application/json; charset=utf-8');
+  res.status(200).send(JSON.stringify({
+    event: {
+      id: event._id,
+      name: event.name,
+      startDate: event.startDate,
+      endDate: event.endDate
+    },
+    exportedAt: new Date(),
+    count: tracks.length,
+    tracks
+  }, null, 2));
+});
+
+// @desc    Import a playlist into the approved queue
+// @route   POST /api/events/:id/playlist-import
+// @access  Private (event staff only)
+exports.importPlaylist = asyncHandler(async (req, res, next) => {
+  const eventId = req.params.id;
+
+  const event = await Event.findById(eventId);
+  if (!event) {
+    return next(new ErrorResponse('Event not found', 404));
+  }
+
+  if (!req.file) {
+    return next(new ErrorResponse('Please upload a playlist file', 400));
+  }
+
+  const format = detectFormat(req.file.originalname, req.body.format);
+  if (!format) {
+    return next(new ErrorResponse('Could not determine playlist format', 400));
+  }
+
+  let entries;
+  try {
+    entries = parsePlaylist(req.file.buffer.toString('utf8'), format);
+  } catch (error) {
+    return next(new ErrorResponse(`Could not parse playlist: ${error.message}`, 400));
+  }
+
+  if (entries.length === 0) {
+    return next(new ErrorResponse('Playlist does not contain any tracks', 400));
+  }
+
+  if (entries.length > MAX_PLAYLIST_ENTRIES) {
+    return next(new ErrorResponse(`Playlists are limited to ${MAX_PLAYLIST_ENTRIES} tracks`, 400));
+  }
+
+  // Songs already requested for this event
+  const existingSongs = await SongRequest.find({
+    event: eventId,
+    status: { $ne: SongStatus.REJECTED }
+  }).select('title artist fingerprint spotifyId youtubeId');
+
+  const seenFingerprints = new Set(existingSongs.map(song => song.fingerprint || createFingerprint(song.title, song.artist)));
+  const seenSpotifyIds = new Set(existingSongs.filter(song => song.spotifyId).map(song => song.spotifyId));
+  const seenYoutubeIds = new Set(existingSongs.filter(song => song.youtubeId).map(song => song.youtubeId));
+
+  const lastInQueue = await SongRequest.findOne({
+    event: eventId,
+    status: SongStatus.APPROVED
+  }).sort({ queuePosition: -1 });
+  let nextPosition = lastInQueue && lastInQueue.queuePosition ? lastInQueue.queuePosition + 1 : 1;
+
+  const report = [];
+  const songsToCreate = [];
+
+  entries.forEach(entry => {
+    const item = { line: entry.line, artist: entry.artist, title: entry.title };
+
+    if (entry.error) {
+      report.push({ ...item, status: 'invalid', reason: entry.error });
+      return;
+    }
+
+    if (!entry.title || !entry.artist) {
+      report.push({ ...item, status: 'invalid', reason: 'Artist and title are required' });
+      return;
+    }
+
+    const fingerprint = createFingerprint(entry.title, entry.artist);
+    const isDuplicate = seenFingerprints.has(fingerprint) ||
+      (entry.spotifyId && seenSpotifyIds.has(entry.spotifyId)) ||
+      (entry.youtubeId && seenYoutubeIds.has(entry.youtubeId));
+
+    if (isDuplicate) {
+      report.push({ ...item, status: 'duplicate', reason: 'Song is already requested for this event' });
+      return;
+    }
+
+    const songRequest = new SongRequest({
+      title: entry.title,
+      artist: entry.artist,
+      album: entry.album,
+      duration: entry.duration,
+      spotifyId: entry.spotifyId,
+      youtubeId: entry.youtubeId,
+      event: eventId,
+      requestedBy: req.user.id,
+      status: SongStatus.APPROVED,
+      queuePosition: nextPosition,
+      fingerprint,
+      createdBy: req.user.id
+    });
+
+    const validationError = songRequest.validateSync();
+    if (validationError) {
+      const reason = Object.values(validationError.errors).map(err => err.message).join(', ');
+      report.push({ ...item, status: 'invalid', reason });
+      return;
+    }
+
+    seenFingerprints.add(fingerprint);
+    if (entry.spotifyId) seenSpotifyIds.add(entry.spotifyId);
+    if (entry.youtubeId) seenYoutubeIds.add(entry.youtubeId);
+
+    nextPosition += 1;
+    songsToCreate.push(songRequest);
+    report.push({ ...item, status: 'imported', songRequestId: songRequest._id, queuePosition: songRequest.queuePosition });
+  });
+
+  if (songsToCreate.length > 0) {
+    await SongRequest.insertMany(songsToCreate);
+  }
+
+  const summary = {
+    total: report.length,
+    imported: report.filter(item => item.status === 'imported').length,
+    duplicate: report.filter(item => item.status === 'duplicate').length,
+    invalid: report.filter(item => item.status === 'invalid').length
+  };
+
+  // Emit real-time event
+  const io = req.app.get('io');
+  if (io && summary.imported > 0) {
+    io.to(`event_${eventId}`).emit('playlistImported', {
+      event: eventId,
+      imported: summary.imported,
+      importedBy: req.user.id
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    format,
+    summary,
+    data: report
+  });
+});
+
 // @desc    Mark song request as played
 // @route   PUT /api/events/:eventId/song-requests/:id/mark-played
-// @access  Private (Admin/Manager only)
+// @access  Private (event staff only)
 exports.markSongAsPlayed = asyncHandler(async (req, res, next) => {
   const { eventId, id } = req.params;
   const { playDuration } = req.body;
@@ -488,14 +1050,9 @@ exports.markSongAsPlayed = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Event not found', 404));
   }
 
-  // Check if user is Admin or Manager of the event
-  const user = await Person.findById(req.user.id);
-  const isAdmin = user.role === 'Admin';
-  const isEventManager = event.managedBy.toString() === req.user.id;
-  const isManager = user.role === 'Manager';
-
-  if (!isAdmin && !isEventManager && !isManager) {
-    return next(new ErrorResponse('Access denied. Only Admin or Event Manager can mark songs as played', 403));
+  // Check if user can control playback for the event
+  if (!event.hasPermission(req.user, EventPermission.CONTROL_PLAYBACK)) {
+    return next(new ErrorResponse('Access denied. Only Admin or event staff can mark songs as played', 403));
   }
 
   // Find and update song request
@@ -505,8 +1062,15 @@ exports.markSongAsPlayed = asyncHandler(async (req, res, next) => {
   }
 
   // Mark as played using the model method
-  songRequest.markAsPlayed(req.user.id, playDuration);
-  await songRequest.save();
+  await songRequest.markAsPlayed(req.user.id, playDuration);
+
+  // Clear the playback state if this was the track currently playing
+  const isCurrentTrack = event.playback && event.playback.currentTrack &&
+    event.playback.currentTrack.toString() === id;
+  if (isCurrentTrack) {
+    event.playback = { currentTrack: null, isPaused: false, pausedDuration: 0 };
+    await event.save();
+  }
 
   await songRequest.populate('requestedBy', 'firstName lastName profilePicture');
   await songRequest.populate('playedBy', 'firstName lastName');
@@ -518,6 +1082,10 @@ exports.markSongAsPlayed = asyncHandler(async (req, res, next) => {
       songRequest,
       event: eventId
     });
+
+    if (isCurrentTrack) {
+      io.to(`event_${eventId}`).emit('nowPlaying', await event.getNowPlaying());
+    }
   }
 
   res.status(200).json({
@@ -528,7 +1096,7 @@ exports.markSongAsPlayed = asyncHandler(async (req, res, next) => {
 
 // @desc    Remove song request from list
 // @route   DELETE /api/events/:eventId/song-requests/:id/remove
-// @access  Private (Admin/Manager only)
+// @access  Private (event staff only)
 exports.removeSongFromList = asyncHandler(async (req, res, next) => {
   const { eventId, id } = req.params;
 
@@ -538,14 +1106,9 @@ exports.removeSongFromList = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Event not found', 404));
   }
 
-  // Check if user is Admin or Manager of the event
-  const user = await Person.findById(req.user.id);
-  const isAdmin = user.role === 'Admin';
-  const isEventManager = event.managedBy.toString() === req.user.id;
-  const isManager = user.role === 'Manager';
-
-  if (!isAdmin && !isEventManager && !isManager) {
-    return next(new ErrorResponse('Access denied. Only Admin or Event Manager can remove songs', 403));
+  // Check if user can moderate requests for the event
+  if (!event.hasPermission(req.user, EventPermission.MODERATE_REQUESTS)) {
+    return next(new ErrorResponse('Access denied. Only Admin or event staff can remove songs', 403));
   }
 
   // Find and remove song request
@@ -554,6 +1117,8 @@ exports.removeSongFromList = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Song request not found', 404));
   }
 
+  await refundTips(songRequest._id, 'Song request removed', req.user.id);
+
   // Emit real-time event
   const io = req.app.get('io');
   if (io) {
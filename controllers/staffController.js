@@ -0,0 +1,182 @@
+const Event = require('../models/Event');
+const Person = require('../models/Person');
+const asyncHandler = require('../utils/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const { StaffRole, getRolePermissions } = require('../utils/eventPermissions');
+
+// Only the owner (or an Admin) can hand out or take away co-manager rights
+const canManageCoManagers = (req, event) => {
+  return req.user.role === 'Admin' || event.getStaffRole(req.user.id) === StaffRole.OWNER;
+};
+
+const emitStaffUpdated = (req, event) => {
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`event_${event._id}`).emit('staffUpdated', {
+      event: event._id,
+      staff: event.staff,
+      updatedBy: req.user.id
+    });
+  }
+};
+
+// @desc    Get event staff
+// @route   GET /api/events/:id/staff
+// @access  Private (event staff only)
+exports.getEventStaff = asyncHandler(async (req, res, next) => {
+  const event = await Event.findById(req.params.id)
+    .populate('manager', 'firstName lastName email')
+    .populate('staff.user', 'firstName lastName email role')
+    .populate('staff.addedBy', 'firstName lastName');
+
+  if (!event) {
+    return next(new ErrorResponse('Event not found', 404));
+  }
+
+  const owner = {
+    user: event.manager,
+    role: StaffRole.OWNER,
+    permissions: getRolePermissions(StaffRole.OWNER)
+  };
+
+  const staff = event.staff.map(staffMember => ({
+    ...staffMember.toObject(),
+    permissions: getRolePermissions(staffMember.role)
+  }));
+
+  res.status(200).json({
+    success: true,
+    count: staff.length + 1,
+    data: [owner, ...staff]
+  });
+});
+
+// @desc    Add a person to the event staff
+// @route   POST /api/events/:id/staff
+// @access  Private (staff with staff management permission)
+exports.addEventStaff = asyncHandler(async (req, res, next) => {
+  const { userId, email, role } = req.body;
+
+  const event = req.event || await Event.findById(req.params.id);
+  if (!event) {
+    return next(new ErrorResponse('Event not found', 404));
+  }
+
+  if (role === StaffRole.CO_MANAGER && !canManageCoManagers(req, event)) {
+    return next(new ErrorResponse('Only the event owner can add co-managers', 403));
+  }
+
+  const person = userId
+    ? await Person.findById(userId)
+    : await Person.findOne({ email: email && email.toLowerCase() });
+
+  if (!person) {
+    return next(new ErrorResponse('Person not found', 404));
+  }
+
+  if (!person.isActive) {
+    return next(new ErrorResponse('Cannot add a deactivated account to the event staff', 400));
+  }
+
+  if (event.getStaffRole(person._id)) {
+    return next(new ErrorResponse('This person is already on the event staff', 400));
+  }
+
+  event.staff.push({
+    user: person._id,
+    role,
+    addedBy: req.user.id,
+    addedAt: new Date()
+  });
+  event.updatedBy = req.user.id;
+  await event.save();
+
+  emitStaffUpdated(req, event);
+
+  res.status(201).json({
+    success: true,
+    data: {
+      user: {
+        _id: person._id,
+        firstName: person.firstName,
+        lastName: person.lastName,
+        email: person.email
+      },
+      role,
+      permissions: getRolePermissions(role)
+    }
+  });
+});
+
+// @desc    Change a staff member's role
+// @route   PUT /api/events/:id/staff/:userId
+// @access  Private (staff with staff management permission)
+exports.updateEventStaff = asyncHandler(async (req, res, next) => {
+  const { userId } = req.params;
+  const { role } = req.body;
+
+  const event = req.event || await Event.findById(req.params.id);
+  if (!event) {
+    return next(new ErrorResponse('Event not found', 404));
+  }
+
+  const staffMember = event.staff.find(s => s.user.toString() === userId);
+  if (!staffMember) {
+    return next(new ErrorResponse('Staff member not found', 404));
+  }
+
+  const involvesCoManager = role === StaffRole.CO_MANAGER || staffMember.role === StaffRole.CO_MANAGER;
+  if (involvesCoManager && !canManageCoManagers(req, event)) {
+    return next(new ErrorResponse('Only the event owner can change co-manager roles', 403));
+  }
+
+  staffMember.role = role;
+  event.updatedBy = req.user.id;
+  await event.save();
+
+  emitStaffUpdated(req, event);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...staffMember.toObject(),
+      permissions: getRolePermissions(role)
+    }
+  });
+});
+
+// @desc    Remove a person from the event staff
+// @route   DELETE /api/events/:id/staff/:userId
+// @access  Private (staff with staff management permission)
+exports.removeEventStaff = asyncHandler(async (req, res, next) => {
+  const { userId } = req.params;
+
+  const event = req.event || await Event.findById(req.params.id);
+  if (!event) {
+    return next(new ErrorResponse('Event not found', 404));
+  }
+
+  if (event.manager.toString() === userId) {
+    return next(new ErrorResponse('The event owner cannot be removed from the staff', 400));
+  }
+
+  const staffMember = event.staff.find(s => s.user.toString() === userId);
+  if (!staffMember) {
+    return next(new ErrorResponse('Staff member not found', 404));
+  }
+
+  if (staffMember.role === StaffRole.CO_MANAGER && !canManageCoManagers(req, event)) {
+    return next(new ErrorResponse('Only the event owner can remove co-managers', 403));
+  }
+
+  event.staff = event.staff.filter(s => s.user.toString() !== userId);
+  event.updatedBy = req.user.id;
+  await event.save();
+
+  emitStaffUpdated(req, event);
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
@@ -0,0 +1,121 @@
+const Event = require('../models/Event');
+const asyncHandler = require('../utils/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const { emitWaitlistUpdated } = require('../services/waitlist');
+
+const withPositions = (waitlist) => waitlist.map((entry, index) => ({
+  ...entry.toObject(),
+  position: index + 1
+}));
+
+// @desc    Get the waitlist for an event
+// @route   GET /api/events/:id/waitlist
+// @access  Private (staff with member management permission)
+exports.getWaitlist = asyncHandler(async (req, res, next) => {
+  const event = await Event.findById(req.params.id)
+    .select('maxMembers waitlist Members')
+    .populate('waitlist.user', 'firstName lastName email profilePicture');
+
+  if (!event) {
+    return next(new ErrorResponse('Event not found', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    count: event.waitlist.length,
+    capacity: {
+      maxMembers: event.maxMembers || null,
+      occupied: await event.countOccupiedSpots()
+    },
+    data: withPositions(event.waitlist)
+  });
+});
+
+// @desc    Reorder the waitlist
+// @route   PUT /api/events/:id/waitlist/order
+// @access  Private (staff with member management permission)
+exports.reorderWaitlist = asyncHandler(async (req, res, next) => {
+  const { order, entryId, before, after } = req.body;
+
+  const event = req.event || await Event.findById(req.params.id);
+  if (!event) {
+    return next(new ErrorResponse('Event not found', 404));
+  }
+
+  const currentIds = event.waitlist.map(entry => entry._id.toString());
+  let orderedIds;
+
+  if (Array.isArray(order)) {
+    // Full ordering must contain every waitlist entry exactly once
+    const requestedIds = order.map(id => id.toString());
+    const uniqueIds = new Set(requestedIds);
+
+    if (uniqueIds.size !== requestedIds.length) {
+      return next(new ErrorResponse('Waitlist order contains duplicate entries', 400));
+    }
+
+    if (requestedIds.length !== currentIds.length || !currentIds.every(id => uniqueIds.has(id))) {
+      return next(new ErrorResponse('Waitlist order must contain every waitlist entry exactly once', 409));
+    }
+
+    orderedIds = requestedIds;
+  } else {
+    // Move a single entry before or after another one
+    const targetId = before || after;
+
+    if (!entryId || !targetId) {
+      return next(new ErrorResponse('Provide either order or entryId with before/after', 400));
+    }
+
+    if (entryId === targetId) {
+      return next(new ErrorResponse('A waitlist entry cannot be moved relative to itself', 400));
+    }
+
+    if (!currentIds.includes(entryId) || !currentIds.includes(targetId)) {
+      return next(new ErrorResponse('Waitlist entry not found', 404));
+    }
+
+    orderedIds = currentIds.filter(id => id !== entryId);
+    const targetIndex = orderedIds.indexOf(targetId);
+    orderedIds.splice(before ? targetIndex : targetIndex + 1, 0, entryId);
+  }
+
+  const entriesById = new Map(event.waitlist.map(entry => [entry._id.toString(), entry.toObject()]));
+  event.waitlist = orderedIds.map(id => entriesById.get(id));
+  event.updatedBy = req.user.id;
+  await event.save();
+
+  emitWaitlistUpdated(req.app.get('io'), event);
+
+  res.status(200).json({
+    success: true,
+    count: event.waitlist.length,
+    data: withPositions(event.waitlist)
+  });
+});
+
+// @desc    Remove someone from the waitlist
+// @route   DELETE /api/events/:id/waitlist/:entryId
+// @access  Private (staff with member management permission)
+exports.removeWaitlistEntry = asyncHandler(async (req, res, next) => {
+  const event = req.event || await Event.findById(req.params.id);
+  if (!event) {
+    return next(new ErrorResponse('Event not found', 404));
+  }
+
+  const entry = event.waitlist.id(req.params.entryId);
+  if (!entry) {
+    return next(new ErrorResponse('Waitlist entry not found', 404));
+  }
+
+  event.waitlist.pull(entry._id);
+  event.updatedBy = req.user.id;
+  await event.save();
+
+  emitWaitlistUpdated(req.app.get('io'), event);
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
@@ -0,0 +1,85 @@
+const Event = require('../models/Event');
+const { EventStatus } = require('../models/Event');
+
+const DEFAULT_SCAN_INTERVAL_MS = 60 * 1000;
+
+let timer = null;
+let scanning = false;
+
+// Status an event should move to now, or null if it stays put
+const getNextStatus = (event, now) => {
+  const { opensAt, closesAt } = event.getActiveWindow();
+
+  if (closesAt < now) {
+    return EventStatus.COMPLETED;
+  }
+  if (event.status === EventStatus.PUBLISHED && opensAt <= now) {
+    return EventStatus.ACTIVE;
+  }
+  return null;
+};
+
+const scan = async (io) => {
+  // Skip a tick rather than overlap a slow scan
+  if (scanning) return;
+  scanning = true;
+
+  try {
+    const now = new Date();
+    const events = await Event.findDueForTransition(now);
+
+    for (const event of events) {
+      const nextStatus = getNextStatus(event, now);
+      if (!nextStatus || nextStatus === event.status) continue;
+
+      // Only move the event if nobody changed it since we looked
+      const updated = await Event.findOneAndUpdate(
+        { _id: event._id, status: event.status, 'lifecycle.manualOverride': { $ne: true } },
+        { $set: { status: nextStatus } },
+        { new: true }
+      );
+      if (!updated) continue;
+
+      if (io) {
+        io.to(`event_${event._id}`).emit('eventStatusChanged', {
+          event: event._id,
+          previousStatus: event.status,
+          status: nextStatus,
+          source: 'schedule',
+          timestamp: now
+        });
+      }
+    }
+  } catch (error) {
+    console.error('Event lifecycle scheduler error:', error.message);
+  } finally {
+    scanning = false;
+  }
+};
+
+// Start polling; the first scan runs immediately so transitions missed
+// while the server was down are applied on boot
+const start = (io) => {
+  if (timer) return;
+
+  const intervalMs = parseInt(process.env.EVENT_LIFECYCLE_SCAN_INTERVAL_MS, 10) || DEFAULT_SCAN_INTERVAL_MS;
+
+  scan(io);
+  timer = setInterval(() => scan(io), intervalMs);
+  timer.unref();
+
+  console.log(`📅 Event lifecycle scheduler running every ${intervalMs / 1000}s`);
+};
+
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  start,
+  stop,
+  scan
+};
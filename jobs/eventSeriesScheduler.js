@@ -0,0 +1,57 @@
+const EventSeries = require('../models/EventSeries');
+const { generateInstances } = require('../services/eventSeries');
+
+const DEFAULT_SCAN_INTERVAL_MS = 60 * 60 * 1000;
+
+let timer = null;
+let scanning = false;
+
+const scan = async () => {
+  // Skip a tick rather than overlap a slow scan
+  if (scanning) return;
+  scanning = true;
+
+  try {
+    const now = new Date();
+    const seriesList = await EventSeries.find({ isActive: true });
+
+    for (const series of seriesList) {
+      try {
+        await generateInstances(series, now);
+      } catch (error) {
+        console.error(`Event series ${series._id} generation error:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('Event series scheduler error:', error.message);
+  } finally {
+    scanning = false;
+  }
+};
+
+// Start polling; the first scan runs immediately so the generation window
+// is topped up on boot
+const start = () => {
+  if (timer) return;
+
+  const intervalMs = parseInt(process.env.EVENT_SERIES_SCAN_INTERVAL_MS, 10) || DEFAULT_SCAN_INTERVAL_MS;
+
+  scan();
+  timer = setInterval(scan, intervalMs);
+  timer.unref();
+
+  console.log(`🔁 Event series scheduler running every ${intervalMs / 1000}s`);
+};
+
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  start,
+  stop,
+  scan
+};
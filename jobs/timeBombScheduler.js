@@ -0,0 +1,152 @@
+const Event = require('../models/Event');
+const { TimeBombAction } = require('../models/Event');
+const SongRequest = require('../models/SongRequest');
+const { SongStatus } = require('../models/SongRequest');
+const { refundTips } = require('../services/payments/tipLedger');
+
+const DEFAULT_SCAN_INTERVAL_MS = 5000;
+const DEFAULT_WARNING_SECONDS = 60;
+
+// TimeBombs only count while the request is still waiting to be played
+const ACTIVE_STATUSES = [SongStatus.PENDING, SongStatus.APPROVED];
+
+let timer = null;
+let scanning = false;
+let warningSeconds = DEFAULT_WARNING_SECONDS;
+
+const emitToEvent = (io, eventId, name, data) => {
+  if (io) {
+    io.to(`event_${eventId}`).emit(name, data);
+  }
+};
+
+// Warn the room once per TimeBomb shortly before it goes off
+const sendWarnings = async (io, now) => {
+  const candidates = await SongRequest.find({
+    isTimeBomb: true,
+    status: { $in: ACTIVE_STATUSES },
+    timeBombWarnedAt: null,
+    timeBombExpiredAt: null,
+    timeBombExpiresAt: { $gt: now, $lte: new Date(now.getTime() + warningSeconds * 1000) }
+  }).select('_id');
+
+  for (const { _id } of candidates) {
+    // Claim the warning first so a restart or a second instance never repeats it
+    const songRequest = await SongRequest.findOneAndUpdate(
+      { _id, timeBombWarnedAt: null },
+      { $set: { timeBombWarnedAt: now } },
+      { new: true }
+    );
+    if (!songRequest) continue;
+
+    emitToEvent(io, songRequest.event, 'timeBombWarning', {
+      songRequestId: songRequest._id,
+      event: songRequest.event,
+      title: songRequest.title,
+      artist: songRequest.artist,
+      expiresAt: songRequest.timeBombExpiresAt,
+      secondsRemaining: Math.max(0, Math.round((songRequest.timeBombExpiresAt - now) / 1000))
+    });
+  }
+};
+
+// Fields each expiry outcome sets; they mirror pinToTop, reject and flagging on the model
+const expiryUpdate = (action, now) => {
+  switch (action) {
+    case TimeBombAction.APPROVE:
+      return { status: SongStatus.APPROVED, queuePinnedAt: now, updatedBy: null };
+    case TimeBombAction.REJECT:
+      return {
+        status: SongStatus.REJECTED,
+        timeBombFlagged: false,
+        rejectedBy: null,
+        rejectedAt: now,
+        rejectionReason: 'TimeBomb expired',
+        updatedBy: null
+      };
+    default:
+      return { timeBombFlagged: true };
+  }
+};
+
+// Apply the event's expiry outcome to every TimeBomb that has gone off
+const expireTimeBombs = async (io, now) => {
+  const candidates = await SongRequest.find({
+    isTimeBomb: true,
+    status: { $in: ACTIVE_STATUSES },
+    timeBombExpiredAt: null,
+    timeBombExpiresAt: { $lte: now }
+  }).select('_id event');
+
+  for (const { _id, event: eventId } of candidates) {
+    const event = await Event.findById(eventId).select('timeBombExpiryAction');
+    const action = (event && event.timeBombExpiryAction) || TimeBombAction.FLAG;
+
+    // Claim and apply in one update, so a restart or a second instance never
+    // leaves a request marked as expired without its outcome
+    const songRequest = await SongRequest.findOneAndUpdate(
+      { _id, timeBombExpiredAt: null, status: { $in: ACTIVE_STATUSES } },
+      { $set: { ...expiryUpdate(action, now), timeBombExpiredAt: now } },
+      { new: true }
+    );
+    if (!songRequest) continue;
+
+    // The tip bought a play before expiry, so it goes back whatever the outcome.
+    // Only the instance that claimed the TimeBomb refunds it.
+    await refundTips(songRequest._id, 'TimeBomb expired', null);
+
+    emitToEvent(io, songRequest.event, 'timeBombExpired', {
+      songRequestId: songRequest._id,
+      event: songRequest.event,
+      action,
+      status: songRequest.status,
+      flagged: songRequest.timeBombFlagged,
+      songRequest
+    });
+  }
+};
+
+const scan = async (io) => {
+  // Skip a tick rather than overlap a slow scan
+  if (scanning) return;
+  scanning = true;
+
+  try {
+    const now = new Date();
+    await expireTimeBombs(io, now);
+    await sendWarnings(io, now);
+  } catch (error) {
+    console.error('TimeBomb scheduler error:', error.message);
+  } finally {
+    scanning = false;
+  }
+};
+
+// Start polling; the first scan runs immediately so TimeBombs that expired
+// while the server was down are handled on boot
+const start = (io) => {
+  if (timer) return;
+
+  // Read settings at start so values loaded by dotenv are picked up
+  const intervalMs = parseInt(process.env.TIMEBOMB_SCAN_INTERVAL_MS, 10) || DEFAULT_SCAN_INTERVAL_MS;
+  warningSeconds = parseInt(process.env.TIMEBOMB_WARNING_SECONDS, 10) || DEFAULT_WARNING_SECONDS;
+
+  scan(io);
+  timer = setInterval(() => scan(io), intervalMs);
+  timer.unref();
+
+  console.log(`💣 TimeBomb scheduler running every ${intervalMs / 1000}s`);
+};
+
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  start,
+  stop,
+  scan
+};
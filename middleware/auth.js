@@ -1,7 +1,7 @@
-const jwt = require('jsonwebtoken');
-const Person = require('../models/Person');
 const { asyncHandler } = require('./errorHandler');
+const { authenticateToken } = require('../services/sessions');
 const ErrorResponse = require('../utils/errorResponse');
+const { EventPermission } = require('../utils/eventPermissions');
 
 // Protect routes - require authentication
 const protect = asyncHandler(async (req, res, next) => {
@@ -21,11 +21,8 @@ const protect = asyncHandler(async (req, res, next) => {
   }
 
   try {
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // Get user from token
-    const user = await Person.findById(decoded.id).select('-password');
+    // Verify token and its session, then get user from token
+    const { user, sessionId } = await authenticateToken(token);
     
     if (!user) {
       return res.status(401).json({
@@ -42,6 +39,7 @@ const protect = asyncHandler(async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = sessionId;
     next();
   } catch (error) {
     return res.status(401).json({
@@ -74,10 +72,11 @@ const optionalAuth = asyncHandler(async (req, res, next) => {
 
   if (token) {
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await Person.findById(decoded.id).select('-password');
+      const { user, sessionId } = await authenticateToken(token);
+      req.user = user;
+      req.sessionId = sessionId;
     } catch (error) {
-      // Token is invalid, but we allow the request to continue without user
+      // Token or session is invalid, but we allow the request to continue without user
       req.user = null;
     }
   }
@@ -101,8 +100,9 @@ const guestAccess = asyncHandler(async (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = await Person.findById(decoded.id).select('-password');
+    const { user, sessionId } = await authenticateToken(token);
+    req.user = user;
+    req.sessionId = sessionId;
     
     if (!req.user) {
       return res.status(404).json({
@@ -132,8 +132,9 @@ const adminOnly = asyncHandler(async (req, res, next) => {
   next();
 });
 
-// Manager access for their own events
-const managerEventAccess = asyncHandler(async (req, res, next) => {
+// Event staff access: the user needs every listed permission on the event.
+// Admins always pass; the owner and staff get their role's permissions.
+const eventPermission = (...permissions) => asyncHandler(async (req, res, next) => {
   const eventId = req.params.eventId || req.params.id;
   
   if (!eventId) {
@@ -143,40 +144,32 @@ const managerEventAccess = asyncHandler(async (req, res, next) => {
     });
   }
 
-  // Admin can access all events
-  if (req.user.role === 'Admin') {
-    return next();
+  const Event = require('../models/Event');
+  const event = await Event.findById(eventId);
+  
+  if (!event) {
+    return res.status(404).json({
+      success: false,
+      message: 'Event not found'
+    });
   }
 
-  // Manager can only access their own events
-  if (req.user.role === 'Manager') {
-    const Event = require('../models/Event');
-    const event = await Event.findById(eventId);
-    
-    if (!event) {
-      return res.status(404).json({
-        success: false,
-        message: 'Event not found'
-      });
-    }
-
-    if (event.manager.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. You can only manage your own events'
-      });
-    }
-
-    req.event = event;
-    return next();
+  const missing = permissions.filter(permission => !event.hasPermission(req.user, permission));
+  if (missing.length > 0) {
+    return res.status(403).json({
+      success: false,
+      message: `Access denied. You need the ${missing.join(', ')} permission for this event`
+    });
   }
 
-  return res.status(403).json({
-    success: false,
-    message: 'Access denied. Manager or Admin role required'
-  });
+  req.event = event;
+  req.eventRole = event.getStaffRole(req.user._id);
+  next();
 });
 
+// Manager access for their own events (owner and co-managers)
+const managerEventAccess = eventPermission(EventPermission.MANAGE_EVENT);
+
 // Member access for joined events
 const memberEventAccess = asyncHandler(async (req, res, next) => {
   const eventId = req.params.eventId || req.params.id;
@@ -198,8 +191,8 @@ const memberEventAccess = asyncHandler(async (req, res, next) => {
     });
   }
 
-  // Admin and event manager have access
-  if (req.user.role === 'Admin' || event.manager.toString() === req.user._id.toString()) {
+  // Admin and event staff have access
+  if (req.user.role === 'Admin' || event.getStaffRole(req.user._id)) {
     req.event = event;
     return next();
   }
@@ -248,8 +241,8 @@ const guestEventAccess = asyncHandler(async (req, res, next) => {
     });
   }
 
-  // Admin and event manager have access
-  if (req.user.role === 'Admin' || event.manager.toString() === req.user._id.toString()) {
+  // Admin and event staff have access
+  if (req.user.role === 'Admin' || event.getStaffRole(req.user._id)) {
     req.event = event;
     return next();
   }
@@ -298,8 +291,8 @@ const eventParticipantAccess = asyncHandler(async (req, res, next) => {
     });
   }
 
-  // Admin and event manager have access
-  if (req.user.role === 'Admin' || event.manager.toString() === req.user._id.toString()) {
+  // Admin and event staff have access
+  if (req.user.role === 'Admin' || event.getStaffRole(req.user._id)) {
     req.event = event;
     return next();
   }
@@ -349,6 +342,7 @@ module.exports = {
   optionalAuth,
   guestAccess,
   adminOnly,
+  eventPermission,
   managerEventAccess,
   memberEventAccess,
   guestEventAccess,
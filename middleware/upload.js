@@ -34,6 +34,24 @@ const upload = multer({
   fileFilter: fileFilter
 });
 
+// File filter for playlist files (M3U/M3U8, CSV, JSON)
+const playlistFileFilter = (req, file, cb) => {
+  if (/\.(m3u8?|csv|json)$/i.test(file.originalname)) {
+    cb(null, true);
+  } else {
+    cb(new ErrorResponse('Only M3U, M3U8, CSV or JSON playlist files are allowed', 400), false);
+  }
+};
+
+// Multer configuration for playlist imports
+const playlistUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 1 * 1024 * 1024, // 1MB limit
+  },
+  fileFilter: playlistFileFilter
+});
+
 // Upload single image to GridFS
 const uploadToGridFS = (file, filename) => {
   return new Promise((resolve, reject) => {
@@ -94,6 +112,43 @@ const getImageFromGridFS = (fileId) => {
   });
 };
 
+// Copy an image to a new GridFS file, so the copy can be replaced or deleted on its own
+const copyImageInGridFS = (fileId, filename) => {
+  return new Promise(async (resolve, reject) => {
+    if (!bucket) {
+      return reject(new Error('GridFS bucket not initialized'));
+    }
+
+    try {
+      const objectId = new mongoose.Types.ObjectId(fileId);
+      const [file] = await bucket.find({ _id: objectId }).toArray();
+
+      if (!file) {
+        return resolve(null); // Nothing to copy
+      }
+
+      const uploadStream = bucket.openUploadStream(filename, {
+        metadata: {
+          ...file.metadata,
+          copiedFrom: objectId,
+          uploadDate: new Date()
+        }
+      });
+
+      uploadStream.on('error', reject);
+      uploadStream.on('finish', () => {
+        resolve(uploadStream.id);
+      });
+
+      bucket.openDownloadStream(objectId)
+        .on('error', reject)
+        .pipe(uploadStream);
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
+
 // Delete image from GridFS
 const deleteImageFromGridFS = (fileId) => {
   return new Promise(async (resolve, reject) => {
@@ -136,8 +191,10 @@ const deleteImageFromGridFS = (fileId) => {
 
 module.exports = {
   upload,
+  playlistUpload,
   uploadToGridFS,
   getImageFromGridFS,
+  copyImageInGridFS,
   deleteImageFromGridFS,
   bucket: () => bucket
 };
\ No newline at end of file
@@ -1,4 +1,6 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { MAX_PATTERN_LENGTH, MAX_PATTERNS, isValidPattern } = require('../utils/contentPolicy');
+const { isValidTimeZone } = require('../utils/recurrence');
 
 // Handle validation errors
 exports.handleValidationErrors = (req, res, next) => {
@@ -85,6 +87,13 @@ exports.validatePasswordChange = [
     .withMessage('New password must contain at least one uppercase letter, one lowercase letter, and one number')
 ];
 
+exports.validateRefreshToken = [
+  body('refreshToken')
+    .isString()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Refresh token is required')
+];
+
 // Person management validations
 exports.validatePersonCreation = [
   body('firstName')
@@ -191,6 +200,94 @@ exports.validateEventCreation = [
     .optional()
     .isBoolean()
     .withMessage('allowSongRequests must be a boolean value'),
+  body('allowDuplicates')
+    .optional()
+    .isBoolean()
+    .withMessage('allowDuplicates must be a boolean value'),
+  body('countDuplicatesAsUpvotes')
+    .optional()
+    .isBoolean()
+    .withMessage('countDuplicatesAsUpvotes must be a boolean value'),
+  body('votingMode')
+    .optional()
+    .isIn(['likes', 'updown', 'none'])
+    .withMessage('Voting mode must be likes, updown, or none'),
+  body('rankingStrategy')
+    .optional()
+    .isIn(['manual', 'votes', 'hot', 'fifo-with-boost'])
+    .withMessage('Ranking strategy must be manual, votes, hot, or fifo-with-boost'),
+  body('rankingBoostMinutes')
+    .optional()
+    .isInt({ min: 0, max: 120 })
+    .withMessage('Ranking boost must be between 0 and 120 minutes'),
+  body('requestLimits.*.maxActiveRequests')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Max active requests must be between 1 and 50'),
+  body('requestLimits.*.cooldownSeconds')
+    .optional()
+    .isInt({ min: 0, max: 3600 })
+    .withMessage('Request cooldown must be between 0 and 3600 seconds'),
+  body('requestLimits.*.maxPerWindow')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Max requests per window must be between 0 and 100'),
+  body('requestLimits.*.windowMinutes')
+    .optional()
+    .isInt({ min: 1, max: 1440 })
+    .withMessage('Request window must be between 1 and 1440 minutes'),
+  body('contentPolicy.allowedGenres')
+    .optional()
+    .isArray()
+    .withMessage('Allowed genres must be an array'),
+  body('contentPolicy.deniedGenres')
+    .optional()
+    .isArray()
+    .withMessage('Denied genres must be an array'),
+  body('contentPolicy.bannedArtists')
+    .optional()
+    .isArray({ max: MAX_PATTERNS })
+    .withMessage(`Banned artists must be an array of at most ${MAX_PATTERNS} patterns`)
+    .custom(patterns => patterns.every(isValidPattern))
+    .withMessage(`Banned artists patterns must contain a letter or digit and be at most ${MAX_PATTERN_LENGTH} characters`),
+  body('contentPolicy.bannedTitles')
+    .optional()
+    .isArray({ max: MAX_PATTERNS })
+    .withMessage(`Banned titles must be an array of at most ${MAX_PATTERNS} patterns`)
+    .custom(patterns => patterns.every(isValidPattern))
+    .withMessage(`Banned titles patterns must contain a letter or digit and be at most ${MAX_PATTERN_LENGTH} characters`),
+  body('contentPolicy.maxDuration')
+    .optional()
+    .isInt({ min: 1, max: 3600 })
+    .withMessage('Max duration must be between 1 and 3600 seconds'),
+  body(['contentPolicy.minReleaseYear', 'contentPolicy.maxReleaseYear'])
+    .optional()
+    .isInt({ min: 1900 })
+    .withMessage('Release year limits must be valid years'),
+  body('contentPolicy.blockExplicit')
+    .optional()
+    .isBoolean()
+    .withMessage('blockExplicit must be a boolean value'),
+  body('contentPolicy.violationAction')
+    .optional()
+    .isIn(['reject', 'park'])
+    .withMessage('Violation action must be reject or park'),
+  body('lifecycle.autoTransition')
+    .optional()
+    .isBoolean()
+    .withMessage('lifecycle.autoTransition must be a boolean value'),
+  body('lifecycle.enforceDates')
+    .optional()
+    .isBoolean()
+    .withMessage('lifecycle.enforceDates must be a boolean value'),
+  body('lifecycle.startGraceMinutes')
+    .optional()
+    .isInt({ min: 0, max: 240 })
+    .withMessage('Start grace period must be between 0 and 240 minutes'),
+  body('lifecycle.endGraceMinutes')
+    .optional()
+    .isInt({ min: 0, max: 240 })
+    .withMessage('End grace period must be between 0 and 240 minutes'),
   body('timeBombEnabled')
     .optional()
     .isBoolean()
@@ -198,7 +295,11 @@ exports.validateEventCreation = [
   body('timeBombDuration')
     .optional()
     .isInt({ min: 30, max: 3600 })
-    .withMessage('TimeBomb duration must be between 30 and 3600 seconds')
+    .withMessage('TimeBomb duration must be between 30 and 3600 seconds'),
+  body('timeBombExpiryAction')
+    .optional()
+    .isIn(['approve', 'reject', 'flag'])
+    .withMessage('TimeBomb expiry action must be approve, reject, or flag')
 ];
 
 exports.validateEventUpdate = [
@@ -237,6 +338,94 @@ exports.validateEventUpdate = [
     .optional()
     .isBoolean()
     .withMessage('allowSongRequests must be a boolean value'),
+  body('allowDuplicates')
+    .optional()
+    .isBoolean()
+    .withMessage('allowDuplicates must be a boolean value'),
+  body('countDuplicatesAsUpvotes')
+    .optional()
+    .isBoolean()
+    .withMessage('countDuplicatesAsUpvotes must be a boolean value'),
+  body('votingMode')
+    .optional()
+    .isIn(['likes', 'updown', 'none'])
+    .withMessage('Voting mode must be likes, updown, or none'),
+  body('rankingStrategy')
+    .optional()
+    .isIn(['manual', 'votes', 'hot', 'fifo-with-boost'])
+    .withMessage('Ranking strategy must be manual, votes, hot, or fifo-with-boost'),
+  body('rankingBoostMinutes')
+    .optional()
+    .isInt({ min: 0, max: 120 })
+    .withMessage('Ranking boost must be between 0 and 120 minutes'),
+  body('requestLimits.*.maxActiveRequests')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Max active requests must be between 1 and 50'),
+  body('requestLimits.*.cooldownSeconds')
+    .optional()
+    .isInt({ min: 0, max: 3600 })
+    .withMessage('Request cooldown must be between 0 and 3600 seconds'),
+  body('requestLimits.*.maxPerWindow')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Max requests per window must be between 0 and 100'),
+  body('requestLimits.*.windowMinutes')
+    .optional()
+    .isInt({ min: 1, max: 1440 })
+    .withMessage('Request window must be between 1 and 1440 minutes'),
+  body('contentPolicy.allowedGenres')
+    .optional()
+    .isArray()
+    .withMessage('Allowed genres must be an array'),
+  body('contentPolicy.deniedGenres')
+    .optional()
+    .isArray()
+    .withMessage('Denied genres must be an array'),
+  body('contentPolicy.bannedArtists')
+    .optional()
+    .isArray({ max: MAX_PATTERNS })
+    .withMessage(`Banned artists must be an array of at most ${MAX_PATTERNS} patterns`)
+    .custom(patterns => patterns.every(isValidPattern))
+    .withMessage(`Banned artists patterns must contain a letter or digit and be at most ${MAX_PATTERN_LENGTH} characters`),
+  body('contentPolicy.bannedTitles')
+    .optional()
+    .isArray({ max: MAX_PATTERNS })
+    .withMessage(`Banned titles must be an array of at most ${MAX_PATTERNS} patterns`)
+    .custom(patterns => patterns.every(isValidPattern))
+    .withMessage(`Banned titles patterns must contain a letter or digit and be at most ${MAX_PATTERN_LENGTH} characters`),
+  body('contentPolicy.maxDuration')
+    .optional()
+    .isInt({ min: 1, max: 3600 })
+    .withMessage('Max duration must be between 1 and 3600 seconds'),
+  body(['contentPolicy.minReleaseYear', 'contentPolicy.maxReleaseYear'])
+    .optional()
+    .isInt({ min: 1900 })
+    .withMessage('Release year limits must be valid years'),
+  body('contentPolicy.blockExplicit')
+    .optional()
+    .isBoolean()
+    .withMessage('blockExplicit must be a boolean value'),
+  body('contentPolicy.violationAction')
+    .optional()
+    .isIn(['reject', 'park'])
+    .withMessage('Violation action must be reject or park'),
+  body('lifecycle.autoTransition')
+    .optional()
+    .isBoolean()
+    .withMessage('lifecycle.autoTransition must be a boolean value'),
+  body('lifecycle.enforceDates')
+    .optional()
+    .isBoolean()
+    .withMessage('lifecycle.enforceDates must be a boolean value'),
+  body('lifecycle.startGraceMinutes')
+    .optional()
+    .isInt({ min: 0, max: 240 })
+    .withMessage('Start grace period must be between 0 and 240 minutes'),
+  body('lifecycle.endGraceMinutes')
+    .optional()
+    .isInt({ min: 0, max: 240 })
+    .withMessage('End grace period must be between 0 and 240 minutes'),
   body('timeBombEnabled')
     .optional()
     .isBoolean()
@@ -244,7 +433,202 @@ exports.validateEventUpdate = [
   body('timeBombDuration')
     .optional()
     .isInt({ min: 30, max: 3600 })
-    .withMessage('TimeBomb duration must be between 30 and 3600 seconds')
+    .withMessage('TimeBomb duration must be between 30 and 3600 seconds'),
+  body('timeBombExpiryAction')
+    .optional()
+    .isIn(['approve', 'reject', 'flag'])
+    .withMessage('TimeBomb expiry action must be approve, reject, or flag'),
+  body('scope')
+    .optional()
+    .isIn(['instance', 'future'])
+    .withMessage('Scope must be instance or future'),
+  query('scope')
+    .optional()
+    .isIn(['instance', 'future'])
+    .withMessage('Scope must be instance or future')
+];
+
+// Event series validations
+const eventSeriesRules = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Series name must be between 3 and 100 characters'),
+  body('rrule')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('rrule must be an RRULE string such as FREQ=WEEKLY;BYDAY=FR'),
+  body('recurrence.frequency')
+    .optional()
+    .isIn(['weekly', 'monthly'])
+    .withMessage('Frequency must be weekly or monthly'),
+  body('recurrence.interval')
+    .optional()
+    .isInt({ min: 1, max: 52 })
+    .withMessage('Interval must be between 1 and 52'),
+  body('recurrence.byDay')
+    .optional()
+    .isArray({ max: 7 })
+    .withMessage('byDay must be an array of weekdays'),
+  body('recurrence.byMonthDay')
+    .optional()
+    .isArray({ max: 31 })
+    .withMessage('byMonthDay must be an array of month days'),
+  body('recurrence.byMonthDay.*')
+    .isInt({ min: -31, max: 31 })
+    .withMessage('Month days must be between -31 and 31'),
+  body('recurrence.startsAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid series start'),
+  body('recurrence.timezone')
+    .optional()
+    .isString()
+    .custom(isValidTimeZone)
+    .withMessage('Timezone must be an IANA time zone such as Europe/Berlin'),
+  body('recurrence.durationMinutes')
+    .optional()
+    .isInt({ min: 15, max: 2880 })
+    .withMessage('Duration must be between 15 and 2880 minutes'),
+  body('recurrence.until')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid series end'),
+  body('recurrence.count')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Count must be between 1 and 500'),
+  body('recurrence.exceptions')
+    .optional()
+    .isArray()
+    .withMessage('Exceptions must be an array of dates'),
+  body('recurrence.exceptions.*')
+    .isISO8601()
+    .withMessage('Exceptions must be valid dates'),
+  body('generateAheadDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Series must generate between 1 and 365 days ahead'),
+  body('instanceStatus')
+    .optional()
+    .isIn(['Draft', 'Published'])
+    .withMessage('Instance status must be Draft or Published')
+];
+
+exports.validateEventSeries = [
+  body('fromEvent')
+    .optional()
+    .isMongoId()
+    .withMessage('Please provide a valid fromEvent ID'),
+  body()
+    .custom((value, { req }) => {
+      if (!req.body.rrule && !(req.body.recurrence && req.body.recurrence.frequency)) {
+        throw new Error('Provide an rrule or recurrence.frequency');
+      }
+      return true;
+    }),
+  ...eventSeriesRules
+];
+
+exports.validateEventSeriesUpdate = [
+  ...eventSeriesRules,
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value')
+];
+
+exports.validateEventClone = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Event name must be between 3 and 100 characters'),
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid start date'),
+  body('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid end date')
+    .custom((endDate, { req }) => {
+      if (!req.body.startDate) {
+        throw new Error('Provide a start date together with the end date');
+      }
+      if (new Date(endDate) <= new Date(req.body.startDate)) {
+        throw new Error('End date must be after start date');
+      }
+      return true;
+    }),
+  body(['copyMedia', 'copyMembers', 'copyQueue'])
+    .optional()
+    .isBoolean()
+    .withMessage('Copy options must be boolean values')
+    .toBoolean()
+];
+
+const eventTemplateRules = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Template name must be between 3 and 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Template description cannot exceed 500 characters'),
+  body('durationMinutes')
+    .optional()
+    .isInt({ min: 15, max: 2880 })
+    .withMessage('Duration must be between 15 and 2880 minutes')
+];
+
+exports.validateEventTemplate = [
+  body('name')
+    .exists()
+    .withMessage('Template name is required'),
+  body('fromEvent')
+    .optional()
+    .isMongoId()
+    .withMessage('Please provide a valid fromEvent ID'),
+  body('copyMedia')
+    .optional()
+    .isBoolean()
+    .withMessage('copyMedia must be a boolean value')
+    .toBoolean(),
+  ...eventTemplateRules
+];
+
+exports.validateEventTemplateUpdate = eventTemplateRules;
+
+exports.validateEventFromTemplate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Event name must be between 3 and 100 characters'),
+  body('startDate')
+    .isISO8601()
+    .withMessage('Please provide a valid start date'),
+  body('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid end date')
+    .custom((endDate, { req }) => {
+      if (new Date(endDate) <= new Date(req.body.startDate)) {
+        throw new Error('End date must be after start date');
+      }
+      return true;
+    }),
+  body('copyMedia')
+    .optional()
+    .isBoolean()
+    .withMessage('copyMedia must be a boolean value')
+    .toBoolean()
 ];
 
 // Song request validations
@@ -271,6 +655,14 @@ exports.validateSongRequest = [
     .optional()
     .isInt({ min: 1, max: 3600 })
     .withMessage('Duration must be between 1 and 3600 seconds'),
+  body('releaseYear')
+    .optional()
+    .isInt({ min: 1900, max: new Date().getFullYear() + 1 })
+    .withMessage('Please provide a valid release year'),
+  body('isExplicit')
+    .optional()
+    .isBoolean()
+    .withMessage('isExplicit must be a boolean value'),
   body('spotifyId')
     .optional()
     .trim()
@@ -332,6 +724,305 @@ exports.validateSongRequestUpdate = [
     .withMessage('Priority must be between 1 and 10')
 ];
 
+exports.validateSongVote = [
+  body('vote')
+    .isIn(['up', 'down', 'clear'])
+    .withMessage('Vote must be up, down, or clear')
+];
+
+exports.validateQueueReorder = [
+  body('order')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Order must be a non-empty array of song request IDs'),
+  body('order.*')
+    .isMongoId()
+    .withMessage('Order must only contain valid song request IDs'),
+  body('requestId')
+    .optional()
+    .isMongoId()
+    .withMessage('Please provide a valid requestId'),
+  body('before')
+    .optional()
+    .isMongoId()
+    .withMessage('Please provide a valid before ID'),
+  body('after')
+    .optional()
+    .isMongoId()
+    .withMessage('Please provide a valid after ID'),
+  body()
+    .custom((value, { req }) => {
+      if (req.body.before && req.body.after) {
+        throw new Error('Provide either before or after, not both');
+      }
+      return true;
+    })
+];
+
+exports.validateSongRequestBulk = [
+  body('action')
+    .isIn(['approve', 'reject', 'delete', 'markPlayed', 'setPriority'])
+    .withMessage('Action must be approve, reject, delete, markPlayed, or setPriority'),
+  body('ids')
+    .optional()
+    .isArray({ min: 1, max: 200 })
+    .withMessage('ids must be an array of 1 to 200 song request IDs'),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('ids must only contain valid song request IDs'),
+  body('filter')
+    .optional()
+    .isObject()
+    .withMessage('filter must be an object')
+    .bail()
+    .custom(filter => filter.all === true || filter.all === 'true' ||
+      ['status', 'requestedBy', 'isTimeBomb', 'createdAfter', 'createdBefore'].some(field => filter[field] !== undefined))
+    .withMessage('filter needs at least one criterion, or all: true to target every song request'),
+  body('filter.all')
+    .optional()
+    .isBoolean()
+    .withMessage('filter.all must be a boolean value'),
+  body('filter.status')
+    .optional()
+    .isIn(['Pending', 'Approved', 'Playing', 'Rejected', 'Played', 'Skipped'])
+    .withMessage('Invalid status filter'),
+  body('filter.requestedBy')
+    .optional()
+    .isMongoId()
+    .withMessage('Please provide a valid requestedBy ID'),
+  body('filter.isTimeBomb')
+    .optional()
+    .isBoolean()
+    .withMessage('filter.isTimeBomb must be a boolean value'),
+  body('filter.createdAfter')
+    .optional()
+    .isISO8601()
+    .withMessage('filter.createdAfter must be a valid date'),
+  body('filter.createdBefore')
+    .optional()
+    .isISO8601()
+    .withMessage('filter.createdBefore must be a valid date'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters'),
+  body('priority')
+    .if(body('action').equals('setPriority'))
+    .isInt({ min: 0, max: 10 })
+    .withMessage('Priority must be between 0 and 10'),
+  body()
+    .custom((value, { req }) => {
+      if (req.body.ids && req.body.filter) {
+        throw new Error('Provide either ids or a filter, not both');
+      }
+      return true;
+    })
+];
+
+// Event staff validations
+exports.validateStaffMember = [
+  body('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Please provide a valid userId'),
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('role')
+    .isIn(['co-manager', 'dj', 'moderator'])
+    .withMessage('Role must be co-manager, dj, or moderator'),
+  body()
+    .custom((value, { req }) => {
+      if (!req.body.userId && !req.body.email) {
+        throw new Error('Provide either userId or email');
+      }
+      return true;
+    })
+];
+
+exports.validateStaffRoleUpdate = [
+  body('role')
+    .isIn(['co-manager', 'dj', 'moderator'])
+    .withMessage('Role must be co-manager, dj, or moderator')
+];
+
+// Invitation validations
+exports.validateInvitation = [
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('maxUses')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('maxUses must be between 1 and 1000'),
+  body('expiresInHours')
+    .optional()
+    .isInt({ min: 1, max: 720 })
+    .withMessage('Invitations must expire within 1 to 720 hours')
+];
+
+exports.validateInvitationAccept = [
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('firstName')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('First name must be between 1 and 50 characters'),
+  body('lastName')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Last name must be between 1 and 50 characters')
+];
+
+// Join request validations
+exports.validateJoinRequestDecision = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters')
+];
+
+exports.validateJoinRequestBulk = [
+  body('action')
+    .isIn(['approve', 'deny'])
+    .withMessage('Action must be approve or deny'),
+  body('ids')
+    .optional()
+    .isArray({ min: 1, max: 200 })
+    .withMessage('ids must be an array of 1 to 200 join request IDs'),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('ids must only contain valid join request IDs'),
+  body('all')
+    .optional()
+    .isBoolean()
+    .withMessage('all must be a boolean value'),
+  ...exports.validateJoinRequestDecision
+];
+
+// Waitlist validations
+exports.validateWaitlistReorder = [
+  body('order')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Order must be a non-empty array of waitlist entry IDs'),
+  body('order.*')
+    .isMongoId()
+    .withMessage('Order must only contain valid waitlist entry IDs'),
+  body('entryId')
+    .optional()
+    .isMongoId()
+    .withMessage('Please provide a valid entryId'),
+  body('before')
+    .optional()
+    .isMongoId()
+    .withMessage('Please provide a valid before ID'),
+  body('after')
+    .optional()
+    .isMongoId()
+    .withMessage('Please provide a valid after ID'),
+  body()
+    .custom((value, { req }) => {
+      if (req.body.before && req.body.after) {
+        throw new Error('Provide either before or after, not both');
+      }
+      return true;
+    })
+];
+
+// Check-in validations
+exports.validateQrCode = [
+  query('format')
+    .optional()
+    .isIn(['png', 'svg', 'json'])
+    .withMessage('Format must be png, svg, or json'),
+  query('size')
+    .optional()
+    .isInt({ min: 128, max: 2048 })
+    .withMessage('Size must be between 128 and 2048 pixels')
+];
+
+exports.validateCheckIn = [
+  body('token')
+    .notEmpty()
+    .withMessage('Check-in token is required'),
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('lastName')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Last name must be between 1 and 50 characters')
+];
+
+// Calendar feed validations
+exports.validateCalendarFeed = [
+  query('token')
+    .isString()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Calendar feed token is required')
+];
+
+// TimeBomb tip validations
+exports.validateTipIntent = [
+  body('amount')
+    .isFloat({ min: 1, max: 1000 })
+    .withMessage('Tip amount must be between 1 and 1000'),
+  body('currency')
+    .optional()
+    .isISO4217()
+    .withMessage('Currency must be a valid ISO 4217 code')
+];
+
+exports.validateTipConfirm = [
+  body('paymentId')
+    .optional()
+    .isMongoId()
+    .withMessage('Please provide a valid paymentId'),
+  body('paymentMethod')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Payment method cannot exceed 100 characters')
+];
+
+// Playback validations
+exports.validatePlaybackStart = [
+  body('songRequestId')
+    .optional()
+    .isMongoId()
+    .withMessage('Please provide a valid songRequestId')
+];
+
+exports.validatePlaybackPause = [
+  body('paused')
+    .optional()
+    .isBoolean()
+    .withMessage('paused must be a boolean value')
+];
+
+exports.validateSetlistExport = [
+  query('format')
+    .optional()
+    .isIn(['m3u', 'csv', 'json'])
+    .withMessage('Format must be m3u, csv, or json')
+];
+
 // Common validations
 exports.validateObjectId = (field) => [
   param(field)
@@ -348,10 +1039,66 @@ exports.validatePagination = [
     .optional()
     .isInt({ min: 1, max: 100 })
     .withMessage('Limit must be between 1 and 100'),
+  query('cursor')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Invalid pagination cursor'),
+  // Field names are checked per resource by the query layer (utils/queryLayer.js)
+  query(['fields', 'sort', 'include'])
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Field lists cannot exceed 500 characters')
+];
+
+exports.validateEventSearch = [
+  query('q')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Search text must be between 1 and 200 characters'),
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Date range must use valid dates'),
+  query('lat')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  query('lng')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  query('radius')
+    .optional()
+    .isFloat({ min: 0.1, max: 500 })
+    .withMessage('Radius must be between 0.1 and 500 km'),
+  query()
+    .custom((value, { req }) => {
+      const { lat, lng, radius, sort, q } = req.query;
+      if ((lat === undefined) !== (lng === undefined) || (radius !== undefined && lat === undefined)) {
+        throw new Error('Near-me search needs both lat and lng');
+      }
+      if (sort === 'distance' && lat === undefined) {
+        throw new Error('Sorting by distance needs lat and lng');
+      }
+      if (sort === 'relevance' && (!q || lat !== undefined)) {
+        throw new Error('Sorting by relevance needs search text and no near-me filter');
+      }
+      return true;
+    }),
   query('sort')
     .optional()
-    .isIn(['createdAt', '-createdAt', 'name', '-name', 'startTime', '-startTime'])
-    .withMessage('Invalid sort parameter')
+    .isIn(['relevance', 'distance', 'date', '-date'])
+    .withMessage('Sort must be relevance, distance, date, or -date'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
 ];
 
 // Event Feedback validations
@@ -386,10 +1133,16 @@ exports.validateFeedbackPagination = [
     .optional()
     .isInt({ min: 1, max: 100 })
     .withMessage('Limit must be between 1 and 100'),
-  query('sort')
+  query('cursor')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Invalid pagination cursor'),
+  // newest, oldest, rating-high and rating-low are still accepted alongside field sorts
+  query(['fields', 'sort', 'include'])
     .optional()
-    .isIn(['newest', 'oldest', 'rating-high', 'rating-low', 'createdAt', '-createdAt'])
-    .withMessage('Invalid sort parameter'),
+    .isLength({ max: 500 })
+    .withMessage('Field lists cannot exceed 500 characters'),
   query('rating')
     .optional()
     .isIn(['1', '2', '3', '4', '5', 'all'])
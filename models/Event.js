@@ -1,4 +1,8 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const { RankingStrategy } = require('../utils/ranking');
+const { PolicyAction } = require('../utils/contentPolicy');
+const { StaffRole, ASSIGNABLE_STAFF_ROLES, getRolePermissions, roleHasPermission } = require('../utils/eventPermissions');
 
 // Define enums
 const EventType = {
@@ -20,6 +24,71 @@ const EventStatus = {
   CANCELLED: 'Cancelled'
 };
 
+const VotingMode = {
+  LIKES: 'likes',
+  UPDOWN: 'updown',
+  NONE: 'none'
+};
+
+// What happens to a TimeBomb request nobody played before it expired
+const TimeBombAction = {
+  APPROVE: 'approve', // approve and jump to the top of the queue
+  REJECT: 'reject',
+  FLAG: 'flag' // leave it for the DJ to decide
+};
+
+// Reusable configuration of an event, shared by series, templates and clones
+const EVENT_SETTINGS_FIELDS = [
+  'description',
+  'eventType',
+  'venue',
+  'staff',
+  'maxMembers',
+  'isPublic',
+  'requiresApproval',
+  'maxSongsPerUser',
+  'requestLimits',
+  'allowDuplicates',
+  'countDuplicatesAsUpvotes',
+  'contentPolicy',
+  'votingMode',
+  'rankingStrategy',
+  'rankingBoostMinutes',
+  'timeBombEnabled',
+  'timeBombDuration',
+  'timeBombExpiryAction',
+  'lifecycle',
+  'logo',
+  'bannerImage'
+];
+
+// Song request throttling for one class of requester
+const requestLimitSchema = new mongoose.Schema({
+  maxActiveRequests: {
+    type: Number, // falls back to maxSongsPerUser when not set
+    min: [1, 'Max active requests must be at least 1'],
+    max: [50, 'Max active requests cannot exceed 50']
+  },
+  cooldownSeconds: {
+    type: Number, // minimum time between two requests by the same user
+    default: 0,
+    min: [0, 'Cooldown cannot be negative'],
+    max: [3600, 'Cooldown cannot exceed 1 hour']
+  },
+  maxPerWindow: {
+    type: Number, // 0 disables the rolling window limit
+    default: 0,
+    min: [0, 'Max requests per window cannot be negative'],
+    max: [100, 'Max requests per window cannot exceed 100']
+  },
+  windowMinutes: {
+    type: Number,
+    default: 60,
+    min: [1, 'Window must be at least 1 minute'],
+    max: [1440, 'Window cannot exceed 24 hours']
+  }
+}, { _id: false });
+
 const eventSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -52,6 +121,39 @@ const eventSchema = new mongoose.Schema({
     type: Date,
     required: [true, 'End date is required']
   },
+  // Date-driven status changes
+  lifecycle: {
+    autoTransition: {
+      type: Boolean, // let the lifecycle scheduler move Published -> Active -> Completed
+      default: false
+    },
+    enforceDates: {
+      type: Boolean, // isActive also requires now to be inside the event window
+      default: false
+    },
+    startGraceMinutes: {
+      type: Number, // open this long before startDate
+      default: 0,
+      min: [0, 'Start grace period cannot be negative'],
+      max: [240, 'Start grace period cannot exceed 240 minutes']
+    },
+    endGraceMinutes: {
+      type: Number, // close this long after endDate
+      default: 0,
+      min: [0, 'End grace period cannot be negative'],
+      max: [240, 'End grace period cannot exceed 240 minutes']
+    },
+    manualOverride: {
+      type: Boolean, // set by activate/deactivate; the schedule leaves the event alone
+      default: false
+    },
+    overriddenAt: Date,
+    overriddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Person'
+    }
+  },
+
   // Location details
   venue: {
     name: {
@@ -83,8 +185,27 @@ const eventSchema = new mongoose.Schema({
       maxlength: [10, 'Zip code cannot exceed 10 characters']
     },
     coordinates: {
-      latitude: Number,
-      longitude: Number
+      latitude: {
+        type: Number,
+        min: [-90, 'Latitude must be between -90 and 90'],
+        max: [90, 'Latitude must be between -90 and 90']
+      },
+      longitude: {
+        type: Number,
+        min: [-180, 'Longitude must be between -180 and 180'],
+        max: [180, 'Longitude must be between -180 and 180']
+      }
+    },
+    // GeoJSON copy of coordinates for the 2dsphere index; kept in sync by the hooks below
+    location: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+        default: undefined
+      }
     }
   },
   // Event management
@@ -93,6 +214,27 @@ const eventSchema = new mongoose.Schema({
     ref: 'Person',
     required: [true, 'Event manager is required']
   },
+  // People who help run the event, each with a role-based permission set
+  staff: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Person',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ASSIGNABLE_STAFF_ROLES,
+      required: true
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Person'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   // Event settings
   maxMembers: {
     type: Number,
@@ -114,10 +256,90 @@ const eventSchema = new mongoose.Schema({
     min: [1, 'Max songs per user must be at least 1'],
     max: [50, 'Max songs per user cannot exceed 50']
   },
+  // Per-requester throttling: registered Members, Guest accounts and EventParticipant guests
+  requestLimits: {
+    member: {
+      type: requestLimitSchema,
+      default: () => ({})
+    },
+    guest: {
+      type: requestLimitSchema,
+      default: () => ({})
+    },
+    participant: {
+      type: requestLimitSchema,
+      default: () => ({})
+    }
+  },
   allowDuplicates: {
     type: Boolean,
     default: false
   },
+  // When duplicates are not allowed, count a repeat request as an upvote on the original
+  countDuplicatesAsUpvotes: {
+    type: Boolean,
+    default: false
+  },
+  // Content rules for song requests
+  contentPolicy: {
+    allowedGenres: [{
+      type: String,
+      trim: true
+    }],
+    deniedGenres: [{
+      type: String,
+      trim: true
+    }],
+    bannedArtists: [{
+      type: String, // supports * and ? wildcards
+      trim: true,
+      maxlength: [100, 'Banned artist patterns cannot exceed 100 characters']
+    }],
+    bannedTitles: [{
+      type: String, // supports * and ? wildcards
+      trim: true,
+      maxlength: [100, 'Banned title patterns cannot exceed 100 characters']
+    }],
+    maxDuration: {
+      type: Number, // in seconds
+      min: [1, 'Max duration must be at least 1 second'],
+      max: [3600, 'Max duration cannot exceed 1 hour']
+    },
+    minReleaseYear: {
+      type: Number,
+      min: [1900, 'Minimum release year must be after 1900']
+    },
+    maxReleaseYear: {
+      type: Number,
+      min: [1900, 'Maximum release year must be after 1900']
+    },
+    blockExplicit: {
+      type: Boolean,
+      default: false
+    },
+    violationAction: {
+      type: String, // reject outright or park as Pending for the DJ
+      enum: Object.values(PolicyAction),
+      default: PolicyAction.REJECT
+    }
+  },
+  // Voting and queue ranking settings
+  votingMode: {
+    type: String,
+    enum: Object.values(VotingMode),
+    default: VotingMode.LIKES
+  },
+  rankingStrategy: {
+    type: String,
+    enum: Object.values(RankingStrategy),
+    default: RankingStrategy.MANUAL
+  },
+  rankingBoostMinutes: {
+    type: Number, // queue jump per net vote for fifo-with-boost
+    default: 5,
+    min: [0, 'Ranking boost cannot be negative'],
+    max: [120, 'Ranking boost cannot exceed 120 minutes']
+  },
   // TimeBomb feature settings
   timeBombEnabled: {
     type: Boolean,
@@ -129,6 +351,11 @@ const eventSchema = new mongoose.Schema({
     min: [5, 'TimeBomb duration must be at least 5 minutes'],
     max: [180, 'TimeBomb duration cannot exceed 180 minutes']
   },
+  timeBombExpiryAction: {
+    type: String,
+    enum: Object.values(TimeBombAction),
+    default: TimeBombAction.FLAG
+  },
   // Media
   logo: {
     type: mongoose.Schema.Types.ObjectId, // GridFS file ID
@@ -138,10 +365,22 @@ const eventSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId, // GridFS file ID
     default: null
   },
+  // Recurring events: the series this event was generated from
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EventSeries',
+    default: null
+  },
+  seriesOccurrence: Date, // scheduled start of this occurrence in the series
+  seriesDetached: {
+    type: Boolean, // edited on its own; series-wide edits leave it alone
+    default: false
+  },
   // Access control
   accessCode: {
     type: String,
     trim: true,
+    select: false, // only loaded to check join attempts
     minlength: [4, 'Access code must be at least 4 characters'],
     maxlength: [20, 'Access code cannot exceed 20 characters']
   },
@@ -159,8 +398,63 @@ const eventSchema = new mongoose.Schema({
     isApproved: {
       type: Boolean,
       default: true
+    },
+    approvedAt: Date,
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Person'
+    },
+    checkedInAt: Date,
+    checkedInBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Person' // staff member for manual check-ins, empty for QR self check-in
     }
   }],
+  // People waiting for a spot once maxMembers is reached, first in line first
+  waitlist: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Person' // registered users; guests are identified by email and name
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    firstName: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'First name cannot exceed 50 characters']
+    },
+    lastName: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Last name cannot exceed 50 characters']
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Live playback state
+  playback: {
+    currentTrack: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SongRequest',
+      default: null
+    },
+    startedAt: Date,
+    isPaused: {
+      type: Boolean,
+      default: false
+    },
+    pausedAt: Date,
+    resumedAt: Date,
+    pausedDuration: {
+      type: Number, // total paused time of the current track in milliseconds
+      default: 0
+    }
+  },
   // Statistics
   totalSongRequests: {
     type: Number,
@@ -191,16 +485,16 @@ eventSchema.virtual('MemberCount').get(function() {
   return this.Members ? this.Members.length : 0;
 });
 
-// Virtual for active status (temporary - for testing only)
+// Virtual for active status; dates only count when the event enforces them
 eventSchema.virtual('isActive').get(function() {
-  // For testing: only check status, ignore dates
-  return this.status === EventStatus.ACTIVE;
-  
-  // Original logic (uncomment when ready):
-  // const now = new Date();
-  // return this.status === EventStatus.ACTIVE && 
-  //        this.startDate <= now && 
-  //        this.endDate >= now;
+  if (this.status !== EventStatus.ACTIVE) return false;
+
+  const lifecycle = this.lifecycle || {};
+  if (!lifecycle.enforceDates || lifecycle.manualOverride) return true;
+
+  const now = new Date();
+  const { opensAt, closesAt } = this.getActiveWindow();
+  return opensAt <= now && closesAt >= now;
 });
 
 // Indexes for performance
@@ -211,11 +505,87 @@ eventSchema.index({ endDate: 1 });
 eventSchema.index({ eventType: 1 });
 eventSchema.index({ isPublic: 1 });
 eventSchema.index({ 'Members.user': 1 });
+eventSchema.index({ 'staff.user': 1 });
 eventSchema.index({ createdAt: -1 });
 
 // Compound indexes
 eventSchema.index({ status: 1, startDate: 1 });
 eventSchema.index({ manager: 1, status: 1 });
+eventSchema.index({ 'lifecycle.autoTransition': 1, status: 1 });
+eventSchema.index({ 'venue.location': '2dsphere' });
+eventSchema.index(
+  { name: 'text', description: 'text', 'venue.name': 'text', 'venue.address': 'text', 'venue.city': 'text' },
+  { name: 'event_search', weights: { name: 10, 'venue.name': 5, 'venue.city': 5, description: 2, 'venue.address': 1 } }
+);
+eventSchema.index(
+  { series: 1, seriesOccurrence: 1 },
+  { unique: true, partialFilterExpression: { series: { $type: 'objectId' } } }
+);
+
+// GeoJSON point for venue coordinates, or undefined when they are missing or out of range
+const toGeoPoint = (coordinates) => {
+  if (!coordinates) return undefined;
+
+  const latitude = Number(coordinates.latitude);
+  const longitude = Number(coordinates.longitude);
+  if (coordinates.latitude == null || coordinates.longitude == null ||
+      !Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+      Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return undefined;
+  }
+
+  return { type: 'Point', coordinates: [longitude, latitude] };
+};
+
+eventSchema.pre('save', function(next) {
+  if (this.isModified('venue')) {
+    this.set('venue.location', toGeoPoint(this.venue && this.venue.coordinates));
+  }
+  next();
+});
+
+// Same for updates that replace the venue or its coordinates. Fields may be plain or under
+// $set (timestamps always add a $set), so each one is updated where it was found.
+eventSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+  const update = this.getUpdate();
+  if (!update) return next();
+
+  const containerOf = (path) => {
+    if (update.$set && update.$set[path] !== undefined) return update.$set;
+    if (update[path] !== undefined) return update;
+    return null;
+  };
+
+  const venueContainer = containerOf('venue');
+  if (venueContainer && venueContainer.venue && typeof venueContainer.venue === 'object') {
+    venueContainer.venue = { ...venueContainer.venue, location: toGeoPoint(venueContainer.venue.coordinates) };
+    return next();
+  }
+
+  let coordinates;
+  const coordinatesContainer = containerOf('venue.coordinates');
+  const latitudeContainer = containerOf('venue.coordinates.latitude');
+  const longitudeContainer = containerOf('venue.coordinates.longitude');
+
+  if (coordinatesContainer) {
+    coordinates = coordinatesContainer['venue.coordinates'];
+  } else if (latitudeContainer && longitudeContainer) {
+    coordinates = {
+      latitude: latitudeContainer['venue.coordinates.latitude'],
+      longitude: longitudeContainer['venue.coordinates.longitude']
+    };
+  } else {
+    return next();
+  }
+
+  const point = toGeoPoint(coordinates);
+  if (point) {
+    update.$set = { ...update.$set, 'venue.location': point };
+  } else {
+    update.$unset = { ...update.$unset, 'venue.location': 1 };
+  }
+  next();
+});
 
 // Pre-save validation
 eventSchema.pre('save', function(next) {
@@ -224,6 +594,12 @@ eventSchema.pre('save', function(next) {
     return next(new Error('End date must be after start date'));
   }
   
+  // Validate content policy release year range
+  const policy = this.contentPolicy;
+  if (policy && policy.minReleaseYear && policy.maxReleaseYear && policy.minReleaseYear > policy.maxReleaseYear) {
+    return next(new Error('Minimum release year cannot be after maximum release year'));
+  }
+  
   // Validate TimeBomb settings
   if (this.timeBombEnabled && !this.timeBombDuration) {
     return next(new Error('TimeBomb duration is required when TimeBomb is enabled'));
@@ -265,6 +641,138 @@ eventSchema.methods.isMember = function(userId) {
   );
 };
 
+// Staff role of a person on this event: owner for the manager, null for non-staff
+eventSchema.methods.getStaffRole = function(userId) {
+  if (!userId) return null;
+
+  const manager = this.manager && this.manager._id ? this.manager._id : this.manager;
+  if (manager && manager.toString() === userId.toString()) {
+    return StaffRole.OWNER;
+  }
+
+  const staffMember = (this.staff || []).find(
+    s => s.user && (s.user._id || s.user).toString() === userId.toString()
+  );
+  return staffMember ? staffMember.role : null;
+};
+
+// Admins can do everything; everyone else gets their staff role's permissions
+eventSchema.methods.hasPermission = function(user, permission) {
+  if (!user) return false;
+  if (user.role === 'Admin') return true;
+
+  return roleHasPermission(this.getStaffRole(user._id || user.id), permission);
+};
+
+eventSchema.methods.getPermissions = function(user) {
+  if (!user) return [];
+  if (user.role === 'Admin') return getRolePermissions(StaffRole.OWNER);
+
+  return getRolePermissions(this.getStaffRole(user._id || user.id));
+};
+
+// Start and end dates stretched by the lifecycle grace periods
+eventSchema.methods.getActiveWindow = function() {
+  const lifecycle = this.lifecycle || {};
+
+  return {
+    opensAt: new Date(this.startDate.getTime() - (lifecycle.startGraceMinutes || 0) * 60 * 1000),
+    closesAt: new Date(this.endDate.getTime() + (lifecycle.endGraceMinutes || 0) * 60 * 1000)
+  };
+};
+
+// Spots taken against maxMembers: approved Members plus approved guest participants
+eventSchema.methods.countOccupiedSpots = async function() {
+  const EventParticipant = mongoose.model('EventParticipant');
+
+  const approvedMembers = this.Members.filter(member => member.isApproved).length;
+  const approvedGuests = await EventParticipant.countDocuments({ event: this._id, isApproved: true });
+
+  return approvedMembers + approvedGuests;
+};
+
+eventSchema.methods.hasFreeSpot = async function() {
+  if (!this.maxMembers) return true;
+  return (await this.countOccupiedSpots()) < this.maxMembers;
+};
+
+// Who actually showed up: checked-in Members and guest participants, plus counts
+eventSchema.methods.getAttendance = async function() {
+  const EventParticipant = mongoose.model('EventParticipant');
+
+  const members = this.Members.filter(member => member.isApproved);
+  const guests = await EventParticipant.find({ event: this._id, isApproved: true })
+    .select('email firstName lastName checkedInAt checkedInBy');
+
+  const checkedInMembers = members.filter(member => member.checkedInAt);
+  const checkedInGuests = guests.filter(guest => guest.checkedInAt);
+
+  const list = [
+    ...checkedInMembers.map(member => ({
+      type: 'Member',
+      id: member.user._id || member.user,
+      user: member.user,
+      checkedInAt: member.checkedInAt,
+      checkedInBy: member.checkedInBy || null
+    })),
+    ...checkedInGuests.map(guest => ({
+      type: 'Guest',
+      id: guest._id,
+      email: guest.email,
+      firstName: guest.firstName,
+      lastName: guest.lastName,
+      checkedInAt: guest.checkedInAt,
+      checkedInBy: guest.checkedInBy || null
+    }))
+  ].sort((a, b) => a.checkedInAt - b.checkedInAt);
+
+  return {
+    counts: {
+      members: members.length,
+      membersCheckedIn: checkedInMembers.length,
+      guests: guests.length,
+      guestsCheckedIn: checkedInGuests.length,
+      total: members.length + guests.length,
+      checkedIn: list.length
+    },
+    list
+  };
+};
+
+// Waitlist entry for a registered user or a guest email/last name pair
+eventSchema.methods.findWaitlistEntry = function({ userId, email, lastName }) {
+  return (this.waitlist || []).find(entry => {
+    if (userId) {
+      return entry.user && entry.user.toString() === userId.toString();
+    }
+    return !entry.user && entry.email === email.toLowerCase() && entry.lastName === lastName;
+  });
+};
+
+// Snapshot of the current playback state for clients
+eventSchema.methods.getNowPlaying = async function() {
+  const SongRequest = mongoose.model('SongRequest');
+  const playback = this.playback || {};
+
+  const [currentTrack, queue] = await Promise.all([
+    playback.currentTrack
+      ? SongRequest.findById(playback.currentTrack).populate('requestedBy', 'firstName lastName')
+      : null,
+    SongRequest.findQueue(this._id, { limit: 1 })
+  ]);
+
+  return {
+    event: this._id,
+    currentTrack,
+    upNext: queue[0] || null,
+    startedAt: playback.startedAt || null,
+    isPaused: !!playback.isPaused,
+    pausedAt: playback.pausedAt || null,
+    resumedAt: playback.resumedAt || null,
+    timestamp: new Date()
+  };
+};
+
 // Static methods
 eventSchema.statics.findActiveEvents = function() {
   const now = new Date();
@@ -275,6 +783,34 @@ eventSchema.statics.findActiveEvents = function() {
   });
 };
 
+// Scheduled events whose window says their status should move on
+eventSchema.statics.findDueForTransition = function(now = new Date()) {
+  const opensAt = { $subtract: ['$startDate', { $multiply: [{ $ifNull: ['$lifecycle.startGraceMinutes', 0] }, 60 * 1000] }] };
+  const closesAt = { $add: ['$endDate', { $multiply: [{ $ifNull: ['$lifecycle.endGraceMinutes', 0] }, 60 * 1000] }] };
+
+  return this.find({
+    'lifecycle.autoTransition': true,
+    'lifecycle.manualOverride': { $ne: true },
+    $or: [
+      { status: EventStatus.PUBLISHED, $expr: { $lte: [opensAt, now] } },
+      { status: { $in: [EventStatus.ACTIVE, EventStatus.PAUSED] }, $expr: { $lt: [closesAt, now] } }
+    ]
+  }).select('status startDate endDate lifecycle');
+};
+
+// Check a join access code without leaking it or timing information
+eventSchema.statics.checkAccessCode = async function(eventId, code) {
+  const event = await this.findById(eventId).select('+accessCode');
+  if (!event || !event.accessCode) {
+    return { required: false, valid: false };
+  }
+
+  const expected = crypto.createHash('sha256').update(event.accessCode).digest();
+  const actual = crypto.createHash('sha256').update(String(code || '').trim()).digest();
+
+  return { required: true, valid: crypto.timingSafeEqual(expected, actual) };
+};
+
 eventSchema.statics.findByManager = function(managerId) {
   return this.find({ manager: managerId }).sort({ createdAt: -1 });
 };
@@ -288,4 +824,8 @@ eventSchema.statics.findPublicEvents = function() {
 
 module.exports = mongoose.model('Event', eventSchema);
 module.exports.EventType = EventType;
-module.exports.EventStatus = EventStatus;
\ No newline at end of file
+module.exports.EventStatus = EventStatus;
+module.exports.VotingMode = VotingMode;
+module.exports.TimeBombAction = TimeBombAction;
+module.exports.EVENT_SETTINGS_FIELDS = EVENT_SETTINGS_FIELDS;
+module.exports.toGeoPoint = toGeoPoint;
\ No newline at end of file
@@ -32,6 +32,16 @@ const EventParticipantSchema = new mongoose.Schema({
   isApproved: {
     type: Boolean,
     default: true
+  },
+  approvedAt: Date,
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Person'
+  },
+  checkedInAt: Date,
+  checkedInBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Person' // staff member for manual check-ins, empty for QR self check-in
   }
 }, {
   timestamps: true,
@@ -44,6 +54,7 @@ EventParticipantSchema.index({ event: 1, email: 1, lastName: 1 }, { unique: true
 
 // Additional indexes for performance
 EventParticipantSchema.index({ event: 1 });
+EventParticipantSchema.index({ event: 1, isApproved: 1, joinedAt: 1 });
 EventParticipantSchema.index({ email: 1 });
 EventParticipantSchema.index({ createdAt: -1 });
 
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const { EventStatus, EVENT_SETTINGS_FIELDS } = require('./Event');
+const {
+  RecurrenceFrequency,
+  DEFAULT_TIME_ZONE,
+  isValidByDay,
+  isValidTimeZone,
+  toRRule
+} = require('../utils/recurrence');
+
+// Event settings every instance inherits from its series
+const SERIES_INHERITED_FIELDS = EVENT_SETTINGS_FIELDS;
+
+const eventSeriesSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Series name is required'],
+    trim: true,
+    maxlength: [100, 'Series name cannot exceed 100 characters']
+  },
+  manager: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Person',
+    required: [true, 'Series manager is required']
+  },
+  // Settings copied onto each generated event; validated against the Event schema
+  template: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: Object.values(RecurrenceFrequency),
+      required: [true, 'Recurrence frequency is required']
+    },
+    interval: {
+      type: Number,
+      default: 1,
+      min: [1, 'Interval must be at least 1'],
+      max: [52, 'Interval cannot exceed 52']
+    },
+    byDay: {
+      type: [String], // "FR", or "1FR" / "-1SA" for monthly rules
+      validate: {
+        validator: days => days.every(isValidByDay),
+        message: 'byDay must contain weekdays like FR, 1FR or -1SA'
+      }
+    },
+    byMonthDay: [{
+      type: Number,
+      min: [-31, 'Month day must be between -31 and 31'],
+      max: [31, 'Month day must be between -31 and 31']
+    }],
+    startsAt: {
+      type: Date, // start of the first occurrence
+      required: [true, 'Series start is required']
+    },
+    timezone: {
+      type: String, // IANA zone whose wall clock the rule follows, e.g. "Europe/Berlin"
+      default: DEFAULT_TIME_ZONE,
+      validate: {
+        validator: isValidTimeZone,
+        message: 'Timezone must be an IANA time zone such as Europe/Berlin'
+      }
+    },
+    durationMinutes: {
+      type: Number,
+      required: [true, 'Event duration is required'],
+      min: [15, 'Events must last at least 15 minutes'],
+      max: [2880, 'Events cannot last more than 48 hours']
+    },
+    until: Date,
+    count: {
+      type: Number,
+      min: [1, 'Count must be at least 1'],
+      max: [500, 'Count cannot exceed 500']
+    },
+    exceptions: [Date] // days without an occurrence
+  },
+  // How far ahead instances are created
+  generateAheadDays: {
+    type: Number,
+    default: 28,
+    min: [1, 'Series must generate at least 1 day ahead'],
+    max: [365, 'Series cannot generate more than 365 days ahead']
+  },
+  instanceStatus: {
+    type: String,
+    enum: [EventStatus.DRAFT, EventStatus.PUBLISHED],
+    default: EventStatus.PUBLISHED
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  generatedUntil: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Person',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Person'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+  minimize: false
+});
+
+// Indexes for performance
+eventSeriesSchema.index({ manager: 1, createdAt: -1 });
+eventSeriesSchema.index({ isActive: 1 });
+
+eventSeriesSchema.virtual('rrule').get(function() {
+  return this.recurrence && this.recurrence.frequency ? toRRule(this.recurrence) : null;
+});
+
+eventSeriesSchema.pre('save', function(next) {
+  if (this.recurrence.until && this.recurrence.count) {
+    return next(new Error('Use either until or count to end a series, not both'));
+  }
+
+  if (this.recurrence.until && this.recurrence.until < this.recurrence.startsAt) {
+    return next(new Error('Series end must be after its start'));
+  }
+
+  next();
+});
+
+eventSeriesSchema.methods.canManage = function(user) {
+  if (!user) return false;
+  return user.role === 'Admin' || this.manager.toString() === (user._id || user.id).toString();
+};
+
+module.exports = mongoose.model('EventSeries', eventSeriesSchema);
+module.exports.SERIES_INHERITED_FIELDS = SERIES_INHERITED_FIELDS;
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Saved event configuration a manager can create new events from
+const eventTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Template name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Template description cannot exceed 500 characters']
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Person',
+    required: [true, 'Template owner is required']
+  },
+  // Event settings (see EVENT_SETTINGS_FIELDS) without the images; validated against the Event schema
+  settings: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Default length of events created from the template
+  durationMinutes: {
+    type: Number,
+    min: [15, 'Events must last at least 15 minutes'],
+    max: [2880, 'Events cannot last more than 48 hours']
+  },
+  // The template's own GridFS copies; events created from it get copies of these
+  logo: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  bannerImage: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  timesUsed: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Person',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Person'
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Indexes for performance
+eventTemplateSchema.index({ owner: 1, name: 1 });
+
+eventTemplateSchema.methods.canManage = function(user) {
+  if (!user) return false;
+  return user.role === 'Admin' || this.owner.toString() === (user._id || user.id).toString();
+};
+
+module.exports = mongoose.model('EventTemplate', eventTemplateSchema);
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+const invitationSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Event is required']
+  },
+  email: {
+    type: String, // empty for open links anyone can use
+    lowercase: true,
+    trim: true
+  },
+  maxUses: {
+    type: Number,
+    default: 1,
+    min: [1, 'An invitation must allow at least one use'],
+    max: [1000, 'An invitation cannot allow more than 1000 uses']
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  revokedAt: {
+    type: Date
+  },
+  declinedAt: {
+    type: Date // set when the invited email declines
+  },
+  acceptances: [{
+    person: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Person'
+    },
+    participant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EventParticipant'
+    },
+    acceptedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Person',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+invitationSchema.index({ event: 1, createdAt: -1 });
+invitationSchema.index({ event: 1, email: 1 });
+
+// Virtual for whether the invitation can still be accepted
+invitationSchema.virtual('isUsable').get(function() {
+  return !this.revokedAt && !this.declinedAt && this.expiresAt > new Date() && this.uses < this.maxUses;
+});
+
+// Atomically take one use of an invitation; returns null when it is used up, expired, revoked or declined
+invitationSchema.statics.claimUse = function(invitationId, acceptance) {
+  return this.findOneAndUpdate(
+    {
+      _id: invitationId,
+      revokedAt: null,
+      declinedAt: null,
+      expiresAt: { $gt: new Date() },
+      $expr: { $lt: ['$uses', '$maxUses'] }
+    },
+    {
+      $inc: { uses: 1 },
+      $push: { acceptances: { ...acceptance, acceptedAt: new Date() } }
+    },
+    { new: true }
+  );
+};
+
+// Give back the use claimed for this acceptance when accepting failed afterwards.
+// Matching the acceptance leaves other people's uses alone and makes a repeat a no-op.
+invitationSchema.statics.releaseUse = function(invitationId, acceptance) {
+  const match = Object.fromEntries(
+    Object.entries(acceptance).filter(([, value]) => value !== undefined)
+  );
+
+  return this.updateOne(
+    { _id: invitationId, uses: { $gt: 0 }, acceptances: { $elemMatch: match } },
+    { $inc: { uses: -1 }, $pull: { acceptances: match } }
+  );
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+// Define enums
+const LedgerEntryType = {
+  CHARGE: 'Charge',
+  REFUND: 'Refund'
+};
+
+// Money movements; entries are only ever added, corrections are new entries
+const ledgerEntrySchema = new mongoose.Schema({
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: [true, 'Payment is required']
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Event is required']
+  },
+  songRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SongRequest'
+  },
+  type: {
+    type: String,
+    enum: Object.values(LedgerEntryType),
+    required: true
+  },
+  amount: {
+    type: Number, // signed, in minor units: charges positive, refunds negative
+    required: [true, 'Amount is required']
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  providerReference: {
+    type: String
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Person'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for performance
+ledgerEntrySchema.index({ payment: 1, type: 1 }, { unique: true });
+ledgerEntrySchema.index({ event: 1, createdAt: -1 });
+
+// Append-only: refuse edits to existing entries and every delete/update query
+ledgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Ledger entries cannot be modified'));
+  }
+  next();
+});
+
+const blockMutation = function(next) {
+  next(new Error('Ledger entries are append-only'));
+};
+
+ledgerEntrySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  blockMutation
+);
+ledgerEntrySchema.pre(
+  ['deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: true, query: true },
+  blockMutation
+);
+
+// Static methods
+ledgerEntrySchema.statics.getEventTotals = function(eventId) {
+  return this.aggregate([
+    { $match: { event: new mongoose.Types.ObjectId(eventId) } },
+    {
+      $group: {
+        _id: '$currency',
+        charged: { $sum: { $cond: [{ $eq: ['$type', LedgerEntryType.CHARGE] }, '$amount', 0] } },
+        refunded: { $sum: { $cond: [{ $eq: ['$type', LedgerEntryType.REFUND] }, { $multiply: ['$amount', -1] }, 0] } },
+        net: { $sum: '$amount' },
+        charges: { $sum: { $cond: [{ $eq: ['$type', LedgerEntryType.CHARGE] }, 1, 0] } },
+        refunds: { $sum: { $cond: [{ $eq: ['$type', LedgerEntryType.REFUND] }, 1, 0] } }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        currency: '$_id',
+        charged: 1,
+        refunded: 1,
+        net: 1,
+        charges: 1,
+        refunds: 1
+      }
+    },
+    { $sort: { currency: 1 } }
+  ]);
+};
+
+// Net ledger amount per payment, used to reconcile against payment status
+ledgerEntrySchema.statics.getPaymentBalances = function(paymentIds) {
+  return this.aggregate([
+    { $match: { payment: { $in: paymentIds } } },
+    { $group: { _id: '$payment', net: { $sum: '$amount' } } }
+  ]);
+};
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
+module.exports.LedgerEntryType = LedgerEntryType;
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+// Define enums
+const PaymentStatus = {
+  REQUIRES_CONFIRMATION: 'RequiresConfirmation',
+  SUCCEEDED: 'Succeeded',
+  FAILED: 'Failed',
+  CANCELLED: 'Cancelled',
+  REFUNDED: 'Refunded'
+};
+
+const PaymentPurpose = {
+  TIMEBOMB_TIP: 'TimeBombTip'
+};
+
+const paymentSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Event is required']
+  },
+  songRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SongRequest',
+    required: [true, 'Song request is required']
+  },
+  payer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Person',
+    required: [true, 'Payer is required']
+  },
+  purpose: {
+    type: String,
+    enum: Object.values(PaymentPurpose),
+    default: PaymentPurpose.TIMEBOMB_TIP
+  },
+  amount: {
+    type: Number, // in minor units (cents)
+    required: [true, 'Amount is required'],
+    min: [1, 'Amount must be positive']
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    default: 'USD'
+  },
+  status: {
+    type: String,
+    enum: Object.values(PaymentStatus),
+    default: PaymentStatus.REQUIRES_CONFIRMATION
+  },
+
+  // Provider references
+  provider: {
+    type: String,
+    required: true
+  },
+  providerPaymentId: {
+    type: String,
+    required: true
+  },
+  providerRefundId: {
+    type: String
+  },
+
+  // Lifecycle
+  confirmedAt: {
+    type: Date
+  },
+  refundedAt: {
+    type: Date
+  },
+  refundReason: {
+    type: String,
+    trim: true
+  },
+  failureReason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+paymentSchema.index({ provider: 1, providerPaymentId: 1 }, { unique: true });
+paymentSchema.index({ event: 1, status: 1 });
+paymentSchema.index({ songRequest: 1, status: 1 });
+
+// Virtual for the amount in major units
+paymentSchema.virtual('displayAmount').get(function() {
+  return this.amount / 100;
+});
+
+module.exports = mongoose.model('Payment', paymentSchema);
+module.exports.PaymentStatus = PaymentStatus;
+module.exports.PaymentPurpose = PaymentPurpose;
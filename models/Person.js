@@ -77,6 +77,12 @@ const personSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Part of every calendar feed token; bumping it revokes the person's feed links
+  calendarFeedVersion: {
+    type: Number,
+    default: 0,
+    select: false
+  },
   // Audit fields
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const { describeDevice } = require('../utils/userAgent');
+
+// Why a session stopped being usable
+const SessionRevokeReason = {
+  LOGOUT: 'logout',
+  REUSE_DETECTED: 'reuse-detected', // an already rotated refresh token was presented
+  PASSWORD_CHANGE: 'password-change',
+  DEACTIVATED: 'deactivated',
+  REVOKED_BY_ADMIN: 'revoked-by-admin'
+};
+
+// One signed-in device. The refresh token is rotated on every use and only its hash is
+// kept; access tokens carry the session id so revoking the session cuts them off too.
+const sessionSchema = new mongoose.Schema({
+  person: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Person',
+    required: [true, 'Person is required']
+  },
+  refreshTokenHash: {
+    type: String,
+    required: [true, 'Refresh token hash is required'],
+    select: false
+  },
+  isGuest: {
+    type: Boolean, // started through guest login
+    default: false
+  },
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  },
+  ipAddress: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date, // last refresh or authenticated request, updated at most once a minute
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date, // when the current refresh token expires
+    required: [true, 'Expiry date is required']
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: Object.values(SessionRevokeReason)
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+sessionSchema.index({ person: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Virtual for a readable device name from the user agent
+sessionSchema.virtual('device').get(function() {
+  return describeDevice(this.userAgent);
+});
+
+// The session if it exists, belongs to the person and is neither revoked nor expired
+sessionSchema.statics.findUsable = function(sessionId, personId) {
+  return this.findOne({
+    _id: sessionId,
+    person: personId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Atomically swap the current refresh token for the next one; returns null when the
+// session is gone, revoked, expired or holds a different token
+sessionSchema.statics.rotate = function(sessionId, currentHash, { nextHash, expiresAt, ...client }) {
+  return this.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: currentHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      $set: { refreshTokenHash: nextHash, expiresAt, lastUsedAt: new Date(), ...client },
+      $inc: { rotationCount: 1 }
+    },
+    { new: true }
+  );
+};
+
+// Revoke the matching sessions that are still active; resolves to the number revoked
+sessionSchema.statics.revoke = async function(filter, reason) {
+  const result = await this.updateMany(
+    { ...filter, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+};
+
+// What the person sees in their list of signed-in devices
+sessionSchema.methods.getSummary = function(currentSessionId) {
+  return {
+    id: this._id,
+    device: this.device,
+    userAgent: this.userAgent,
+    ipAddress: this.ipAddress,
+    isGuest: this.isGuest,
+    createdAt: this.createdAt,
+    lastSeenAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    current: Boolean(currentSessionId) && this._id.toString() === currentSessionId.toString()
+  };
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
+module.exports.SessionRevokeReason = SessionRevokeReason;
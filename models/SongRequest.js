@@ -1,9 +1,12 @@
 const mongoose = require('mongoose');
+const { createFingerprint } = require('../utils/songFingerprint');
+const { rankSongs } = require('../utils/ranking');
 
 // Define enums
 const SongStatus = {
   PENDING: 'Pending',
   APPROVED: 'Approved',
+  PLAYING: 'Playing',
   REJECTED: 'Rejected',
   PLAYED: 'Played',
   SKIPPED: 'Skipped'
@@ -43,6 +46,10 @@ const songRequestSchema = new mongoose.Schema({
     min: [1900, 'Release year must be after 1900'],
     max: [new Date().getFullYear() + 1, 'Release year cannot be in the future']
   },
+  isExplicit: {
+    type: Boolean,
+    default: false
+  },
   
   // External service integration
   spotifyId: {
@@ -86,6 +93,9 @@ const songRequestSchema = new mongoose.Schema({
     type: Number,
     min: [1, 'Queue position must be at least 1']
   },
+  queuePinnedAt: {
+    type: Date // pinned songs play before the ranked queue, earliest first
+  },
   
   // Engagement metrics
   likes: [{
@@ -103,6 +113,21 @@ const songRequestSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  downvotes: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Person',
+      required: true
+    },
+    votedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  downvoteCount: {
+    type: Number,
+    default: 0
+  },
   
   // Comments/Notes
   requestNote: {
@@ -115,6 +140,10 @@ const songRequestSchema = new mongoose.Schema({
     trim: true,
     maxlength: [500, 'DJ note cannot exceed 500 characters']
   },
+  policyViolations: [{
+    type: String, // content policy rules broken when the request was parked
+    trim: true
+  }],
   
   // TimeBomb feature
   isTimeBomb: {
@@ -128,8 +157,21 @@ const songRequestSchema = new mongoose.Schema({
     type: Number, // tip amount for TimeBomb
     min: [0, 'TimeBomb amount cannot be negative']
   },
+  timeBombWarnedAt: {
+    type: Date
+  },
+  timeBombExpiredAt: {
+    type: Date // set once the expiry outcome has been applied
+  },
+  timeBombFlagged: {
+    type: Boolean, // expired TimeBomb waiting for the DJ to decide
+    default: false
+  },
   
   // Playback tracking
+  playStartedAt: {
+    type: Date
+  },
   playedAt: {
     type: Date
   },
@@ -157,6 +199,10 @@ const songRequestSchema = new mongoose.Schema({
   },
   
   // Duplicate detection
+  fingerprint: {
+    type: String, // normalized "artist|title" used for duplicate detection
+    trim: true
+  },
   isDuplicate: {
     type: Boolean,
     default: false
@@ -186,6 +232,16 @@ songRequestSchema.virtual('fullSongName').get(function() {
   return `${this.artist} - ${this.title}`;
 });
 
+// Virtual for net votes (likes count as upvotes)
+songRequestSchema.virtual('voteScore').get(function() {
+  return (this.likeCount || 0) - (this.downvoteCount || 0);
+});
+
+// Virtual for the queue ranking score computed by findQueue
+songRequestSchema.virtual('score').get(function() {
+  return this.$locals.score === undefined ? null : this.$locals.score;
+});
+
 // Virtual for TimeBomb status
 songRequestSchema.virtual('isTimeBombActive').get(function() {
   if (!this.isTimeBomb || !this.timeBombExpiresAt) return false;
@@ -207,6 +263,7 @@ songRequestSchema.index({ priority: -1 });
 songRequestSchema.index({ likeCount: -1 });
 songRequestSchema.index({ createdAt: -1 });
 songRequestSchema.index({ isTimeBomb: 1, timeBombExpiresAt: 1 });
+songRequestSchema.index({ isTimeBomb: 1, timeBombExpiredAt: 1, timeBombExpiresAt: 1 });
 songRequestSchema.index({ 'likes.user': 1 });
 
 // Compound indexes
@@ -214,6 +271,8 @@ songRequestSchema.index({ event: 1, status: 1 });
 songRequestSchema.index({ event: 1, queuePosition: 1 });
 songRequestSchema.index({ event: 1, priority: -1, likeCount: -1 });
 songRequestSchema.index({ title: 1, artist: 1, event: 1 }); // For duplicate detection
+songRequestSchema.index({ event: 1, fingerprint: 1 });
+songRequestSchema.index({ event: 1, requestedBy: 1, createdAt: -1 }); // For request limits
 
 // Text index for search
 songRequestSchema.index({
@@ -225,8 +284,14 @@ songRequestSchema.index({
 
 // Pre-save middleware
 songRequestSchema.pre('save', async function(next) {
-  // Update like count
+  // Update vote counts
   this.likeCount = this.likes ? this.likes.length : 0;
+  this.downvoteCount = this.downvotes ? this.downvotes.length : 0;
+  
+  // Refresh the duplicate-detection fingerprint
+  if (!this.fingerprint || this.isModified('title') || this.isModified('artist')) {
+    this.fingerprint = createFingerprint(this.title, this.artist);
+  }
   
   // Set TimeBomb expiration if not set
   if (this.isTimeBomb && !this.timeBombExpiresAt) {
@@ -295,7 +360,10 @@ songRequestSchema.methods.toggleLike = function(userId) {
     );
     return this.save().then(() => ({ action: 'unliked', hasLiked: false }));
   } else {
-    // Add like
+    // Add like, replacing any downvote
+    this.downvotes = this.downvotes.filter(
+      vote => vote.user.toString() !== userId.toString()
+    );
     this.likes.push({
       user: userId,
       likedAt: new Date()
@@ -304,14 +372,32 @@ songRequestSchema.methods.toggleLike = function(userId) {
   }
 };
 
+// Set a user's vote to 'up', 'down' or 'clear' (likes are the upvotes)
+songRequestSchema.methods.castVote = function(userId, vote) {
+  const isOtherUser = entry => entry.user.toString() !== userId.toString();
+
+  this.likes = this.likes.filter(isOtherUser);
+  this.downvotes = this.downvotes.filter(isOtherUser);
+
+  if (vote === 'up') {
+    this.likes.push({ user: userId, likedAt: new Date() });
+  } else if (vote === 'down') {
+    this.downvotes.push({ user: userId, votedAt: new Date() });
+  }
+
+  return this.save();
+};
+
 songRequestSchema.methods.approve = function(approvedBy) {
   this.status = SongStatus.APPROVED;
+  this.timeBombFlagged = false;
   this.updatedBy = approvedBy;
   return this.save();
 };
 
 songRequestSchema.methods.reject = function(rejectedBy, reason) {
   this.status = SongStatus.REJECTED;
+  this.timeBombFlagged = false;
   this.rejectedBy = rejectedBy;
   this.rejectedAt = new Date();
   this.rejectionReason = reason;
@@ -328,6 +414,27 @@ songRequestSchema.methods.markAsPlayed = function(playedBy, duration) {
   return this.save();
 };
 
+// Move an approved song ahead of the ranked queue
+songRequestSchema.methods.pinToTop = function(pinnedBy) {
+  this.status = SongStatus.APPROVED;
+  this.queuePinnedAt = new Date();
+  this.updatedBy = pinnedBy;
+  return this.save();
+};
+
+songRequestSchema.methods.startPlaying = function(startedBy) {
+  this.status = SongStatus.PLAYING;
+  this.playStartedAt = new Date();
+  this.updatedBy = startedBy;
+  return this.save();
+};
+
+songRequestSchema.methods.skip = function(skippedBy) {
+  this.status = SongStatus.SKIPPED;
+  this.updatedBy = skippedBy;
+  return this.save();
+};
+
 // Static methods
 songRequestSchema.statics.findByEvent = function(eventId, status = null) {
   const query = { event: eventId };
@@ -338,13 +445,72 @@ songRequestSchema.statics.findByEvent = function(eventId, status = null) {
     .sort({ priority: -1, likeCount: -1, createdAt: 1 });
 };
 
-songRequestSchema.statics.findQueue = function(eventId) {
-  return this.find({
+// Approved songs ranked by the event's ranking strategy, each with its computed score
+songRequestSchema.statics.findQueue = async function(eventId, options = {}) {
+  const Event = mongoose.model('Event');
+  const event = await Event.findById(eventId).select('votingMode rankingStrategy rankingBoostMinutes');
+
+  const songs = await this.find({
     event: eventId,
     status: SongStatus.APPROVED
   })
   .populate('requestedBy', 'firstName lastName')
   .sort({ queuePosition: 1 });
+
+  // Pinned songs jump the ranked queue in the order they were pinned
+  const pinned = songs
+    .filter(song => song.queuePinnedAt)
+    .sort((a, b) => a.queuePinnedAt - b.queuePinnedAt)
+    .map(song => ({ song, score: null }));
+
+  const ranked = rankSongs(songs.filter(song => !song.queuePinnedAt), event && event.rankingStrategy, {
+    votingMode: event && event.votingMode,
+    boostMinutes: event && event.rankingBoostMinutes
+  });
+
+  const queue = [...pinned, ...ranked].map(({ song, score }) => {
+    song.$locals.score = score;
+    return song;
+  });
+
+  return options.limit ? queue.slice(0, options.limit) : queue;
+};
+
+// Renumber the approved queue to match orderedIds (1..N, no gaps) in a single bulk write;
+// an explicit order replaces any pins. A song approved or removed after the order was read
+// would leave a duplicate or a gap, so the queue is checked after the write and renumbered
+// as it now stands, requested order first.
+songRequestSchema.statics.applyQueueOrder = async function(eventId, orderedIds, updatedBy) {
+  const writePositions = async (ids) => {
+    if (ids.length === 0) return 0;
+
+    const result = await this.bulkWrite(ids.map((id, index) => ({
+      updateOne: {
+        filter: { _id: id, event: eventId, status: SongStatus.APPROVED },
+        update: { $set: { queuePosition: index + 1, updatedBy }, $unset: { queuePinnedAt: 1 } }
+      }
+    })), { ordered: true });
+    return result.matchedCount;
+  };
+
+  const matched = await writePositions(orderedIds);
+
+  const queued = await this.find({ event: eventId, status: SongStatus.APPROVED })
+    .select('_id queuePosition')
+    .sort({ queuePosition: 1, createdAt: 1 });
+
+  if (matched !== orderedIds.length || queued.length !== orderedIds.length) {
+    const requestedIndex = new Map(orderedIds.map((id, index) => [id.toString(), index]));
+    const rank = song => {
+      const index = requestedIndex.get(song._id.toString());
+      return index === undefined ? orderedIds.length : index;
+    };
+
+    // Array sort is stable, so songs outside the requested order keep their queue order
+    await writePositions(queued.sort((a, b) => rank(a) - rank(b)).map(song => song._id));
+  }
+
+  return this.findQueue(eventId);
 };
 
 songRequestSchema.statics.findTimeBombs = function(eventId) {
@@ -358,12 +524,50 @@ songRequestSchema.statics.findTimeBombs = function(eventId) {
   .sort({ timeBombExpiresAt: 1 });
 };
 
+// Expired TimeBombs left for the DJ to approve or reject
+songRequestSchema.statics.findFlaggedTimeBombs = function(eventId) {
+  return this.find({
+    event: eventId,
+    isTimeBomb: true,
+    timeBombFlagged: true,
+    status: { $in: [SongStatus.PENDING, SongStatus.APPROVED] }
+  })
+  .populate('requestedBy', 'firstName lastName')
+  .sort({ timeBombExpiresAt: 1 });
+};
+
 songRequestSchema.statics.findDuplicates = function(eventId, title, artist) {
   return this.find({
     event: eventId,
-    title: new RegExp(title, 'i'),
-    artist: new RegExp(artist, 'i'),
+    fingerprint: createFingerprint(title, artist),
     status: { $ne: SongStatus.REJECTED }
+  }).sort({ createdAt: 1 });
+};
+
+// Conditions matching the same song by fingerprint or streaming ID
+const sameSongMatchers = ({ title, artist, spotifyId, youtubeId }) => {
+  const matchers = [{ fingerprint: createFingerprint(title, artist) }];
+  if (spotifyId) matchers.push({ spotifyId });
+  if (youtubeId) matchers.push({ youtubeId });
+  return matchers;
+};
+
+// Earliest non-duplicate request for the same song, matched by fingerprint or streaming ID
+songRequestSchema.statics.findOriginalRequest = function(eventId, song) {
+  return this.findOne({
+    event: eventId,
+    isDuplicate: { $ne: true },
+    status: { $ne: SongStatus.REJECTED },
+    $or: sameSongMatchers(song)
+  }).sort({ createdAt: 1 });
+};
+
+// Any earlier request of the same song by this requester, duplicates included
+songRequestSchema.statics.findRequesterRequest = function(eventId, requesterId, song) {
+  return this.findOne({
+    event: eventId,
+    requestedBy: requesterId,
+    $or: sameSongMatchers(song)
   });
 };
 
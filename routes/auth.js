@@ -4,9 +4,12 @@ const {
   login,
   getMe,
   guestLogin,
+  refresh,
   updateProfile,
   changePassword,
-  logout
+  logout,
+  getSessions,
+  deleteSession
 } = require('../controllers/authController');
 const { protect } = require('../middleware/auth');
 const {
@@ -14,6 +17,8 @@ const {
   validateLogin,
   validateProfileUpdate,
   validatePasswordChange,
+  validateRefreshToken,
+  validateObjectId,
   handleValidationErrors
 } = require('../middleware/validation');
 
@@ -23,11 +28,14 @@ const router = express.Router();
 router.post('/register', validateRegistration, handleValidationErrors, register);
 router.post('/login', validateLogin, handleValidationErrors, login);
 router.post('/guest-login', guestLogin);
+router.post('/refresh', validateRefreshToken, handleValidationErrors, refresh);
 
 // Protected routes
 router.get('/me', protect, getMe);
 router.put('/profile', protect, validateProfileUpdate, handleValidationErrors, updateProfile);
 router.put('/change-password', protect, validatePasswordChange, handleValidationErrors, changePassword);
 router.post('/logout', protect, logout);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:id', protect, validateObjectId('id'), handleValidationErrors, deleteSession);
 
 module.exports = router;
\ No newline at end of file
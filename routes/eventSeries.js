@@ -0,0 +1,40 @@
+const express = require('express');
+const {
+  getEventSeriesList,
+  getEventSeries,
+  createEventSeries,
+  updateEventSeries,
+  deleteEventSeries,
+  uploadSeriesLogo,
+  uploadSeriesBanner
+} = require('../controllers/eventSeriesController');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  validateEventSeries,
+  validateEventSeriesUpdate,
+  validateObjectId,
+  handleValidationErrors
+} = require('../middleware/validation');
+const { upload } = require('../middleware/upload');
+
+const router = express.Router();
+
+// All series routes require manager access; each series is limited to its manager and Admins
+router.use(protect, authorize('Manager', 'Admin'));
+
+router
+  .route('/')
+  .get(getEventSeriesList)
+  .post(validateEventSeries, handleValidationErrors, createEventSeries);
+
+router
+  .route('/:id')
+  .get(validateObjectId('id'), handleValidationErrors, getEventSeries)
+  .put(validateObjectId('id'), validateEventSeriesUpdate, handleValidationErrors, updateEventSeries)
+  .delete(validateObjectId('id'), handleValidationErrors, deleteEventSeries);
+
+// Image upload routes; new images also go to the series' future events
+router.post('/:id/upload-logo', validateObjectId('id'), handleValidationErrors, upload.single('logo'), uploadSeriesLogo);
+router.post('/:id/upload-banner', validateObjectId('id'), handleValidationErrors, upload.single('banner'), uploadSeriesBanner);
+
+module.exports = router;
@@ -0,0 +1,44 @@
+const express = require('express');
+const {
+  getEventTemplates,
+  getEventTemplate,
+  createEventTemplate,
+  updateEventTemplate,
+  deleteEventTemplate,
+  createEventFromTemplate,
+  uploadTemplateLogo,
+  uploadTemplateBanner
+} = require('../controllers/eventTemplateController');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  validateEventTemplate,
+  validateEventTemplateUpdate,
+  validateEventFromTemplate,
+  validateObjectId,
+  handleValidationErrors
+} = require('../middleware/validation');
+const { upload } = require('../middleware/upload');
+
+const router = express.Router();
+
+// All template routes require manager access; each template is limited to its owner and Admins
+router.use(protect, authorize('Manager', 'Admin'));
+
+router
+  .route('/')
+  .get(getEventTemplates)
+  .post(validateEventTemplate, handleValidationErrors, createEventTemplate);
+
+router
+  .route('/:id')
+  .get(validateObjectId('id'), handleValidationErrors, getEventTemplate)
+  .put(validateObjectId('id'), validateEventTemplateUpdate, handleValidationErrors, updateEventTemplate)
+  .delete(validateObjectId('id'), handleValidationErrors, deleteEventTemplate);
+
+router.post('/:id/events', validateObjectId('id'), validateEventFromTemplate, handleValidationErrors, createEventFromTemplate);
+
+// Image upload routes
+router.post('/:id/upload-logo', validateObjectId('id'), handleValidationErrors, upload.single('logo'), uploadTemplateLogo);
+router.post('/:id/upload-banner', validateObjectId('id'), handleValidationErrors, upload.single('banner'), uploadTemplateBanner);
+
+module.exports = router;
@@ -1,8 +1,10 @@
 const express = require('express');
 const {
   getEvents,
+  searchEvents,
   getEvent,
   createEvent,
+  cloneEvent,
   updateEvent,
   deleteEvent,
   activateEvent,
@@ -11,6 +13,7 @@ const {
   joinEventAsGuest,
   getEventGuestMembers,
   leaveEvent,
+  removeEventMember,
   getEventParticipants,
   uploadEventLogo,
   uploadEventBanner,
@@ -19,7 +22,36 @@ const {
   deleteEventLogo,
   deleteEventBanner
 } = require('../controllers/eventController');
-const { createSongRequest } = require('../controllers/songRequestController');
+const { createSongRequest, exportSetlist, importPlaylist } = require('../controllers/songRequestController');
+const { getEventTips } = require('../controllers/paymentController');
+const { getEventCalendar } = require('../controllers/calendarController');
+const {
+  getEventStaff,
+  addEventStaff,
+  updateEventStaff,
+  removeEventStaff
+} = require('../controllers/staffController');
+const {
+  createInvitation,
+  getInvitations,
+  revokeInvitation
+} = require('../controllers/invitationController');
+const {
+  getJoinRequests,
+  approveJoinRequest,
+  denyJoinRequest,
+  bulkDecideJoinRequests
+} = require('../controllers/joinRequestController');
+const {
+  getWaitlist,
+  reorderWaitlist,
+  removeWaitlistEntry
+} = require('../controllers/waitlistController');
+const {
+  getEventQrCode,
+  checkIn,
+  checkInMember
+} = require('../controllers/attendanceController');
 const {
   getEventFeedback,
   createEventFeedback,
@@ -33,21 +65,33 @@ const {
   authorize, 
   optionalAuth, 
   adminOnly,
-  managerEventAccess,
+  eventPermission,
   eventParticipantAccess
 } = require('../middleware/auth');
+const { EventPermission } = require('../utils/eventPermissions');
 const {
   validateEventCreation,
   validateEventUpdate,
+  validateEventClone,
   validateObjectId,
   validatePagination,
+  validateEventSearch,
   validateFeedbackPagination,
   validateSongRequest,
   validateEventFeedback,
   validateFeedbackApproval,
+  validateSetlistExport,
+  validateStaffMember,
+  validateStaffRoleUpdate,
+  validateInvitation,
+  validateJoinRequestDecision,
+  validateJoinRequestBulk,
+  validateWaitlistReorder,
+  validateQrCode,
+  validateCheckIn,
   handleValidationErrors
 } = require('../middleware/validation');
-const { upload } = require('../middleware/upload');
+const { upload, playlistUpload } = require('../middleware/upload');
 
 const router = express.Router();
 
@@ -57,20 +101,26 @@ router
   .get(optionalAuth, validatePagination, handleValidationErrors, getEvents)
   .post(protect, authorize('Manager', 'Admin'), validateEventCreation, handleValidationErrors, createEvent);
 
+// Search with facets and near-me filtering (before /:id so "search" isn't taken as an ID)
+router.get('/search', optionalAuth, validateEventSearch, handleValidationErrors, searchEvents);
+
 router
   .route('/:id')
   .get(optionalAuth, validateObjectId('id'), handleValidationErrors, getEvent)
-  .put(protect, managerEventAccess, validateObjectId('id'), validateEventUpdate, handleValidationErrors, updateEvent)
-  .delete(protect, managerEventAccess, validateObjectId('id'), handleValidationErrors, deleteEvent);
+  .put(protect, eventPermission(EventPermission.MANAGE_EVENT), validateObjectId('id'), validateEventUpdate, handleValidationErrors, updateEvent)
+  .delete(protect, eventPermission(EventPermission.DELETE_EVENT), validateObjectId('id'), handleValidationErrors, deleteEvent);
+
+// Copy an event's configuration into a new event the caller manages
+router.post('/:id/clone', protect, authorize('Manager', 'Admin'), eventPermission(EventPermission.MANAGE_EVENT), validateObjectId('id'), validateEventClone, handleValidationErrors, cloneEvent);
 
-// Event management routes (Manager/Admin only)
+// Event management routes (event staff with manage permission)
 router
   .route('/:id/activate')
-  .put(protect, managerEventAccess, validateObjectId('id'), handleValidationErrors, activateEvent);
+  .put(protect, eventPermission(EventPermission.MANAGE_EVENT), validateObjectId('id'), handleValidationErrors, activateEvent);
 
 router
   .route('/:id/deactivate')
-  .put(protect, managerEventAccess, validateObjectId('id'), handleValidationErrors, deactivateEvent);
+  .put(protect, eventPermission(EventPermission.MANAGE_EVENT), validateObjectId('id'), handleValidationErrors, deactivateEvent);
 
 // Member management routes
 router
@@ -84,16 +134,65 @@ router
 
 router
   .route('/:id/leave')
-  .post(protect, authorize('Manager', 'Admin', 'Member'), validateObjectId('id'), handleValidationErrors, leaveEvent);
+  .post(protect, authorize('Manager', 'Admin', 'Member', 'Guest'), validateObjectId('id'), handleValidationErrors, leaveEvent);
 
-// Participant viewing routes (Manager/Admin only)
+// Calendar file for one event
+router.get('/:id/calendar.ics', optionalAuth, validateObjectId('id'), handleValidationErrors, getEventCalendar);
+
+// Participant viewing routes (event staff only)
 router
   .route('/:id/Members')
-  .get(protect, managerEventAccess, validateObjectId('id'), handleValidationErrors, getEventParticipants);
+  .get(protect, eventPermission(EventPermission.VIEW_MEMBERS), validateObjectId('id'), handleValidationErrors, getEventParticipants);
 
 router
   .route('/:id/guest-Members')
-  .get(protect, managerEventAccess, validateObjectId('id'), handleValidationErrors, getEventGuestMembers);
+  .get(protect, eventPermission(EventPermission.VIEW_MEMBERS), validateObjectId('id'), handleValidationErrors, getEventGuestMembers);
+
+// Staff management routes
+router
+  .route('/:id/staff')
+  .get(protect, eventPermission(EventPermission.VIEW_MEMBERS), validateObjectId('id'), handleValidationErrors, getEventStaff)
+  .post(protect, eventPermission(EventPermission.MANAGE_STAFF), validateObjectId('id'), validateStaffMember, handleValidationErrors, addEventStaff);
+
+router
+  .route('/:id/staff/:userId')
+  .put(protect, eventPermission(EventPermission.MANAGE_STAFF), validateObjectId('id'), validateObjectId('userId'), validateStaffRoleUpdate, handleValidationErrors, updateEventStaff)
+  .delete(protect, eventPermission(EventPermission.MANAGE_STAFF), validateObjectId('id'), validateObjectId('userId'), handleValidationErrors, removeEventStaff);
+
+// Invitation routes (event staff only)
+router
+  .route('/:id/invitations')
+  .get(protect, eventPermission(EventPermission.MANAGE_MEMBERS), validateObjectId('id'), handleValidationErrors, getInvitations)
+  .post(protect, eventPermission(EventPermission.MANAGE_MEMBERS), validateObjectId('id'), validateInvitation, handleValidationErrors, createInvitation);
+
+router.delete('/:id/invitations/:invitationId',
+  protect,
+  eventPermission(EventPermission.MANAGE_MEMBERS),
+  validateObjectId('id'),
+  validateObjectId('invitationId'),
+  handleValidationErrors,
+  revokeInvitation
+);
+
+// Join request routes (event staff only)
+const canManageMembers = eventPermission(EventPermission.MANAGE_MEMBERS);
+
+router.get('/:id/join-requests', protect, canManageMembers, validateObjectId('id'), handleValidationErrors, getJoinRequests);
+router.post('/:id/join-requests/bulk', protect, canManageMembers, validateObjectId('id'), validateJoinRequestBulk, handleValidationErrors, bulkDecideJoinRequests);
+router.post('/:id/join-requests/:requestId/approve', protect, canManageMembers, validateObjectId('id'), validateObjectId('requestId'), handleValidationErrors, approveJoinRequest);
+router.post('/:id/join-requests/:requestId/deny', protect, canManageMembers, validateObjectId('id'), validateObjectId('requestId'), validateJoinRequestDecision, handleValidationErrors, denyJoinRequest);
+
+// Membership and waitlist management (event staff only)
+router.delete('/:id/members/:memberId', protect, canManageMembers, validateObjectId('id'), validateObjectId('memberId'), handleValidationErrors, removeEventMember);
+
+router.get('/:id/waitlist', protect, canManageMembers, validateObjectId('id'), handleValidationErrors, getWaitlist);
+router.put('/:id/waitlist/order', protect, canManageMembers, validateObjectId('id'), validateWaitlistReorder, handleValidationErrors, reorderWaitlist);
+router.delete('/:id/waitlist/:entryId', protect, canManageMembers, validateObjectId('id'), validateObjectId('entryId'), handleValidationErrors, removeWaitlistEntry);
+
+// Check-in and attendance
+router.get('/:id/qr', protect, canManageMembers, validateObjectId('id'), validateQrCode, handleValidationErrors, getEventQrCode);
+router.post('/:id/check-in', optionalAuth, validateObjectId('id'), validateCheckIn, handleValidationErrors, checkIn);
+router.post('/:id/check-in/:memberId', protect, canManageMembers, validateObjectId('id'), validateObjectId('memberId'), handleValidationErrors, checkInMember);
 
 // Song request routes (Members and Guests who joined events)
 router.post('/:eventId/song-requests', 
@@ -104,13 +203,42 @@ router.post('/:eventId/song-requests',
   createSongRequest
 );
 
+// Setlist export (event staff only)
+router.get('/:eventId/setlist',
+  protect,
+  eventPermission(EventPermission.VIEW_REPORTS),
+  validateObjectId('eventId'),
+  validateSetlistExport,
+  handleValidationErrors,
+  exportSetlist
+);
+
+// Playlist import (event staff only)
+router.post('/:id/playlist-import',
+  protect,
+  eventPermission(EventPermission.MANAGE_QUEUE),
+  validateObjectId('id'),
+  handleValidationErrors,
+  playlistUpload.single('playlist'),
+  importPlaylist
+);
+
+// TimeBomb tip totals (event staff only)
+router.get('/:id/tips',
+  protect,
+  eventPermission(EventPermission.VIEW_REPORTS),
+  validateObjectId('id'),
+  handleValidationErrors,
+  getEventTips
+);
+
 // Image upload routes
-router.post('/:id/upload-logo', protect, upload.single('logo'), uploadEventLogo);
-router.post('/:id/upload-banner', protect, upload.single('banner'), uploadEventBanner);
+router.post('/:id/upload-logo', protect, eventPermission(EventPermission.MANAGE_EVENT), upload.single('logo'), uploadEventLogo);
+router.post('/:id/upload-banner', protect, eventPermission(EventPermission.MANAGE_EVENT), upload.single('banner'), uploadEventBanner);
 router.get('/:id/logo', getEventLogo);
 router.get('/:id/banner', getEventBanner);
-router.delete('/:id/logo', protect, deleteEventLogo);
-router.delete('/:id/banner', protect, deleteEventBanner);
+router.delete('/:id/logo', protect, eventPermission(EventPermission.MANAGE_EVENT), deleteEventLogo);
+router.delete('/:id/banner', protect, eventPermission(EventPermission.MANAGE_EVENT), deleteEventBanner);
 
 // Event Feedback routes (Public access - no authentication required)
 router
@@ -125,10 +253,10 @@ router
 router
   .route('/:eventId/feedback/:id')
   .get(validateObjectId('eventId'), validateObjectId('id'), handleValidationErrors, getFeedback)
-  .delete(protect, managerEventAccess, validateObjectId('eventId'), validateObjectId('id'), handleValidationErrors, deleteFeedback);
+  .delete(protect, eventPermission(EventPermission.MODERATE_FEEDBACK), validateObjectId('eventId'), validateObjectId('id'), handleValidationErrors, deleteFeedback);
 
 router
   .route('/:eventId/feedback/:id/approve')
-  .put(protect, managerEventAccess, validateObjectId('eventId'), validateObjectId('id'), handleValidationErrors, approveFeedback);
+  .put(protect, eventPermission(EventPermission.MODERATE_FEEDBACK), validateObjectId('eventId'), validateObjectId('id'), handleValidationErrors, approveFeedback);
 
 module.exports = router;
\ No newline at end of file
@@ -6,6 +6,7 @@ const {
 } = require('../controllers/guestController');
 const { protect, authorize } = require('../middleware/auth');
 const { getEvents } = require('../controllers/eventController');
+const { getMemberCalendarLink, resetMemberCalendarLink } = require('../controllers/calendarController');
 
 const router = express.Router();
 
@@ -15,5 +16,7 @@ router.use(protect, authorize('Guest'));
 router.get('/dashboard', getGuestDashboard);
 router.get('/events', getEvents); // Use main events controller instead
 router.get('/song-requests', getGuestSongRequests);
+router.get('/calendar', getMemberCalendarLink); // feed is served from /api/member/calendar.ics
+router.post('/calendar/reset', resetMemberCalendarLink);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,20 @@
+const express = require('express');
+const {
+  getInvitation,
+  acceptInvitation,
+  declineInvitation
+} = require('../controllers/invitationController');
+const { optionalAuth } = require('../middleware/auth');
+const {
+  validateInvitationAccept,
+  handleValidationErrors
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// Public invitation routes (registered users send their token to join as Members)
+router.get('/:token', getInvitation);
+router.post('/:token/accept', optionalAuth, validateInvitationAccept, handleValidationErrors, acceptInvitation);
+router.post('/:token/decline', declineInvitation);
+
+module.exports = router;
@@ -4,15 +4,26 @@ const {
   getManagerEvents,
   getEventAnalytics
 } = require('../controllers/managerController');
+const {
+  getManagerCalendar,
+  getManagerCalendarLink,
+  resetManagerCalendarLink
+} = require('../controllers/calendarController');
 const { protect, authorize } = require('../middleware/auth');
+const { validateCalendarFeed, handleValidationErrors } = require('../middleware/validation');
 
 const router = express.Router();
 
-// All routes require manager access
+// Calendar subscription feed; calendar apps authenticate with the signed token in the link
+router.get('/calendar.ics', validateCalendarFeed, handleValidationErrors, getManagerCalendar);
+
+// All other routes require manager access
 router.use(protect, authorize('Manager', 'Admin'));
 
 router.get('/dashboard', getManagerDashboard);
 router.get('/events', getManagerEvents);
 router.get('/events/:id/analytics', getEventAnalytics);
+router.get('/calendar', getManagerCalendarLink);
+router.post('/calendar/reset', resetManagerCalendarLink);
 
 module.exports = router;
\ No newline at end of file
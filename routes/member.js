@@ -4,15 +4,26 @@ const {
   getMemberEvents,
   getMemberSongRequests
 } = require('../controllers/memberController');
+const {
+  getMemberCalendar,
+  getMemberCalendarLink,
+  resetMemberCalendarLink
+} = require('../controllers/calendarController');
 const { protect, authorize } = require('../middleware/auth');
+const { validateCalendarFeed, handleValidationErrors } = require('../middleware/validation');
 
 const router = express.Router();
 
-// All routes require member access
+// Calendar subscription feed; calendar apps authenticate with the signed token in the link
+router.get('/calendar.ics', validateCalendarFeed, handleValidationErrors, getMemberCalendar);
+
+// All other routes require member access
 router.use(protect, authorize('Member'));
 
 router.get('/dashboard', getMemberDashboard);
 router.get('/events', getMemberEvents);
 router.get('/song-requests', getMemberSongRequests);
+router.get('/calendar', getMemberCalendarLink);
+router.post('/calendar/reset', resetMemberCalendarLink);
 
 module.exports = router;
\ No newline at end of file
@@ -6,7 +6,8 @@ const {
   updatePerson,
   deletePerson,
   activatePerson,
-  deactivatePerson
+  deactivatePerson,
+  logoutPerson
 } = require('../controllers/personController');
 const { protect, adminOnly } = require('../middleware/auth');
 const {
@@ -42,4 +43,8 @@ router
   .route('/:id/deactivate')
   .put(adminOnly, validateObjectId('id'), handleValidationErrors, deactivatePerson);
 
+router
+  .route('/:id/logout')
+  .post(adminOnly, validateObjectId('id'), handleValidationErrors, logoutPerson);
+
 module.exports = router;
\ No newline at end of file
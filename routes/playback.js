@@ -0,0 +1,34 @@
+const express = require('express');
+const {
+  getPlayback,
+  startPlayback,
+  nextTrack,
+  skipTrack,
+  pausePlayback
+} = require('../controllers/playbackController');
+const {
+  protect,
+  optionalAuth,
+  eventPermission
+} = require('../middleware/auth');
+const { EventPermission } = require('../utils/eventPermissions');
+const {
+  validateObjectId,
+  validatePlaybackStart,
+  validatePlaybackPause,
+  handleValidationErrors
+} = require('../middleware/validation');
+
+const router = express.Router({ mergeParams: true });
+
+router.get('/', optionalAuth, validateObjectId('eventId'), handleValidationErrors, getPlayback);
+
+// Playback controls (event staff only)
+const canControlPlayback = eventPermission(EventPermission.CONTROL_PLAYBACK);
+
+router.post('/start', protect, canControlPlayback, validateObjectId('eventId'), validatePlaybackStart, handleValidationErrors, startPlayback);
+router.post('/next', protect, canControlPlayback, validateObjectId('eventId'), handleValidationErrors, nextTrack);
+router.post('/skip', protect, canControlPlayback, validateObjectId('eventId'), handleValidationErrors, skipTrack);
+router.post('/pause', protect, canControlPlayback, validateObjectId('eventId'), validatePlaybackPause, handleValidationErrors, pausePlayback);
+
+module.exports = router;
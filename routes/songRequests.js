@@ -6,42 +6,58 @@ const {
   updateSongRequest,
   deleteSongRequest,
   toggleLike,
+  voteSongRequest,
   approveSongRequest,
   rejectSongRequest,
   getEventQueue,
   getTimeBombs,
   getEventStats,
   markSongAsPlayed,
-  removeSongFromList
+  removeSongFromList,
+  reorderQueue,
+  bulkModerateSongRequests
 } = require('../controllers/songRequestController');
+const { createTip, confirmTip } = require('../controllers/paymentController');
 
 const { 
   protect, 
   optionalAuth, 
   eventParticipantAccess,
-  managerEventAccess
+  eventPermission
 } = require('../middleware/auth');
+const { EventPermission } = require('../utils/eventPermissions');
 const {
   validateSongRequest,
   validateSongRequestUpdate,
   validateObjectId,
-  validatePagination
+  validatePagination,
+  validateQueueReorder,
+  validateSongVote,
+  validateSongRequestBulk,
+  validateTipIntent,
+  validateTipConfirm,
+  handleValidationErrors
 } = require('../middleware/validation');
 
 const router = express.Router({ mergeParams: true });
 
-// Grant access to specific roles
-const authorize = (...roles) => {
-  return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        message: `User role ${req.user.role} is not authorized to access this route`
-      });
-    }
-    next();
-  };
-};
+// Queue ordering (event staff only)
+router.put('/queue/order',
+  protect,
+  eventPermission(EventPermission.MANAGE_QUEUE),
+  validateQueueReorder,
+  handleValidationErrors,
+  reorderQueue
+);
+
+// Bulk moderation (event staff only)
+router.post('/bulk',
+  protect,
+  eventPermission(EventPermission.MODERATE_REQUESTS),
+  validateSongRequestBulk,
+  handleValidationErrors,
+  bulkModerateSongRequests
+);
 
 // Public/Protected routes (Members and Guests who joined events)
 router.route('/')
@@ -55,38 +71,43 @@ router.route('/:id')
 
 // Song interaction routes (Members and Guests who joined events)
 router.post('/:id/like', protect, eventParticipantAccess, validateObjectId('id'), toggleLike);
+router.post('/:id/vote', protect, eventParticipantAccess, validateObjectId('id'), validateSongVote, handleValidationErrors, voteSongRequest);
+
+// TimeBomb tips (requester only)
+router.post('/:id/tip', protect, eventParticipantAccess, validateObjectId('id'), validateTipIntent, handleValidationErrors, createTip);
+router.post('/:id/tip/confirm', protect, eventParticipantAccess, validateObjectId('id'), validateTipConfirm, handleValidationErrors, confirmTip);
 
-// Manager-only routes
+// Moderation routes (event staff only)
 router.post('/:id/approve', 
   protect, 
-  managerEventAccess, 
+  eventPermission(EventPermission.MODERATE_REQUESTS), 
   validateObjectId('id'), 
   approveSongRequest
 );
 
 router.post('/:id/reject', 
   protect, 
-  managerEventAccess, 
+  eventPermission(EventPermission.MODERATE_REQUESTS), 
   validateObjectId('id'), 
   rejectSongRequest
 );
 
-// Event management routes (Manager/Admin only)
+// Event management routes (event staff only)
 router.get('/queue', optionalAuth, getEventQueue);
-router.get('/timebombs', protect, managerEventAccess, getTimeBombs);
-router.get('/stats', protect, managerEventAccess, getEventStats);
+router.get('/timebombs', protect, eventPermission(EventPermission.VIEW_REPORTS), getTimeBombs);
+router.get('/stats', protect, eventPermission(EventPermission.VIEW_REPORTS), getEventStats);
 
-// Mark song as played (Admin/Manager only)
+// Mark song as played (event staff only)
 router.put('/:eventId/song-requests/:id/mark-played', 
   protect, 
-  authorize('Admin', 'Manager'), 
+  eventPermission(EventPermission.CONTROL_PLAYBACK), 
   markSongAsPlayed
 );
 
-// Remove song from list (Admin/Manager only)
+// Remove song from list (event staff only)
 router.delete('/:eventId/song-requests/:id/remove', 
   protect, 
-  authorize('Admin', 'Manager'), 
+  eventPermission(EventPermission.MODERATE_REQUESTS), 
   removeSongFromList
 );
 
@@ -0,0 +1,53 @@
+const dotenv = require('dotenv');
+const SongRequest = require('../models/SongRequest');
+const connectDB = require('../config/database');
+const { createFingerprint } = require('../utils/songFingerprint');
+
+// Load env vars
+dotenv.config();
+
+// Compute fingerprints for song requests created before duplicate detection used them.
+// With --all, every fingerprint is recomputed (needed after normalization changes).
+const backfillFingerprints = async ({ all = false } = {}) => {
+  try {
+    await connectDB();
+
+    console.log(all ? '🔍 Recomputing all song request fingerprints...' : '🔍 Finding song requests without a fingerprint...');
+    const cursor = SongRequest.find(all ? {} : { fingerprint: { $exists: false } })
+      .select('title artist')
+      .cursor();
+
+    let operations = [];
+    let updated = 0;
+
+    for await (const song of cursor) {
+      operations.push({
+        updateOne: {
+          filter: { _id: song._id },
+          update: { $set: { fingerprint: createFingerprint(song.title, song.artist) } }
+        }
+      });
+
+      if (operations.length === 500) {
+        await SongRequest.bulkWrite(operations);
+        updated += operations.length;
+        operations = [];
+      }
+    }
+
+    if (operations.length > 0) {
+      await SongRequest.bulkWrite(operations);
+      updated += operations.length;
+    }
+
+    console.log(`✅ Backfilled ${updated} song request fingerprints`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error backfilling fingerprints:', error);
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  backfillFingerprints({ all: process.argv[2] === '--all' });
+}
@@ -0,0 +1,68 @@
+const dotenv = require('dotenv');
+const Event = require('../models/Event');
+const { toGeoPoint } = require('../models/Event');
+const connectDB = require('../config/database');
+
+// Load env vars
+dotenv.config();
+
+// Copy venue.coordinates into the GeoJSON venue.location field used by near-me search
+const migrateEventLocations = async () => {
+  try {
+    await connectDB();
+
+    console.log('🔍 Finding events with venue coordinates...');
+    const cursor = Event.find({
+      'venue.coordinates.latitude': { $type: 'number' },
+      'venue.coordinates.longitude': { $type: 'number' }
+    })
+      .select('venue.coordinates venue.location')
+      .lean()
+      .cursor();
+
+    let operations = [];
+    let updated = 0;
+    let skipped = 0;
+
+    for await (const event of cursor) {
+      const location = toGeoPoint(event.venue.coordinates);
+
+      if (!location) {
+        skipped++;
+        continue;
+      }
+
+      // bulkWrite skips the update hooks, so the point is set directly
+      operations.push({
+        updateOne: {
+          filter: { _id: event._id },
+          update: { $set: { 'venue.location': location } }
+        }
+      });
+
+      if (operations.length === 500) {
+        await Event.bulkWrite(operations);
+        updated += operations.length;
+        operations = [];
+      }
+    }
+
+    if (operations.length > 0) {
+      await Event.bulkWrite(operations);
+      updated += operations.length;
+    }
+
+    console.log('🗂️  Building search and 2dsphere indexes...');
+    await Event.createIndexes();
+
+    console.log(`✅ Migrated ${updated} event locations (${skipped} with out-of-range coordinates skipped)`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating event locations:', error);
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  migrateEventLocations();
+}
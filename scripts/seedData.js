@@ -4,6 +4,7 @@ const dotenv = require('dotenv');
 const Person = require('../models/Person');
 const Event = require('../models/Event');
 const SongRequest = require('../models/SongRequest');
+const { createFingerprint } = require('../utils/songFingerprint');
 const connectDB = require('../config/database');
 
 // Load env vars
@@ -273,6 +274,11 @@ const seedData = async () => {
       }
     ];
 
+    // insertMany skips save middleware, so set fingerprints explicitly
+    songRequests.forEach(song => {
+      song.fingerprint = createFingerprint(song.title, song.artist);
+    });
+
     const createdSongRequests = await SongRequest.insertMany(songRequests);
     console.log(`✅ Created ${createdSongRequests.length} song requests`);
 
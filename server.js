@@ -9,6 +9,9 @@ const http = require('http');
 const connectDB = require('./config/database');
 const { errorHandler } = require('./middleware/errorHandler'); // Fix: destructure errorHandler
 const initializeSocket = require('./sockets');
+const timeBombScheduler = require('./jobs/timeBombScheduler');
+const eventLifecycleScheduler = require('./jobs/eventLifecycleScheduler');
+const eventSeriesScheduler = require('./jobs/eventSeriesScheduler');
 
 // Load env vars
 dotenv.config();
@@ -88,7 +91,11 @@ app.get('/', (req, res) => {
       auth: '/api/auth',
       persons: '/api/persons',
       events: '/api/events',
-      songRequests: '/api/events/:eventId/song-requests'
+      eventSeries: '/api/event-series',
+      eventTemplates: '/api/event-templates',
+      songRequests: '/api/events/:eventId/song-requests',
+      playback: '/api/events/:eventId/playback',
+      invitations: '/api/invitations'
     },
     health: '/health'
   });
@@ -98,7 +105,11 @@ app.get('/', (req, res) => {
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/persons', require('./routes/persons'));
 app.use('/api/events', require('./routes/events'));
+app.use('/api/event-series', require('./routes/eventSeries'));
+app.use('/api/event-templates', require('./routes/eventTemplates'));
 app.use('/api/events/:eventId/song-requests', require('./routes/songRequests'));
+app.use('/api/events/:eventId/playback', require('./routes/playback'));
+app.use('/api/invitations', require('./routes/invitations'));
 
 // Role-based routes
 app.use('/api/admin', require('./routes/admin'));
@@ -124,6 +135,11 @@ server.listen(PORT, () => {
   console.log(`📊 Environment: ${process.env.NODE_ENV}`);
   console.log(`🔗 Health check: http://localhost:${PORT}/health`);
   console.log(`🎵 Socket.io ready for real-time connections\n`);
+
+  // Background jobs
+  timeBombScheduler.start(io);
+  eventLifecycleScheduler.start(io);
+  eventSeriesScheduler.start();
 });
 
 // Handle unhandled promise rejections
@@ -0,0 +1,166 @@
+const Event = require('../models/Event');
+const { EVENT_SETTINGS_FIELDS } = require('../models/Event');
+const EventParticipant = require('../models/EventParticipant');
+const SongRequest = require('../models/SongRequest');
+const { SongStatus } = require('../models/SongRequest');
+const { copyImageInGridFS, deleteImageFromGridFS } = require('../middleware/upload');
+
+const IMAGE_FIELDS = { logo: 'logo', bannerImage: 'banner' };
+
+// Song fields carried over when an approved queue is copied
+const SONG_FIELDS = [
+  'title', 'artist', 'album', 'genre', 'duration', 'releaseYear', 'isExplicit',
+  'spotifyId', 'youtubeId', 'appleMusicId', 'requestedBy', 'requestNote', 'priority', 'fingerprint'
+];
+
+// Reusable settings of an event, template body or request body. Images are left out
+// so callers decide whether to share or duplicate them.
+const extractSettings = (source) => {
+  const plain = typeof source.toObject === 'function' ? source.toObject({ virtuals: false }) : source;
+  const settings = {};
+
+  EVENT_SETTINGS_FIELDS.forEach(field => {
+    if (!IMAGE_FIELDS[field] && plain[field] !== undefined) {
+      settings[field] = plain[field];
+    }
+  });
+
+  if (Array.isArray(settings.staff)) {
+    settings.staff = settings.staff.map(({ user, role, addedBy, addedAt }) => ({ user, role, addedBy, addedAt }));
+  }
+
+  // Manual activate/deactivate overrides belong to the source event only
+  if (settings.lifecycle) {
+    const { manualOverride, overriddenAt, overriddenBy, ...lifecycle } = settings.lifecycle;
+    settings.lifecycle = lifecycle;
+  }
+
+  return settings;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Apply setting edits on top of saved settings; object settings (venue, contentPolicy...) are merged
+const mergeSettings = (settings, edits) => {
+  const merged = { ...settings };
+
+  Object.entries(edits).forEach(([field, value]) => {
+    merged[field] = isPlainObject(value) && isPlainObject(merged[field])
+      ? { ...merged[field], ...value }
+      : value;
+  });
+
+  return merged;
+};
+
+// Run the Event schema's validation on just the settings that are present
+const validateSettings = (settings) => new Event(settings).validate(Object.keys(settings));
+
+// Give a new owner its own copies of the source's logo and banner, so deleting
+// one event's image never breaks another. Returns { logo, bannerImage }.
+const copyImages = async (source, ownerId) => {
+  const images = {};
+
+  for (const [field, label] of Object.entries(IMAGE_FIELDS)) {
+    images[field] = source[field]
+      ? await copyImageInGridFS(source[field], `${label}-${ownerId}-${Date.now()}`)
+      : null;
+  }
+
+  return images;
+};
+
+// Clean up copies made for a document that could not be saved
+const discardImages = async (images) => {
+  await Promise.all(Object.values(images).filter(Boolean).map(fileId => deleteImageFromGridFS(fileId)));
+};
+
+// Save a new event from copied settings plus its own fields (name, dates, manager...).
+// With copyMedia the event gets its own copies of the source's logo and banner.
+const createEventFrom = async (source, settings, fields, { copyMedia = true } = {}) => {
+  const event = new Event({ ...settings, ...fields });
+
+  // The manager owns the event, so they don't need a staff entry as well
+  event.staff = event.staff.filter(member => member.user.toString() !== event.manager.toString());
+
+  const images = copyMedia ? await copyImages(source, event._id) : {};
+  Object.assign(event, images);
+
+  try {
+    await event.save();
+  } catch (error) {
+    await discardImages(images);
+    throw error;
+  }
+
+  return event;
+};
+
+// Approved Members of the source as approved Members of the target (embedded, saved with the target)
+const copyMemberList = (source, target, userId) => {
+  const now = new Date();
+
+  source.Members
+    .filter(member => member.isApproved && member.user.toString() !== target.manager.toString())
+    .forEach(member => {
+      target.Members.push({ user: member.user, isApproved: true, approvedAt: now, approvedBy: userId });
+    });
+
+  return target.Members.length;
+};
+
+// Approved guest participants of the source, once the target exists
+const copyGuestParticipants = async (source, target, userId) => {
+  const guests = await EventParticipant.find({ event: source._id, isApproved: true })
+    .select('email firstName lastName');
+  if (guests.length === 0) return 0;
+
+  const now = new Date();
+  await EventParticipant.insertMany(guests.map(guest => ({
+    event: target._id,
+    email: guest.email,
+    firstName: guest.firstName,
+    lastName: guest.lastName,
+    isApproved: true,
+    approvedAt: now,
+    approvedBy: userId
+  })));
+
+  return guests.length;
+};
+
+// The source's approved queue, in queue order, as approved requests on the target
+const copyApprovedQueue = async (source, target, userId) => {
+  const songs = await SongRequest.find({ event: source._id, status: SongStatus.APPROVED })
+    .sort({ queuePosition: 1, createdAt: 1 });
+  if (songs.length === 0) return 0;
+
+  await SongRequest.insertMany(songs.map((song, index) => {
+    const copy = SONG_FIELDS.reduce((fields, field) => {
+      if (song[field] !== undefined) fields[field] = song[field];
+      return fields;
+    }, {});
+
+    return {
+      ...copy,
+      event: target._id,
+      status: SongStatus.APPROVED,
+      queuePosition: index + 1,
+      createdBy: userId
+    };
+  }));
+
+  return songs.length;
+};
+
+module.exports = {
+  extractSettings,
+  mergeSettings,
+  validateSettings,
+  copyImages,
+  discardImages,
+  createEventFrom,
+  copyMemberList,
+  copyGuestParticipants,
+  copyApprovedQueue
+};
@@ -0,0 +1,25 @@
+const Event = require('../models/Event');
+const EventSeries = require('../models/EventSeries');
+const EventTemplate = require('../models/EventTemplate');
+const { deleteImageFromGridFS } = require('../middleware/upload');
+
+// Events in a series share the series logo and banner, so a GridFS file is only
+// removed once no event, series or template points at it any more
+const deleteImageIfUnused = async (fileId) => {
+  if (!fileId) return false;
+
+  const [usedByEvent, usedBySeries, usedByTemplate] = await Promise.all([
+    Event.exists({ $or: [{ logo: fileId }, { bannerImage: fileId }] }),
+    EventSeries.exists({ $or: [{ 'template.logo': fileId }, { 'template.bannerImage': fileId }] }),
+    EventTemplate.exists({ $or: [{ logo: fileId }, { bannerImage: fileId }] })
+  ]);
+
+  if (usedByEvent || usedBySeries || usedByTemplate) return false;
+
+  await deleteImageFromGridFS(fileId);
+  return true;
+};
+
+module.exports = {
+  deleteImageIfUnused
+};
@@ -0,0 +1,165 @@
+const Event = require('../models/Event');
+const EventParticipant = require('../models/EventParticipant');
+
+const DEFAULT_RADIUS_KM = 25;
+const CITY_FACET_LIMIT = 20;
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Events a user may see in listings, by role. Uses ObjectIds so the filter also works
+// in aggregation pipelines, which don't cast.
+const buildVisibilityFilter = async (user, { myEvents = false } = {}) => {
+  if (!user) {
+    // Unauthenticated users - only public events
+    return { isPublic: true, status: 'Active' };
+  }
+
+  switch (user.role) {
+    case 'Admin':
+      // Admin can see all events
+      return {};
+    case 'Manager':
+      // Manager can see all public events + events they own or staff
+      if (myEvents) {
+        return { $or: [{ manager: user._id }, { 'staff.user': user._id }] };
+      }
+      return { $or: [{ isPublic: true }, { manager: user._id }, { 'staff.user': user._id }] };
+    case 'Member':
+      // Member can see all public events
+      return { isPublic: true };
+    case 'Guest': {
+      // Guest can see events they've joined as registered members OR as guest participants
+      const joinedEvents = await Event.find({
+        'Members.user': user._id,
+        'Members.isApproved': true
+      }).select('_id');
+
+      const guestParticipations = await EventParticipant.find({
+        email: user.email,
+        isApproved: true
+      }).select('event');
+
+      return {
+        _id: { $in: [...joinedEvents.map(e => e._id), ...guestParticipations.map(gp => gp.event)] }
+      };
+    }
+    default:
+      return { isPublic: true };
+  }
+};
+
+// Facet filters; several values of one facet match any of them
+const buildFacetFilter = ({ eventTypes = [], statuses = [], cities = [], from, to }) => {
+  const filter = {};
+
+  if (eventTypes.length > 0) filter.eventType = { $in: eventTypes };
+  if (statuses.length > 0) filter.status = { $in: statuses };
+  if (cities.length > 0) {
+    filter['venue.city'] = { $in: cities.map(city => new RegExp(`^${escapeRegex(city)}$`, 'i')) };
+  }
+  if (from || to) {
+    filter.startDate = {};
+    if (from) filter.startDate.$gte = from;
+    if (to) filter.startDate.$lte = to;
+  }
+
+  return filter;
+};
+
+// $geoNear can't be combined with a $text query, so near-me searches match words with regexes
+const buildRegexSearch = (q) => {
+  const pattern = new RegExp(escapeRegex(q), 'i');
+  return {
+    $or: ['name', 'description', 'venue.name', 'venue.address', 'venue.city'].map(field => ({ [field]: pattern }))
+  };
+};
+
+const SORTS = {
+  relevance: { relevance: -1, startDate: 1 },
+  distance: { distance: 1, startDate: 1 },
+  date: { startDate: 1 },
+  '-date': { startDate: -1 }
+};
+
+const toFacetCounts = (buckets) => buckets
+  .filter(bucket => bucket._id !== null && bucket._id !== undefined && bucket._id !== '')
+  .map(bucket => ({ value: bucket._id, count: bucket.count }));
+
+// Search events the caller may see. Results carry distance (km) for near-me searches, and
+// facet counts describe everything that matched, not just the current page.
+const searchEvents = async ({ visibility, q, near, page = 1, limit = 25, sort, ...facets }) => {
+  const match = { $and: [visibility, buildFacetFilter(facets)] };
+  const pipeline = [];
+
+  if (near) {
+    if (q) match.$and.push(buildRegexSearch(q));
+
+    pipeline.push({
+      $geoNear: {
+        near: { type: 'Point', coordinates: [near.longitude, near.latitude] },
+        key: 'venue.location',
+        distanceField: 'distance',
+        maxDistance: (near.radiusKm || DEFAULT_RADIUS_KM) * 1000,
+        spherical: true,
+        query: match
+      }
+    });
+  } else {
+    if (q) match.$text = { $search: q };
+
+    pipeline.push({ $match: match });
+    if (q) pipeline.push({ $addFields: { relevance: { $meta: 'textScore' } } });
+  }
+
+  const sortBy = sort || (near ? 'distance' : q ? 'relevance' : 'date');
+
+  pipeline.push({
+    $facet: {
+      results: [
+        { $sort: SORTS[sortBy] },
+        { $skip: (page - 1) * limit },
+        { $limit: limit },
+        {
+          $addFields: {
+            memberCount: { $size: { $filter: { input: '$Members', cond: '$$this.isApproved' } } },
+            ...(near && { distance: { $round: [{ $divide: ['$distance', 1000] }, 2] } })
+          }
+        },
+        { $project: { accessCode: 0, Members: 0, waitlist: 0 } }
+      ],
+      total: [{ $count: 'count' }],
+      eventType: [{ $sortByCount: '$eventType' }],
+      status: [{ $sortByCount: '$status' }],
+      city: [{ $sortByCount: '$venue.city' }, { $limit: CITY_FACET_LIMIT }],
+      month: [
+        { $group: { _id: { $dateToString: { format: '%Y-%m', date: '$startDate' } }, count: { $sum: 1 } } },
+        { $sort: { _id: 1 } }
+      ],
+      dateRange: [{ $group: { _id: null, earliest: { $min: '$startDate' }, latest: { $max: '$startDate' } } }]
+    }
+  });
+
+  const [result] = await Event.aggregate(pipeline);
+  await Event.populate(result.results, { path: 'manager', select: 'firstName lastName email' });
+
+  const [dateRange] = result.dateRange;
+
+  return {
+    events: result.results,
+    total: result.total.length > 0 ? result.total[0].count : 0,
+    sort: sortBy,
+    facets: {
+      eventType: toFacetCounts(result.eventType),
+      status: toFacetCounts(result.status),
+      city: toFacetCounts(result.city),
+      month: toFacetCounts(result.month),
+      dateRange: dateRange ? { earliest: dateRange.earliest, latest: dateRange.latest } : null
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_RADIUS_KM,
+  buildVisibilityFilter,
+  searchEvents
+};
@@ -0,0 +1,148 @@
+const Event = require('../models/Event');
+const { EventStatus } = require('../models/Event');
+const EventSeries = require('../models/EventSeries');
+const { SERIES_INHERITED_FIELDS } = require('../models/EventSeries');
+const { expandOccurrences, dayKey } = require('../utils/recurrence');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Instances that haven't happened yet and still follow the series
+const SCHEDULED_STATUSES = [EventStatus.DRAFT, EventStatus.PUBLISHED];
+
+const pickInherited = (source) => SERIES_INHERITED_FIELDS.reduce((picked, field) => {
+  if (source[field] !== undefined) {
+    picked[field] = source[field];
+  }
+  return picked;
+}, {});
+
+// Whether an update path (e.g. "contentPolicy.allowedGenres") is a series-wide setting
+const isInheritedPath = (path) => SERIES_INHERITED_FIELDS.includes(path.split('.')[0]);
+
+const buildInstance = (series, occurrence) => ({
+  ...pickInherited(series.template || {}),
+  name: series.name,
+  manager: series.manager,
+  createdBy: series.createdBy,
+  status: series.instanceStatus,
+  startDate: occurrence,
+  endDate: new Date(occurrence.getTime() + series.recurrence.durationMinutes * 60 * 1000),
+  series: series._id,
+  seriesOccurrence: occurrence
+});
+
+// Run the Event schema's validation on the template before anything is generated
+const validateTemplate = (series) => {
+  return new Event(buildInstance(series, new Date(series.recurrence.startsAt))).validate();
+};
+
+const getHorizon = (series, now) => new Date(now.getTime() + series.generateAheadDays * DAY_MS);
+
+// Create the instances that fall inside the generation window. Occurrences are matched
+// by day, so an instance moved to another time on the same day isn't generated twice.
+const generateInstances = async (series, now = new Date()) => {
+  if (!series.isActive) return [];
+
+  const horizon = getHorizon(series, now);
+  const occurrences = expandOccurrences(series.recurrence, { from: now, to: horizon });
+
+  const existing = await Event.find({
+    series: series._id,
+    seriesOccurrence: { $gte: new Date(now.getTime() - DAY_MS), $lte: new Date(horizon.getTime() + DAY_MS) }
+  }).select('seriesOccurrence');
+  const existingDays = new Set(existing.map(event => dayKey(event.seriesOccurrence)));
+
+  const created = [];
+  for (const occurrence of occurrences) {
+    if (existingDays.has(dayKey(occurrence))) continue;
+
+    try {
+      created.push(await Event.create(buildInstance(series, occurrence)));
+    } catch (error) {
+      // Another scan generated it first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  await EventSeries.updateOne({ _id: series._id }, { $set: { generatedUntil: horizon } });
+
+  return created;
+};
+
+// Line upcoming instances up with a changed recurrence: instances on a day that is still
+// scheduled move to the new time, the rest are cancelled, and missing days are generated
+const reconcileSchedule = async (series, now = new Date()) => {
+  const occurrences = expandOccurrences(series.recurrence, { from: now, to: getHorizon(series, now) });
+  const occurrencesByDay = new Map(occurrences.map(occurrence => [dayKey(occurrence), occurrence]));
+
+  const upcoming = await Event.find({
+    series: series._id,
+    startDate: { $gt: now },
+    status: { $in: SCHEDULED_STATUSES }
+  });
+
+  const result = { moved: 0, cancelled: 0, created: 0 };
+
+  for (const event of upcoming) {
+    const occurrence = occurrencesByDay.get(dayKey(event.seriesOccurrence));
+
+    if (!occurrence || !series.isActive) {
+      event.status = EventStatus.CANCELLED;
+      await event.save();
+      result.cancelled++;
+      continue;
+    }
+
+    if (event.seriesOccurrence.getTime() === occurrence.getTime()) continue;
+
+    event.seriesOccurrence = occurrence;
+    // Detached instances keep their own times
+    if (!event.seriesDetached) {
+      event.startDate = occurrence;
+      event.endDate = new Date(occurrence.getTime() + series.recurrence.durationMinutes * 60 * 1000);
+    }
+    await event.save();
+    result.moved++;
+  }
+
+  result.created = (await generateInstances(series, now)).length;
+  return result;
+};
+
+// Push series-wide edits to upcoming instances that haven't been edited on their own
+const applyToFutureInstances = async (series, updates, { from = new Date(), excludeEvent } = {}) => {
+  if (Object.keys(updates).length === 0) return 0;
+
+  const query = {
+    series: series._id,
+    seriesDetached: false,
+    startDate: { $gte: from },
+    status: { $in: SCHEDULED_STATUSES }
+  };
+  if (excludeEvent) {
+    query._id = { $ne: excludeEvent };
+  }
+
+  const result = await Event.updateMany(query, { $set: updates }, { runValidators: true });
+  return result.modifiedCount;
+};
+
+// Cancel everything that hasn't happened yet, e.g. when a series is ended
+const cancelFutureInstances = async (series, now = new Date()) => {
+  const result = await Event.updateMany(
+    { series: series._id, startDate: { $gt: now }, status: { $in: SCHEDULED_STATUSES } },
+    { $set: { status: EventStatus.CANCELLED } }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  SCHEDULED_STATUSES,
+  pickInherited,
+  isInheritedPath,
+  validateTemplate,
+  generateInstances,
+  reconcileSchedule,
+  applyToFutureInstances,
+  cancelFutureInstances
+};
@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+
+// Payment method that the fake provider always declines, for testing failures
+const DECLINED_PAYMENT_METHOD = 'pm_card_declined';
+
+const createId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+// Local provider for development and tests: no network, every payment succeeds
+// unless it is confirmed with the declined payment method
+module.exports = {
+  name: 'fake',
+
+  createIntent: async ({ amount, currency }) => ({
+    id: createId('fake_pi'),
+    clientSecret: createId('fake_secret'),
+    amount,
+    currency,
+    status: 'requires_confirmation'
+  }),
+
+  confirmIntent: async (intentId, { paymentMethod } = {}) => {
+    if (paymentMethod === DECLINED_PAYMENT_METHOD) {
+      return { id: intentId, status: 'failed', failureReason: 'Your card was declined' };
+    }
+    return { id: intentId, status: 'succeeded' };
+  },
+
+  cancelIntent: async (intentId) => ({
+    id: intentId,
+    status: 'cancelled'
+  }),
+
+  refund: async (intentId, { amount }) => ({
+    id: createId('fake_re'),
+    paymentId: intentId,
+    amount,
+    status: 'succeeded'
+  })
+};
@@ -0,0 +1,45 @@
+const fakeProvider = require('./fakeProvider');
+
+// A payment provider implements:
+//   createIntent({ amount, currency, metadata }) -> { id, clientSecret, status }
+//   confirmIntent(intentId, { paymentMethod })   -> { id, status: 'succeeded' | 'failed', failureReason }
+//   cancelIntent(intentId)                       -> { id, status }
+//   refund(intentId, { amount, reason })         -> { id, status }
+// Amounts are in minor units (cents)
+const providers = {
+  [fakeProvider.name]: fakeProvider
+};
+
+const registerProvider = (provider) => {
+  const methods = ['createIntent', 'confirmIntent', 'cancelIntent', 'refund'];
+  if (!provider || !provider.name || methods.some(method => typeof provider[method] !== 'function')) {
+    throw new Error(`Payment providers need a name and ${methods.join(', ')} functions`);
+  }
+  providers[provider.name] = provider;
+};
+
+// Provider selected by PAYMENT_PROVIDER. Outside production it defaults to the local fake
+// provider; production needs a real one, since the fake provider charges nobody.
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER) => {
+  const isProduction = process.env.NODE_ENV === 'production';
+
+  if (!name && isProduction) {
+    throw new Error('PAYMENT_PROVIDER must be set in production');
+  }
+
+  const providerName = name || fakeProvider.name;
+  if (providerName === fakeProvider.name && isProduction) {
+    throw new Error('The fake payment provider cannot be used in production');
+  }
+
+  const provider = providers[providerName];
+  if (!provider) {
+    throw new Error(`Unknown payment provider "${providerName}"`);
+  }
+  return provider;
+};
+
+module.exports = {
+  registerProvider,
+  getPaymentProvider
+};
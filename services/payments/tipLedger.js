@@ -0,0 +1,189 @@
+const Payment = require('../../models/Payment');
+const { PaymentStatus, PaymentPurpose } = require('../../models/Payment');
+const LedgerEntry = require('../../models/LedgerEntry');
+const { LedgerEntryType } = require('../../models/LedgerEntry');
+const { SongStatus } = require('../../models/SongRequest');
+const { getPaymentProvider } = require('./index');
+
+// Open a provider intent for a TimeBomb tip on a song request
+const createTipIntent = async ({ songRequest, payer, amount, currency }) => {
+  const provider = getPaymentProvider();
+  const intent = await provider.createIntent({
+    amount,
+    currency,
+    metadata: {
+      event: songRequest.event.toString(),
+      songRequest: songRequest._id.toString()
+    }
+  });
+
+  const payment = await Payment.create({
+    event: songRequest.event,
+    songRequest: songRequest._id,
+    payer,
+    purpose: PaymentPurpose.TIMEBOMB_TIP,
+    amount,
+    currency,
+    provider: provider.name,
+    providerPaymentId: intent.id
+  });
+
+  return { payment, clientSecret: intent.clientSecret };
+};
+
+// Confirm a tip with its provider and record the charge in the ledger
+const confirmTip = async (payment, { paymentMethod, confirmedBy }) => {
+  const provider = getPaymentProvider(payment.provider);
+  const result = await provider.confirmIntent(payment.providerPaymentId, { paymentMethod });
+
+  if (result.status !== 'succeeded') {
+    payment.status = PaymentStatus.FAILED;
+    payment.failureReason = result.failureReason || 'Payment failed';
+    await payment.save();
+    return payment;
+  }
+
+  payment.status = PaymentStatus.SUCCEEDED;
+  payment.confirmedAt = new Date();
+  await payment.save();
+
+  await LedgerEntry.create({
+    payment: payment._id,
+    event: payment.event,
+    songRequest: payment.songRequest,
+    type: LedgerEntryType.CHARGE,
+    amount: payment.amount,
+    currency: payment.currency,
+    provider: payment.provider,
+    providerReference: payment.providerPaymentId,
+    createdBy: confirmedBy
+  });
+
+  return payment;
+};
+
+// Refund confirmed tips and cancel open intents on a song request.
+// Safe to call repeatedly; failures are logged and surface in reconciliation.
+const refundTips = async (songRequestId, reason, refundedBy) => {
+  const payments = await Payment.find({
+    songRequest: songRequestId,
+    status: { $in: [PaymentStatus.REQUIRES_CONFIRMATION, PaymentStatus.SUCCEEDED] }
+  });
+
+  const refunded = [];
+
+  for (const payment of payments) {
+    try {
+      const provider = getPaymentProvider(payment.provider);
+
+      if (payment.status === PaymentStatus.REQUIRES_CONFIRMATION) {
+        await provider.cancelIntent(payment.providerPaymentId);
+        payment.status = PaymentStatus.CANCELLED;
+        await payment.save();
+        continue;
+      }
+
+      // Claim the payment first so concurrent callers never refund it twice
+      const claimed = await Payment.findOneAndUpdate(
+        { _id: payment._id, status: PaymentStatus.SUCCEEDED },
+        { $set: { status: PaymentStatus.REFUNDED, refundedAt: new Date(), refundReason: reason } },
+        { new: true }
+      );
+      if (!claimed) continue;
+
+      let refund;
+      try {
+        refund = await provider.refund(claimed.providerPaymentId, { amount: claimed.amount, reason });
+      } catch (error) {
+        await Payment.updateOne(
+          { _id: claimed._id },
+          {
+            $set: { status: PaymentStatus.SUCCEEDED, failureReason: `Refund failed: ${error.message}` },
+            $unset: { refundedAt: 1, refundReason: 1 }
+          }
+        );
+        throw error;
+      }
+
+      claimed.providerRefundId = refund.id;
+      await claimed.save();
+
+      await LedgerEntry.create({
+        payment: claimed._id,
+        event: claimed.event,
+        songRequest: claimed.songRequest,
+        type: LedgerEntryType.REFUND,
+        amount: -claimed.amount,
+        currency: claimed.currency,
+        provider: claimed.provider,
+        providerReference: refund.id,
+        note: reason,
+        createdBy: refundedBy
+      });
+
+      refunded.push(claimed);
+    } catch (error) {
+      console.error(`Tip refund failed for payment ${payment._id}:`, error.message);
+    }
+  }
+
+  return refunded;
+};
+
+// Ledger totals for an event plus a check of every tip against its request
+const getEventTipSummary = async (eventId) => {
+  const totals = await LedgerEntry.getEventTotals(eventId);
+  const payments = await Payment.find({ event: eventId, purpose: PaymentPurpose.TIMEBOMB_TIP })
+    .populate('songRequest', 'title artist status timeBombExpiredAt');
+
+  const balances = await LedgerEntry.getPaymentBalances(payments.map(payment => payment._id));
+  const balanceById = new Map(balances.map(balance => [balance._id.toString(), balance.net]));
+
+  const byStatus = {};
+  const issues = [];
+
+  for (const payment of payments) {
+    const id = payment._id.toString();
+    byStatus[payment.status] = (byStatus[payment.status] || 0) + 1;
+
+    // Only a succeeded payment should leave money on the ledger
+    const net = balanceById.get(id) || 0;
+    const expected = payment.status === PaymentStatus.SUCCEEDED ? payment.amount : 0;
+    if (net !== expected) {
+      issues.push({
+        payment: id,
+        issue: `Ledger balance ${net} does not match ${payment.status} payment (expected ${expected})`
+      });
+    }
+
+    const songRequest = payment.songRequest;
+    const refundDue = !songRequest ||
+      songRequest.status === SongStatus.REJECTED ||
+      !!songRequest.timeBombExpiredAt;
+
+    if (payment.status === PaymentStatus.SUCCEEDED && refundDue) {
+      issues.push({
+        payment: id,
+        songRequest: songRequest ? songRequest._id : null,
+        issue: 'Refund due: the request was rejected or removed, or its TimeBomb expired'
+      });
+    }
+  }
+
+  return {
+    totals,
+    payments: payments.length,
+    byStatus,
+    reconciliation: {
+      balanced: issues.length === 0,
+      issues
+    }
+  };
+};
+
+module.exports = {
+  createTipIntent,
+  confirmTip,
+  refundTips,
+  getEventTipSummary
+};
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { SessionRevokeReason } = require('../models/Session');
+const Person = require('../models/Person');
+const ErrorResponse = require('../utils/errorResponse');
+const {
+  generateToken,
+  verifyToken,
+  generateRefreshToken,
+  verifyRefreshToken
+} = require('../config/jwt');
+
+// How stale lastUsedAt may get before an authenticated request refreshes it
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshExpiry = (refreshToken) => new Date(jwt.decode(refreshToken).exp * 1000);
+
+const clientDetails = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 500),
+  ipAddress: req.ip
+});
+
+const accessTokenFor = (person, session) => generateToken({ id: person._id, sid: session._id });
+
+// Start a session for a person who just signed in; returns the access and refresh tokens
+const startSession = async (person, req) => {
+  const session = new Session({
+    person: person._id,
+    isGuest: person.role === 'Guest',
+    ...clientDetails(req)
+  });
+  const refreshToken = generateRefreshToken(session._id);
+
+  session.refreshTokenHash = hashToken(refreshToken);
+  session.expiresAt = refreshExpiry(refreshToken);
+  await session.save();
+
+  return { token: accessTokenFor(person, session), refreshToken };
+};
+
+// Trade a refresh token for a new access and refresh token pair.
+// A validly signed token that is no longer the session's current one has already been
+// rotated, so it was replayed by someone: the whole session is revoked.
+// Returns { token, refreshToken } or { error }.
+const rotateSession = async (refreshToken, req) => {
+  const payload = verifyRefreshToken(refreshToken);
+  if (!payload || !payload.sid) {
+    return { error: new ErrorResponse('Invalid refresh token', 401) };
+  }
+
+  const nextToken = generateRefreshToken(payload.sid);
+  const session = await Session.rotate(payload.sid, hashToken(refreshToken), {
+    nextHash: hashToken(nextToken),
+    expiresAt: refreshExpiry(nextToken),
+    ...clientDetails(req)
+  });
+
+  if (!session) {
+    const revoked = await Session.revoke(
+      { _id: payload.sid, expiresAt: { $gt: new Date() } },
+      SessionRevokeReason.REUSE_DETECTED
+    );
+    if (revoked > 0) {
+      console.warn(`Refresh token reuse detected; session ${payload.sid} revoked`);
+    }
+    return { error: new ErrorResponse('Invalid refresh token', 401) };
+  }
+
+  const person = await Person.findById(session.person);
+  if (!person || !person.isActive) {
+    await Session.revoke({ _id: session._id }, SessionRevokeReason.DEACTIVATED);
+    return { error: new ErrorResponse('Account is deactivated. Please contact administrator.', 401) };
+  }
+
+  return { token: accessTokenFor(person, session), refreshToken: nextToken };
+};
+
+// Open sockets are dropped along with the session when io is given
+const revokeSession = async (sessionId, reason, io) => {
+  const revoked = await Session.revoke({ _id: sessionId }, reason);
+  if (io) io.disconnectSession(sessionId);
+  return revoked;
+};
+
+// Revoke every active session of a person, optionally keeping the current one.
+// With io, the person's live sockets are dropped too (all of them unless one is kept).
+const revokePersonSessions = async (personId, reason, { except, io } = {}) => {
+  const filter = { person: personId, ...(except && { _id: { $ne: except } }) };
+  const sessionIds = io && except ? await Session.find({ ...filter, revokedAt: null }).distinct('_id') : [];
+
+  const revoked = await Session.revoke(filter, reason);
+
+  if (io && except) {
+    sessionIds.forEach(sessionId => io.disconnectSession(sessionId));
+  } else if (io) {
+    io.disconnectPerson(personId);
+  }
+
+  return revoked;
+};
+
+// Person and session behind an access token. Throws, like jwt.verify, for invalid or
+// expired tokens and for tokens whose session was revoked or has expired.
+// The person is null when the account no longer exists.
+const authenticateToken = async (token) => {
+  const decoded = verifyToken(token);
+  const session = decoded.id && decoded.sid
+    ? await Session.findUsable(decoded.sid, decoded.id).select('lastUsedAt')
+    : null;
+
+  if (!session) {
+    throw new ErrorResponse('Session is no longer active', 401);
+  }
+
+  if (Date.now() - session.lastUsedAt.getTime() > LAST_SEEN_INTERVAL_MS) {
+    await Session.updateOne({ _id: session._id }, { lastUsedAt: new Date() });
+  }
+
+  const user = await Person.findById(decoded.id).select('-password');
+  return { user, sessionId: decoded.sid };
+};
+
+module.exports = {
+  startSession,
+  rotateSession,
+  revokeSession,
+  revokePersonSessions,
+  authenticateToken
+};
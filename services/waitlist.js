@@ -0,0 +1,100 @@
+const Event = require('../models/Event');
+const EventParticipant = require('../models/EventParticipant');
+
+const emitWaitlistUpdated = (io, event) => {
+  if (!io) return;
+
+  io.to(`event_${event._id}_staff`).emit('waitlistUpdated', {
+    event: event._id,
+    waitlist: event.waitlist.map((entry, index) => ({
+      entryId: entry._id,
+      position: index + 1
+    })),
+    timestamp: new Date()
+  });
+};
+
+// Put a registered user or a guest at the end of the waitlist
+const addToWaitlist = async (event, entry, io) => {
+  event.waitlist.push({ ...entry, addedAt: new Date() });
+  await event.save();
+
+  emitWaitlistUpdated(io, event);
+
+  const added = event.waitlist[event.waitlist.length - 1];
+  return {
+    entry: added,
+    position: event.waitlist.length
+  };
+};
+
+// Move the first people on the waitlist into any free spots.
+// Entries whose membership can't be created (e.g. they joined some other way) are dropped.
+const promoteFromWaitlist = async (eventId, io) => {
+  const promoted = [];
+  let event = await Event.findById(eventId);
+
+  while (event && event.waitlist.length > 0 && await event.hasFreeSpot()) {
+    const entry = event.waitlist[0];
+
+    // Claim the head of the waitlist so two promotions can't hand out the same entry
+    const claimed = await Event.findOneAndUpdate(
+      { _id: eventId, 'waitlist.0._id': entry._id },
+      { $pop: { waitlist: -1 } },
+      { new: true }
+    );
+    if (!claimed) {
+      event = await Event.findById(eventId);
+      continue;
+    }
+    event = claimed;
+
+    if (entry.user) {
+      const alreadyMember = event.Members.some(
+        member => member.user.toString() === entry.user.toString()
+      );
+      if (alreadyMember) continue;
+
+      const member = { user: entry.user, joinedAt: new Date(), isApproved: true };
+      await Event.updateOne({ _id: eventId }, { $push: { Members: member } });
+      event.Members.push(member);
+    } else {
+      const exists = await EventParticipant.MemberExists(eventId, entry.email, entry.lastName);
+      if (exists) continue;
+
+      await EventParticipant.create({
+        event: eventId,
+        email: entry.email,
+        firstName: entry.firstName,
+        lastName: entry.lastName,
+        isApproved: true
+      });
+    }
+
+    promoted.push(entry);
+
+    if (io) {
+      const room = entry.user ? `user_${entry.user}` : `guest_${entry.email}`;
+      const payload = {
+        event: eventId,
+        entryId: entry._id,
+        message: 'A spot opened up and you have joined the event',
+        timestamp: new Date()
+      };
+      io.to(room).emit('waitlistPromoted', payload);
+      io.to(`event_${eventId}_staff`).emit('waitlistPromoted', payload);
+    }
+  }
+
+  if (promoted.length > 0 && event) {
+    emitWaitlistUpdated(io, event);
+  }
+
+  return promoted;
+};
+
+module.exports = {
+  addToWaitlist,
+  promoteFromWaitlist,
+  emitWaitlistUpdated
+};
@@ -1,6 +1,5 @@
-const jwt = require('jsonwebtoken');
-const Person = require('../models/Person');
 const Event = require('../models/Event');
+const { authenticateToken } = require('../services/sessions');
 
 // Authenticate socket connection
 const authenticateSocket = async (socket, next) => {
@@ -13,14 +12,15 @@ const authenticateSocket = async (socket, next) => {
       return next();
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await Person.findById(decoded.id).select('-password');
+    // Rejects revoked sessions as well as bad tokens
+    const { user, sessionId } = await authenticateToken(token);
     
     if (!user) {
       return next(new Error('User not found'));
     }
 
     socket.user = user;
+    socket.sessionId = sessionId;
     next();
   } catch (error) {
     next(new Error('Authentication failed'));
@@ -32,6 +32,15 @@ const handleConnection = (io) => {
   return async (socket) => {
     console.log(`Socket connected: ${socket.id}`);
     
+    // Personal rooms for direct notifications (e.g. join request decisions) and forced logouts
+    if (socket.user) {
+      socket.join(`user_${socket.user._id}`);
+      socket.join(`session_${socket.sessionId}`); // lets a revoked session be disconnected
+      if (socket.user.role === 'Guest') {
+        socket.join(`guest_${socket.user.email}`);
+      }
+    }
+    
     // Join event room
     socket.on('joinEvent', async (data) => {
       try {
@@ -44,8 +53,11 @@ const handleConnection = (io) => {
           return;
         }
 
+        const isStaff = !!socket.user &&
+          (socket.user.role === 'Admin' || !!event.getStaffRole(socket.user._id));
+
         // Check access permissions
-        if (!event.isPublic && (!socket.user || !event.Members.includes(socket.user._id))) {
+        if (!event.isPublic && !isStaff && (!socket.user || !event.isMember(socket.user._id))) {
           socket.emit('error', { message: 'Access denied to this event' });
           return;
         }
@@ -54,6 +66,11 @@ const handleConnection = (io) => {
         socket.join(`event_${eventId}`);
         socket.currentEvent = eventId;
         
+        // Staff also get notifications meant only for them
+        if (isStaff) {
+          socket.join(`event_${eventId}_staff`);
+        }
+        
         // Notify others in the room
         socket.to(`event_${eventId}`).emit('userJoined', {
           user: socket.user ? {
@@ -71,6 +88,9 @@ const handleConnection = (io) => {
           timestamp: new Date()
         });
 
+        // Send current playback state
+        socket.emit('nowPlaying', await event.getNowPlaying());
+
         console.log(`User ${socket.user?.firstName || 'Anonymous'} joined event ${eventId}`);
       } catch (error) {
         socket.emit('error', { message: 'Failed to join event' });
@@ -83,6 +103,7 @@ const handleConnection = (io) => {
       
       if (socket.currentEvent === eventId) {
         socket.leave(`event_${eventId}`);
+        socket.leave(`event_${eventId}_staff`);
         socket.to(`event_${eventId}`).emit('userLeft', {
           user: socket.user ? {
             id: socket.user._id,
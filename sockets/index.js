@@ -22,6 +22,15 @@ const initializeSocket = (server) => {
     io.to(`event_${eventId}`).emit(event, data);
   };
 
+  // Helper functions to drop the live connections of a person or of one session
+  io.disconnectPerson = (personId) => {
+    io.in(`user_${personId}`).disconnectSockets(true);
+  };
+
+  io.disconnectSession = (sessionId) => {
+    io.in(`session_${sessionId}`).disconnectSockets(true);
+  };
+
   // Helper function to get room info
   io.getEventRoomInfo = async (eventId) => {
     const room = io.sockets.adapter.rooms.get(`event_${eventId}`);
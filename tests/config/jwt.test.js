@@ -0,0 +1,81 @@
+const Person = require('../../models/Person');
+const Session = require('../../models/Session');
+const {
+  generateToken,
+  verifyToken,
+  generateRefreshToken,
+  verifyRefreshToken
+} = require('../../config/jwt');
+const { protect } = require('../../middleware/auth');
+const { signToken } = require('../../utils/signedToken');
+const { mockQuery } = require('../helpers');
+
+describe('access and refresh tokens', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    delete process.env.JWT_REFRESH_SECRET;
+    delete process.env.SIGNED_TOKEN_SECRET;
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  it('verifies access tokens', () => {
+    const token = generateToken({ id: 'person', sid: 'session' });
+    expect(verifyToken(token)).toMatchObject({ id: 'person', sid: 'session' });
+  });
+
+  it('does not accept a calendar feed token as an access token', () => {
+    const feedToken = signToken('calendar-feed', { id: 'person', feed: 'member', version: 0 });
+    expect(() => verifyToken(feedToken)).toThrow('Not an access token');
+  });
+
+  it('does not accept a refresh token as an access token', () => {
+    const refreshToken = generateRefreshToken('session');
+    expect(() => verifyToken(refreshToken)).toThrow('Not an access token');
+    expect(verifyRefreshToken(refreshToken)).toMatchObject({ sid: 'session' });
+  });
+
+  it('does not accept an access token as a refresh token', () => {
+    expect(verifyRefreshToken(generateToken({ id: 'person', sid: 'session' }))).toBeNull();
+  });
+
+  describe('protect', () => {
+    let person;
+    let res;
+
+    beforeEach(() => {
+      person = new Person({ firstName: 'A', lastName: 'B', email: 'a@example.com', role: 'Member' });
+      jest.spyOn(Person, 'findById').mockReturnValue(mockQuery(person));
+      jest.spyOn(Session, 'findUsable').mockReturnValue(mockQuery(new Session({ person: person._id, lastUsedAt: new Date() })));
+      res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    });
+
+    const run = (token) => new Promise(resolve => {
+      const req = { headers: { authorization: `Bearer ${token}` } };
+      res.json.mockImplementation(() => resolve(req));
+      protect(req, res, () => resolve(req));
+    });
+
+    it('signs in with an access token', async () => {
+      const req = await run(generateToken({ id: person.id, sid: 'session' }));
+
+      expect(req.user).toBe(person);
+      expect(req.sessionId).toBe('session');
+    });
+
+    it('keeps a calendar feed URL from logging in', async () => {
+      const feedToken = signToken('calendar-feed', { id: person.id, feed: 'member', version: 0 });
+
+      const req = await run(feedToken);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(req.user).toBeUndefined();
+      expect(Person.findById).not.toHaveBeenCalled();
+    });
+  });
+});
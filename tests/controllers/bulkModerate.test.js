@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const Event = require('../../models/Event');
+const { EventStatus } = require('../../models/Event');
+const SongRequest = require('../../models/SongRequest');
+const Payment = require('../../models/Payment');
+const { SongStatus } = require('../../models/SongRequest');
+const { bulkModerateSongRequests } = require('../../controllers/songRequestController');
+const { validateSongRequestBulk } = require('../../middleware/validation');
+const { validationResult } = require('express-validator');
+const { runHandler, mockQuery, mockIo } = require('../helpers');
+
+const newId = () => new mongoose.Types.ObjectId();
+
+describe('bulkModerateSongRequests', () => {
+  const managerId = newId().toString();
+  let event;
+  let pending;
+  let approved;
+  let io;
+
+  const request = (body) => runHandler(bulkModerateSongRequests, {
+    params: { eventId: event._id.toString() },
+    body,
+    user: { id: managerId },
+    app: { get: () => io }
+  });
+
+  beforeEach(() => {
+    event = new Event({ name: 'Party', status: EventStatus.ACTIVE, manager: managerId });
+    pending = new SongRequest({ title: 'One', artist: 'A', event: event._id, requestedBy: newId() });
+    approved = new SongRequest({ title: 'Two', artist: 'B', event: event._id, requestedBy: newId(), status: SongStatus.APPROVED });
+    io = mockIo();
+
+    jest.spyOn(Event, 'findById').mockResolvedValue(event);
+    jest.spyOn(Event.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(SongRequest, 'find').mockReturnValue(mockQuery([pending, approved]));
+    jest.spyOn(SongRequest.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Payment, 'find').mockResolvedValue([]);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('approves pending requests and skips the rest', async () => {
+    const { status, body } = await request({ action: 'approve', ids: [pending.id, approved.id] });
+
+    expect(status).toBe(200);
+    expect(body.summary).toEqual({ requested: 2, updated: 1, skipped: 1, notFound: 0, failed: 0 });
+    expect(pending.status).toBe(SongStatus.APPROVED);
+    expect(io.emitted).toEqual([expect.objectContaining({
+      name: 'songRequestsBulkUpdated',
+      data: expect.objectContaining({ action: 'approve', songRequestIds: [pending.id] })
+    })]);
+  });
+
+  it('reports requested IDs that are not in the event', async () => {
+    const strayId = newId().toString();
+
+    const { body } = await request({ action: 'reject', ids: [pending.id, strayId], reason: 'Not tonight' });
+
+    expect(body.data).toContainEqual({ id: strayId, result: 'notFound', reason: 'Song request not found' });
+    expect(pending.rejectionReason).toBe('Not tonight');
+    expect(SongRequest.find).toHaveBeenCalledWith({ event: event._id.toString(), _id: { $in: [pending.id, strayId] } });
+  });
+
+  it('scopes a filter to the event', async () => {
+    await request({ action: 'setPriority', priority: 5, filter: { status: 'Pending', isTimeBomb: 'false' } });
+
+    expect(SongRequest.find).toHaveBeenCalledWith({ event: event._id.toString(), status: 'Pending', isTimeBomb: false });
+  });
+
+  it('refuses a filter without criteria unless all: true is given', async () => {
+    const { error } = await request({ action: 'delete', filter: {} });
+
+    expect(error.statusCode).toBe(400);
+    expect(SongRequest.find).not.toHaveBeenCalled();
+
+    jest.spyOn(SongRequest.prototype, 'deleteOne').mockResolvedValue({});
+    const { body } = await request({ action: 'delete', filter: { all: true } });
+
+    expect(body.summary.updated).toBe(2);
+    expect(SongRequest.find).toHaveBeenCalledWith({ event: event._id.toString() });
+  });
+
+  it('clears playback when the current track is marked played', async () => {
+    event.playback = { currentTrack: approved._id };
+
+    await request({ action: 'markPlayed', ids: [approved.id] });
+
+    expect(event.playback.currentTrack).toBeNull();
+    expect(Event.prototype.save).toHaveBeenCalled();
+  });
+
+  it('refuses more song requests than one bulk action may touch', async () => {
+    SongRequest.find.mockReturnValue(mockQuery(new Array(201).fill(pending)));
+
+    const { error } = await request({ action: 'approve', filter: { all: true } });
+
+    expect(error.message).toBe('Bulk actions are limited to 200 song requests at a time');
+  });
+});
+
+describe('validateSongRequestBulk', () => {
+  const validate = async (body) => {
+    const req = { body };
+    for (const validator of validateSongRequestBulk) {
+      await validator.run(req);
+    }
+    return validationResult(req).array().map(error => error.msg);
+  };
+
+  it('requires a criterion or all: true in a filter', async () => {
+    expect(await validate({ action: 'approve', filter: {} }))
+      .toEqual(['filter needs at least one criterion, or all: true to target every song request']);
+    expect(await validate({ action: 'approve', filter: { all: true } })).toEqual([]);
+    expect(await validate({ action: 'approve', filter: { isTimeBomb: false } })).toEqual([]);
+  });
+});
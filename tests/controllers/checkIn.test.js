@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const Event = require('../../models/Event');
+const { EventStatus } = require('../../models/Event');
+const EventParticipant = require('../../models/EventParticipant');
+const { checkIn, checkInMember } = require('../../controllers/attendanceController');
+const { signToken } = require('../../utils/signedToken');
+const { runHandler, mockIo } = require('../helpers');
+
+const newId = () => new mongoose.Types.ObjectId();
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+describe('check-in', () => {
+  const memberId = newId();
+  let event;
+  let guest;
+  let io;
+
+  const tokenFor = (eventId, purpose = 'event-check-in') => signToken(purpose, { event: eventId.toString() }, { expiresIn: '1h' });
+
+  const scan = (body, user) => runHandler(checkIn, {
+    params: { id: event._id.toString() },
+    body: { token: tokenFor(event._id), ...body },
+    user,
+    app: { get: () => io }
+  });
+
+  beforeEach(() => {
+    event = new Event({ name: 'Party', status: EventStatus.ACTIVE, manager: newId() });
+    event.Members.push({ user: memberId, isApproved: true });
+    guest = new EventParticipant({ event: event._id, email: 'guest@example.com', firstName: 'Gue', lastName: 'St' });
+    io = mockIo();
+
+    jest.spyOn(Event, 'findById').mockResolvedValue(event);
+    jest.spyOn(Event, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(EventParticipant, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(EventParticipant, 'findOne').mockResolvedValue(guest);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('checks a Member in by account and tells the staff', async () => {
+    const { status, body } = await scan({}, { id: memberId.toString(), role: 'Member' });
+
+    expect(status).toBe(200);
+    expect(body.data).toMatchObject({ type: 'Member', alreadyCheckedIn: false });
+    expect(io.emitted).toEqual([expect.objectContaining({ room: `event_${event._id}_staff`, name: 'attendeeCheckedIn' })]);
+  });
+
+  it('refuses a code for another event or another purpose', async () => {
+    const otherEvent = await scan({ token: tokenFor(newId()) }, { id: memberId.toString(), role: 'Member' });
+    const invitation = await scan({ token: tokenFor(event._id, 'event-invitation') }, { id: memberId.toString(), role: 'Member' });
+
+    expect(otherEvent.error.message).toBe('Check-in code is invalid or has expired');
+    expect(invitation.error.message).toBe('Check-in code is invalid or has expired');
+  });
+
+  it('needs both email and last name to check a guest in', async () => {
+    const { error } = await scan({ email: 'guest@example.com' });
+
+    expect(error.message).toBe('Email and last name are required to check in as a guest');
+    expect(EventParticipant.findOne).not.toHaveBeenCalled();
+  });
+
+  it('checks a guest in by email and last name', async () => {
+    const { body } = await scan({ email: 'Guest@example.com', lastName: 'St' });
+
+    expect(EventParticipant.findOne).toHaveBeenCalledWith({
+      event: event._id,
+      email: 'guest@example.com',
+      lastName: 'St',
+      isApproved: true
+    });
+    expect(body.data).toMatchObject({ type: 'Guest', alreadyCheckedIn: false });
+  });
+
+  it('keeps the original time on a second scan', async () => {
+    const checkedInAt = new Date('2026-06-01T21:00:00Z');
+    guest.checkedInAt = checkedInAt;
+
+    const { body } = await scan({ email: 'guest@example.com', lastName: 'St' });
+
+    expect(body.message).toBe('Already checked in');
+    expect(body.data.checkedInAt).toEqual(checkedInAt);
+    expect(EventParticipant.updateOne).not.toHaveBeenCalled();
+    expect(io.emitted).toEqual([]);
+  });
+
+  it('lets staff check a guest in at the door', async () => {
+    const staffId = newId().toString();
+
+    await runHandler(checkInMember, {
+      params: { id: event._id.toString(), memberId: guest.id },
+      user: { id: staffId },
+      event,
+      app: { get: () => io }
+    });
+
+    expect(EventParticipant.updateOne).toHaveBeenCalledWith(
+      { _id: guest._id, checkedInAt: null },
+      { $set: { checkedInAt: expect.any(Date), checkedInBy: staffId } }
+    );
+  });
+});
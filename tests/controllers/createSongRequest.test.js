@@ -0,0 +1,224 @@
+const mongoose = require('mongoose');
+const Event = require('../../models/Event');
+const { EventStatus } = require('../../models/Event');
+const SongRequest = require('../../models/SongRequest');
+const Person = require('../../models/Person');
+const EventParticipant = require('../../models/EventParticipant');
+const { createSongRequest } = require('../../controllers/songRequestController');
+const { runHandler, mockQuery } = require('../helpers');
+
+const newId = () => new mongoose.Types.ObjectId();
+
+describe('createSongRequest duplicate detection', () => {
+  const userId = newId().toString();
+  let event;
+  let original;
+  let created;
+
+  const request = (body = {}) => runHandler(createSongRequest, {
+    params: { eventId: event._id.toString() },
+    body: { title: 'Hey Jude', artist: 'The Beatles', ...body },
+    user: { id: userId, email: 'member@example.com' },
+    app: { get: () => null }
+  });
+
+  beforeEach(() => {
+    event = new Event({ name: 'Party', status: EventStatus.ACTIVE, manager: newId() });
+    original = new SongRequest({ title: 'Hey Jude', artist: 'Beatles', event: event._id, requestedBy: newId() });
+    created = null;
+
+    jest.spyOn(Event, 'findById').mockResolvedValue(event);
+    jest.spyOn(Person, 'findById').mockResolvedValue({ role: 'Member' });
+    jest.spyOn(EventParticipant, 'findOne').mockResolvedValue(null);
+    jest.spyOn(SongRequest, 'findRequesterRequest').mockReturnValue(mockQuery(null));
+    jest.spyOn(SongRequest, 'findOriginalRequest').mockReturnValue(mockQuery(original));
+    jest.spyOn(SongRequest, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(SongRequest, 'create').mockImplementation(async (fields) => {
+      created = { ...fields, populate: jest.fn() };
+      return created;
+    });
+    jest.spyOn(SongRequest.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(SongRequest.prototype, 'populate').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('rejects a song that was already requested for the event', async () => {
+    const { error } = await request();
+
+    expect(error.message).toBe('This song has already been requested for this event');
+    expect(created).toBeNull();
+  });
+
+  it('rejects a repeat request by the same requester, even where duplicates are allowed', async () => {
+    event.allowDuplicates = true;
+    SongRequest.findRequesterRequest.mockReturnValue(mockQuery(new SongRequest({ isDuplicate: true })));
+
+    const { error } = await request();
+
+    expect(error.message).toBe('You have already requested this song');
+    expect(SongRequest.findRequesterRequest).toHaveBeenCalledWith(
+      event._id.toString(),
+      userId,
+      { title: 'Hey Jude', artist: 'The Beatles', spotifyId: undefined, youtubeId: undefined }
+    );
+  });
+
+  it('counts a repeat request as an upvote when the event asks for it', async () => {
+    event.countDuplicatesAsUpvotes = true;
+
+    const { status, body } = await request();
+
+    expect(status).toBe(200);
+    expect(body.mergedIntoOriginal).toBe(true);
+    expect(original.likes.map(like => like.user.toString())).toEqual([userId]);
+    expect(created).toBeNull();
+  });
+
+  it('replaces a downvote by the requester when counting the upvote', async () => {
+    event.countDuplicatesAsUpvotes = true;
+    original.downvotes.push({ user: userId });
+
+    await request();
+
+    expect(original.downvotes).toHaveLength(0);
+    expect(original.likes.map(like => like.user.toString())).toEqual([userId]);
+  });
+
+  it('marks the new request as a duplicate where duplicates are allowed', async () => {
+    event.allowDuplicates = true;
+
+    const { status } = await request();
+
+    expect(status).toBe(201);
+    expect(created).toMatchObject({ isDuplicate: true, originalRequest: original._id });
+  });
+
+  it('creates a fresh request for a new song', async () => {
+    SongRequest.findOriginalRequest.mockReturnValue(mockQuery(null));
+
+    const { status } = await request();
+
+    expect(status).toBe(201);
+    expect(created).toMatchObject({ title: 'Hey Jude', isDuplicate: false });
+  });
+});
+
+describe('createSongRequest request limits', () => {
+  const userId = newId().toString();
+  let event;
+
+  const request = () => runHandler(createSongRequest, {
+    params: { eventId: event._id.toString() },
+    body: { title: 'Hey Jude', artist: 'The Beatles' },
+    user: { id: userId, email: 'member@example.com' },
+    app: { get: () => null }
+  });
+
+  beforeEach(() => {
+    event = new Event({
+      name: 'Party',
+      status: EventStatus.ACTIVE,
+      manager: newId(),
+      requestLimits: { member: { cooldownSeconds: 60 } }
+    });
+
+    jest.spyOn(Event, 'findById').mockResolvedValue(event);
+    jest.spyOn(Person, 'findById').mockResolvedValue({ role: 'Member' });
+    jest.spyOn(SongRequest, 'findRequesterRequest').mockReturnValue(mockQuery(null));
+    jest.spyOn(SongRequest, 'findOriginalRequest').mockReturnValue(mockQuery(null));
+    jest.spyOn(SongRequest, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(SongRequest, 'findOne').mockReturnValue(mockQuery({ createdAt: new Date(Date.now() - 30 * 1000) }));
+    jest.spyOn(SongRequest, 'create').mockResolvedValue({ populate: jest.fn() });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('answers 429 with Retry-After during the cooldown', async () => {
+    const { error, headers } = await request();
+
+    expect(error.statusCode).toBe(429);
+    expect(headers['retry-after']).toBe(30);
+    expect(SongRequest.create).not.toHaveBeenCalled();
+  });
+
+  it('exempts the event manager', async () => {
+    event.manager = userId;
+
+    const { status } = await request();
+
+    expect(status).toBe(201);
+  });
+});
+
+describe('createSongRequest content policy', () => {
+  let event;
+  let created;
+
+  const request = body => runHandler(createSongRequest, {
+    params: { eventId: event._id.toString() },
+    body: { title: 'Song', artist: 'Artist', ...body },
+    user: { id: newId().toString(), email: 'member@example.com' },
+    app: { get: () => null }
+  });
+
+  beforeEach(() => {
+    event = new Event({
+      name: 'Party',
+      status: EventStatus.ACTIVE,
+      manager: newId(),
+      contentPolicy: { bannedArtists: ['Nickel*'], blockExplicit: true }
+    });
+    created = null;
+
+    jest.spyOn(Event, 'findById').mockResolvedValue(event);
+    jest.spyOn(Person, 'findById').mockResolvedValue({ role: 'Member' });
+    jest.spyOn(SongRequest, 'findRequesterRequest').mockReturnValue(mockQuery(null));
+    jest.spyOn(SongRequest, 'findOriginalRequest').mockReturnValue(mockQuery(null));
+    jest.spyOn(SongRequest, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(SongRequest, 'create').mockImplementation(async (fields) => {
+      created = { ...fields, populate: jest.fn() };
+      return created;
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('rejects requests that break the policy', async () => {
+    const { error } = await request({ artist: 'Nickelback', isExplicit: true });
+
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toContain('Artist "Nickelback" is banned (Nickel*)');
+    expect(error.message).toContain('Explicit songs are not allowed');
+    expect(created).toBeNull();
+  });
+
+  it('parks them for the DJ when the event asks for it', async () => {
+    event.contentPolicy.violationAction = 'park';
+
+    const { status } = await request({ artist: 'Nickelback' });
+
+    expect(status).toBe(201);
+    expect(created.policyViolations).toEqual(['Artist "Nickelback" is banned (Nickel*)']);
+    expect(created.djNote).toBe('Held for review: Artist "Nickelback" is banned (Nickel*)');
+  });
+});
+
+describe('SongRequest fingerprint', () => {
+  it('is matched by fingerprint or streaming ID', () => {
+    const findOne = jest.spyOn(SongRequest, 'findOne').mockReturnValue(mockQuery(null));
+
+    SongRequest.findRequesterRequest('event', 'person', { title: 'Hey Jude (Live)', artist: 'The Beatles', spotifyId: 'abc' });
+
+    expect(findOne).toHaveBeenCalledWith({
+      event: 'event',
+      requestedBy: 'person',
+      $or: [{ fingerprint: 'beatles|hey jude' }, { spotifyId: 'abc' }]
+    });
+    jest.restoreAllMocks();
+  });
+});
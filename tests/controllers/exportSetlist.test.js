@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const Event = require('../../models/Event');
+const SongRequest = require('../../models/SongRequest');
+const { exportSetlist } = require('../../controllers/songRequestController');
+const { runHandler, mockQuery } = require('../helpers');
+
+describe('exportSetlist', () => {
+  const event = { _id: new mongoose.Types.ObjectId(), name: 'Summer Party' };
+  const played = [
+    {
+      artist: 'Daft Punk',
+      title: 'One More Time',
+      duration: 320,
+      likeCount: 4,
+      spotifyId: 'abc',
+      requestedBy: { firstName: 'Sam', lastName: 'Lee' },
+      playedAt: new Date('2026-06-01T22:00:00Z')
+    },
+    { artist: 'Queen', title: 'Bohemian Rhapsody', likeCount: 0, playedAt: new Date('2026-06-01T22:06:00Z') }
+  ];
+
+  const exportAs = format => runHandler(exportSetlist, { params: { eventId: event._id.toString() }, query: { format } });
+
+  beforeEach(() => {
+    jest.spyOn(Event, 'findById').mockResolvedValue(event);
+    jest.spyOn(SongRequest, 'find').mockReturnValue(mockQuery(played));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('exports JSON by default, numbered in play order', async () => {
+    const { status, body, headers } = await exportAs(undefined);
+    const setlist = JSON.parse(body);
+
+    expect(status).toBe(200);
+    expect(headers['content-disposition']).toBe('attachment; filename="summer-party-setlist.json"');
+    expect(setlist.count).toBe(2);
+    expect(setlist.tracks[0]).toMatchObject({ position: 1, title: 'One More Time', requestedBy: 'Sam Lee' });
+    expect(setlist.tracks[1]).toMatchObject({ position: 2, requestedBy: null });
+  });
+
+  it('exports M3U', async () => {
+    const { body, headers } = await exportAs('m3u');
+
+    expect(headers['content-type']).toBe('audio/x-mpegurl; charset=utf-8');
+    expect(body).toMatch(/^#EXTM3U\n#PLAYLIST:Summer Party\n#EXTINF:320,Daft Punk - One More Time\nspotify:track:abc\n/);
+  });
+
+  it('exports CSV', async () => {
+    const { body, headers } = await exportAs('csv');
+
+    expect(headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(body.split('\r\n')[1]).toBe('1,Daft Punk,One More Time,,320,Sam Lee,4,2026-06-01T22:00:00.000Z,abc,');
+  });
+
+  it('returns 404 for an unknown event', async () => {
+    Event.findById.mockResolvedValue(null);
+
+    const { error } = await exportAs('csv');
+
+    expect(error.statusCode).toBe(404);
+  });
+});
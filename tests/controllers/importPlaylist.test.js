@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const Event = require('../../models/Event');
+const SongRequest = require('../../models/SongRequest');
+const { importPlaylist } = require('../../controllers/songRequestController');
+const { runHandler, mockQuery, mockIo } = require('../helpers');
+
+describe('importPlaylist', () => {
+  const eventId = new mongoose.Types.ObjectId().toString();
+  const userId = new mongoose.Types.ObjectId().toString();
+  let inserted;
+
+  const importFile = (originalname, text, io = null) => runHandler(importPlaylist, {
+    params: { id: eventId },
+    file: { originalname, buffer: Buffer.from(text) },
+    user: { id: userId },
+    app: { get: () => io }
+  });
+
+  beforeEach(() => {
+    inserted = [];
+    jest.spyOn(Event, 'findById').mockResolvedValue({ _id: eventId });
+    jest.spyOn(SongRequest, 'find').mockReturnValue(mockQuery([{ artist: 'Queen', title: 'Bohemian Rhapsody' }]));
+    jest.spyOn(SongRequest, 'findOne').mockReturnValue(mockQuery({ queuePosition: 4 }));
+    jest.spyOn(SongRequest, 'insertMany').mockImplementation(async (songs) => {
+      inserted.push(...songs);
+      return songs;
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('queues new songs after the current queue and reports the rest', async () => {
+    const io = mockIo();
+    const csv = [
+      'artist,title',
+      'Daft Punk,One More Time',
+      'queen,bohemian rhapsody',
+      'Daft Punk,One More Time',
+      ',No Artist'
+    ].join('\n');
+
+    const { status, body } = await importFile('party.csv', csv, io);
+
+    expect(status).toBe(201);
+    expect(body.summary).toEqual({ total: 4, imported: 1, duplicate: 2, invalid: 1 });
+    expect(body.data.map(item => item.status)).toEqual(['imported', 'duplicate', 'duplicate', 'invalid']);
+    expect(inserted.map(song => [song.title, song.status, song.queuePosition])).toEqual([['One More Time', 'Approved', 5]]);
+    expect(io.emitted).toEqual([expect.objectContaining({ name: 'playlistImported' })]);
+  });
+
+  it('reports an unreadable M3U line as invalid and imports the others', async () => {
+    const m3u = ['#EXTM3U', 'music/100% Pure Love.mp3', 'music/Crystal Waters - Gypsy Woman.mp3'].join('\n');
+
+    const { status, body } = await importFile('party.m3u', m3u);
+
+    expect(status).toBe(201);
+    expect(body.data).toEqual([
+      expect.objectContaining({ line: 2, status: 'invalid', reason: 'File name is not valid URL encoding' }),
+      expect.objectContaining({ line: 3, status: 'imported', artist: 'Crystal Waters' })
+    ]);
+  });
+
+  it('rejects files it cannot parse', async () => {
+    const { error } = await importFile('party.json', '{ not json');
+
+    expect(error.statusCode).toBe(400);
+    expect(inserted).toEqual([]);
+  });
+
+  it('rejects unknown formats', async () => {
+    const { error } = await importFile('party.txt', 'Daft Punk - One More Time');
+
+    expect(error.message).toBe('Could not determine playlist format');
+  });
+});
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const Event = require('../../models/Event');
+const { EventStatus } = require('../../models/Event');
+const EventParticipant = require('../../models/EventParticipant');
+const Invitation = require('../../models/Invitation');
+const { acceptInvitation } = require('../../controllers/invitationController');
+const { signToken, verifySignedToken } = require('../../utils/signedToken');
+const { runHandler, mockQuery } = require('../helpers');
+
+const newId = () => new mongoose.Types.ObjectId();
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+describe('signed tokens', () => {
+  it('only verify for the purpose they were signed for', () => {
+    const token = signToken('event-invitation', { invitation: 'abc' });
+
+    expect(verifySignedToken('event-invitation', token)).toMatchObject({ invitation: 'abc' });
+    expect(verifySignedToken('event-checkin', token)).toBeNull();
+    expect(verifySignedToken('event-invitation', `${token}x`)).toBeNull();
+  });
+
+  it('reject expired tokens', () => {
+    const token = signToken('event-invitation', { exp: Math.floor(Date.now() / 1000) - 10 });
+
+    expect(verifySignedToken('event-invitation', token)).toBeNull();
+  });
+});
+
+describe('acceptInvitation', () => {
+  const memberId = newId().toString();
+  let event;
+  let invitation;
+
+  const tokenFor = (target) => signToken('event-invitation', {
+    invitation: target._id.toString(),
+    event: target.event.toString(),
+    exp: Math.floor(target.expiresAt.getTime() / 1000)
+  });
+
+  const accept = (req = {}) => runHandler(acceptInvitation, {
+    params: { token: tokenFor(invitation) },
+    ...req
+  });
+
+  beforeEach(() => {
+    event = new Event({ name: 'Party', status: EventStatus.PUBLISHED, manager: newId(), isPublic: false });
+    invitation = new Invitation({
+      event: event._id,
+      email: 'guest@example.com',
+      maxUses: 1,
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      createdBy: event.manager
+    });
+
+    jest.spyOn(Invitation, 'findById').mockResolvedValue(invitation);
+    jest.spyOn(Invitation, 'claimUse').mockResolvedValue(invitation);
+    jest.spyOn(Invitation, 'releaseUse').mockResolvedValue({});
+    jest.spyOn(Event, 'findById').mockResolvedValue(event);
+    jest.spyOn(EventParticipant, 'findOne').mockResolvedValue(null);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('refuses an invitation sent to someone else', async () => {
+    const { error } = await accept({ body: { email: 'other@example.com', firstName: 'O', lastName: 'Ther' } });
+
+    expect(error.statusCode).toBe(403);
+    expect(Invitation.claimUse).not.toHaveBeenCalled();
+  });
+
+  it('reports an invitation whose last use was just taken', async () => {
+    Invitation.claimUse.mockResolvedValue(null);
+
+    const { error } = await accept({ body: { email: 'guest@example.com', firstName: 'Gue', lastName: 'St' } });
+
+    expect(error.statusCode).toBe(410);
+  });
+
+  it('approves a guest as an event participant', async () => {
+    jest.spyOn(EventParticipant, 'create').mockImplementation(async (fields) => fields);
+
+    const { status, body } = await accept({ body: { email: 'Guest@Example.com', firstName: 'Gue', lastName: 'St' } });
+
+    expect(status).toBe(201);
+    expect(body.data.Member).toMatchObject({ email: 'guest@example.com', isApproved: true });
+    expect(Invitation.claimUse).toHaveBeenCalledWith(invitation._id, {
+      person: undefined,
+      participant: body.data.Member._id
+    });
+  });
+
+  it('gives back the use it claimed when joining fails', async () => {
+    invitation.email = 'member@example.com';
+    jest.spyOn(Event.prototype, 'save').mockRejectedValue(new Error('Write conflict'));
+
+    const { error } = await accept({ user: { id: memberId, role: 'Member', email: 'member@example.com' } });
+
+    expect(error.message).toBe('Write conflict');
+    expect(Invitation.releaseUse).toHaveBeenCalledWith(invitation._id, { person: memberId });
+  });
+});
+
+describe('Invitation.releaseUse', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('pulls only the acceptance it is given', async () => {
+    const updateOne = jest.spyOn(Invitation, 'updateOne').mockReturnValue(mockQuery({ modifiedCount: 1 }));
+    const invitationId = newId();
+    const participant = newId();
+
+    await Invitation.releaseUse(invitationId, { person: undefined, participant });
+
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: invitationId, uses: { $gt: 0 }, acceptances: { $elemMatch: { participant } } },
+      { $inc: { uses: -1 }, $pull: { acceptances: { participant } } }
+    );
+  });
+});
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const Event = require('../../models/Event');
+const EventParticipant = require('../../models/EventParticipant');
+const {
+  approveJoinRequest,
+  denyJoinRequest,
+  bulkDecideJoinRequests
+} = require('../../controllers/joinRequestController');
+const { runHandler, mockQuery, mockIo } = require('../helpers');
+
+const newId = () => new mongoose.Types.ObjectId();
+
+describe('join requests', () => {
+  const staffId = newId().toString();
+  let event;
+  let pendingMember;
+  let io;
+
+  const run = (handler, params = {}, body = {}) => runHandler(handler, {
+    params: { id: event._id.toString(), ...params },
+    body,
+    user: { id: staffId },
+    event,
+    app: { get: () => io }
+  });
+
+  beforeEach(() => {
+    event = new Event({ name: 'Party', manager: newId(), isPublic: false });
+    event.Members.push({ user: newId(), isApproved: false, joinedAt: new Date('2026-06-01T20:00:00Z') });
+    pendingMember = event.Members[0];
+    io = mockIo();
+
+    jest.spyOn(Event, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(EventParticipant, 'countDocuments').mockResolvedValue(0);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('approves a pending member only while it is still pending', async () => {
+    const { status } = await run(approveJoinRequest, { requestId: pendingMember.id });
+
+    expect(status).toBe(200);
+    expect(Event.updateOne.mock.calls[0][0]).toEqual({
+      _id: event._id,
+      Members: { $elemMatch: { _id: pendingMember.id, isApproved: false } }
+    });
+    expect(io.emitted.map(({ room, name }) => [room, name])).toEqual([
+      [`user_${pendingMember.user}`, 'joinRequestDecided'],
+      [`event_${event._id}_staff`, 'joinRequestDecided']
+    ]);
+  });
+
+  it('reports a request another staff member already decided', async () => {
+    Event.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    const { error } = await run(denyJoinRequest, { requestId: pendingMember.id });
+
+    expect(error.message).toBe('Join request already decided');
+    expect(io.emitted).toEqual([]);
+  });
+
+  it('refuses to approve past the event capacity', async () => {
+    event.maxMembers = 1;
+    event.Members.push({ user: newId(), isApproved: true });
+
+    const { error } = await run(approveJoinRequest, { requestId: pendingMember.id });
+
+    expect(error.message).toBe('Event is full');
+    expect(Event.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('denies a guest request by deleting it', async () => {
+    const participant = new EventParticipant({ event: event._id, email: 'guest@example.com', firstName: 'G', lastName: 'Uest', isApproved: false });
+    jest.spyOn(EventParticipant, 'findOne').mockResolvedValue(participant);
+    const findOneAndDelete = jest.spyOn(EventParticipant, 'findOneAndDelete').mockResolvedValue(participant);
+
+    await run(denyJoinRequest, { requestId: participant.id }, { reason: 'Private party' });
+
+    expect(findOneAndDelete).toHaveBeenCalledWith({ _id: participant.id, isApproved: false });
+    expect(io.emitted[0]).toMatchObject({
+      room: 'guest_guest@example.com',
+      data: { decision: 'denied', reason: 'Private party' }
+    });
+  });
+
+  it('decides every pending request, oldest first, with all: true', async () => {
+    const guest = new EventParticipant({ event: event._id, email: 'guest@example.com', isApproved: false, joinedAt: new Date('2026-06-01T19:00:00Z') });
+    jest.spyOn(Event, 'findById').mockReturnValue(mockQuery(event));
+    jest.spyOn(EventParticipant, 'find').mockReturnValue(mockQuery([guest]));
+    jest.spyOn(EventParticipant, 'findOne').mockResolvedValue(guest);
+    jest.spyOn(EventParticipant, 'findOneAndUpdate').mockResolvedValue(guest);
+
+    const { body } = await run(bulkDecideJoinRequests, {}, { action: 'approve', all: true });
+
+    expect(body.data.map(item => [item.id, item.type, item.result])).toEqual([
+      [guest.id, 'Guest', 'updated'],
+      [pendingMember.id, 'Member', 'updated']
+    ]);
+    expect(body.summary).toMatchObject({ requested: 2, updated: 2 });
+  });
+});
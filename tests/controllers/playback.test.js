@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const Event = require('../../models/Event');
+const { EventStatus } = require('../../models/Event');
+const SongRequest = require('../../models/SongRequest');
+const { SongStatus } = require('../../models/SongRequest');
+const { startPlayback, nextTrack, skipTrack, pausePlayback } = require('../../controllers/playbackController');
+const { runHandler, mockQuery, mockIo } = require('../helpers');
+
+const newId = () => new mongoose.Types.ObjectId();
+
+const makeSong = (fields = {}) => new SongRequest({
+  title: 'Song',
+  artist: 'Artist',
+  event: newId(),
+  requestedBy: newId(),
+  status: SongStatus.APPROVED,
+  ...fields
+});
+
+describe('playback', () => {
+  let event;
+  let songs;
+  let queue;
+
+  const run = (handler, body = {}, io = null) => runHandler(handler, {
+    params: { eventId: event._id.toString() },
+    body,
+    user: { id: 'manager' },
+    app: { get: () => io }
+  });
+
+  beforeEach(() => {
+    event = new Event({ name: 'Party', status: EventStatus.ACTIVE, manager: newId() });
+    songs = {};
+    queue = [];
+
+    const saveSelf = function() {
+      return Promise.resolve(this);
+    };
+    jest.spyOn(Event.prototype, 'save').mockImplementation(saveSelf);
+    jest.spyOn(SongRequest.prototype, 'save').mockImplementation(saveSelf);
+    jest.spyOn(Event, 'findById').mockImplementation(async () => event);
+    jest.spyOn(SongRequest, 'findById').mockImplementation(id => mockQuery(songs[id.toString()] || null));
+    jest.spyOn(SongRequest, 'findQueue').mockImplementation(() => mockQuery(queue.filter(song => song.status === SongStatus.APPROVED)));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const queueSongs = (...list) => {
+    list.forEach((song) => {
+      songs[song._id.toString()] = song;
+      queue.push(song);
+    });
+  };
+
+  it('starts the top of the queue and tells the room', async () => {
+    const first = makeSong();
+    queueSongs(first, makeSong());
+    const io = mockIo();
+
+    const { status, body } = await run(startPlayback, {}, io);
+
+    expect(status).toBe(200);
+    expect(first.status).toBe(SongStatus.PLAYING);
+    expect(event.playback.currentTrack).toEqual(first._id);
+    expect(body.data.currentTrack).toBe(first);
+    expect(io.emitted.map(({ name }) => name)).toEqual(['nowPlaying']);
+  });
+
+  it('refuses to start while a song is playing', async () => {
+    event.playback = { currentTrack: newId() };
+
+    const { error } = await run(startPlayback);
+
+    expect(error.statusCode).toBe(400);
+  });
+
+  it('marks the current song played and starts the next one', async () => {
+    const [first, second] = [makeSong(), makeSong()];
+    queueSongs(first, second);
+    await run(startPlayback);
+
+    await run(nextTrack);
+
+    expect(first.status).toBe(SongStatus.PLAYED);
+    expect(second.status).toBe(SongStatus.PLAYING);
+    expect(event.playback.currentTrack).toEqual(second._id);
+  });
+
+  it('marks a skipped song as skipped', async () => {
+    const [first, second] = [makeSong(), makeSong()];
+    queueSongs(first, second);
+    await run(startPlayback);
+
+    await run(skipTrack);
+
+    expect(first.status).toBe(SongStatus.SKIPPED);
+    expect(event.playback.currentTrack).toEqual(second._id);
+  });
+
+  it('stops when the queue runs out', async () => {
+    queueSongs(makeSong());
+    await run(startPlayback);
+
+    await run(nextTrack);
+
+    expect(event.playback.currentTrack).toBeNull();
+  });
+
+  it.each([
+    ['start', startPlayback],
+    ['next', nextTrack],
+    ['skip', skipTrack]
+  ])('refuses to %s on an event that is not active', async (name, handler) => {
+    queueSongs(makeSong());
+    event.playback = { currentTrack: queue[0]._id };
+    event.status = EventStatus.COMPLETED;
+
+    const { error } = await run(handler);
+
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toBe('Event is not active');
+  });
+
+  it('excludes paused time from the played duration', async () => {
+    jest.useFakeTimers({ now: new Date('2026-06-01T22:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    const first = makeSong();
+    queueSongs(first);
+    await run(startPlayback);
+
+    jest.advanceTimersByTime(60 * 1000);
+    await run(pausePlayback);
+    expect(event.playback.isPaused).toBe(true);
+
+    jest.advanceTimersByTime(30 * 1000);
+    await run(pausePlayback, { paused: false });
+    jest.advanceTimersByTime(60 * 1000);
+    await run(nextTrack);
+    jest.useRealTimers();
+
+    expect(first.playDuration).toBe(120);
+  });
+});
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const Event = require('../../models/Event');
+const SongRequest = require('../../models/SongRequest');
+const { reorderQueue } = require('../../controllers/songRequestController');
+const { runHandler, mockIo } = require('../helpers');
+
+const newId = () => new mongoose.Types.ObjectId().toString();
+
+describe('reorderQueue', () => {
+  const eventId = newId();
+  const [first, second, third] = [newId(), newId(), newId()];
+  let event;
+  let applyQueueOrder;
+
+  const reorder = (body, io = null) => runHandler(reorderQueue, {
+    params: { eventId },
+    body,
+    user: { id: 'manager' },
+    app: { get: () => io }
+  });
+
+  beforeEach(() => {
+    event = { _id: eventId, rankingStrategy: 'manual' };
+    jest.spyOn(Event, 'findById').mockImplementation(async () => event);
+    jest.spyOn(SongRequest, 'findQueue').mockResolvedValue([first, second, third].map(_id => ({ _id })));
+    applyQueueOrder = jest.spyOn(SongRequest, 'applyQueueOrder')
+      .mockImplementation(async (event, orderedIds) => orderedIds.map((_id, index) => ({ _id, queuePosition: index + 1 })));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('refuses to reorder a queue ranked by votes', async () => {
+    event.rankingStrategy = 'votes';
+
+    const { error } = await reorder({ order: [third, first, second] });
+
+    expect(error.statusCode).toBe(400);
+    expect(applyQueueOrder).not.toHaveBeenCalled();
+  });
+
+  describe('with a full order', () => {
+    it('applies the order and tells the room', async () => {
+      const io = mockIo();
+      const { status, body } = await reorder({ order: [third, first, second] }, io);
+
+      expect(status).toBe(200);
+      expect(applyQueueOrder).toHaveBeenCalledWith(eventId, [third, first, second], 'manager');
+      expect(body.data.map(song => song.queuePosition)).toEqual([1, 2, 3]);
+      expect(io.emitted).toEqual([expect.objectContaining({ room: `event_${eventId}`, name: 'queueReordered' })]);
+    });
+
+    it('rejects duplicates', async () => {
+      const { error } = await reorder({ order: [first, first, second] });
+
+      expect(error.statusCode).toBe(400);
+      expect(applyQueueOrder).not.toHaveBeenCalled();
+    });
+
+    it('rejects an order that misses a queued request', async () => {
+      const { error } = await reorder({ order: [first, second] });
+
+      expect(error.statusCode).toBe(409);
+      expect(applyQueueOrder).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('with before/after', () => {
+    it('moves a request before another one', async () => {
+      await reorder({ requestId: third, before: first });
+
+      expect(applyQueueOrder).toHaveBeenCalledWith(eventId, [third, first, second], 'manager');
+    });
+
+    it('moves a request after another one', async () => {
+      await reorder({ requestId: first, after: third });
+
+      expect(applyQueueOrder).toHaveBeenCalledWith(eventId, [second, third, first], 'manager');
+    });
+
+    it('rejects requests that are not queued', async () => {
+      const { error } = await reorder({ requestId: newId(), after: third });
+
+      expect(error.statusCode).toBe(404);
+    });
+
+    it('rejects moving a request relative to itself', async () => {
+      const { error } = await reorder({ requestId: first, before: first });
+
+      expect(error.statusCode).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const Event = require('../../models/Event');
+const Person = require('../../models/Person');
+const { addEventStaff, updateEventStaff, removeEventStaff } = require('../../controllers/staffController');
+const { eventPermission } = require('../../middleware/auth');
+const { StaffRole, EventPermission } = require('../../utils/eventPermissions');
+const { runHandler } = require('../helpers');
+
+const newId = () => new mongoose.Types.ObjectId();
+
+describe('event staff', () => {
+  const ownerId = newId();
+  const coManagerId = newId();
+  const djId = newId();
+  let event;
+
+  const asUser = (id, role = 'Manager') => ({ _id: id, id: id.toString(), role });
+
+  const run = (handler, user, params = {}, body = {}) => runHandler(handler, {
+    params: { id: event._id.toString(), ...params },
+    body,
+    user,
+    event
+  });
+
+  beforeEach(() => {
+    event = new Event({
+      name: 'Party',
+      manager: ownerId,
+      staff: [
+        { user: coManagerId, role: StaffRole.CO_MANAGER },
+        { user: djId, role: StaffRole.DJ }
+      ]
+    });
+    jest.spyOn(Event.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('permissions', () => {
+    it('gives each role its own permissions and Admins all of them', () => {
+      expect(event.getStaffRole(ownerId)).toBe(StaffRole.OWNER);
+      expect(event.hasPermission(asUser(coManagerId), EventPermission.MANAGE_STAFF)).toBe(true);
+      expect(event.hasPermission(asUser(coManagerId), EventPermission.DELETE_EVENT)).toBe(false);
+      expect(event.hasPermission(asUser(djId), EventPermission.CONTROL_PLAYBACK)).toBe(true);
+      expect(event.hasPermission(asUser(djId), EventPermission.MANAGE_EVENT)).toBe(false);
+      expect(event.hasPermission(asUser(newId()), EventPermission.VIEW_MEMBERS)).toBe(false);
+      expect(event.hasPermission(asUser(newId(), 'Admin'), EventPermission.DELETE_EVENT)).toBe(true);
+    });
+
+    it('lets the middleware through with the event and role attached', async () => {
+      jest.spyOn(Event, 'findById').mockResolvedValue(event);
+
+      const { status } = await runHandler(eventPermission(EventPermission.MANAGE_EVENT), {
+        params: { id: event._id.toString() },
+        user: asUser(djId)
+      });
+      expect(status).toBe(403);
+
+      const req = { params: { id: event._id.toString() }, user: asUser(djId) };
+      await new Promise(resolve => eventPermission(EventPermission.CONTROL_PLAYBACK)(req, {}, resolve));
+      expect(req.event).toBe(event);
+      expect(req.eventRole).toBe(StaffRole.DJ);
+    });
+  });
+
+  describe('changes', () => {
+    it('lets only the owner hand out co-manager rights', async () => {
+      const newcomer = new Person({ firstName: 'New', lastName: 'Comer', email: 'new@example.com', isActive: true });
+      jest.spyOn(Person, 'findById').mockResolvedValue(newcomer);
+
+      const { error } = await run(addEventStaff, asUser(coManagerId), {}, { userId: newcomer.id, role: StaffRole.CO_MANAGER });
+      expect(error.statusCode).toBe(403);
+
+      const { status } = await run(addEventStaff, asUser(ownerId), {}, { userId: newcomer.id, role: StaffRole.CO_MANAGER });
+      expect(status).toBe(201);
+      expect(event.getStaffRole(newcomer._id)).toBe(StaffRole.CO_MANAGER);
+    });
+
+    it('keeps a co-manager from promoting a DJ', async () => {
+      const { error } = await run(updateEventStaff, asUser(coManagerId), { userId: djId.toString() }, { role: StaffRole.CO_MANAGER });
+
+      expect(error.statusCode).toBe(403);
+      expect(event.getStaffRole(djId)).toBe(StaffRole.DJ);
+    });
+
+    it('never removes the owner', async () => {
+      const { error } = await run(removeEventStaff, asUser(ownerId), { userId: ownerId.toString() });
+
+      expect(error.message).toBe('The event owner cannot be removed from the staff');
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const Event = require('../../models/Event');
+const EventSeries = require('../../models/EventSeries');
+const { updateEvent } = require('../../controllers/eventController');
+const { runHandler, mockQuery } = require('../helpers');
+
+const newId = () => new mongoose.Types.ObjectId();
+
+describe('updateEvent', () => {
+  const managerId = newId().toString();
+  let event;
+  let findByIdAndUpdate;
+
+  const update = (body, user = { id: managerId, role: 'Manager' }) => runHandler(updateEvent, {
+    params: { id: event._id.toString() },
+    body,
+    user
+  });
+
+  beforeEach(() => {
+    event = new Event({ name: 'Party', manager: managerId });
+    jest.spyOn(Event, 'findById').mockResolvedValue(event);
+    findByIdAndUpdate = jest.spyOn(Event, 'findByIdAndUpdate').mockReturnValue(mockQuery(event));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('merges lifecycle edits but leaves the manual override to activate/deactivate', async () => {
+    const { status } = await update({
+      lifecycle: { autoTransition: true, endGraceMinutes: 15, manualOverride: false, overriddenAt: new Date(), overriddenBy: newId() }
+    });
+
+    expect(status).toBe(200);
+    expect(findByIdAndUpdate.mock.calls[0][1]).toEqual({
+      'lifecycle.autoTransition': true,
+      'lifecycle.endGraceMinutes': 15
+    });
+  });
+
+  it('keeps a co-manager from rewriting the staff list, playback or waitlist', async () => {
+    const coManagerId = newId();
+    event.staff.push({ user: coManagerId, role: 'co-manager' });
+
+    const { status } = await update({
+      name: 'Renamed',
+      staff: [{ user: coManagerId, role: 'co-manager' }],
+      'staff.0.role': 'dj',
+      playback: { currentTrack: null },
+      waitlist: [],
+      $push: { staff: { user: newId(), role: 'co-manager' } }
+    }, { id: coManagerId.toString(), role: 'Manager' });
+
+    expect(status).toBe(200);
+    expect(findByIdAndUpdate.mock.calls[0][1]).toEqual({ name: 'Renamed' });
+  });
+
+  it('detaches a series instance edited on its own and ignores series fields', async () => {
+    event.series = newId();
+
+    await update({ name: 'Special', series: newId(), seriesDetached: false });
+
+    expect(findByIdAndUpdate.mock.calls[0][1]).toEqual({ name: 'Special', seriesDetached: true });
+  });
+
+  it('only takes series-wide settings for future instances', async () => {
+    event.series = newId();
+    jest.spyOn(EventSeries, 'findById').mockResolvedValue({ _id: event.series });
+
+    const { error } = await update({ maxMembers: 80, startDate: new Date(), scope: 'future' });
+
+    expect(error.message).toBe('startDate can only be changed on this instance');
+    expect(findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('refuses someone who does not manage the event', async () => {
+    const { error } = await update({ name: 'Mine now' }, { id: newId().toString(), role: 'Manager' });
+
+    expect(error.statusCode).toBe(403);
+    expect(findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+});
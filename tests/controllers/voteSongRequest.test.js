@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const Event = require('../../models/Event');
+const { VotingMode } = require('../../models/Event');
+const SongRequest = require('../../models/SongRequest');
+const { voteSongRequest } = require('../../controllers/songRequestController');
+const { runHandler } = require('../helpers');
+
+const newId = () => new mongoose.Types.ObjectId();
+
+describe('voteSongRequest', () => {
+  const userId = newId().toString();
+  let event;
+  let song;
+
+  const vote = value => runHandler(voteSongRequest, {
+    params: { eventId: event._id.toString(), id: song._id.toString() },
+    body: { vote: value },
+    user: { id: userId },
+    event
+  });
+
+  beforeEach(() => {
+    event = new Event({ name: 'Party', manager: newId(), votingMode: VotingMode.UPDOWN });
+    song = new SongRequest({ title: 'Song', artist: 'Artist', event: event._id, requestedBy: newId() });
+
+    jest.spyOn(SongRequest, 'findOne').mockImplementation(async () => song);
+    // Keep the counters the pre-save hook maintains
+    jest.spyOn(SongRequest.prototype, 'save').mockImplementation(function() {
+      this.likeCount = this.likes.length;
+      this.downvoteCount = this.downvotes.length;
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('keeps one vote per person', async () => {
+    await vote('up');
+    const { body } = await vote('down');
+
+    expect(body.data).toEqual({ vote: 'down', likeCount: 0, downvoteCount: 1, voteScore: -1 });
+  });
+
+  it('clears a vote', async () => {
+    await vote('up');
+    const { body } = await vote('clear');
+
+    expect(body.data).toMatchObject({ likeCount: 0, downvoteCount: 0 });
+  });
+
+  it('is only available in up/down voting mode', async () => {
+    event.votingMode = VotingMode.LIKES;
+
+    const { error } = await vote('down');
+
+    expect(error.statusCode).toBe(400);
+  });
+});
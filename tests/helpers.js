@@ -0,0 +1,60 @@
+// Test doubles for calling controllers and stubbing Mongoose queries without a database
+
+// Run a controller; resolves with what it sent, or with the error it passed to next
+const runHandler = (handler, req = {}) => new Promise((resolve) => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set(name, value) {
+      this.headers[name.toLowerCase()] = value;
+      return this;
+    },
+    json(body) {
+      resolve({ status: this.statusCode, body });
+      return this;
+    },
+    send(body) {
+      resolve({ status: this.statusCode, body, headers: this.headers });
+      return this;
+    }
+  };
+
+  handler({
+    params: {},
+    query: {},
+    body: {},
+    app: { get: () => null },
+    ...req
+  }, res, error => resolve({ error, headers: res.headers }));
+});
+
+// A chainable, awaitable stand-in for a Mongoose query that resolves to result
+const mockQuery = (result) => {
+  const query = {
+    then: (onFulfilled, onRejected) => Promise.resolve(result).then(onFulfilled, onRejected),
+    exec: () => Promise.resolve(result)
+  };
+  ['populate', 'select', 'sort', 'skip', 'limit', 'lean', 'session'].forEach((method) => {
+    query[method] = jest.fn(() => query);
+  });
+  return query;
+};
+
+// Socket.io stand-in that records what was emitted to which room
+const mockIo = () => {
+  const emitted = [];
+  return {
+    emitted,
+    to: room => ({ emit: (name, data) => emitted.push({ room, name, data }) })
+  };
+};
+
+module.exports = {
+  runHandler,
+  mockQuery,
+  mockIo
+};
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const Event = require('../../models/Event');
+const { EventStatus } = require('../../models/Event');
+const eventLifecycleScheduler = require('../../jobs/eventLifecycleScheduler');
+const { mockIo } = require('../helpers');
+
+const minutes = (count) => count * 60 * 1000;
+
+const newEvent = (status, startOffset, endOffset, lifecycle = {}) => new Event({
+  _id: new mongoose.Types.ObjectId(),
+  status,
+  startDate: new Date(Date.now() + startOffset),
+  endDate: new Date(Date.now() + endOffset),
+  lifecycle: { autoTransition: true, ...lifecycle }
+});
+
+describe('Event lifecycle', () => {
+  it('keeps isActive date-blind unless the event enforces dates', () => {
+    const event = newEvent(EventStatus.ACTIVE, minutes(30), minutes(120));
+
+    expect(event.isActive).toBe(true);
+
+    event.lifecycle.enforceDates = true;
+    expect(event.isActive).toBe(false);
+
+    event.lifecycle.startGraceMinutes = 45;
+    expect(event.isActive).toBe(true);
+  });
+
+  it('lets a manual override win over enforced dates', () => {
+    const event = newEvent(EventStatus.ACTIVE, minutes(30), minutes(120), { enforceDates: true, manualOverride: true });
+
+    expect(event.isActive).toBe(true);
+  });
+});
+
+describe('eventLifecycleScheduler.scan', () => {
+  let io;
+
+  beforeEach(() => {
+    io = mockIo();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('opens published events and completes events past their grace period', async () => {
+    const opening = newEvent(EventStatus.PUBLISHED, -minutes(5), minutes(120));
+    const closing = newEvent(EventStatus.ACTIVE, -minutes(180), -minutes(20), { endGraceMinutes: 10 });
+    const inGrace = newEvent(EventStatus.ACTIVE, -minutes(180), -minutes(5), { endGraceMinutes: 10 });
+    jest.spyOn(Event, 'findDueForTransition').mockResolvedValue([opening, closing, inGrace]);
+    const findOneAndUpdate = jest.spyOn(Event, 'findOneAndUpdate').mockImplementation(async (filter) => filter);
+
+    await eventLifecycleScheduler.scan(io);
+
+    expect(findOneAndUpdate.mock.calls.map(([filter, update]) => [filter._id, update.$set.status])).toEqual([
+      [opening._id, EventStatus.ACTIVE],
+      [closing._id, EventStatus.COMPLETED]
+    ]);
+    expect(findOneAndUpdate.mock.calls[0][0]).toEqual({
+      _id: opening._id,
+      status: EventStatus.PUBLISHED,
+      'lifecycle.manualOverride': { $ne: true }
+    });
+    expect(io.emitted.map(({ name, data }) => [name, data.source, data.status])).toEqual([
+      ['eventStatusChanged', 'schedule', EventStatus.ACTIVE],
+      ['eventStatusChanged', 'schedule', EventStatus.COMPLETED]
+    ]);
+  });
+
+  it('leaves an event that was changed since it was read', async () => {
+    jest.spyOn(Event, 'findDueForTransition').mockResolvedValue([newEvent(EventStatus.PUBLISHED, -minutes(5), minutes(120))]);
+    jest.spyOn(Event, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await eventLifecycleScheduler.scan(io);
+
+    expect(io.emitted).toEqual([]);
+  });
+});
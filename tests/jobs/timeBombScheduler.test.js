@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const Event = require('../../models/Event');
+const { TimeBombAction } = require('../../models/Event');
+const SongRequest = require('../../models/SongRequest');
+const { SongStatus } = require('../../models/SongRequest');
+const Payment = require('../../models/Payment');
+const timeBombScheduler = require('../../jobs/timeBombScheduler');
+const { mockQuery, mockIo } = require('../helpers');
+
+const newId = () => new mongoose.Types.ObjectId();
+
+describe('timeBombScheduler.scan', () => {
+  const eventId = newId();
+  let io;
+  let expired;
+  let warned;
+
+  // One candidate for the expiry pass, then one for the warning pass
+  const mockCandidates = (expiring, warning) => {
+    jest.spyOn(SongRequest, 'find')
+      .mockReturnValueOnce(mockQuery(expiring))
+      .mockReturnValueOnce(mockQuery(warning));
+  };
+
+  const mockEvent = (timeBombExpiryAction) => {
+    jest.spyOn(Event, 'findById').mockReturnValue(mockQuery({ timeBombExpiryAction }));
+  };
+
+  beforeEach(() => {
+    io = mockIo();
+    expired = new SongRequest({ title: 'Gone', artist: 'A', event: eventId, isTimeBomb: true });
+    warned = new SongRequest({ title: 'Soon', artist: 'B', event: eventId, isTimeBomb: true, timeBombExpiresAt: new Date(Date.now() + 30000) });
+    jest.spyOn(Payment, 'find').mockResolvedValue([]);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it.each([
+    [TimeBombAction.APPROVE, { status: SongStatus.APPROVED, updatedBy: null }],
+    [TimeBombAction.REJECT, { status: SongStatus.REJECTED, rejectionReason: 'TimeBomb expired', timeBombFlagged: false }],
+    [undefined, { timeBombFlagged: true }]
+  ])('claims and applies the %s outcome in one conditional update', async (action, fields) => {
+    mockCandidates([{ _id: expired._id, event: eventId }], []);
+    mockEvent(action);
+    const findOneAndUpdate = jest.spyOn(SongRequest, 'findOneAndUpdate').mockResolvedValue(expired);
+
+    await timeBombScheduler.scan(io);
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({
+      _id: expired._id,
+      timeBombExpiredAt: null,
+      status: { $in: [SongStatus.PENDING, SongStatus.APPROVED] }
+    });
+    expect(update.$set).toMatchObject({ ...fields, timeBombExpiredAt: expect.any(Date) });
+    expect(io.emitted).toEqual([expect.objectContaining({
+      name: 'timeBombExpired',
+      data: expect.objectContaining({ action: action || TimeBombAction.FLAG })
+    })]);
+    expect(Payment.find).toHaveBeenCalledWith(expect.objectContaining({ songRequest: expired._id }));
+  });
+
+  it('neither refunds nor announces a TimeBomb another instance claimed first', async () => {
+    mockCandidates([{ _id: expired._id, event: eventId }], []);
+    mockEvent(TimeBombAction.REJECT);
+    jest.spyOn(SongRequest, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await timeBombScheduler.scan(io);
+
+    expect(Payment.find).not.toHaveBeenCalled();
+    expect(io.emitted).toEqual([]);
+  });
+
+  it('warns the room once per TimeBomb shortly before it goes off', async () => {
+    mockCandidates([], [{ _id: warned._id }]);
+    const findOneAndUpdate = jest.spyOn(SongRequest, 'findOneAndUpdate').mockResolvedValue(warned);
+
+    await timeBombScheduler.scan(io);
+
+    expect(findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: warned._id, timeBombWarnedAt: null });
+    expect(io.emitted).toEqual([expect.objectContaining({
+      room: `event_${eventId}`,
+      name: 'timeBombWarning',
+      data: expect.objectContaining({ title: 'Soon', secondsRemaining: 30 })
+    })]);
+  });
+});
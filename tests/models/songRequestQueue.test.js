@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const SongRequest = require('../../models/SongRequest');
+const { mockQuery } = require('../helpers');
+
+const newId = () => new mongoose.Types.ObjectId();
+
+describe('SongRequest.applyQueueOrder', () => {
+  const eventId = newId();
+  const [first, second, third] = [newId(), newId(), newId()];
+  let writes;
+  let unpinned;
+
+  // Positions written per bulk write, as [id, position] pairs
+  const mockBulkWrite = (matchedCount) => {
+    writes = [];
+    jest.spyOn(SongRequest, 'bulkWrite').mockImplementation(async (operations) => {
+      writes.push(operations.map(({ updateOne }) => [updateOne.filter._id.toString(), updateOne.update.$set.queuePosition]));
+      unpinned = operations.every(({ updateOne }) => updateOne.update.$unset.queuePinnedAt === 1);
+      return { matchedCount: matchedCount === undefined ? operations.length : matchedCount };
+    });
+  };
+
+  const mockQueued = (ids) => {
+    jest.spyOn(SongRequest, 'find').mockReturnValue(mockQuery(ids.map(_id => ({ _id }))));
+    jest.spyOn(SongRequest, 'findQueue').mockResolvedValue([]);
+  };
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('writes positions 1..N in the requested order and clears pins', async () => {
+    mockBulkWrite();
+    mockQueued([first, second]);
+
+    await SongRequest.applyQueueOrder(eventId, [second, first], 'manager');
+
+    expect(writes).toEqual([[[second.toString(), 1], [first.toString(), 2]]]);
+    expect(unpinned).toBe(true);
+  });
+
+  it('renumbers a song approved during the reorder after the requested order', async () => {
+    mockBulkWrite();
+    mockQueued([third, first, second]); // third was approved in between
+
+    await SongRequest.applyQueueOrder(eventId, [second, first], 'manager');
+
+    expect(writes[1]).toEqual([[second.toString(), 1], [first.toString(), 2], [third.toString(), 3]]);
+  });
+
+  it('closes the gap left by a song removed during the reorder', async () => {
+    mockBulkWrite(2);
+    mockQueued([second, third]); // first was removed in between
+
+    await SongRequest.applyQueueOrder(eventId, [third, first, second], 'manager');
+
+    expect(writes[1]).toEqual([[third.toString(), 1], [second.toString(), 2]]);
+  });
+});
+
+describe('SongRequest.findQueue', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('plays pinned songs first, earliest pin first', async () => {
+    const Event = require('../../models/Event');
+    const eventId = newId();
+    const queued = new SongRequest({ title: 'Queued', artist: 'A', event: eventId, queuePosition: 1 });
+    const pinnedLater = new SongRequest({ title: 'Later', artist: 'B', event: eventId, queuePinnedAt: new Date('2026-06-01T22:10:00Z') });
+    const pinnedEarlier = new SongRequest({ title: 'Earlier', artist: 'C', event: eventId, queuePinnedAt: new Date('2026-06-01T22:00:00Z') });
+
+    jest.spyOn(Event, 'findById').mockReturnValue(mockQuery({ rankingStrategy: 'manual' }));
+    jest.spyOn(SongRequest, 'find').mockReturnValue(mockQuery([queued, pinnedLater, pinnedEarlier]));
+
+    const queue = await SongRequest.findQueue(eventId);
+
+    expect(queue.map(song => song.title)).toEqual(['Earlier', 'Later', 'Queued']);
+  });
+});
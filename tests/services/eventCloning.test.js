@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const Event = require('../../models/Event');
+const SongRequest = require('../../models/SongRequest');
+const { SongStatus } = require('../../models/SongRequest');
+const EventTemplate = require('../../models/EventTemplate');
+const { updateEventTemplate } = require('../../controllers/eventTemplateController');
+const {
+  extractSettings,
+  mergeSettings,
+  createEventFrom,
+  copyMemberList,
+  copyApprovedQueue
+} = require('../../services/eventCloning');
+const { runHandler, mockQuery } = require('../helpers');
+
+const newId = () => new mongoose.Types.ObjectId();
+
+describe('event cloning', () => {
+  let source;
+
+  beforeEach(() => {
+    source = new Event({
+      name: 'Party',
+      manager: newId(),
+      maxMembers: 80,
+      logo: newId(),
+      lifecycle: { manualOverride: 'active', overriddenAt: new Date(), enforceDates: true }
+    });
+    source.staff.push({ user: newId(), role: 'dj' });
+
+    jest.spyOn(Event.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('copies settings without images or the manual lifecycle override', () => {
+    const settings = extractSettings(source);
+
+    expect(settings.maxMembers).toBe(80);
+    expect(settings.logo).toBeUndefined();
+    expect(settings.lifecycle).toMatchObject({ enforceDates: true });
+    expect(settings.lifecycle.manualOverride).toBeUndefined();
+    expect(settings.lifecycle.overriddenAt).toBeUndefined();
+    expect(settings.staff).toEqual([expect.objectContaining({ user: source.staff[0].user, role: 'dj' })]);
+  });
+
+  it('merges object settings and replaces the rest', () => {
+    const merged = mergeSettings(
+      { venue: { name: 'Club', city: 'Berlin' }, maxMembers: 80 },
+      { venue: { name: 'Bar' }, maxMembers: 40 }
+    );
+
+    expect(merged).toEqual({ venue: { name: 'Bar', city: 'Berlin' }, maxMembers: 40 });
+  });
+
+  it('does not list the new manager as staff', async () => {
+    const manager = source.staff[0].user;
+
+    const event = await createEventFrom(source, extractSettings(source), {
+      name: 'Party again',
+      startDate: new Date('2026-07-01T20:00:00Z'),
+      endDate: new Date('2026-07-02T00:00:00Z'),
+      manager,
+      createdBy: manager
+    }, { copyMedia: false });
+
+    expect(event.staff).toHaveLength(0);
+    expect(event.logo).toBeNull();
+    expect(event.lifecycle.manualOverride).toBeFalsy();
+  });
+
+  it('copies approved Members except the new manager', () => {
+    const manager = newId();
+    source.Members.push(
+      { user: newId(), isApproved: true },
+      { user: newId(), isApproved: false },
+      { user: manager, isApproved: true }
+    );
+    const target = new Event({ name: 'Party again', manager });
+
+    expect(copyMemberList(source, target, manager)).toBe(1);
+    expect(target.Members[0].user).toEqual(source.Members[0].user);
+  });
+
+  it('copies the approved queue in queue order', async () => {
+    const target = new Event({ name: 'Party again', manager: newId() });
+    const songs = [
+      new SongRequest({ event: source._id, title: 'First', artist: 'A', status: SongStatus.APPROVED, queuePosition: 1, likes: [newId()] }),
+      new SongRequest({ event: source._id, title: 'Second', artist: 'B', status: SongStatus.APPROVED, queuePosition: 2 })
+    ];
+    jest.spyOn(SongRequest, 'find').mockReturnValue(mockQuery(songs));
+    const insertMany = jest.spyOn(SongRequest, 'insertMany').mockResolvedValue([]);
+
+    const count = await copyApprovedQueue(source, target, newId());
+
+    expect(count).toBe(2);
+    const copies = insertMany.mock.calls[0][0];
+    expect(copies.map(copy => [copy.title, copy.queuePosition, copy.event])).toEqual([
+      ['First', 1, target._id],
+      ['Second', 2, target._id]
+    ]);
+    expect(copies[0].likes).toBeUndefined();
+  });
+});
+
+describe('updateEventTemplate', () => {
+  const ownerId = newId();
+  let template;
+
+  beforeEach(() => {
+    template = new EventTemplate({
+      name: 'Friday',
+      owner: ownerId,
+      createdBy: ownerId,
+      settings: { venue: { name: 'Club', city: 'Berlin' }, maxMembers: 80 }
+    });
+
+    jest.spyOn(EventTemplate, 'findById').mockResolvedValue(template);
+    jest.spyOn(EventTemplate.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('merges setting edits into the saved settings', async () => {
+    const { status, body } = await runHandler(updateEventTemplate, {
+      params: { id: template.id },
+      body: { venue: { name: 'Bar' }, durationMinutes: 240 },
+      user: { id: ownerId.toString(), role: 'Manager' }
+    });
+
+    expect(status).toBe(200);
+    expect(body.data.settings).toEqual({ venue: { name: 'Bar', city: 'Berlin' }, maxMembers: 80 });
+    expect(body.data.durationMinutes).toBe(240);
+  });
+
+  it('refuses another manager', async () => {
+    const { error } = await runHandler(updateEventTemplate, {
+      params: { id: template.id },
+      body: { maxMembers: 10 },
+      user: { id: newId().toString(), role: 'Manager' }
+    });
+
+    expect(error.statusCode).toBe(403);
+    expect(EventTemplate.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('rejects settings the Event schema would refuse', async () => {
+    const { error } = await runHandler(updateEventTemplate, {
+      params: { id: template.id },
+      body: { maxMembers: -5 },
+      user: { id: ownerId.toString(), role: 'Manager' }
+    });
+
+    expect(error).toBeDefined();
+    expect(EventTemplate.prototype.save).not.toHaveBeenCalled();
+  });
+});
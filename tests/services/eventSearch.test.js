@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const Event = require('../../models/Event');
+const { toGeoPoint } = require('../../models/Event');
+const { buildVisibilityFilter, searchEvents } = require('../../services/eventSearch');
+
+const newId = () => new mongoose.Types.ObjectId();
+
+describe('event search', () => {
+  const emptyFacets = { results: [], total: [], eventType: [], status: [], city: [], month: [], dateRange: [] };
+  let pipeline;
+
+  beforeEach(() => {
+    jest.spyOn(Event, 'aggregate').mockImplementation(async (stages) => {
+      pipeline = stages;
+      return [{
+        ...emptyFacets,
+        total: [{ count: 3 }],
+        city: [{ _id: 'Berlin', count: 2 }, { _id: null, count: 1 }]
+      }];
+    });
+    jest.spyOn(Event, 'populate').mockResolvedValue([]);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('matches text within what the caller may see and sorts by relevance', async () => {
+    const visibility = await buildVisibilityFilter(null);
+
+    const result = await searchEvents({ visibility, q: 'techno', cities: ['Berlin'] });
+
+    expect(pipeline[0].$match).toEqual({
+      $and: [{ isPublic: true, status: 'Active' }, { 'venue.city': { $in: [/^Berlin$/i] } }],
+      $text: { $search: 'techno' }
+    });
+    expect(pipeline[2].$facet.results[0]).toEqual({ $sort: { relevance: -1, startDate: 1 } });
+    expect(result).toMatchObject({ total: 3, sort: 'relevance', facets: { city: [{ value: 'Berlin', count: 2 }] } });
+  });
+
+  it('searches near a point with regexes instead of $text', async () => {
+    const user = { _id: newId(), role: 'Manager' };
+    const visibility = await buildVisibilityFilter(user);
+
+    const result = await searchEvents({ visibility, q: 'a.b', near: { latitude: 52.5, longitude: 13.4, radiusKm: 10 } });
+    const { $geoNear } = pipeline[0];
+
+    expect($geoNear).toMatchObject({
+      near: { type: 'Point', coordinates: [13.4, 52.5] },
+      key: 'venue.location',
+      maxDistance: 10000
+    });
+    expect($geoNear.query.$text).toBeUndefined();
+    expect($geoNear.query.$and[0]).toEqual({ $or: [{ isPublic: true }, { manager: user._id }, { 'staff.user': user._id }] });
+    expect($geoNear.query.$and[2].$or[0]).toEqual({ name: /a\.b/i });
+    expect(result.sort).toBe('distance');
+  });
+
+  it('only keeps valid venue coordinates as GeoJSON points', () => {
+    expect(toGeoPoint({ latitude: 52.5, longitude: 13.4 })).toEqual({ type: 'Point', coordinates: [13.4, 52.5] });
+    expect(toGeoPoint({ latitude: 95, longitude: 13.4 })).toBeUndefined();
+    expect(toGeoPoint({ latitude: null, longitude: 13.4 })).toBeUndefined();
+  });
+});
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const Event = require('../../models/Event');
+const { EventStatus } = require('../../models/Event');
+const EventSeries = require('../../models/EventSeries');
+const { generateInstances, reconcileSchedule } = require('../../services/eventSeries');
+const { mockQuery } = require('../helpers');
+
+const newId = () => new mongoose.Types.ObjectId();
+
+describe('event series instances', () => {
+  const now = new Date('2026-06-01T12:00:00Z'); // a Monday
+  let series;
+  let created;
+
+  beforeEach(() => {
+    series = new EventSeries({
+      name: 'Friday Night',
+      manager: newId(),
+      createdBy: newId(),
+      template: { eventType: 'Party', maxMembers: 50 },
+      recurrence: {
+        frequency: 'weekly',
+        byDay: ['FR'],
+        startsAt: new Date('2026-05-29T20:00:00Z'),
+        timezone: 'UTC',
+        durationMinutes: 240
+      },
+      generateAheadDays: 14
+    });
+    created = [];
+
+    jest.spyOn(Event, 'create').mockImplementation(async (fields) => {
+      created.push(fields);
+      return fields;
+    });
+    jest.spyOn(EventSeries, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('creates the occurrences inside the window that do not exist yet', async () => {
+    jest.spyOn(Event, 'find').mockReturnValue(mockQuery([{ seriesOccurrence: new Date('2026-06-05T20:00:00Z') }]));
+
+    await generateInstances(series, now);
+
+    expect(created).toEqual([expect.objectContaining({
+      name: 'Friday Night',
+      maxMembers: 50,
+      status: EventStatus.PUBLISHED,
+      startDate: new Date('2026-06-12T20:00:00Z'),
+      endDate: new Date('2026-06-13T00:00:00Z'),
+      series: series._id
+    })]);
+  });
+
+  it('moves instances to a changed time and cancels dropped days', async () => {
+    series.recurrence.startsAt = new Date('2026-05-29T21:00:00Z');
+    const moved = new Event({ seriesOccurrence: new Date('2026-06-05T20:00:00Z'), startDate: new Date('2026-06-05T20:00:00Z') });
+    const dropped = new Event({ seriesOccurrence: new Date('2026-06-09T20:00:00Z'), startDate: new Date('2026-06-09T20:00:00Z') });
+    jest.spyOn(Event, 'find')
+      .mockReturnValueOnce(mockQuery([moved, dropped]))
+      .mockReturnValue(mockQuery([moved]));
+    jest.spyOn(Event.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+
+    const result = await reconcileSchedule(series, now);
+
+    expect(result).toEqual({ moved: 1, cancelled: 1, created: 1 });
+    expect(moved.startDate).toEqual(new Date('2026-06-05T21:00:00Z'));
+    expect(dropped.status).toBe(EventStatus.CANCELLED);
+  });
+});
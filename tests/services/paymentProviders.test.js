@@ -0,0 +1,50 @@
+const { getPaymentProvider, registerProvider } = require('../../services/payments');
+
+describe('getPaymentProvider', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('defaults to the fake provider outside production', () => {
+    delete process.env.PAYMENT_PROVIDER;
+    process.env.NODE_ENV = 'development';
+
+    expect(getPaymentProvider().name).toBe('fake');
+  });
+
+  it('requires PAYMENT_PROVIDER in production', () => {
+    delete process.env.PAYMENT_PROVIDER;
+    process.env.NODE_ENV = 'production';
+
+    expect(() => getPaymentProvider()).toThrow('PAYMENT_PROVIDER must be set in production');
+  });
+
+  it('refuses the fake provider in production', () => {
+    process.env.PAYMENT_PROVIDER = 'fake';
+    process.env.NODE_ENV = 'production';
+
+    expect(() => getPaymentProvider()).toThrow('cannot be used in production');
+    expect(() => getPaymentProvider('fake')).toThrow('cannot be used in production');
+  });
+
+  it('returns a registered provider in production', () => {
+    const provider = {
+      name: 'acme',
+      createIntent: async () => ({}),
+      confirmIntent: async () => ({}),
+      cancelIntent: async () => ({}),
+      refund: async () => ({})
+    };
+    registerProvider(provider);
+    process.env.PAYMENT_PROVIDER = 'acme';
+    process.env.NODE_ENV = 'production';
+
+    expect(getPaymentProvider()).toBe(provider);
+  });
+
+  it('rejects unknown providers', () => {
+    expect(() => getPaymentProvider('nope')).toThrow('Unknown payment provider "nope"');
+  });
+});
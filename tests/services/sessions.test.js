@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Person = require('../../models/Person');
+const Session = require('../../models/Session');
+const { SessionRevokeReason } = require('../../models/Session');
+const {
+  startSession,
+  rotateSession,
+  revokePersonSessions,
+  authenticateToken
+} = require('../../services/sessions');
+const { verifyToken } = require('../../config/jwt');
+const { mockQuery } = require('../helpers');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const hash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+describe('sessions', () => {
+  const req = { get: () => 'test-agent', ip: '127.0.0.1' };
+  let person;
+  let saved;
+
+  beforeEach(() => {
+    person = new Person({ firstName: 'A', lastName: 'B', email: 'a@example.com', role: 'Member' });
+    saved = null;
+
+    jest.spyOn(Session.prototype, 'save').mockImplementation(function() {
+      saved = this;
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Person, 'findById').mockImplementation(() => mockQuery(person));
+    jest.spyOn(Session, 'revoke').mockResolvedValue(1);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('keeps only the refresh token hash and ties the access token to the session', async () => {
+    const { token, refreshToken } = await startSession(person, req);
+
+    expect(saved.refreshTokenHash).toBe(hash(refreshToken));
+    expect(saved.userAgent).toBe('test-agent');
+    expect(verifyToken(token)).toMatchObject({ id: person.id, sid: saved.id });
+  });
+
+  it('rotates the refresh token', async () => {
+    const { refreshToken } = await startSession(person, req);
+    const rotate = jest.spyOn(Session, 'rotate').mockResolvedValue(saved);
+
+    const result = await rotateSession(refreshToken, req);
+
+    expect(rotate).toHaveBeenCalledWith(saved.id, hash(refreshToken), expect.objectContaining({
+      nextHash: hash(result.refreshToken)
+    }));
+    expect(result.refreshToken).not.toBe(refreshToken);
+  });
+
+  it('revokes the session when a rotated refresh token comes back', async () => {
+    const { refreshToken } = await startSession(person, req);
+    jest.spyOn(Session, 'rotate').mockResolvedValue(null);
+
+    const { error } = await rotateSession(refreshToken, req);
+
+    expect(error.statusCode).toBe(401);
+    expect(Session.revoke).toHaveBeenCalledWith(
+      { _id: saved.id, expiresAt: { $gt: expect.any(Date) } },
+      SessionRevokeReason.REUSE_DETECTED
+    );
+  });
+
+  it('refuses an access token in place of a refresh token', async () => {
+    const { token } = await startSession(person, req);
+    const rotate = jest.spyOn(Session, 'rotate');
+
+    const { error } = await rotateSession(token, req);
+
+    expect(error.message).toBe('Invalid refresh token');
+    expect(rotate).not.toHaveBeenCalled();
+  });
+
+  it('ends a deactivated person\'s session on refresh', async () => {
+    const { refreshToken } = await startSession(person, req);
+    jest.spyOn(Session, 'rotate').mockResolvedValue(saved);
+    person.isActive = false;
+
+    const { error } = await rotateSession(refreshToken, req);
+
+    expect(error.statusCode).toBe(401);
+    expect(Session.revoke).toHaveBeenCalledWith({ _id: saved._id }, SessionRevokeReason.DEACTIVATED);
+  });
+
+  it('stops accepting access tokens once their session is revoked', async () => {
+    const { token } = await startSession(person, req);
+    const findUsable = jest.spyOn(Session, 'findUsable').mockReturnValue(mockQuery(saved));
+
+    await expect(authenticateToken(token)).resolves.toMatchObject({ user: person, sessionId: saved.id });
+
+    findUsable.mockReturnValue(mockQuery(null));
+    await expect(authenticateToken(token)).rejects.toThrow('Session is no longer active');
+    expect(findUsable).toHaveBeenLastCalledWith(saved.id, person.id);
+  });
+
+  it('refreshes last seen at most once a minute', async () => {
+    const { token } = await startSession(person, req);
+    jest.spyOn(Session, 'findUsable').mockReturnValue(mockQuery(saved));
+    const updateOne = jest.spyOn(Session, 'updateOne').mockResolvedValue({});
+
+    await authenticateToken(token);
+    expect(updateOne).not.toHaveBeenCalled();
+
+    saved.lastUsedAt = new Date(Date.now() - 2 * 60 * 1000);
+    await authenticateToken(token);
+    expect(updateOne).toHaveBeenCalledWith({ _id: saved._id }, { lastUsedAt: expect.any(Date) });
+  });
+
+  it('drops the live sockets of revoked sessions', async () => {
+    const io = { disconnectSession: jest.fn(), disconnectPerson: jest.fn() };
+    const [current, other] = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+    const find = jest.spyOn(Session, 'find').mockReturnValue({ distinct: async () => [other] });
+
+    await revokePersonSessions(person._id, SessionRevokeReason.PASSWORD_CHANGE, { except: current, io });
+    await revokePersonSessions(person._id, SessionRevokeReason.DEACTIVATED, { io });
+
+    expect(find).toHaveBeenCalledWith({ person: person._id, _id: { $ne: current }, revokedAt: null });
+    expect(io.disconnectSession.mock.calls).toEqual([[other]]);
+    expect(io.disconnectPerson).toHaveBeenCalledWith(person._id);
+  });
+
+  it('refuses access tokens from before sessions existed', async () => {
+    const legacyToken = jwt.sign({ id: new mongoose.Types.ObjectId().toString() }, process.env.JWT_SECRET);
+
+    await expect(authenticateToken(legacyToken)).rejects.toThrow('Session is no longer active');
+  });
+});
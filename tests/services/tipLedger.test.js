@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const Payment = require('../../models/Payment');
+const { PaymentStatus } = require('../../models/Payment');
+const LedgerEntry = require('../../models/LedgerEntry');
+const { LedgerEntryType } = require('../../models/LedgerEntry');
+const { confirmTip, refundTips } = require('../../services/payments/tipLedger');
+const fakeProvider = require('../../services/payments/fakeProvider');
+
+const newId = () => new mongoose.Types.ObjectId();
+
+describe('tip ledger', () => {
+  let entries;
+
+  const newPayment = (fields = {}) => new Payment({
+    event: newId(),
+    songRequest: newId(),
+    payer: newId(),
+    amount: 500,
+    provider: 'fake',
+    providerPaymentId: 'fake_pi_1',
+    ...fields
+  });
+
+  beforeEach(() => {
+    entries = [];
+    jest.spyOn(Payment.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(LedgerEntry, 'create').mockImplementation(async (fields) => {
+      entries.push(fields);
+      return fields;
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('confirmTip', () => {
+    it('records a charge once the provider confirms the payment', async () => {
+      const payment = await confirmTip(newPayment(), { paymentMethod: 'pm_card_visa', confirmedBy: null });
+
+      expect(payment.status).toBe(PaymentStatus.SUCCEEDED);
+      expect(entries).toEqual([expect.objectContaining({ type: LedgerEntryType.CHARGE, amount: 500, currency: 'USD' })]);
+    });
+
+    it('records nothing for a declined payment', async () => {
+      const payment = await confirmTip(newPayment(), { paymentMethod: 'pm_card_declined' });
+
+      expect(payment.status).toBe(PaymentStatus.FAILED);
+      expect(payment.failureReason).toBe('Your card was declined');
+      expect(entries).toEqual([]);
+    });
+  });
+
+  describe('refundTips', () => {
+    it('cancels open intents and refunds confirmed tips with a negative entry', async () => {
+      const open = newPayment({ providerPaymentId: 'fake_pi_open' });
+      const confirmed = newPayment({ status: PaymentStatus.SUCCEEDED });
+      jest.spyOn(Payment, 'find').mockResolvedValue([open, confirmed]);
+      jest.spyOn(Payment, 'findOneAndUpdate').mockImplementation(async () => {
+        confirmed.status = PaymentStatus.REFUNDED;
+        return confirmed;
+      });
+
+      const refunded = await refundTips(confirmed.songRequest, 'Song request rejected', null);
+
+      expect(open.status).toBe(PaymentStatus.CANCELLED);
+      expect(refunded).toEqual([confirmed]);
+      expect(confirmed.providerRefundId).toMatch(/^fake_re_/);
+      expect(entries).toEqual([expect.objectContaining({ type: LedgerEntryType.REFUND, amount: -500, note: 'Song request rejected' })]);
+    });
+
+    it('leaves a tip that another caller already claimed', async () => {
+      jest.spyOn(Payment, 'find').mockResolvedValue([newPayment({ status: PaymentStatus.SUCCEEDED })]);
+      jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(null);
+      const refund = jest.spyOn(fakeProvider, 'refund');
+
+      expect(await refundTips(newId(), 'TimeBomb expired', null)).toEqual([]);
+      expect(refund).not.toHaveBeenCalled();
+      expect(entries).toEqual([]);
+    });
+
+    it('puts the claim back when the provider refund fails', async () => {
+      const confirmed = newPayment({ status: PaymentStatus.SUCCEEDED });
+      jest.spyOn(Payment, 'find').mockResolvedValue([confirmed]);
+      jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(confirmed);
+      jest.spyOn(fakeProvider, 'refund').mockRejectedValue(new Error('Provider unavailable'));
+      const updateOne = jest.spyOn(Payment, 'updateOne').mockResolvedValue({});
+
+      expect(await refundTips(confirmed.songRequest, 'Song request deleted', null)).toEqual([]);
+      expect(updateOne).toHaveBeenCalledWith({ _id: confirmed._id }, expect.objectContaining({
+        $set: { status: PaymentStatus.SUCCEEDED, failureReason: 'Refund failed: Provider unavailable' }
+      }));
+      expect(entries).toEqual([]);
+    });
+  });
+});
+
+describe('LedgerEntry', () => {
+  it('refuses to modify a saved entry', async () => {
+    const entry = new LedgerEntry({
+      payment: newId(),
+      event: newId(),
+      type: LedgerEntryType.CHARGE,
+      amount: 500,
+      currency: 'usd',
+      provider: 'fake'
+    });
+    entry.isNew = false;
+
+    await expect(entry.save()).rejects.toThrow('Ledger entries cannot be modified');
+  });
+});
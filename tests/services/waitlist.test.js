@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const Event = require('../../models/Event');
+const EventParticipant = require('../../models/EventParticipant');
+const { addToWaitlist, promoteFromWaitlist } = require('../../services/waitlist');
+const { reorderWaitlist } = require('../../controllers/waitlistController');
+const { runHandler, mockIo } = require('../helpers');
+
+const newId = () => new mongoose.Types.ObjectId();
+
+describe('waitlist', () => {
+  let event;
+  let io;
+
+  // Mirror the conditional $pop: only the current head of the waitlist can be claimed
+  const mockClaims = () => {
+    jest.spyOn(Event, 'findOneAndUpdate').mockImplementation(async (filter) => {
+      if (!event.waitlist.length || event.waitlist[0]._id.toString() !== filter['waitlist.0._id'].toString()) {
+        return null;
+      }
+      event.waitlist.shift();
+      return event;
+    });
+  };
+
+  beforeEach(() => {
+    event = new Event({ name: 'Party', manager: newId(), maxMembers: 2 });
+    event.Members.push({ user: newId(), isApproved: true });
+    io = mockIo();
+
+    jest.spyOn(Event.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Event, 'findById').mockImplementation(async () => event);
+    jest.spyOn(Event, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(EventParticipant, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(EventParticipant, 'MemberExists').mockResolvedValue(false);
+    jest.spyOn(EventParticipant, 'create').mockImplementation(async (fields) => fields);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('adds people at the end and reports their position', async () => {
+    await addToWaitlist(event, { user: newId() }, io);
+    const { position } = await addToWaitlist(event, { email: 'guest@example.com', firstName: 'G', lastName: 'Uest' }, io);
+
+    expect(position).toBe(2);
+    expect(io.emitted.map(({ name }) => name)).toEqual(['waitlistUpdated', 'waitlistUpdated']);
+  });
+
+  it('promotes from the head of the waitlist while spots are free', async () => {
+    const first = newId();
+    event.waitlist.push({ user: first }, { email: 'guest@example.com', firstName: 'G', lastName: 'Uest' });
+    mockClaims();
+
+    const promoted = await promoteFromWaitlist(event._id, io);
+
+    expect(promoted.map(entry => entry.user && entry.user.toString())).toEqual([first.toString()]);
+    expect(Event.updateOne).toHaveBeenCalledWith({ _id: event._id }, { $push: { Members: expect.objectContaining({ user: first }) } });
+    expect(event.waitlist).toHaveLength(1);
+    expect(io.emitted.filter(({ name }) => name === 'waitlistPromoted').map(({ room }) => room))
+      .toEqual([`user_${first}`, `event_${event._id}_staff`]);
+  });
+
+  it('drops a guest who joined some other way and moves on', async () => {
+    event.maxMembers = 3;
+    event.waitlist.push({ email: 'joined@example.com', lastName: 'Already' }, { email: 'guest@example.com', firstName: 'G', lastName: 'Uest' });
+    EventParticipant.MemberExists.mockImplementation(async (eventId, email) => email === 'joined@example.com');
+    mockClaims();
+
+    const promoted = await promoteFromWaitlist(event._id, io);
+
+    expect(promoted.map(entry => entry.email)).toEqual(['guest@example.com']);
+    expect(EventParticipant.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('reorders the waitlist with a full order', async () => {
+    event.waitlist.push({ user: newId() }, { user: newId() });
+    const [first, second] = event.waitlist.map(entry => entry.id);
+
+    const { body } = await runHandler(reorderWaitlist, {
+      params: { id: event._id.toString() },
+      body: { order: [second, first] },
+      user: { id: newId().toString() },
+      event
+    });
+
+    expect(body.data.map(entry => [entry._id.toString(), entry.position])).toEqual([[second, 1], [first, 2]]);
+  });
+});
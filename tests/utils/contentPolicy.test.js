@@ -0,0 +1,70 @@
+const {
+  isValidPattern,
+  matchesPattern,
+  evaluateContentPolicy
+} = require('../../utils/contentPolicy');
+
+const bannedArtist = (patterns, artist) =>
+  evaluateContentPolicy({ bannedArtists: patterns }, { artist, title: 'Song' }).length > 0;
+
+describe('matchesPattern', () => {
+  it('keeps literal spaces around wildcards', () => {
+    expect(matchesPattern('The *', 'the doors')).toBe(true);
+    expect(matchesPattern('The *', 'thelonious monk')).toBe(false);
+  });
+
+  it('matches a single character with ?', () => {
+    expect(matchesPattern('Beyonc?', 'beyonce')).toBe(true);
+    expect(matchesPattern('Beyonc?', 'beyonc')).toBe(false);
+  });
+
+  it('matches the whole text', () => {
+    expect(matchesPattern('*love*', 'crazy in love')).toBe(true);
+    expect(matchesPattern('love', 'crazy in love')).toBe(false);
+    expect(matchesPattern('*a*b', 'xaxbxb')).toBe(true);
+  });
+
+  it('stays fast on patterns with many wildcards', () => {
+    const startedAt = Date.now();
+
+    expect(matchesPattern(`${'*a'.repeat(12)}*b`, 'a'.repeat(60))).toBe(false);
+    expect(matchesPattern(`${'*a'.repeat(50)}*b`, 'a'.repeat(200))).toBe(false);
+    expect(Date.now() - startedAt).toBeLessThan(1000);
+  });
+});
+
+describe('isValidPattern', () => {
+  it('rejects patterns without letters or digits', () => {
+    expect(isValidPattern('*')).toBe(false);
+    expect(isValidPattern(' !! ')).toBe(false);
+    expect(isValidPattern('Кино')).toBe(true);
+  });
+
+  it('rejects overlong patterns', () => {
+    expect(isValidPattern('a'.repeat(101))).toBe(false);
+  });
+});
+
+describe('evaluateContentPolicy', () => {
+  it('bans only the named non-Latin artist', () => {
+    expect(bannedArtist(['Кино'], 'Кино')).toBe(true);
+    expect(bannedArtist(['Кино'], 'Земфира')).toBe(false);
+  });
+
+  it('matches accents and punctuation the way song text is normalized', () => {
+    expect(bannedArtist(['Beyonce'], 'Beyoncé')).toBe(true);
+    expect(bannedArtist(['AC/DC'], 'AC/DC')).toBe(true);
+  });
+
+  it('ignores patterns that would match everything', () => {
+    expect(bannedArtist(['!!'], 'Metallica')).toBe(false);
+  });
+
+  it('reports duration, year and explicit violations', () => {
+    const violations = evaluateContentPolicy(
+      { maxDuration: 300, minReleaseYear: 1990, blockExplicit: true },
+      { artist: 'A', title: 'B', duration: 400, releaseYear: 1985, isExplicit: true }
+    );
+    expect(violations).toHaveLength(3);
+  });
+});
@@ -0,0 +1,55 @@
+const { escapeText, buildCalendar } = require('../../utils/icalendar');
+
+describe('iCalendar output', () => {
+  const event = {
+    _id: 'abc123',
+    name: 'Party, with; friends',
+    description: 'Line one\nLine two',
+    status: 'Cancelled',
+    startDate: new Date('2026-06-05T20:00:00Z'),
+    endDate: new Date('2026-06-06T00:00:00Z'),
+    updatedAt: new Date('2026-06-01T12:00:00Z'),
+    venue: { name: 'Club', city: 'Berlin', coordinates: { latitude: 52.5, longitude: 13.4 } }
+  };
+
+  it('escapes TEXT values', () => {
+    expect(escapeText('a\\b;c,d\r\ne')).toBe('a\\\\b\\;c\\,d\\ne');
+  });
+
+  it('writes one VEVENT per event with CRLF line endings', () => {
+    const calendar = buildCalendar({ name: 'My events', events: [event], eventUrl: e => `https://app/events/${e._id}` });
+    const lines = calendar.split('\r\n');
+
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(lines).toEqual(expect.arrayContaining([
+      'UID:abc123@dropmybeats',
+      'DTSTART:20260605T200000Z',
+      'DTEND:20260606T000000Z',
+      'SUMMARY:Party\\, with\\; friends',
+      'DESCRIPTION:Line one\\nLine two',
+      'LOCATION:Club\\, Berlin',
+      'GEO:52.5;13.4',
+      'URL:https://app/events/abc123',
+      'STATUS:CANCELLED'
+    ]));
+  });
+
+  it('bumps SEQUENCE when the event changes', () => {
+    const sequence = (updatedAt) => buildCalendar({ name: 'x', events: [{ ...event, updatedAt }] })
+      .match(/SEQUENCE:(\d+)/)[1];
+
+    expect(Number(sequence(new Date('2026-06-02T12:00:00Z')))).toBeGreaterThan(Number(sequence(event.updatedAt)));
+  });
+
+  it('folds long lines at 75 octets without splitting characters', () => {
+    const calendar = buildCalendar({ name: 'x', events: [{ ...event, description: 'ü'.repeat(100) }] });
+    const folded = calendar.split('\r\n');
+    const start = folded.findIndex(line => line.startsWith('DESCRIPTION:'));
+
+    expect(folded.every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+    expect(folded[start + 1].startsWith(' ')).toBe(true);
+    const unfolded = calendar.replace(/\r\n /g, '');
+    expect(unfolded).toContain(`DESCRIPTION:${'ü'.repeat(100)}`);
+  });
+});
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const { readPagination, pageInfo, paginate } = require('../../utils/pagination');
+
+// Mongo-like comparison for the operators keyset filters use
+const compare = (a, b) => {
+  if (a instanceof mongoose.Types.ObjectId) return a.toString().localeCompare(b.toString());
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some(part => matches(doc, part));
+  if (key === '$and') return condition.every(part => matches(doc, part));
+
+  const value = doc[key] === undefined ? null : doc[key];
+  if (condition === null) return value === null;
+  if (condition instanceof mongoose.Types.ObjectId || typeof condition !== 'object') {
+    return value !== null && compare(value, condition) === 0;
+  }
+  if ('$ne' in condition) return value !== condition.$ne;
+  if ('$gt' in condition) return value !== null && compare(value, condition.$gt) > 0;
+  return value !== null && compare(value, condition.$lt) < 0;
+});
+
+// Missing values sort first, as in MongoDB
+const sortDocs = (docs, order) => [...docs].sort((a, b) => {
+  for (const [field, direction] of Object.entries(order)) {
+    const left = a[field] === undefined ? null : a[field];
+    const right = b[field] === undefined ? null : b[field];
+    const result = left === right ? 0 : left === null ? -1 : right === null ? 1 : compare(left, right);
+    if (result !== 0) return result * direction;
+  }
+  return 0;
+});
+
+// Just enough of a Mongoose query over an array for paginate
+const arrayQuery = (docs) => {
+  const state = { filters: [], order: {}, skip: 0, limit: Infinity };
+  const query = {
+    model: { countDocuments: async () => docs.length },
+    getFilter: () => ({}),
+    and: (filters) => { state.filters.push(...filters); return query; },
+    sort: (order) => { state.order = order; return query; },
+    skip: (count) => { state.skip = count; return query; },
+    limit: (count) => { state.limit = count; return query; },
+    then: (onFulfilled, onRejected) => Promise.resolve(
+      sortDocs(docs.filter(doc => state.filters.every(filter => matches(doc, filter))), state.order)
+        .slice(state.skip, state.skip + state.limit)
+    ).then(onFulfilled, onRejected)
+  };
+  return query;
+};
+
+describe('cursor pagination', () => {
+  // Ties and missing values in the sort field on purpose
+  const docs = [5, 3, null, 3, 8, null, 1].map(score => ({ _id: new mongoose.Types.ObjectId(), score }));
+  const sort = { score: -1 };
+  const expected = sortDocs(docs, { score: -1, _id: -1 });
+
+  const walk = async (direction, start) => {
+    const seen = [];
+    let cursor = start;
+    do {
+      const { data, pagination } = await paginate(arrayQuery(docs), { sort, limit: 2, cursor });
+      seen.push(...(direction === 'next' ? data : [...data].reverse()));
+      cursor = pagination[`${direction}Cursor`];
+    } while (cursor);
+    return seen;
+  };
+
+  it('visits every item once going forward, across ties and missing values', async () => {
+    expect(await walk('next', null)).toEqual(expected);
+  });
+
+  it('walks back to the start from the last page', async () => {
+    let cursor = null;
+    let page;
+    do {
+      page = await paginate(arrayQuery(docs), { sort, limit: 2, cursor });
+      cursor = page.pagination.nextCursor;
+    } while (cursor);
+
+    const back = await walk('prev', page.pagination.prevCursor);
+
+    expect([...back.reverse(), ...page.data]).toEqual(expected);
+  });
+
+  it('rejects a cursor made for another sort', async () => {
+    const { pagination } = await paginate(arrayQuery(docs), { sort, limit: 2 });
+
+    const { error } = await paginate(arrayQuery(docs), { sort: { createdAt: -1 }, cursor: pagination.nextCursor });
+
+    expect(error.statusCode).toBe(400);
+  });
+
+  it('keeps page numbers in page mode', async () => {
+    const { data, pagination } = await paginate(arrayQuery(docs), { sort, page: 2, limit: 3 });
+
+    expect(data).toEqual(expected.slice(3, 6));
+    expect(pagination).toMatchObject({ page: 2, pages: 3, next: { page: 3, limit: 3 }, prev: { page: 1, limit: 3 } });
+  });
+
+  it('reads and caps the query parameters', () => {
+    expect(readPagination({ page: '0', limit: '1000', cursor: 'abc' })).toEqual({ page: 1, limit: 100, cursor: 'abc' });
+    expect(pageInfo({ page: 1, limit: 10, total: 0 })).toMatchObject({ pages: 0, nextCursor: null });
+  });
+});
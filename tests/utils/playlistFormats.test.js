@@ -0,0 +1,125 @@
+const {
+  toM3U,
+  toCSV,
+  toFileName,
+  parseM3U,
+  parseCSV,
+  parseJSON,
+  detectFormat,
+  parsePlaylist
+} = require('../../utils/playlistFormats');
+
+const tracks = [
+  { position: 1, artist: 'Daft Punk', title: 'One More Time', album: 'Discovery', duration: 320, spotifyId: 'abc' },
+  { position: 2, artist: 'Queen', title: 'Bohemian\nRhapsody', youtubeId: 'xyz' },
+  { position: 3, artist: 'Local Band', title: 'Demo' }
+];
+
+describe('toM3U', () => {
+  it('writes extended M3U with streaming locations first', () => {
+    expect(toM3U(tracks, { title: 'Friday' })).toBe([
+      '#EXTM3U',
+      '#PLAYLIST:Friday',
+      '#EXTINF:320,Daft Punk - One More Time',
+      '#EXTALB:Discovery',
+      'spotify:track:abc',
+      '#EXTINF:-1,Queen - Bohemian Rhapsody',
+      'https://www.youtube.com/watch?v=xyz',
+      '#EXTINF:-1,Local Band - Demo',
+      'Local Band - Demo',
+      ''
+    ].join('\n'));
+  });
+});
+
+describe('toCSV', () => {
+  it('quotes values that need it and defuses formulas', () => {
+    const csv = toCSV([
+      { position: 1, artist: 'Earth, Wind & Fire', title: 'Say "Hi"' },
+      { position: 2, artist: '=HYPERLINK("x")', title: '@cmd', playedAt: new Date('2026-06-01T22:00:00Z') }
+    ], ['position', 'artist', 'title', 'playedAt']);
+
+    expect(csv.split('\r\n')).toEqual([
+      'position,artist,title,playedAt',
+      '1,"Earth, Wind & Fire","Say ""Hi""",',
+      '2,"\'=HYPERLINK(""x"")",\'@cmd,2026-06-01T22:00:00.000Z',
+      ''
+    ]);
+  });
+});
+
+describe('toFileName', () => {
+  it('builds a safe file name', () => {
+    expect(toFileName('Café Night / Setlist', 'm3u')).toBe('cafe-night-setlist.m3u');
+    expect(toFileName('***', 'csv')).toBe('playlist.csv');
+  });
+});
+
+describe('parseM3U', () => {
+  it('reads #EXTINF entries and streaming locations', () => {
+    expect(parseM3U(toM3U(tracks, { title: 'Friday' }))).toEqual([
+      { line: 3, artist: 'Daft Punk', title: 'One More Time', album: 'Discovery', duration: 320, spotifyId: 'abc' },
+      { line: 6, artist: 'Queen', title: 'Bohemian Rhapsody', duration: undefined, youtubeId: 'xyz' },
+      { line: 8, artist: 'Local Band', title: 'Demo', duration: undefined }
+    ]);
+  });
+
+  it('falls back to the file name', () => {
+    expect(parseM3U('music/Daft%20Punk%20-%20Around%20the%20World.mp3')).toEqual([
+      { line: 1, artist: 'Daft Punk', title: 'Around the World' }
+    ]);
+  });
+
+  it('marks a file name with a stray % as invalid and keeps going', () => {
+    const entries = parseM3U(['music/100% Pure Love.mp3', 'music/Crystal Waters - Gypsy Woman.mp3'].join('\n'));
+
+    expect(entries).toEqual([
+      { line: 1, error: 'File name is not valid URL encoding' },
+      { line: 2, artist: 'Crystal Waters', title: 'Gypsy Woman' }
+    ]);
+  });
+});
+
+describe('parseCSV', () => {
+  it('reads columns by header name, including quoted values over several lines', () => {
+    const csv = 'Title,Artist,Duration\r\n"Say ""Hi""","Earth, Wind & Fire",200\r\n"Two\nLines",\'=Band,x\r\nLast,Band,1\r\n';
+
+    expect(parseCSV(csv)).toEqual([
+      { line: 2, title: 'Say "Hi"', artist: 'Earth, Wind & Fire', duration: 200 },
+      { line: 3, title: 'Two\nLines', artist: '=Band', duration: undefined },
+      { line: 5, title: 'Last', artist: 'Band', duration: 1 }
+    ].map(entry => ({ album: undefined, spotifyId: undefined, youtubeId: undefined, ...entry })));
+  });
+
+  it('round-trips an exported setlist', () => {
+    expect(parseCSV(toCSV(tracks))[0]).toMatchObject({ artist: 'Daft Punk', title: 'One More Time', spotifyId: 'abc' });
+  });
+});
+
+describe('parseJSON', () => {
+  it('accepts a track array or an exported setlist', () => {
+    const setlist = { tracks: [{ artist: ' Queen ', title: 'Bohemian Rhapsody', duration: '354' }, null] };
+
+    expect(parseJSON(JSON.stringify(setlist))).toEqual([
+      { line: 1, artist: 'Queen', title: 'Bohemian Rhapsody', duration: 354 },
+      { line: 2 }
+    ]);
+    expect(parseJSON('[{"artist":"A","title":"B"}]')).toEqual([{ line: 1, artist: 'A', title: 'B' }]);
+  });
+
+  it('rejects other JSON', () => {
+    expect(() => parseJSON('{"songs":[]}')).toThrow('JSON playlist must be an array of tracks');
+  });
+});
+
+describe('detectFormat / parsePlaylist', () => {
+  it('prefers the explicit hint over the file name', () => {
+    expect(detectFormat('party.m3u8')).toBe('m3u');
+    expect(detectFormat('party.txt', 'csv')).toBe('csv');
+    expect(detectFormat('party.txt')).toBeNull();
+  });
+
+  it('rejects unknown formats', () => {
+    expect(() => parsePlaylist('', 'xml')).toThrow('Unsupported playlist format: xml');
+  });
+});
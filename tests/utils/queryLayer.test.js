@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const Event = require('../../models/Event');
+const SongRequest = require('../../models/SongRequest');
+const { getSongRequests } = require('../../controllers/songRequestController');
+const { parseResourceQuery, applyResourceQuery, shapeResults } = require('../../utils/queryLayer');
+const { SongRequestResource, PersonResource } = require('../../utils/resourceQueries');
+const { runHandler, mockQuery } = require('../helpers');
+
+const newId = () => new mongoose.Types.ObjectId();
+
+describe('resource query parsing', () => {
+  it('turns filters, sort and fields into a query', () => {
+    const parsed = parseResourceQuery(SongRequestResource, {
+      fields: 'title,voteScore',
+      sort: '-likeCount',
+      filter: { status: { in: 'Pending,Approved' }, likeCount: { gte: '3' } },
+      include: 'requestedBy'
+    });
+
+    expect(parsed.filter).toEqual({ status: { $in: ['Pending', 'Approved'] }, likeCount: { $gte: 3 } });
+    expect(parsed.sort).toEqual({ likeCount: -1 });
+    expect(parsed.select.split(' ')).toEqual(['title', 'likeCount', 'downvoteCount', 'requestedBy']);
+  });
+
+  it('reports every problem at once', () => {
+    const { error } = parseResourceQuery(PersonResource, {
+      fields: 'password',
+      sort: 'lastIp',
+      filter: { role: 'Owner', loginCount: { in: '1' } }
+    });
+
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toBe([
+      'Unknown fields: password',
+      'Cannot sort by lastIp',
+      'filter[role] must be one of: Admin, Manager, Member, Guest',
+      'filter[loginCount] supports: eq, ne, gt, gte, lt, lte'
+    ].join('; '));
+  });
+
+  it('does not offer the voter lists', () => {
+    expect(parseResourceQuery(SongRequestResource, { fields: 'likes' }).error.message).toBe('Unknown fields: likes');
+    expect(parseResourceQuery(SongRequestResource, { fields: 'downvotes' }).error).toBeDefined();
+  });
+
+  it('trims results to the requested fields and included relations', () => {
+    const parsed = parseResourceQuery(SongRequestResource, { fields: 'title', include: 'event' });
+    const item = { _id: 'a', title: 'Song', artist: 'Artist', event: { name: 'Party' } };
+
+    expect(shapeResults([item], SongRequestResource, parsed)).toEqual([{ _id: 'a', title: 'Song', event: { name: 'Party' } }]);
+  });
+});
+
+describe('getSongRequests', () => {
+  const callerId = newId();
+  let event;
+  let songs;
+  let query;
+
+  const list = (params = {}, user = { id: callerId.toString() }) => runHandler(getSongRequests, {
+    params: { eventId: event._id.toString() },
+    query: params,
+    user
+  });
+
+  beforeEach(() => {
+    event = new Event({ name: 'Party', manager: newId(), isPublic: true });
+    songs = [
+      new SongRequest({ title: 'Liked', artist: 'A', event: event._id, likes: [{ user: callerId }, { user: newId() }], likeCount: 2 }),
+      new SongRequest({ title: 'Other', artist: 'B', event: event._id, downvotes: [{ user: newId() }], downvoteCount: 1 })
+    ];
+
+    query = mockQuery(songs);
+    query.and = jest.fn(() => query);
+    query.getFilter = () => ({ event: event._id });
+    query.model = SongRequest;
+
+    jest.spyOn(Event, 'findById').mockResolvedValue(event);
+    jest.spyOn(SongRequest, 'find').mockReturnValue(query);
+    jest.spyOn(SongRequest, 'countDocuments').mockResolvedValue(songs.length);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('sends vote counts and the caller\'s own vote, not who voted', async () => {
+    const { body } = await list();
+
+    expect(body.data.map(item => [item.title, item.likeCount, item.downvoteCount, item.hasVoted])).toEqual([
+      ['Liked', 2, 0, true],
+      ['Other', 0, 1, false]
+    ]);
+    body.data.forEach(item => {
+      expect(item.likes).toBeUndefined();
+      expect(item.downvotes).toBeUndefined();
+    });
+  });
+
+  it('selects just the voters\' ids for ?fields=hasVoted', async () => {
+    const { body } = await list({ fields: 'hasVoted' });
+
+    expect(query.select).toHaveBeenCalledWith('likes.user downvotes.user createdAt requestedBy event');
+    expect(body.data[0]).toEqual(expect.objectContaining({ hasVoted: true }));
+    expect(body.data[0].likes).toBeUndefined();
+  });
+
+  it('reports no vote without a caller', async () => {
+    const { body } = await list({}, null);
+
+    expect(body.data.map(item => item.hasVoted)).toEqual([false, false]);
+  });
+
+  it('rejects an unknown filter before touching the event', async () => {
+    const { error } = await list({ filter: { accessCode: 'x' } });
+
+    expect(error.message).toBe('Cannot filter by accessCode');
+    expect(Event.findById).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,94 @@
+const { RankingStrategy, registerStrategy, getStrategy, rankSongs } = require('../../utils/ranking');
+
+const now = new Date('2026-06-01T22:00:00Z');
+const hoursAgo = (hours) => new Date(now.getTime() - hours * 60 * 60 * 1000);
+
+const song = (id, fields = {}) => ({ id, createdAt: hoursAgo(0), likeCount: 0, downvoteCount: 0, ...fields });
+const order = (ranked) => ranked.map(({ song: { id } }) => id);
+const hotScore = (fields, votingMode = 'updown') => getStrategy(RankingStrategy.HOT).score(song('x', fields), { now, votingMode });
+
+describe('manual', () => {
+  it('follows queue positions, unplaced requests last by request time', () => {
+    const songs = [
+      song('unplaced-new', { createdAt: hoursAgo(1) }),
+      song('second', { queuePosition: 2 }),
+      song('unplaced-old', { createdAt: hoursAgo(2) }),
+      song('first', { queuePosition: 1 })
+    ];
+
+    expect(order(rankSongs(songs, RankingStrategy.MANUAL, { now }))).toEqual(['first', 'second', 'unplaced-old', 'unplaced-new']);
+  });
+
+  it('is used for unknown strategies', () => {
+    expect(getStrategy('nope').name).toBe(RankingStrategy.MANUAL);
+  });
+});
+
+describe('votes', () => {
+  it('ranks by priority, then net votes, then request time', () => {
+    const songs = [
+      song('liked', { likeCount: 5 }),
+      song('tied-new', { likeCount: 2, createdAt: hoursAgo(1) }),
+      song('priority', { priority: 1 }),
+      song('tied-old', { likeCount: 2, createdAt: hoursAgo(2) })
+    ];
+
+    expect(order(rankSongs(songs, RankingStrategy.VOTES, { now }))).toEqual(['priority', 'liked', 'tied-old', 'tied-new']);
+  });
+
+  it('counts downvotes only in updown mode', () => {
+    const songs = [song('downvoted', { likeCount: 3, downvoteCount: 2 }), song('liked', { likeCount: 2 })];
+
+    expect(order(rankSongs(songs, RankingStrategy.VOTES, { now, votingMode: 'likes' }))).toEqual(['downvoted', 'liked']);
+    expect(order(rankSongs(songs, RankingStrategy.VOTES, { now, votingMode: 'updown' }))).toEqual(['liked', 'downvoted']);
+  });
+});
+
+describe('hot', () => {
+  it('lets votes decay with age', () => {
+    expect(hotScore({ likeCount: 5, createdAt: hoursAgo(1) })).toBeGreaterThan(hotScore({ likeCount: 5, createdAt: hoursAgo(6) }));
+
+    const songs = [song('old-popular', { likeCount: 3, createdAt: hoursAgo(12) }), song('new', { likeCount: 1 })];
+    expect(order(rankSongs(songs, RankingStrategy.HOT, { now }))).toEqual(['new', 'old-popular']);
+  });
+
+  it('does not raise downvoted requests as they age', () => {
+    const fresh = hotScore({ downvoteCount: 3 });
+    const older = hotScore({ downvoteCount: 3, createdAt: hoursAgo(6) });
+
+    expect(fresh).toBeLessThan(0);
+    expect(older).toBeLessThan(fresh);
+    expect(hotScore({ downvoteCount: 1, createdAt: hoursAgo(6) })).toBe(0);
+  });
+
+  it('keeps downvoted requests below unvoted ones of any age', () => {
+    const songs = [song('downvoted', { downvoteCount: 2 }), song('old', { createdAt: hoursAgo(48) })];
+
+    expect(order(rankSongs(songs, RankingStrategy.HOT, { now, votingMode: 'updown' }))).toEqual(['old', 'downvoted']);
+  });
+});
+
+describe('fifo-with-boost', () => {
+  it('serves requests in order, each net vote moving one ahead by the boost', () => {
+    const songs = [
+      song('newest', { createdAt: hoursAgo(0) }),
+      song('boosted', { likeCount: 2, createdAt: hoursAgo(0.1) }), // 6 minutes + 2 * 5
+      song('oldest', { createdAt: hoursAgo(0.2) }) // 12 minutes
+    ];
+
+    expect(order(rankSongs(songs, RankingStrategy.FIFO_WITH_BOOST, { now }))).toEqual(['boosted', 'oldest', 'newest']);
+    expect(order(rankSongs(songs, RankingStrategy.FIFO_WITH_BOOST, { now, boostMinutes: 0 }))).toEqual(['oldest', 'boosted', 'newest']);
+  });
+});
+
+describe('registerStrategy', () => {
+  it('rejects incomplete strategies', () => {
+    expect(() => registerStrategy({ name: 'broken', score: () => 0 })).toThrow('compare function');
+  });
+
+  it('ranks with a registered strategy', () => {
+    registerStrategy({ name: 'alphabetical', score: () => 0, compare: (a, b) => a.song.id.localeCompare(b.song.id) });
+
+    expect(order(rankSongs([song('b'), song('a')], 'alphabetical'))).toEqual(['a', 'b']);
+  });
+});
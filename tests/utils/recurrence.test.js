@@ -0,0 +1,90 @@
+const {
+  isValidTimeZone,
+  expandOccurrences,
+  parseRRule,
+  toRRule
+} = require('../../utils/recurrence');
+
+const iso = (dates) => dates.map(date => date.toISOString());
+
+describe('parseRRule / toRRule', () => {
+  it('round-trips a weekly rule', () => {
+    const rule = parseRRule('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR;COUNT=10');
+    expect(rule).toEqual({ frequency: 'weekly', interval: 2, byDay: ['MO', 'FR'], count: 10 });
+    expect(toRRule(rule)).toBe('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR;COUNT=10');
+  });
+
+  it('rejects unsupported parts', () => {
+    expect(parseRRule('FREQ=DAILY')).toBeNull();
+    expect(parseRRule('FREQ=WEEKLY;BYHOUR=3')).toBeNull();
+  });
+});
+
+describe('isValidTimeZone', () => {
+  it('accepts IANA zones only', () => {
+    expect(isValidTimeZone('Europe/Berlin')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+  });
+});
+
+describe('expandOccurrences', () => {
+  const window = { from: new Date('2026-03-01'), to: new Date('2026-04-10') };
+
+  it('keeps the local time of day across a daylight saving change', () => {
+    const rule = {
+      frequency: 'weekly',
+      byDay: ['FR'],
+      startsAt: new Date('2026-03-13T21:00:00Z'), // 22:00 in Berlin
+      timezone: 'Europe/Berlin'
+    };
+
+    expect(iso(expandOccurrences(rule, window))).toEqual([
+      '2026-03-13T21:00:00.000Z',
+      '2026-03-20T21:00:00.000Z',
+      '2026-03-27T21:00:00.000Z',
+      '2026-04-03T20:00:00.000Z'
+    ]);
+  });
+
+  it('keeps the UTC time of day for UTC series', () => {
+    const rule = { frequency: 'weekly', startsAt: new Date('2026-03-13T21:00:00Z') };
+
+    expect(iso(expandOccurrences(rule, window)).pop()).toBe('2026-04-03T21:00:00.000Z');
+  });
+
+  it('moves times skipped by the clock change forward', () => {
+    const rule = {
+      frequency: 'weekly',
+      startsAt: new Date('2026-03-22T01:30:00Z'), // 02:30 in Berlin
+      timezone: 'Europe/Berlin'
+    };
+
+    expect(iso(expandOccurrences(rule, window))).toEqual([
+      '2026-03-22T01:30:00.000Z',
+      '2026-03-29T01:30:00.000Z', // 03:30, as 02:30 doesn't exist that night
+      '2026-04-05T00:30:00.000Z'
+    ]);
+  });
+
+  it('matches monthly positions and exceptions on local days', () => {
+    const rule = {
+      frequency: 'monthly',
+      byDay: ['-1SA'],
+      startsAt: new Date('2026-10-31T03:00:00Z'), // Friday 23:00 in New York
+      timezone: 'America/New_York',
+      exceptions: [new Date('2026-12-26')]
+    };
+
+    expect(iso(expandOccurrences(rule, { from: new Date('2026-10-01'), to: new Date('2027-02-01') }))).toEqual([
+      '2026-11-01T03:00:00.000Z',
+      '2026-11-29T04:00:00.000Z',
+      '2027-01-31T04:00:00.000Z'
+    ]);
+  });
+
+  it('stops after COUNT occurrences', () => {
+    const rule = { frequency: 'monthly', byMonthDay: [1], count: 2, startsAt: new Date('2026-01-01T20:00:00Z') };
+
+    expect(expandOccurrences(rule, { from: new Date('2026-01-01'), to: new Date('2027-01-01') })).toHaveLength(2);
+  });
+});
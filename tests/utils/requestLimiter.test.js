@@ -0,0 +1,66 @@
+const SongRequest = require('../../models/SongRequest');
+const { RequesterType, getRequestLimits, checkRequestLimits } = require('../../utils/requestLimiter');
+const { mockQuery } = require('../helpers');
+
+const now = new Date('2026-06-01T22:00:00Z');
+const secondsAgo = seconds => ({ createdAt: new Date(now.getTime() - seconds * 1000) });
+
+describe('getRequestLimits', () => {
+  it('falls back to the event-wide cap', () => {
+    const event = { maxSongsPerUser: 3, requestLimits: { guest: { cooldownSeconds: 60 } } };
+
+    expect(getRequestLimits(event, RequesterType.GUEST)).toEqual({
+      maxActiveRequests: 3,
+      cooldownSeconds: 60,
+      maxPerWindow: 0,
+      windowMinutes: 60
+    });
+  });
+});
+
+describe('checkRequestLimits', () => {
+  const event = limits => ({ _id: 'event', maxSongsPerUser: 5, requestLimits: { member: limits } });
+
+  beforeEach(() => {
+    jest.spyOn(SongRequest, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(SongRequest, 'findOne').mockReturnValue(mockQuery(null));
+    jest.spyOn(SongRequest, 'find').mockReturnValue(mockQuery([]));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('allows a requester within every limit', async () => {
+    const result = await checkRequestLimits(event({ cooldownSeconds: 60, maxPerWindow: 3 }), 'person', RequesterType.MEMBER, now);
+
+    expect(result).toEqual({ allowed: true });
+  });
+
+  it('caps active requests without a retry time', async () => {
+    SongRequest.countDocuments.mockResolvedValue(5);
+
+    const result = await checkRequestLimits(event({}), 'person', RequesterType.MEMBER, now);
+
+    expect(result.allowed).toBe(false);
+    expect(result.retryAfter).toBeNull();
+    expect(result.message).toMatch(/^Maximum 5 active song requests/);
+  });
+
+  it('enforces the cooldown from the last request', async () => {
+    SongRequest.findOne.mockReturnValue(mockQuery(secondsAgo(20)));
+
+    const result = await checkRequestLimits(event({ cooldownSeconds: 60 }), 'person', RequesterType.MEMBER, now);
+
+    expect(result.retryAfter).toEqual(new Date('2026-06-01T22:00:40Z'));
+    expect(result.message).toContain('(in 40 seconds)');
+  });
+
+  it('frees the rolling window once enough old requests age out', async () => {
+    SongRequest.find.mockReturnValue(mockQuery([secondsAgo(50 * 60), secondsAgo(30 * 60), secondsAgo(60)]));
+
+    const result = await checkRequestLimits(event({ maxPerWindow: 2, windowMinutes: 60 }), 'person', RequesterType.MEMBER, now);
+
+    // Two requests are allowed per hour, so the second newest has to age out
+    expect(result.retryAfter).toEqual(new Date('2026-06-01T22:30:00Z'));
+    expect(result.message).toContain('Maximum 2 song requests allowed every 60 minutes');
+  });
+});
@@ -0,0 +1,55 @@
+const {
+  normalizeText,
+  normalizeTitle,
+  normalizeArtist,
+  createFingerprint
+} = require('../../utils/songFingerprint');
+
+describe('normalizeText', () => {
+  it('lowercases, strips accents and collapses whitespace', () => {
+    expect(normalizeText('  Beyoncé   Knowles ')).toBe('beyonce knowles');
+  });
+
+  it('keeps letters of non-Latin scripts', () => {
+    expect(normalizeText('紅蓮華')).toBe('紅蓮華');
+    expect(normalizeText('Группа Крови')).toBe('группа крови');
+    expect(normalizeText('がんばれ')).toBe('がんばれ');
+  });
+
+  it('turns punctuation into spaces', () => {
+    expect(normalizeText('Rock & Roll!')).toBe('rock and roll');
+  });
+});
+
+describe('normalizeTitle', () => {
+  it('drops featured artists and version noise', () => {
+    expect(normalizeTitle('Halo (feat. Someone) [Live]')).toBe('halo');
+    expect(normalizeTitle('Yesterday - Remastered 2009')).toBe('yesterday');
+  });
+});
+
+describe('normalizeArtist', () => {
+  it('treats a leading or trailing "the" as the same artist', () => {
+    expect(normalizeArtist('The Beatles')).toBe('beatles');
+    expect(normalizeArtist('Beatles, The')).toBe('beatles');
+  });
+});
+
+describe('createFingerprint', () => {
+  it('matches spelling variants of the same song', () => {
+    expect(createFingerprint('Hey Jude (Remastered)', 'The Beatles'))
+      .toBe(createFingerprint('hey jude', 'Beatles'));
+  });
+
+  it('tells apart different CJK songs by the same artist', () => {
+    expect(createFingerprint('紅蓮華', 'LiSA')).toBe('lisa|紅蓮華');
+    expect(createFingerprint('紅蓮華', 'LiSA')).not.toBe(createFingerprint('炎', 'LiSA'));
+  });
+
+  it('tells apart different Cyrillic songs and artists', () => {
+    expect(createFingerprint('Группа крови', 'Кино')).toBe('кино|группа крови');
+    expect(createFingerprint('Группа крови', 'Кино'))
+      .not.toBe(createFingerprint('Звезда по имени Солнце', 'Кино'));
+    expect(createFingerprint('Хочешь', 'Земфира')).not.toBe(createFingerprint('Хочешь', 'Кино'));
+  });
+});
@@ -0,0 +1,17 @@
+const { describeDevice } = require('../../utils/userAgent');
+
+describe('describeDevice', () => {
+  it('names the browser and platform', () => {
+    expect(describeDevice('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36 Edg/120.0'))
+      .toBe('Edge on Windows');
+    expect(describeDevice('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1'))
+      .toBe('Safari on iPhone');
+    expect(describeDevice('Mozilla/5.0 (Linux; Android 14) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Mobile Safari/537.36'))
+      .toBe('Chrome on Android');
+  });
+
+  it('falls back to the leading product token', () => {
+    expect(describeDevice('okhttp/4.12.0')).toBe('okhttp');
+    expect(describeDevice('')).toBe('Unknown device');
+  });
+});
@@ -0,0 +1,142 @@
+const { foldText, normalizeText } = require('./songFingerprint');
+
+// What happens to a request that breaks the event's content policy
+const PolicyAction = {
+  REJECT: 'reject',
+  PARK: 'park'
+};
+
+// Banned artist/title lists are capped so checking a request stays cheap
+const MAX_PATTERN_LENGTH = 100;
+const MAX_PATTERNS = 100;
+
+const ANY_CHARACTER = Symbol('?');
+const ANY_RUN = Symbol('*');
+
+// A pattern needs at least one letter or digit; "*" or "!!" alone would match everything
+const isValidPattern = (pattern) => String(pattern).length <= MAX_PATTERN_LENGTH &&
+  normalizeText(String(pattern).replace(/[*?]/g, ' ')) !== '';
+
+// Turn a "*" / "?" wildcard pattern into tokens over normalized text: single characters,
+// ANY_CHARACTER and ANY_RUN. Literal parts are folded like the text they are matched against
+// but keep their spaces, so "The *" matches "The Doors" and not "Thelonious Monk".
+const compilePattern = (pattern) => {
+  const tokens = [];
+
+  String(pattern).trim().split(/([*?])/).forEach((part) => {
+    if (part === '*') {
+      // "**" means the same as "*"
+      if (tokens[tokens.length - 1] !== ANY_RUN) tokens.push(ANY_RUN);
+    } else if (part === '?') {
+      tokens.push(ANY_CHARACTER);
+    } else {
+      tokens.push(...Array.from(foldText(part)));
+    }
+  });
+
+  return tokens;
+};
+
+// Glob match without backtracking into earlier stars, so it takes at most
+// pattern length x text length steps instead of a RegExp's exponential worst case
+const matchesPattern = (pattern, text) => {
+  const tokens = compilePattern(pattern);
+  const characters = Array.from(text);
+  let tokenIndex = 0;
+  let textIndex = 0;
+  let lastRun = -1;
+  let lastRunTextIndex = 0;
+
+  while (textIndex < characters.length) {
+    const token = tokens[tokenIndex];
+
+    if (token === ANY_CHARACTER || token === characters[textIndex]) {
+      tokenIndex++;
+      textIndex++;
+    } else if (token === ANY_RUN) {
+      lastRun = tokenIndex++;
+      lastRunTextIndex = textIndex;
+    } else if (lastRun !== -1) {
+      // Let the last "*" swallow one more character and retry from there
+      tokenIndex = lastRun + 1;
+      textIndex = ++lastRunTextIndex;
+    } else {
+      return false;
+    }
+  }
+
+  while (tokens[tokenIndex] === ANY_RUN) tokenIndex++;
+  return tokenIndex === tokens.length;
+};
+
+const matchesAny = (value, patterns = []) => {
+  if (!value) return null;
+
+  const normalized = normalizeText(value);
+  return patterns.slice(0, MAX_PATTERNS).find(pattern => pattern && isValidPattern(pattern) &&
+    matchesPattern(pattern, normalized)) || null;
+};
+
+const includesGenre = (genres = [], genre) => {
+  const normalized = normalizeText(genre);
+  return genres.some(entry => normalizeText(entry) === normalized);
+};
+
+// List every way a song breaks the policy; an empty list means it is allowed
+const evaluateContentPolicy = (policy, song) => {
+  const violations = [];
+  if (!policy) return violations;
+
+  const allowedGenres = policy.allowedGenres || [];
+  const deniedGenres = policy.deniedGenres || [];
+
+  if (allowedGenres.length > 0) {
+    if (!song.genre) {
+      violations.push(`Genre is required (allowed: ${allowedGenres.join(', ')})`);
+    } else if (!includesGenre(allowedGenres, song.genre)) {
+      violations.push(`Genre "${song.genre}" is not on the allowed list`);
+    }
+  }
+
+  if (song.genre && includesGenre(deniedGenres, song.genre)) {
+    violations.push(`Genre "${song.genre}" is not allowed`);
+  }
+
+  const bannedArtist = matchesAny(song.artist, policy.bannedArtists);
+  if (bannedArtist) {
+    violations.push(`Artist "${song.artist}" is banned (${bannedArtist})`);
+  }
+
+  const bannedTitle = matchesAny(song.title, policy.bannedTitles);
+  if (bannedTitle) {
+    violations.push(`Title "${song.title}" is banned (${bannedTitle})`);
+  }
+
+  if (policy.maxDuration && song.duration && song.duration > policy.maxDuration) {
+    violations.push(`Song is longer than the ${policy.maxDuration} second limit`);
+  }
+
+  if (song.releaseYear) {
+    if (policy.minReleaseYear && song.releaseYear < policy.minReleaseYear) {
+      violations.push(`Songs released before ${policy.minReleaseYear} are not allowed`);
+    }
+    if (policy.maxReleaseYear && song.releaseYear > policy.maxReleaseYear) {
+      violations.push(`Songs released after ${policy.maxReleaseYear} are not allowed`);
+    }
+  }
+
+  if (policy.blockExplicit && song.isExplicit) {
+    violations.push('Explicit songs are not allowed');
+  }
+
+  return violations;
+};
+
+module.exports = {
+  PolicyAction,
+  MAX_PATTERN_LENGTH,
+  MAX_PATTERNS,
+  isValidPattern,
+  matchesPattern,
+  evaluateContentPolicy
+};
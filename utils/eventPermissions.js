@@ -0,0 +1,54 @@
+// Roles a person can hold on an event's staff; the event manager is always the owner
+const StaffRole = {
+  OWNER: 'owner',
+  CO_MANAGER: 'co-manager',
+  DJ: 'dj',
+  MODERATOR: 'moderator'
+};
+
+const EventPermission = {
+  MANAGE_EVENT: 'event:manage', // settings, status, media
+  DELETE_EVENT: 'event:delete',
+  MANAGE_STAFF: 'staff:manage',
+  VIEW_MEMBERS: 'members:view',
+  MANAGE_MEMBERS: 'members:manage',
+  MODERATE_REQUESTS: 'requests:moderate', // approve, reject, edit or remove any request
+  MANAGE_QUEUE: 'queue:manage', // reorder the queue, import playlists
+  CONTROL_PLAYBACK: 'playback:control',
+  MODERATE_FEEDBACK: 'feedback:moderate',
+  VIEW_REPORTS: 'reports:view' // stats, TimeBombs, tips, setlist export
+};
+
+const ROLE_PERMISSIONS = {
+  [StaffRole.OWNER]: Object.values(EventPermission),
+  [StaffRole.CO_MANAGER]: Object.values(EventPermission).filter(
+    permission => permission !== EventPermission.DELETE_EVENT
+  ),
+  [StaffRole.DJ]: [
+    EventPermission.VIEW_MEMBERS,
+    EventPermission.MODERATE_REQUESTS,
+    EventPermission.MANAGE_QUEUE,
+    EventPermission.CONTROL_PLAYBACK,
+    EventPermission.VIEW_REPORTS
+  ],
+  [StaffRole.MODERATOR]: [
+    EventPermission.VIEW_MEMBERS,
+    EventPermission.MODERATE_REQUESTS,
+    EventPermission.MODERATE_FEEDBACK
+  ]
+};
+
+// Roles that can be handed out through the staff list (ownership follows Event.manager)
+const ASSIGNABLE_STAFF_ROLES = [StaffRole.CO_MANAGER, StaffRole.DJ, StaffRole.MODERATOR];
+
+const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+const roleHasPermission = (role, permission) => getRolePermissions(role).includes(permission);
+
+module.exports = {
+  StaffRole,
+  EventPermission,
+  ASSIGNABLE_STAFF_ROLES,
+  getRolePermissions,
+  roleHasPermission
+};
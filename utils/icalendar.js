@@ -0,0 +1,106 @@
+// iCalendar (RFC 5545) output for event calendar feeds
+const { formatUtc } = require('./recurrence');
+
+const PRODUCT_ID = '-//DropMyBeats//Event Calendar//EN';
+const UID_DOMAIN = 'dropmybeats';
+
+// SEQUENCE is derived from updatedAt (seconds since this date), so every change to an
+// event, including cancellation, reaches calendar clients as a newer revision
+const SEQUENCE_EPOCH = Date.UTC(2024, 0, 1);
+
+// TEXT values escape backslashes, semicolons, commas and newlines
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Content lines are folded at 75 octets; continuation lines start with a space
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let size = 0;
+  let limit = 75;
+
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+      limit = 74;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+const formatLocation = (venue) => {
+  if (!venue) return null;
+  const parts = [venue.name, venue.address, venue.city, venue.state, venue.zipCode].filter(Boolean);
+  return parts.length > 0 ? parts.join(', ') : null;
+};
+
+const STATUS_MAP = {
+  Draft: 'TENTATIVE',
+  Cancelled: 'CANCELLED'
+};
+
+const formatEvent = (event, { url } = {}) => {
+  const updatedAt = event.updatedAt || event.createdAt || new Date();
+  const coordinates = event.venue && event.venue.coordinates;
+  const location = formatLocation(event.venue);
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event._id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `LAST-MODIFIED:${formatUtc(updatedAt)}`,
+    `SEQUENCE:${Math.max(0, Math.floor((new Date(updatedAt).getTime() - SEQUENCE_EPOCH) / 1000))}`,
+    `DTSTART:${formatUtc(event.startDate)}`,
+    `DTEND:${formatUtc(event.endDate)}`,
+    `SUMMARY:${escapeText(event.name)}`
+  ];
+
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (coordinates && typeof coordinates.latitude === 'number' && typeof coordinates.longitude === 'number') {
+    lines.push(`GEO:${coordinates.latitude};${coordinates.longitude}`);
+  }
+  if (url) lines.push(`URL:${url}`);
+  lines.push(`STATUS:${STATUS_MAP[event.status] || 'CONFIRMED'}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+};
+
+// A VCALENDAR with one VEVENT per event; eventUrl(event) adds a link back to the app
+const buildCalendar = ({ name, events, eventUrl }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+
+  events.forEach(event => {
+    lines.push(...formatEvent(event, { url: eventUrl ? eventUrl(event) : null }));
+  });
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  escapeText,
+  buildCalendar
+};
@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const ErrorResponse = require('./errorResponse');
+
+// Shared pagination for list endpoints. Cursors are opaque and keyed on the sort fields
+// plus _id, so a page doesn't shift when earlier items are added, removed or re-ranked.
+// page/limit still works as a compatibility mode.
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// Page, limit and cursor from a request query
+const readPagination = (query, { defaultLimit = DEFAULT_LIMIT } = {}) => ({
+  page: toInt(query.page, 1),
+  limit: Math.min(toInt(query.limit, defaultLimit), MAX_LIMIT),
+  cursor: query.cursor || null
+});
+
+// Sort spec with _id as the tie-breaker, in the direction of the last sort field
+const withIdTieBreaker = (sort) => {
+  const fields = Object.entries(sort).filter(([field]) => field !== '_id');
+  const lastDirection = fields.length > 0 ? fields[fields.length - 1][1] : 1;
+  return [...fields, ['_id', lastDirection]];
+};
+
+const sortKey = (fields) => fields.map(([field, direction]) => `${field}:${direction}`).join(',');
+
+// Dates and ObjectIds survive the JSON round trip as tagged values
+const encodeValue = (value) => {
+  if (value instanceof Date) return { d: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { o: value.toString() };
+  return value === undefined ? null : value;
+};
+
+const decodeValue = (value) => {
+  if (value && typeof value === 'object' && value.d) return new Date(value.d);
+  if (value && typeof value === 'object' && value.o) return new mongoose.Types.ObjectId(value.o);
+  return value;
+};
+
+const readField = (doc, field) => (typeof doc.get === 'function' ? doc.get(field) : field
+  .split('.')
+  .reduce((value, key) => (value == null ? value : value[key]), doc));
+
+const encodeCursor = (doc, fields, direction) => Buffer.from(JSON.stringify({
+  s: sortKey(fields),
+  d: direction,
+  v: fields.map(([field]) => {
+    const value = readField(doc, field);
+    // Populated references are keyed on their _id
+    return encodeValue(value && value._id && field !== '_id' ? value._id : value);
+  })
+})).toString('base64url');
+
+const decodeCursor = (cursor, fields) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (payload.s !== sortKey(fields) || !['next', 'prev'].includes(payload.d) ||
+        !Array.isArray(payload.v) || payload.v.length !== fields.length) {
+      return null;
+    }
+    return { direction: payload.d, values: payload.v.map(decodeValue) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Items after (or, going back, before) the cursor position in sort order:
+// (a > x) OR (a = x AND b > y) OR ...
+// Missing values sort before everything else, which $gt/$lt on null don't express.
+const keysetFilter = (fields, values, direction) => ({
+  $or: fields.map(([field, sortDirection], index) => {
+    const forward = direction === 'next' ? sortDirection === 1 : sortDirection === -1;
+    const value = values[index];
+    const condition = {};
+
+    fields.slice(0, index).forEach(([previousField], previousIndex) => {
+      condition[previousField] = values[previousIndex];
+    });
+
+    if (value === null) {
+      // Nothing sorts before a missing value
+      if (!forward) return null;
+      condition[field] = { $ne: null };
+    } else if (!forward) {
+      condition.$or = [{ [field]: { $lt: value } }, { [field]: null }];
+    } else {
+      condition[field] = { $gt: value };
+    }
+
+    return condition;
+  }).filter(Boolean)
+});
+
+// Page-number metadata in the shape the cursor mode uses, for lists that can only page
+const pageInfo = ({ page, limit, total }) => {
+  const info = {
+    limit,
+    nextCursor: null,
+    prevCursor: null,
+    page,
+    pages: Math.ceil(total / limit)
+  };
+  if (page * limit < total) info.next = { page: page + 1, limit };
+  if (page > 1) info.prev = { page: page - 1, limit };
+  return info;
+};
+
+// Run a Mongoose query with cursor or page pagination.
+// Returns { data, total, pagination } or { error } for a cursor from another list or sort.
+const paginate = async (query, { sort, page = 1, limit = DEFAULT_LIMIT, cursor = null }) => {
+  const fields = withIdTieBreaker(sort);
+  const total = await query.model.countDocuments(query.getFilter());
+
+  let direction = 'next';
+  if (cursor) {
+    const decoded = decodeCursor(cursor, fields);
+    if (!decoded) {
+      return { error: new ErrorResponse('Invalid pagination cursor', 400) };
+    }
+    direction = decoded.direction;
+    query.and([keysetFilter(fields, decoded.values, direction)]);
+  }
+
+  // Going back reads the list in reverse and flips the page afterwards
+  const order = Object.fromEntries(fields.map(([field, sortDirection]) => [
+    field,
+    direction === 'prev' ? -sortDirection : sortDirection
+  ]));
+  query.sort(order).limit(limit + 1);
+  if (!cursor) {
+    query.skip((page - 1) * limit);
+  }
+
+  const items = await query;
+  const hasMore = items.length > limit;
+  const data = hasMore ? items.slice(0, limit) : items;
+  if (direction === 'prev') data.reverse();
+
+  const first = data[0];
+  const last = data[data.length - 1];
+
+  // Whether there is anything before/after this page
+  const hasPrevious = cursor ? (direction === 'prev' ? hasMore : true) : page > 1;
+  const hasNext = cursor ? (direction === 'next' ? hasMore : true) : hasMore;
+
+  const pagination = {
+    limit,
+    nextCursor: hasNext && last ? encodeCursor(last, fields, 'next') : null,
+    prevCursor: hasPrevious && first ? encodeCursor(first, fields, 'prev') : null
+  };
+
+  // Page mode keeps the page numbers older clients use
+  if (!cursor) {
+    const { nextCursor, prevCursor, ...pages } = pageInfo({ page, limit, total });
+    Object.assign(pagination, pages);
+  }
+
+  return { data, total, pagination };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  readPagination,
+  pageInfo,
+  paginate
+};
@@ -0,0 +1,314 @@
+// Serializers and parsers for M3U, CSV and JSON playlists
+
+const CSV_COLUMNS = [
+  'position',
+  'artist',
+  'title',
+  'album',
+  'duration',
+  'requestedBy',
+  'likeCount',
+  'playedAt',
+  'spotifyId',
+  'youtubeId'
+];
+
+// Location line for an M3U entry, preferring streaming service IDs
+const getTrackLocation = (track) => {
+  if (track.spotifyId) {
+    return `spotify:track:${track.spotifyId}`;
+  }
+  if (track.youtubeId) {
+    return `https://www.youtube.com/watch?v=${track.youtubeId}`;
+  }
+  return `${track.artist} - ${track.title}`;
+};
+
+// Keep M3U directives on a single line
+const stripLineBreaks = (value) => String(value).replace(/[\r\n]+/g, ' ');
+
+const toM3U = (tracks, { title } = {}) => {
+  const lines = ['#EXTM3U'];
+
+  if (title) {
+    lines.push(`#PLAYLIST:${stripLineBreaks(title)}`);
+  }
+
+  tracks.forEach(track => {
+    const duration = track.duration || -1;
+    lines.push(`#EXTINF:${duration},${stripLineBreaks(`${track.artist} - ${track.title}`)}`);
+    if (track.album) {
+      lines.push(`#EXTALB:${stripLineBreaks(track.album)}`);
+    }
+    lines.push(stripLineBreaks(getTrackLocation(track)));
+  });
+
+  return `${lines.join('\n')}\n`;
+};
+
+const escapeCSVValue = (value) => {
+  if (value === undefined || value === null) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  // Prevent spreadsheet formula injection
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+const toCSV = (tracks, columns = CSV_COLUMNS) => {
+  const rows = [columns.join(',')];
+
+  tracks.forEach(track => {
+    rows.push(columns.map(column => escapeCSVValue(track[column])).join(','));
+  });
+
+  return `${rows.join('\r\n')}\r\n`;
+};
+
+// Safe file name for Content-Disposition headers
+const toFileName = (name, extension) => {
+  const base = String(name || 'playlist')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  return `${base || 'playlist'}.${extension}`;
+};
+
+// Pull streaming service IDs out of a playlist location
+const parseTrackLocation = (location) => {
+  const result = {};
+  if (!location) return result;
+
+  const spotifyMatch = location.match(/^spotify:track:([A-Za-z0-9]+)/) ||
+    location.match(/open\.spotify\.com\/track\/([A-Za-z0-9]+)/);
+  if (spotifyMatch) {
+    result.spotifyId = spotifyMatch[1];
+    return result;
+  }
+
+  const youtubeMatch = location.match(/youtube\.com\/watch\?(?:.*&)?v=([\w-]+)/) ||
+    location.match(/youtu\.be\/([\w-]+)/);
+  if (youtubeMatch) {
+    result.youtubeId = youtubeMatch[1];
+  }
+
+  return result;
+};
+
+// Split "Artist - Title" into its parts
+const splitDisplayName = (displayName) => {
+  const separatorIndex = displayName.indexOf(' - ');
+  if (separatorIndex === -1) {
+    return { title: displayName.trim() };
+  }
+  return {
+    artist: displayName.slice(0, separatorIndex).trim(),
+    title: displayName.slice(separatorIndex + 3).trim()
+  };
+};
+
+// Parse M3U/M3U8 text into entries keyed by their source line; an entry that
+// cannot be read carries an error instead of failing the whole playlist
+const parseM3U = (text) => {
+  const entries = [];
+  const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/);
+  let pending = null;
+
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.startsWith('#EXTINF:')) {
+      const info = line.slice('#EXTINF:'.length);
+      const commaIndex = info.indexOf(',');
+      const duration = parseInt(commaIndex === -1 ? info : info.slice(0, commaIndex), 10);
+      pending = {
+        line: index + 1,
+        duration: duration > 0 ? duration : undefined,
+        ...(commaIndex === -1 ? {} : splitDisplayName(info.slice(commaIndex + 1)))
+      };
+      return;
+    }
+
+    if (line.startsWith('#EXTALB:')) {
+      if (pending) pending.album = line.slice('#EXTALB:'.length).trim();
+      return;
+    }
+
+    if (line.startsWith('#EXTART:')) {
+      if (pending) pending.artist = line.slice('#EXTART:'.length).trim();
+      return;
+    }
+
+    // Other directives and comments
+    if (line.startsWith('#')) return;
+
+    const entry = pending || { line: index + 1 };
+    Object.assign(entry, parseTrackLocation(line));
+
+    // Fall back to the file name when there was no #EXTINF
+    if (!entry.title && !entry.spotifyId && !entry.youtubeId) {
+      const fileName = line.split(/[\\/]/).pop().replace(/\.[a-z0-9]{2,4}$/i, '');
+      try {
+        Object.assign(entry, splitDisplayName(decodeURIComponent(fileName)));
+      } catch (error) {
+        // A malformed escape such as a stray % only spoils this entry
+        entry.error = 'File name is not valid URL encoding';
+      }
+    }
+
+    entries.push(entry);
+    pending = null;
+  });
+
+  return entries;
+};
+
+// Split CSV text into rows of values, honouring quoted fields
+const parseCSVRows = (text) => {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        value += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(value);
+      rows.push({ line: rowLine, values: row });
+      row = [];
+      value = '';
+      line++;
+      rowLine = line;
+    } else {
+      value += char;
+    }
+  }
+
+  if (value || row.length) {
+    row.push(value);
+    rows.push({ line: rowLine, values: row });
+  }
+
+  return rows.filter(r => r.values.some(v => v.trim() !== ''));
+};
+
+// Undo the formula-injection guard added by escapeCSVValue
+const unescapeCSVValue = (value) => value.trim().replace(/^'([=+\-@])/, '$1');
+
+const parseCSV = (text) => {
+  const [header, ...rows] = parseCSVRows(text);
+  if (!header) return [];
+
+  const columns = header.values.map(column => column.trim().toLowerCase());
+  const columnIndex = (name) => columns.indexOf(name.toLowerCase());
+
+  return rows.map(({ line, values }) => {
+    const field = (name) => {
+      const index = columnIndex(name);
+      return index === -1 || values[index] === undefined ? undefined : unescapeCSVValue(values[index]) || undefined;
+    };
+    const duration = parseInt(field('duration'), 10);
+
+    return {
+      line,
+      artist: field('artist'),
+      title: field('title'),
+      album: field('album'),
+      duration: Number.isNaN(duration) ? undefined : duration,
+      spotifyId: field('spotifyId'),
+      youtubeId: field('youtubeId')
+    };
+  });
+};
+
+// Accepts an array of tracks or an exported setlist ({ tracks: [...] })
+const parseJSON = (text) => {
+  const data = JSON.parse(String(text).replace(/^\uFEFF/, ''));
+  const tracks = Array.isArray(data) ? data : data && data.tracks;
+
+  if (!Array.isArray(tracks)) {
+    throw new Error('JSON playlist must be an array of tracks or contain a tracks array');
+  }
+
+  return tracks.map((track, index) => {
+    const entry = { line: index + 1 };
+    if (!track || typeof track !== 'object') return entry;
+
+    ['artist', 'title', 'album', 'spotifyId', 'youtubeId'].forEach(key => {
+      if (typeof track[key] === 'string' && track[key].trim()) {
+        entry[key] = track[key].trim();
+      }
+    });
+    const duration = parseInt(track.duration, 10);
+    if (!Number.isNaN(duration)) entry.duration = duration;
+
+    return entry;
+  });
+};
+
+// Detect the playlist format from an explicit hint or the file name
+const detectFormat = (fileName, hint) => {
+  const value = String(hint || fileName || '').toLowerCase();
+  if (/(^|\.)(m3u8?)$/.test(value)) return 'm3u';
+  if (/(^|\.)csv$/.test(value)) return 'csv';
+  if (/(^|\.)json$/.test(value)) return 'json';
+  return null;
+};
+
+const parsePlaylist = (text, format) => {
+  switch (format) {
+    case 'm3u':
+      return parseM3U(text);
+    case 'csv':
+      return parseCSV(text);
+    case 'json':
+      return parseJSON(text);
+    default:
+      throw new Error(`Unsupported playlist format: ${format}`);
+  }
+};
+
+module.exports = {
+  CSV_COLUMNS,
+  getTrackLocation,
+  toM3U,
+  toCSV,
+  toFileName,
+  parseTrackLocation,
+  parseM3U,
+  parseCSV,
+  parseJSON,
+  detectFormat,
+  parsePlaylist
+};
@@ -0,0 +1,239 @@
+const mongoose = require('mongoose');
+const ErrorResponse = require('./errorResponse');
+
+// Shared REST query layer. List endpoints accept
+//   ?fields=title,artist          sparse fieldsets
+//   ?sort=-likeCount,createdAt    sorting on whitelisted fields
+//   ?filter[status][in]=A,B       filtering with eq, ne, gt, gte, lt, lte, in and nin
+//   ?include=requestedBy          controlled population
+// and check them against the resource's schema (see utils/resourceQueries.js).
+
+const OPERATORS = {
+  eq: '$eq',
+  ne: '$ne',
+  gt: '$gt',
+  gte: '$gte',
+  lt: '$lt',
+  lte: '$lte',
+  in: '$in',
+  nin: '$nin'
+};
+
+const LIST_OPERATORS = ['in', 'nin'];
+const MAX_LIST_VALUES = 50;
+
+// Query-string values to the filter's type; undefined when they don't fit
+const CASTS = {
+  string: (value) => String(value),
+  number: (value) => {
+    const number = Number(value);
+    return value === '' || !Number.isFinite(number) ? undefined : number;
+  },
+  boolean: (value) => {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    return undefined;
+  },
+  date: (value) => {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+  },
+  objectId: (value) => (mongoose.Types.ObjectId.isValid(value) ? new mongoose.Types.ObjectId(value) : undefined)
+};
+
+const splitList = (value) => [].concat(value)
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+const parseFields = (resource, raw, errors) => {
+  if (raw === undefined) return null;
+
+  const fields = splitList(raw);
+  const unknown = fields.filter(field => !resource.fields.includes(field) && !resource.derived[field]);
+  if (unknown.length > 0) {
+    errors.push(`Unknown fields: ${unknown.join(', ')}`);
+  }
+
+  return fields.length > 0 ? fields : null;
+};
+
+const parseSort = (resource, raw, errors) => {
+  const sort = {};
+
+  splitList(raw === undefined || raw === '' ? resource.defaultSort : raw).forEach(item => {
+    const field = item.replace(/^[-+]/, '');
+    if (!resource.sort.includes(field)) {
+      errors.push(`Cannot sort by ${field}`);
+      return;
+    }
+    sort[field] = item.startsWith('-') ? -1 : 1;
+  });
+
+  return sort;
+};
+
+const castValue = (definition, name, raw, errors) => {
+  const value = CASTS[definition.type || 'string'](raw);
+
+  if (value === undefined) {
+    errors.push(`Invalid value for filter[${name}]`);
+  } else if (definition.values && !definition.values.includes(value)) {
+    errors.push(`filter[${name}] must be one of: ${definition.values.join(', ')}`);
+  }
+
+  return value;
+};
+
+const parseFilter = (resource, raw, errors) => {
+  const filter = {};
+  if (raw === undefined) return filter;
+
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    errors.push('Filters must be given as filter[field]=value');
+    return filter;
+  }
+
+  Object.entries(raw).forEach(([name, condition]) => {
+    const definition = resource.filters[name];
+    if (!definition) {
+      errors.push(`Cannot filter by ${name}`);
+      return;
+    }
+
+    // filter[status]=Approved is shorthand for filter[status][eq]=Approved
+    const conditions = typeof condition === 'object' && !Array.isArray(condition)
+      ? condition
+      : { eq: condition };
+    const allowed = definition.operators || ['eq'];
+    const path = definition.path || name;
+
+    Object.entries(conditions).forEach(([operator, value]) => {
+      if (!OPERATORS[operator] || !allowed.includes(operator)) {
+        errors.push(`filter[${name}] supports: ${allowed.join(', ')}`);
+        return;
+      }
+
+      let cast;
+      if (LIST_OPERATORS.includes(operator)) {
+        const values = splitList(value);
+        if (values.length === 0 || values.length > MAX_LIST_VALUES) {
+          errors.push(`filter[${name}][${operator}] takes 1 to ${MAX_LIST_VALUES} comma-separated values`);
+          return;
+        }
+        cast = values.map(item => castValue(definition, name, item, errors));
+      } else if (Array.isArray(value) || typeof value === 'object') {
+        errors.push(`filter[${name}][${operator}] takes a single value`);
+        return;
+      } else {
+        cast = castValue(definition, name, value, errors);
+      }
+
+      filter[path] = { ...filter[path], [OPERATORS[operator]]: cast };
+    });
+  });
+
+  return filter;
+};
+
+const parseInclude = (resource, raw, errors) => {
+  if (raw === undefined) return resource.defaultInclude;
+
+  const include = splitList(raw);
+  const unknown = include.filter(name => !resource.include[name]);
+  if (unknown.length > 0) {
+    errors.push(`Cannot include: ${unknown.join(', ')}`);
+  }
+
+  return include.filter(name => resource.include[name]);
+};
+
+// Fill in the optional parts of a resource schema
+const defineResource = (resource) => ({
+  fields: [],
+  derived: {}, // virtual or computed field -> fields it is built from
+  sort: [],
+  defaultSort: '-createdAt',
+  filters: {},
+  include: {}, // name -> populate options
+  defaultInclude: [],
+  ...resource
+});
+
+// Parse and validate ?fields, ?sort, ?filter and ?include for a resource.
+// Returns { fields, sort, filter, include, select } or { error }.
+const parseResourceQuery = (resource, query) => {
+  const errors = [];
+
+  const fields = parseFields(resource, query.fields, errors);
+  const sort = parseSort(resource, query.sort, errors);
+  const filter = parseFilter(resource, query.filter, errors);
+  const include = parseInclude(resource, query.include, errors);
+
+  if (errors.length > 0) {
+    return { error: new ErrorResponse(errors.join('; '), 400) };
+  }
+
+  // Sort fields stay selected so pagination cursors can be built from the results
+  const select = fields
+    ? [...new Set([
+      ...fields.flatMap(field => resource.derived[field] || [field]),
+      ...Object.keys(sort),
+      ...include.map(name => resource.include[name].path)
+    ])].join(' ')
+    : null;
+
+  return { fields, sort, filter, include, select };
+};
+
+// Apply filters, projection and population to a Mongoose query; sorting is left to paginate
+const applyResourceQuery = (query, resource, parsed) => {
+  if (Object.keys(parsed.filter).length > 0) {
+    query.and([parsed.filter]);
+  }
+  if (parsed.select) {
+    query.select(parsed.select);
+  }
+  parsed.include.forEach(name => query.populate(resource.include[name]));
+
+  return query;
+};
+
+const copyPath = (target, source, path) => {
+  const keys = path.split('.');
+  let from = source;
+  let to = target;
+
+  for (let index = 0; index < keys.length; index++) {
+    if (from == null || from[keys[index]] === undefined) return;
+
+    if (index === keys.length - 1) {
+      to[keys[index]] = from[keys[index]];
+    } else {
+      to[keys[index]] = to[keys[index]] || {};
+      to = to[keys[index]];
+      from = from[keys[index]];
+    }
+  }
+};
+
+// With ?fields, trim results to the requested fields plus _id and included relations
+const shapeResults = (items, resource, parsed) => {
+  if (!parsed.fields) return items;
+
+  const keep = ['_id', ...parsed.fields, ...parsed.include.map(name => resource.include[name].path)];
+
+  return items.map(item => {
+    const source = typeof item.toObject === 'function' ? item.toObject() : item;
+    const shaped = {};
+    keep.forEach(path => copyPath(shaped, source, path));
+    return shaped;
+  });
+};
+
+module.exports = {
+  defineResource,
+  parseResourceQuery,
+  applyResourceQuery,
+  shapeResults
+};
@@ -0,0 +1,16 @@
+const { getNetVotes, getAgeHours } = require('./helpers');
+
+const DEFAULT_BOOST_MINUTES = 5;
+
+// First come, first served, but each net vote moves a request ahead by boostMinutes
+const score = (song, context) => {
+  const boostMinutes = context.boostMinutes === undefined ? DEFAULT_BOOST_MINUTES : context.boostMinutes;
+  const waitedMinutes = getAgeHours(song, context.now) * 60;
+  return waitedMinutes + getNetVotes(song, context.votingMode) * boostMinutes;
+};
+
+module.exports = {
+  name: 'fifo-with-boost',
+  score,
+  compare: (a, b) => b.score - a.score || new Date(a.song.createdAt) - new Date(b.song.createdAt)
+};
@@ -0,0 +1,22 @@
+// Net votes for a song under the event's voting mode
+const getNetVotes = (song, votingMode = 'likes') => {
+  switch (votingMode) {
+    case 'none':
+      return 0;
+    case 'updown':
+      return (song.likeCount || 0) - (song.downvoteCount || 0);
+    default:
+      return song.likeCount || 0;
+  }
+};
+
+// Hours since the song was requested
+const getAgeHours = (song, now = new Date()) => {
+  const createdAt = song.createdAt ? new Date(song.createdAt) : now;
+  return Math.max(0, (now - createdAt) / (60 * 60 * 1000));
+};
+
+module.exports = {
+  getNetVotes,
+  getAgeHours
+};
@@ -0,0 +1,18 @@
+const { getNetVotes, getAgeHours } = require('./helpers');
+
+const DEFAULT_GRAVITY = 1.8;
+
+// Time-decayed score: votes count for less the longer a request waits.
+// A downvoted request sinks further with age rather than decaying up toward zero.
+const score = (song, context) => {
+  const gravity = context.gravity || DEFAULT_GRAVITY;
+  const votes = getNetVotes(song, context.votingMode) + 1;
+  const decay = Math.pow(getAgeHours(song, context.now) + 2, gravity);
+  return votes > 0 ? votes / decay : votes * decay;
+};
+
+module.exports = {
+  name: 'hot',
+  score,
+  compare: (a, b) => b.score - a.score || new Date(a.song.createdAt) - new Date(b.song.createdAt)
+};
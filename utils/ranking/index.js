@@ -0,0 +1,45 @@
+const manual = require('./manual');
+const votes = require('./votes');
+const hot = require('./hot');
+const fifoWithBoost = require('./fifoWithBoost');
+
+// Registered queue ranking strategies, keyed by Event.rankingStrategy
+const strategies = {
+  [manual.name]: manual,
+  [votes.name]: votes,
+  [hot.name]: hot,
+  [fifoWithBoost.name]: fifoWithBoost
+};
+
+const RankingStrategy = {
+  MANUAL: manual.name,
+  VOTES: votes.name,
+  HOT: hot.name,
+  FIFO_WITH_BOOST: fifoWithBoost.name
+};
+
+const registerStrategy = (strategy) => {
+  if (!strategy || !strategy.name || typeof strategy.score !== 'function' || typeof strategy.compare !== 'function') {
+    throw new Error('Ranking strategies need a name, a score function and a compare function');
+  }
+  strategies[strategy.name] = strategy;
+};
+
+const getStrategy = (name) => strategies[name] || manual;
+
+// Sort songs with the named strategy; returns [{ song, score }] best first
+const rankSongs = (songs, strategyName, context = {}) => {
+  const strategy = getStrategy(strategyName);
+  const rankingContext = { now: new Date(), ...context };
+
+  return songs
+    .map(song => ({ song, score: strategy.score(song, rankingContext) }))
+    .sort(strategy.compare);
+};
+
+module.exports = {
+  RankingStrategy,
+  registerStrategy,
+  getStrategy,
+  rankSongs
+};
@@ -0,0 +1,10 @@
+// DJ-controlled order: queue position as set by the manager
+module.exports = {
+  name: 'manual',
+  score: (song) => song.queuePosition || null,
+  compare: (a, b) => {
+    const positionA = a.song.queuePosition || Number.MAX_SAFE_INTEGER;
+    const positionB = b.song.queuePosition || Number.MAX_SAFE_INTEGER;
+    return positionA - positionB || new Date(a.song.createdAt) - new Date(b.song.createdAt);
+  }
+};
@@ -0,0 +1,12 @@
+const { getNetVotes } = require('./helpers');
+
+// Most net votes first; priority and request time break ties
+module.exports = {
+  name: 'votes',
+  score: (song, context) => getNetVotes(song, context.votingMode),
+  compare: (a, b) => {
+    return (b.song.priority || 0) - (a.song.priority || 0) ||
+      b.score - a.score ||
+      new Date(a.song.createdAt) - new Date(b.song.createdAt);
+  }
+};
@@ -0,0 +1,278 @@
+// RRULE-style recurrence (a subset of RFC 5545) for event series.
+// Rules are expanded on the wall clock of the series' time zone, so a weekly 22:00 club
+// night stays at 22:00 local time across daylight saving changes.
+
+const RecurrenceFrequency = {
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly'
+};
+
+// Index matches Date#getUTCDay
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_TIME_ZONE = 'UTC';
+
+// Stop runaway rules that can never produce an occurrence (e.g. the 30th of every February)
+const MAX_PERIODS = 1200;
+
+// "FR", "1FR" (first Friday) or "-1SA" (last Saturday)
+const parseByDay = (value) => {
+  const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(String(value).toUpperCase());
+  if (!match) return null;
+
+  return {
+    position: match[1] ? parseInt(match[1], 10) : null,
+    weekday: WEEKDAYS.indexOf(match[2])
+  };
+};
+
+const isValidByDay = (value) => parseByDay(value) !== null;
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const zoneFormatters = new Map();
+
+const zoneFormatter = (timeZone) => {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return zoneFormatters.get(timeZone);
+};
+
+// Wall-clock time of an instant in a time zone, as a Date whose UTC fields hold it
+const toWallClock = (date, timeZone) => {
+  const parts = {};
+  zoneFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = parseInt(value, 10);
+  });
+
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
+};
+
+// Instant at which a time zone's wall clock shows the UTC fields of wallClock. Times skipped
+// by a daylight saving change move forward; repeated times take the first of the two.
+const fromWallClock = (wallClock, timeZone) => {
+  const offsetAt = (instant) => toWallClock(new Date(instant), timeZone).getTime() - Math.floor(instant / 1000) * 1000;
+
+  const local = wallClock.getTime();
+  const before = offsetAt(local - DAY_MS);
+  const after = offsetAt(local + DAY_MS);
+
+  // Try the offsets in force around that day; the earlier one wins for repeated times
+  const candidates = [local - Math.max(before, after), local - Math.min(before, after)];
+  const exact = candidates.find(instant => toWallClock(new Date(instant), timeZone).getTime() === local);
+
+  return new Date(exact !== undefined ? exact : local - Math.min(before, after));
+};
+
+// Calendar day used to match exceptions, so an exception doesn't have to hit the exact start time
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const atTimeOf = (year, month, day, template) => new Date(Date.UTC(
+  year,
+  month,
+  day,
+  template.getUTCHours(),
+  template.getUTCMinutes(),
+  template.getUTCSeconds()
+));
+
+function* weeklyCandidates(rule) {
+  const start = new Date(rule.startsAt);
+  const interval = rule.interval || 1;
+
+  // Weeks start on Monday (RRULE default WKST=MO)
+  const weekdays = (rule.byDay && rule.byDay.length > 0
+    ? rule.byDay.map(value => parseByDay(value).weekday)
+    : [start.getUTCDay()])
+    .map(weekday => (weekday + 6) % 7)
+    .sort((a, b) => a - b);
+
+  const mondayOffset = (start.getUTCDay() + 6) % 7;
+  let weekStart = Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate() - mondayOffset);
+
+  for (let period = 0; period < MAX_PERIODS; period++) {
+    for (const offset of [...new Set(weekdays)]) {
+      const day = new Date(weekStart + offset * DAY_MS);
+      yield atTimeOf(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), start);
+    }
+    weekStart += 7 * DAY_MS * interval;
+  }
+}
+
+// Days of one month matched by BYDAY (with optional positions) or BYMONTHDAY
+const monthDays = (year, month, rule, start) => {
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const days = [];
+
+  if (rule.byDay && rule.byDay.length > 0) {
+    rule.byDay.map(parseByDay).forEach(({ position, weekday }) => {
+      const matching = [];
+      for (let day = 1; day <= daysInMonth; day++) {
+        if (new Date(Date.UTC(year, month, day)).getUTCDay() === weekday) {
+          matching.push(day);
+        }
+      }
+
+      if (position === null) {
+        days.push(...matching);
+      } else {
+        const day = position > 0 ? matching[position - 1] : matching[matching.length + position];
+        if (day) days.push(day);
+      }
+    });
+  } else {
+    const byMonthDay = rule.byMonthDay && rule.byMonthDay.length > 0
+      ? rule.byMonthDay
+      : [start.getUTCDate()];
+
+    byMonthDay.forEach(value => {
+      // Negative days count from the end of the month; months without the day are skipped
+      const day = value > 0 ? value : daysInMonth + value + 1;
+      if (day >= 1 && day <= daysInMonth) days.push(day);
+    });
+  }
+
+  return [...new Set(days)].sort((a, b) => a - b);
+};
+
+function* monthlyCandidates(rule) {
+  const start = new Date(rule.startsAt);
+  const interval = rule.interval || 1;
+  let year = start.getUTCFullYear();
+  let month = start.getUTCMonth();
+
+  for (let period = 0; period < MAX_PERIODS; period++) {
+    for (const day of monthDays(year, month, rule, start)) {
+      yield atTimeOf(year, month, day, start);
+    }
+
+    month += interval;
+    year += Math.floor(month / 12);
+    month %= 12;
+  }
+}
+
+// Occurrence start dates between from and to (inclusive). COUNT includes
+// excepted occurrences, as EXDATE does in RFC 5545. Exceptions name local days.
+const expandOccurrences = (rule, { from, to }) => {
+  const timeZone = rule.timezone || DEFAULT_TIME_ZONE;
+  const start = new Date(rule.startsAt);
+  const until = rule.until ? new Date(rule.until) : null;
+  const exceptions = new Set((rule.exceptions || []).map(dayKey));
+
+  // Candidates are generated on the local wall clock and converted back afterwards
+  const fields = typeof rule.toObject === 'function' ? rule.toObject() : rule;
+  const localRule = { ...fields, startsAt: toWallClock(start, timeZone) };
+  const candidates = rule.frequency === RecurrenceFrequency.MONTHLY
+    ? monthlyCandidates(localRule)
+    : weeklyCandidates(localRule);
+
+  const occurrences = [];
+  let emitted = 0;
+
+  for (const localCandidate of candidates) {
+    const candidate = fromWallClock(localCandidate, timeZone);
+
+    if (candidate < start) continue;
+    if (until && candidate > until) break;
+    if (rule.count && emitted >= rule.count) break;
+    if (candidate > to) break;
+
+    emitted++;
+    if (candidate < from || exceptions.has(dayKey(localCandidate))) continue;
+    occurrences.push(candidate);
+  }
+
+  return occurrences;
+};
+
+const formatUtc = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// RFC 5545 RRULE value, e.g. "FREQ=WEEKLY;INTERVAL=1;BYDAY=FR"
+const toRRule = (rule) => {
+  const parts = [
+    `FREQ=${rule.frequency.toUpperCase()}`,
+    `INTERVAL=${rule.interval || 1}`
+  ];
+
+  if (rule.byDay && rule.byDay.length > 0) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+  if (rule.byMonthDay && rule.byMonthDay.length > 0) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.until) parts.push(`UNTIL=${formatUtc(rule.until)}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+
+  return parts.join(';');
+};
+
+// Parse an RRULE value into recurrence fields; returns null for anything unsupported
+const parseRRule = (value) => {
+  const rule = {};
+
+  for (const part of String(value).replace(/^RRULE:/i, '').split(';')) {
+    const [key, raw] = part.split('=');
+    if (!key || raw === undefined) return null;
+
+    switch (key.toUpperCase()) {
+      case 'FREQ':
+        rule.frequency = raw.toLowerCase();
+        if (!Object.values(RecurrenceFrequency).includes(rule.frequency)) return null;
+        break;
+      case 'INTERVAL':
+        rule.interval = parseInt(raw, 10);
+        break;
+      case 'BYDAY':
+        rule.byDay = raw.toUpperCase().split(',');
+        if (!rule.byDay.every(isValidByDay)) return null;
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = raw.split(',').map(day => parseInt(day, 10));
+        break;
+      case 'UNTIL': {
+        const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(raw);
+        if (!match) return null;
+        rule.until = new Date(Date.UTC(match[1], match[2] - 1, match[3], match[4] || 23, match[5] || 59, match[6] || 59));
+        break;
+      }
+      case 'COUNT':
+        rule.count = parseInt(raw, 10);
+        break;
+      case 'WKST':
+        break;
+      default:
+        return null;
+    }
+  }
+
+  return rule.frequency ? rule : null;
+};
+
+module.exports = {
+  RecurrenceFrequency,
+  WEEKDAYS,
+  DEFAULT_TIME_ZONE,
+  isValidByDay,
+  isValidTimeZone,
+  dayKey,
+  expandOccurrences,
+  toRRule,
+  parseRRule,
+  formatUtc
+};
@@ -0,0 +1,104 @@
+const SongRequest = require('../models/SongRequest');
+const { SongStatus } = require('../models/SongRequest');
+
+// Requester classes with separate limits in Event.requestLimits
+const RequesterType = {
+  MEMBER: 'member',
+  GUEST: 'guest',
+  PARTICIPANT: 'participant'
+};
+
+// Statuses that count towards the active request cap
+const ACTIVE_STATUSES = [SongStatus.PENDING, SongStatus.APPROVED, SongStatus.PLAYING];
+
+const formatWait = (milliseconds) => {
+  const seconds = Math.ceil(milliseconds / 1000);
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+const refuse = (reason, retryAfter, now) => ({
+  allowed: false,
+  retryAfter,
+  message: retryAfter
+    ? `${reason}. You can request again at ${retryAfter.toISOString()} (in ${formatWait(retryAfter - now)})`
+    : reason
+});
+
+// Effective limits for a requester type, falling back to the event-wide settings
+const getRequestLimits = (event, requesterType) => {
+  const limits = (event.requestLimits && event.requestLimits[requesterType]) || {};
+
+  return {
+    maxActiveRequests: limits.maxActiveRequests || event.maxSongsPerUser,
+    cooldownSeconds: limits.cooldownSeconds || 0,
+    maxPerWindow: limits.maxPerWindow || 0,
+    windowMinutes: limits.windowMinutes || 60
+  };
+};
+
+// Check whether a user may create another song request for an event
+const checkRequestLimits = async (event, userId, requesterType, now = new Date()) => {
+  const limits = getRequestLimits(event, requesterType);
+
+  if (limits.maxActiveRequests) {
+    const activeCount = await SongRequest.countDocuments({
+      event: event._id,
+      requestedBy: userId,
+      status: { $in: ACTIVE_STATUSES }
+    });
+
+    if (activeCount >= limits.maxActiveRequests) {
+      return refuse(
+        `Maximum ${limits.maxActiveRequests} active song requests allowed per user. You can request again once one of your requests is played, rejected or removed`,
+        null,
+        now
+      );
+    }
+  }
+
+  if (limits.cooldownSeconds) {
+    const lastRequest = await SongRequest.findOne({ event: event._id, requestedBy: userId })
+      .sort({ createdAt: -1 })
+      .select('createdAt');
+
+    if (lastRequest) {
+      const retryAfter = new Date(lastRequest.createdAt.getTime() + limits.cooldownSeconds * 1000);
+      if (retryAfter > now) {
+        return refuse(`Please wait ${limits.cooldownSeconds} seconds between song requests`, retryAfter, now);
+      }
+    }
+  }
+
+  if (limits.maxPerWindow) {
+    const windowMs = limits.windowMinutes * 60 * 1000;
+    const windowRequests = await SongRequest.find({
+      event: event._id,
+      requestedBy: userId,
+      createdAt: { $gt: new Date(now - windowMs) }
+    })
+      .sort({ createdAt: 1 })
+      .select('createdAt');
+
+    if (windowRequests.length >= limits.maxPerWindow) {
+      // The window frees up once enough of the oldest requests age out
+      const oldestBlocking = windowRequests[windowRequests.length - limits.maxPerWindow];
+      const retryAfter = new Date(oldestBlocking.createdAt.getTime() + windowMs);
+      return refuse(
+        `Maximum ${limits.maxPerWindow} song requests allowed every ${limits.windowMinutes} minutes`,
+        retryAfter,
+        now
+      );
+    }
+  }
+
+  return { allowed: true };
+};
+
+module.exports = {
+  RequesterType,
+  getRequestLimits,
+  checkRequestLimits
+};
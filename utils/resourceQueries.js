@@ -0,0 +1,140 @@
+const { EventType, EventStatus } = require('../models/Event');
+const { SongStatus } = require('../models/SongRequest');
+const { Role } = require('../models/Person');
+const { defineResource } = require('./queryLayer');
+
+// What each list endpoint accepts in ?fields, ?sort, ?filter and ?include.
+// Fields left out here (access codes, passwords, IP addresses, ...) can't be requested.
+
+const RANGE = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte'];
+const DATE_RANGE = ['gt', 'gte', 'lt', 'lte'];
+const SET = ['eq', 'ne', 'in', 'nin'];
+
+const PERSON_SUMMARY = 'firstName lastName email';
+
+// GET /api/events
+const EventResource = defineResource({
+  fields: [
+    'name', 'description', 'eventType', 'status', 'startDate', 'endDate', 'lifecycle',
+    'venue', 'venue.name', 'venue.address', 'venue.city', 'venue.state', 'venue.zipCode', 'venue.coordinates',
+    'manager', 'staff', 'maxMembers', 'isPublic', 'requiresApproval', 'maxSongsPerUser',
+    'votingMode', 'rankingStrategy', 'timeBombEnabled', 'logo', 'bannerImage', 'series',
+    'Members', 'totalSongRequests', 'totalLikes', 'createdAt', 'updatedAt'
+  ],
+  derived: {
+    MemberCount: ['Members'],
+    isActive: ['status', 'startDate', 'endDate', 'lifecycle'],
+    // Added by getEvents from guest participations
+    guestMembers: [],
+    guestMemberCount: [],
+    totalMemberCount: ['Members']
+  },
+  sort: ['startDate', 'endDate', 'name', 'status', 'maxMembers', 'createdAt', 'updatedAt'],
+  defaultSort: 'startDate',
+  filters: {
+    status: { operators: SET, values: Object.values(EventStatus) },
+    eventType: { operators: SET, values: Object.values(EventType) },
+    isPublic: { type: 'boolean' },
+    requiresApproval: { type: 'boolean' },
+    startDate: { type: 'date', operators: DATE_RANGE },
+    endDate: { type: 'date', operators: DATE_RANGE },
+    city: { path: 'venue.city', operators: ['eq', 'in'] },
+    maxMembers: { type: 'number', operators: RANGE },
+    manager: { type: 'objectId', operators: ['eq', 'in'] },
+    series: { type: 'objectId' },
+    createdAt: { type: 'date', operators: DATE_RANGE }
+  },
+  include: {
+    manager: { path: 'manager', select: PERSON_SUMMARY },
+    series: { path: 'series', select: 'name recurrence' }
+  },
+  defaultInclude: ['manager']
+});
+
+// GET /api/events/:eventId/song-requests
+const SongRequestResource = defineResource({
+  fields: [
+    'title', 'artist', 'album', 'genre', 'duration', 'releaseYear', 'isExplicit',
+    'spotifyId', 'youtubeId', 'appleMusicId', 'event', 'requestedBy', 'status', 'priority',
+    'queuePosition', 'queuePinnedAt', 'likeCount', 'downvoteCount',
+    'requestNote', 'djNote', 'isTimeBomb', 'timeBombExpiresAt', 'playedAt',
+    'rejectedAt', 'rejectionReason', 'createdAt', 'updatedAt'
+  ],
+  derived: {
+    fullSongName: ['artist', 'title'],
+    voteScore: ['likeCount', 'downvoteCount'],
+    // Whether the caller voted; the voter lists themselves are never sent
+    hasVoted: ['likes.user', 'downvotes.user'],
+    isTimeBombActive: ['isTimeBomb', 'timeBombExpiresAt'],
+    timeBombTimeRemaining: ['isTimeBomb', 'timeBombExpiresAt']
+  },
+  sort: ['createdAt', 'updatedAt', 'likeCount', 'downvoteCount', 'priority', 'queuePosition', 'title', 'artist', 'playedAt'],
+  defaultSort: '-createdAt',
+  filters: {
+    status: { operators: SET, values: Object.values(SongStatus) },
+    priority: { type: 'number', operators: [...RANGE, 'in'] },
+    likeCount: { type: 'number', operators: RANGE },
+    downvoteCount: { type: 'number', operators: RANGE },
+    genre: { operators: ['eq', 'in'] },
+    releaseYear: { type: 'number', operators: RANGE },
+    isExplicit: { type: 'boolean' },
+    isTimeBomb: { type: 'boolean' },
+    requestedBy: { type: 'objectId', operators: ['eq', 'in'] },
+    createdAt: { type: 'date', operators: DATE_RANGE },
+    playedAt: { type: 'date', operators: DATE_RANGE }
+  },
+  include: {
+    requestedBy: { path: 'requestedBy', select: PERSON_SUMMARY },
+    event: { path: 'event', select: 'name startDate endDate' }
+  },
+  defaultInclude: ['requestedBy', 'event']
+});
+
+// GET /api/events/:eventId/feedback
+const EventFeedbackResource = defineResource({
+  fields: ['event', 'firstName', 'rating', 'comment', 'createdAt', 'updatedAt'],
+  derived: {
+    displayName: ['firstName']
+  },
+  sort: ['createdAt', 'rating'],
+  defaultSort: '-createdAt',
+  filters: {
+    rating: { type: 'number', operators: [...RANGE, 'in'] },
+    createdAt: { type: 'date', operators: DATE_RANGE }
+  },
+  include: {
+    event: { path: 'event', select: 'name' }
+  },
+  defaultInclude: ['event']
+});
+
+// GET /api/persons
+const PersonResource = defineResource({
+  fields: [
+    'firstName', 'lastName', 'email', 'role', 'isActive', 'profilePicture', 'phoneNumber',
+    'organizationName', 'favoriteGenres', 'lastLogin', 'loginCount', 'createdBy', 'createdAt', 'updatedAt'
+  ],
+  derived: {
+    fullName: ['firstName', 'lastName']
+  },
+  sort: ['createdAt', 'updatedAt', 'firstName', 'lastName', 'email', 'role', 'lastLogin', 'loginCount'],
+  defaultSort: '-createdAt',
+  filters: {
+    role: { operators: SET, values: Object.values(Role) },
+    isActive: { type: 'boolean' },
+    organizationName: {},
+    lastLogin: { type: 'date', operators: DATE_RANGE },
+    loginCount: { type: 'number', operators: RANGE },
+    createdAt: { type: 'date', operators: DATE_RANGE }
+  },
+  include: {
+    createdBy: { path: 'createdBy', select: PERSON_SUMMARY }
+  }
+});
+
+module.exports = {
+  EventResource,
+  SongRequestResource,
+  EventFeedbackResource,
+  PersonResource
+};
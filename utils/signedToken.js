@@ -0,0 +1,23 @@
+const jwt = require('jsonwebtoken');
+
+// Purpose-bound tokens (invitations, check-in links, calendar feeds...).
+// The audience claim keeps a token minted for one purpose from being used for another.
+const getSecret = () => process.env.SIGNED_TOKEN_SECRET || process.env.JWT_SECRET;
+
+const signToken = (purpose, payload, options = {}) => {
+  return jwt.sign(payload, getSecret(), { ...options, audience: purpose });
+};
+
+// Returns the payload, or null when the token is invalid, expired or for another purpose
+const verifySignedToken = (purpose, token) => {
+  try {
+    return jwt.verify(token, getSecret(), { audience: purpose });
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  signToken,
+  verifySignedToken
+};
@@ -0,0 +1,62 @@
+// Normalization helpers for fuzzy duplicate-song detection
+
+// " feat. X", "(ft X)", "[featuring X]" up to the end or the closing bracket
+const FEATURING_PATTERN = /(\s+|\s*[([]\s*)(feat\.?|ft\.?|featuring)\s+[^)\]]*[)\]]?/g;
+
+// Bracketed or dashed version noise: (Live), [Remix], - Radio Edit, (Remastered 2011)...
+const VERSION_WORDS = 'live|remix(ed)?|radio edit|edit|remaster(ed)?|single version|album version|explicit|clean|mono|stereo';
+const BRACKETED_VERSION_PATTERN = new RegExp(`[([][^)\\]]*\\b(${VERSION_WORDS})\\b[^)\\]]*[)\\]]`, 'g');
+const DASHED_VERSION_PATTERN = new RegExp(`\\s+-\\s+[^-]*\\b(${VERSION_WORDS})\\b.*$`);
+
+// Lowercase, strip Latin accents and collapse punctuation/whitespace, keeping edge spaces.
+// Letters and digits of every script are kept, so "紅蓮華" and "炎" stay different songs.
+const foldText = (value) => {
+  return String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’`]/g, '')
+    .replace(/[^\p{L}\p{M}\p{N}()[\]\-. ]+/gu, ' ')
+    .replace(/\s+/g, ' ');
+};
+
+const normalizeText = (value) => foldText(value).trim();
+
+// Strip bracket leftovers and punctuation once noise has been removed
+const cleanUp = (value) => {
+  return value
+    .replace(/[()[\].\-]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+const normalizeTitle = (title) => {
+  const normalized = normalizeText(title)
+    .replace(FEATURING_PATTERN, ' ')
+    .replace(BRACKETED_VERSION_PATTERN, ' ')
+    .replace(DASHED_VERSION_PATTERN, '');
+
+  return cleanUp(normalized);
+};
+
+const normalizeArtist = (artist) => {
+  const normalized = cleanUp(normalizeText(artist).replace(FEATURING_PATTERN, ' '));
+
+  // "The Beatles" and "Beatles, The" are the same artist
+  return normalized.replace(/^the\s+(?=\S)/, '').replace(/\s+the$/, '');
+};
+
+// Stable fingerprint for an artist/title pair
+const createFingerprint = (title, artist) => {
+  return `${normalizeArtist(artist)}|${normalizeTitle(title)}`;
+};
+
+module.exports = {
+  foldText,
+  normalizeText,
+  normalizeTitle,
+  normalizeArtist,
+  createFingerprint
+};
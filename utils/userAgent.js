@@ -0,0 +1,40 @@
+// Rough, human-readable device names for session lists ("Chrome on Windows").
+// Order matters: several browsers also announce themselves as Chrome or Safari.
+
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\//],
+  ['Samsung Internet', /SamsungBrowser\//],
+  ['Chrome', /(Chrome|CriOS)\//],
+  ['Firefox', /(Firefox|FxiOS)\//],
+  ['Safari', /Version\/[\d.]+.*Safari\//]
+];
+
+const PLATFORMS = [
+  ['iPad', /iPad/],
+  ['iPhone', /iPhone/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['ChromeOS', /CrOS/],
+  ['macOS', /Macintosh|Mac OS X/],
+  ['Linux', /Linux/]
+];
+
+const match = (candidates, userAgent) => {
+  const found = candidates.find(([, pattern]) => pattern.test(userAgent));
+  return found ? found[0] : null;
+};
+
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  // Apps and API clients usually lead with their own product token
+  const browser = match(BROWSERS, userAgent) || userAgent.split(/[\s/]/)[0];
+  const platform = match(PLATFORMS, userAgent);
+
+  return platform ? `${browser} on ${platform}` : browser;
+};
+
+module.exports = {
+  describeDevice
+};